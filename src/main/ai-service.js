@@ -1,15 +1,159 @@
 /**
  * AI Service — Unified abstraction for multiple AI providers
- * Supports: OpenAI, Gemini, OpenRouter, Ollama, LMStudio
- * Features: Chat, Streaming, Summarize, Task Execution, Abort/Stop
+ * Supports: OpenAI, Gemini, OpenRouter, Ollama, LMStudio, and custom OpenAI-compatible endpoints
+ * Features: Chat, Streaming, Summarize, Tool-Calling Agent Loop, Abort/Stop, Usage Reporting,
+ *           Retry with Backoff, Provider Fallback Chain, Reasoning / Extended Thinking
  */
 
+import { formatPageMetadata, splitSections } from './content-extractor.js'
+import { describeFingerprint } from './element-fingerprint.js'
+
+// Retries on the same provider for 429 / 5xx / dropped connections
+const RETRY_MAX_ATTEMPTS = 2
+const RETRY_BASE_DELAY_MS = 1000
+// A Retry-After longer than this moves on to the next provider instead of waiting
+const RETRY_MAX_WAIT_MS = 30000
+
+// Used when neither the provider settings nor the request set a value
+const GENERATION_DEFAULTS = { temperature: 0.7, maxTokens: 4096, topP: null, stopSequences: null }
+
+// Anthropic rejects smaller thinking budgets
+const ANTHROPIC_MIN_THINKING_BUDGET = 1024
+// o-series max_completion_tokens also covers the hidden reasoning. Tokens reserved for it on top
+// of maxTokens, by reasoning effort (unset = the models' default, medium), unless the provider
+// sets `reasoningBudget`. OpenAI suggests reserving ~25k when reasoning hard.
+const OPENAI_REASONING_BUDGETS = { low: 8000, medium: 16000, high: 25000 }
+
+// Pages longer than this are summarized section by section (map-reduce) instead of in one request
+const SUMMARY_SINGLE_PASS_CHARS = 24000
+const SUMMARY_CHUNK_CHARS = 12000
+// Section requests in flight at once — local servers run one generation at a time
+const SUMMARY_CONCURRENCY = { ollama: 1, lmstudio: 1 }
+const SUMMARY_DEFAULT_CONCURRENCY = 3
+
+// Output structure shared by single-pass and sectioned summaries
+const SUMMARY_FORMAT = `Format your response in markdown with:
+- A brief overview (2-3 sentences)
+- Key points as bullet points
+- Any important data, dates, or numbers highlighted
+- A relevance note if applicable to academic research
+Mention the author and publication date when they are given.`
+
+// Embedding model used when the semantic index settings name none
+const EMBEDDING_DEFAULTS = {
+    openai: 'text-embedding-3-small',
+    gemini: 'text-embedding-004',
+    ollama: 'nomic-embed-text',
+    lmstudio: 'text-embedding-nomic-embed-text-v1.5'
+}
+
+// Visits handed to the model when answering a history question
+const RECALL_MAX_VISITS = 12
+
+// PDFs arrive as one `## Page N` section per page (pdf-extractor.js)
+const PDF_CITATION = `The document is a PDF split into "## Page N" sections. End every key point with the page it came from, as (p. N) or (pp. N-M).`
+
+/**
+ * Split streamed text into the answer and `<think>…</think>` reasoning, as emitted by
+ * local reasoning models (DeepSeek-R1, Qwen3, ...). Tags may arrive split across chunks.
+ */
+function createThinkTagSplitter(onText, onReasoning) {
+    let inThink = false
+    let pending = ''
+    const emit = (text) => {
+        if (text) (inThink ? onReasoning : onText)(text)
+    }
+
+    return {
+        push(chunk) {
+            pending += chunk
+            while (pending) {
+                const tag = inThink ? '</think>' : '<think>'
+                const idx = pending.indexOf(tag)
+                if (idx !== -1) {
+                    emit(pending.slice(0, idx))
+                    pending = pending.slice(idx + tag.length)
+                    inThink = !inThink
+                    continue
+                }
+                // Hold back a trailing partial tag until the next chunk completes it
+                let keep = 0
+                for (let n = Math.min(tag.length - 1, pending.length); n > 0; n--) {
+                    if (tag.startsWith(pending.slice(-n))) {
+                        keep = n
+                        break
+                    }
+                }
+                emit(pending.slice(0, pending.length - keep))
+                pending = pending.slice(pending.length - keep)
+                break
+            }
+        },
+        flush() {
+            emit(pending)
+            pending = ''
+        }
+    }
+}
+
+/** Non-streaming counterpart of createThinkTagSplitter: { content, reasoning } */
+function splitThinkTags(text) {
+    const reasoning = []
+    const content = (text || '').replace(/<think>([\s\S]*?)(?:<\/think>|$)/g, (_, thought) => {
+        reasoning.push(thought.trim())
+        return ''
+    })
+    return { content: content.trim(), reasoning: reasoning.filter(Boolean).join('\n\n') || null }
+}
+
+/** Local-time timestamp of a YYYY-MM-DD date, at the start (or end) of that day */
+function dayBoundary(date, endOfDay = false) {
+    const m = /^(\d{4})-(\d{2})-(\d{2})$/.exec(date || '')
+    if (!m) return null
+    return endOfDay
+        ? new Date(+m[1], m[2] - 1, +m[3], 23, 59, 59, 999).getTime()
+        : new Date(+m[1], m[2] - 1, +m[3]).getTime()
+}
+
+/** The first JSON object in a model reply (which may wrap it in prose or a code fence) */
+function parseJsonObject(text) {
+    const start = text.indexOf('{')
+    const end = text.lastIndexOf('}')
+    if (start < 0 || end < start) return null
+    try { return JSON.parse(text.slice(start, end + 1)) } catch { return null }
+}
+
+/**
+ * Run fn(item, index) over items with at most `limit` calls in flight; results keep
+ * the input order. Stops starting new items after the first failure and rethrows it.
+ */
+async function mapWithConcurrency(items, limit, fn) {
+    const results = new Array(items.length)
+    let next = 0
+    let failed = false
+    const worker = async () => {
+        while (!failed && next < items.length) {
+            const index = next++
+            try {
+                results[index] = await fn(items[index], index)
+            } catch (err) {
+                failed = true
+                throw err
+            }
+        }
+    }
+    await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker))
+    return results
+}
+
 class AIService {
     constructor(store) {
         this.store = store
         this.settings = store.get('aiSettings')
         this.activeControllers = new Set() // Track all in-flight requests
+        this._abortGeneration = 0 // Bumped on abort() so agent loops stop between tool calls
         this.onLog = null // Dev mode logger callback: (level, category, msg, data) => void
+        this.onUsage = null // Usage ledger callback: ({ provider, model, usage, latencyMs, ...meta }) => void
     }
 
     updateSettings(settings) {
@@ -24,6 +168,7 @@ class AIService {
             count++
         }
         this.activeControllers.clear()
+        this._abortGeneration++
         this._log('warn', 'AI', `Abort called — cancelled ${count} in-flight request(s)`)
         return count
     }
@@ -36,12 +181,16 @@ class AIService {
         // Auto-cleanup when request finishes
         const cleanup = () => this.activeControllers.delete(controller)
 
-        // Optional timeout
+        // Optional timeout — aborts with a TimeoutError (fetch rejects with it), so it is
+        // retried and falls back like other transient failures, unlike a user abort
         if (timeoutMs > 0) {
             const timer = setTimeout(() => {
-                controller.abort()
+                const err = new Error(`Request timed out after ${timeoutMs / 1000}s`)
+                err.name = 'TimeoutError'
+                err.timedOut = true
+                controller.abort(err)
                 cleanup()
-                this._log('warn', 'AI', `Request timed out after ${timeoutMs / 1000}s`)
+                this._log('warn', 'AI', err.message)
             }, timeoutMs)
             // Clear timer on manual abort
             controller.signal.addEventListener('abort', () => clearTimeout(timer), { once: true })
@@ -51,6 +200,25 @@ class AIService {
         return controller
     }
 
+    /** Internal: throw an AbortError if abort() was called since `generation` was read */
+    _throwIfAborted(generation) {
+        if (this._abortGeneration !== generation) {
+            const err = new Error('Agent run aborted')
+            err.name = 'AbortError'
+            throw err
+        }
+    }
+
+    /**
+     * Internal: report token usage of a finished request. `meta` says where it came
+     * from ({ feature, conversationId, runId, label }) and is passed through as-is.
+     */
+    _reportUsage(provider, model, usage, latencyMs, meta = {}) {
+        if (this.onUsage) {
+            try { this.onUsage({ provider, model, usage, latencyMs, ...meta }) } catch { }
+        }
+    }
+
     /** Internal: dev logging helper */
     _log(level, category, message, data) {
         if (this.onLog) {
@@ -58,6 +226,106 @@ class AIService {
         }
     }
 
+    /** Internal: abortable delay — rejects with AbortError when abort() is called */
+    _sleep(ms) {
+        const controller = this._makeController(0)
+        return new Promise((resolve, reject) => {
+            const timer = setTimeout(() => {
+                this.activeControllers.delete(controller)
+                resolve()
+            }, ms)
+            controller.signal.addEventListener('abort', () => {
+                clearTimeout(timer)
+                const err = new Error('Request aborted')
+                err.name = 'AbortError'
+                reject(err)
+            }, { once: true })
+        })
+    }
+
+    /** Internal: build an Error for a failed HTTP response, keeping status and Retry-After */
+    async _httpError(response, label) {
+        const errBody = await response.text().catch(() => '')
+        const err = new Error(`${label} (${response.status}): ${errBody}`)
+        err.status = response.status
+        const retryAfter = response.headers.get('retry-after')
+        if (retryAfter) {
+            const seconds = Number(retryAfter)
+            err.retryAfterMs = Number.isFinite(seconds)
+                ? seconds * 1000
+                : Math.max(0, Date.parse(retryAfter) - Date.now()) || null
+        }
+        return err
+    }
+
+    /** Internal: rate limited, overloaded, server error or timed out — worth retrying or falling back */
+    _isTransientError(err) {
+        return err.status === 429 || err.status >= 500 || !!err.timedOut
+    }
+
+    /** Internal: the provider could not be reached at all (server down, DNS, refused connection) */
+    _isUnreachableError(err) {
+        return !!err.unreachable || err.message === 'fetch failed' ||
+            ['ECONNREFUSED', 'ECONNRESET', 'ENOTFOUND', 'ETIMEDOUT', 'EAI_AGAIN'].includes(err.cause?.code)
+    }
+
+    /**
+     * Internal: run attempt() against one provider, retrying transient failures with
+     * exponential backoff (honoring Retry-After). A refused connection is not retried —
+     * a local server that is not running will not start by itself.
+     * canRetry() can veto a retry, e.g. once a stream has already produced output.
+     */
+    async _withRetry(provider, attempt, canRetry = () => true) {
+        for (let n = 0; ; n++) {
+            try {
+                return await attempt()
+            } catch (err) {
+                const isLocal = provider.name === 'ollama' || provider.name === 'lmstudio'
+                const retryable = this._isTransientError(err) ||
+                    (this._isUnreachableError(err) && !isLocal && err.cause?.code !== 'ECONNREFUSED')
+                if (err.name === 'AbortError' || !retryable || n >= RETRY_MAX_ATTEMPTS || !canRetry()) throw err
+
+                const delay = err.retryAfterMs ?? RETRY_BASE_DELAY_MS * 2 ** n + Math.floor(Math.random() * 250)
+                if (delay > RETRY_MAX_WAIT_MS) throw err
+                this._log('warn', 'AI', `${provider.name} failed (${err.status || err.cause?.code || err.message}) — retry ${n + 1}/${RETRY_MAX_ATTEMPTS} in ${Math.round(delay / 1000)}s`)
+                await this._sleep(delay)
+            }
+        }
+    }
+
+    /**
+     * Providers to try for a request: the requested one, then `aiSettings.fallbackProviders`
+     * in order. Fallbacks that are not configured (no key / model) are skipped; the
+     * requested provider is validated strictly so setup errors still surface.
+     */
+    _providerChain(providerName) {
+        const primary = this.getProviderConfig(providerName)
+        this.validateProvider(primary)
+
+        const chain = [primary]
+        for (const name of this.settings.fallbackProviders || []) {
+            if (name === primary.name || !this.settings.providers[name]) continue
+            const provider = this.getProviderConfig(name)
+            try {
+                this.validateProvider(provider)
+                chain.push(provider)
+            } catch (err) {
+                this._log('debug', 'AI', `Skipping fallback ${name}: ${err.message}`)
+            }
+        }
+        return chain
+    }
+
+    /** Internal: whether a failed provider should hand the request to the next one in the chain */
+    _shouldFallback(err) {
+        return err.name !== 'AbortError' && (this._isTransientError(err) || this._isUnreachableError(err))
+    }
+
+    /**
+     * Provider config by key. Custom providers are `aiSettings.providers` entries with
+     * `custom: true`, a display `label`, and optional extra `headers`; they use the
+     * OpenAI-compatible code paths.
+     */
     getProviderConfig(providerName) {
         const name = providerName || this.settings.activeProvider
         return {
@@ -71,8 +339,10 @@ class AIService {
      */
     validateProvider(provider) {
         const isLocal = provider.name === 'ollama' || provider.name === 'lmstudio'
+        const displayName = provider.label || provider.name
 
-        if (!isLocal && !provider.apiKey) {
+        // Self-hosted custom endpoints (vLLM, llama.cpp server) often need no key
+        if (!isLocal && !provider.custom && !provider.apiKey) {
             throw new Error(
                 `No API key configured for ${provider.name}. Please add your API key in Settings.`
             )
@@ -85,21 +355,47 @@ class AIService {
 
         if (!provider.baseUrl) {
             throw new Error(
-                `No base URL configured for ${provider.name}. Please check Settings.`
+                `No base URL configured for ${displayName}. Please check Settings.`
             )
         }
 
         if (!provider.model) {
             throw new Error(
-                `No model specified for ${provider.name}. Please check Settings.`
+                `No model specified for ${displayName}. Please check Settings.`
             )
         }
     }
 
-    async chat(messages, providerName) {
-        const provider = this.getProviderConfig(providerName)
-        this.validateProvider(provider)
+    /**
+     * Non-streaming chat. `options.tools` is a list of { name, description, parameters }
+     * definitions; when the model calls any of them the result carries `toolCalls`.
+     * `options.meta` ({ feature, conversationId, runId, label }) tags the usage report.
+     * `options.generation` ({ temperature, maxTokens, topP, stopSequences }) overrides
+     * the provider's generation settings for this request.
+     * Reasoning the model exposes (thinking blocks, `<think>` tags) comes back as
+     * `result.reasoning`, separate from `result.content`.
+     *
+     * Transient failures are retried, then the request moves down the fallback chain;
+     * `result.provider` is the provider that answered and `result.fallbackFrom` the
+     * requested one when they differ.
+     */
+    async chat(messages, providerName, options = {}) {
+        const chain = this._providerChain(providerName)
+
+        for (let i = 0; i < chain.length; i++) {
+            const provider = chain[i]
+            try {
+                const result = await this._withRetry(provider, () => this._chatOnce(messages, provider, options))
+                return i > 0 ? { ...result, fallbackFrom: chain[0].name } : result
+            } catch (err) {
+                if (i === chain.length - 1 || !this._shouldFallback(err)) throw err
+                this._log('warn', 'AI', `${provider.name} unavailable — falling back to ${chain[i + 1].name}`, { error: err.message })
+            }
+        }
+    }
 
+    /** Internal: one non-streaming request to one provider */
+    async _chatOnce(messages, provider, options) {
         const t0 = Date.now()
         this._log('info', 'AI', `Chat request → ${provider.name} / ${provider.model}`, {
             provider: provider.name,
@@ -111,16 +407,16 @@ class AIService {
             let result
             switch (provider.name) {
                 case 'gemini':
-                    result = await this._chatGemini(messages, provider)
+                    result = await this._chatGemini(messages, provider, options)
                     break
                 case 'anthropic':
-                    result = await this._chatAnthropic(messages, provider)
+                    result = await this._chatAnthropic(messages, provider, options)
                     break
                 case 'ollama':
-                    result = await this._chatOllama(messages, provider)
+                    result = await this._chatOllama(messages, provider, options)
                     break
                 default:
-                    result = await this._chatOpenAICompatible(messages, provider)
+                    result = await this._chatOpenAICompatible(messages, provider, options)
             }
 
             const elapsed = Date.now() - t0
@@ -129,8 +425,10 @@ class AIService {
                 model: result.model,
                 usage: result.usage,
                 elapsedMs: elapsed,
-                contentLength: result.content?.length
+                contentLength: result.content?.length,
+                toolCalls: result.toolCalls?.length || undefined
             })
+            this._reportUsage(provider.label || provider.name, result.model || provider.model, result.usage, elapsed, options.meta)
             return result
         } catch (err) {
             if (err.name === 'AbortError') {
@@ -143,33 +441,72 @@ class AIService {
     }
 
     /**
-     * Streaming chat — sends chunks via callbacks
+     * Streaming chat — sends chunks via callbacks. Retries and falls back like chat(),
+     * but only until the first chunk arrives; after that an error ends the stream.
+     * onDone({ provider, model, fallbackFrom }) reports who answered.
+     * `options.onReasoning(text)` receives reasoning deltas, which never reach onChunk.
      */
-    async chatStream(messages, providerName, onChunk, onDone, onError) {
+    async chatStream(messages, providerName, onChunk, onDone, onError, options = {}) {
         try {
-            const provider = this.getProviderConfig(providerName)
-            this.validateProvider(provider)
+            const chain = this._providerChain(providerName)
+            let started = false
+            const trackedChunk = (chunk) => {
+                started = true
+                onChunk(chunk)
+            }
+            const onReasoning = options.onReasoning
+            options = {
+                ...options,
+                onReasoning: (text) => {
+                    started = true
+                    onReasoning?.(text)
+                }
+            }
 
-            const t0 = Date.now()
-            let chunkCount = 0
-            this._log('info', 'AI', `Stream request → ${provider.name} / ${provider.model}`, {
-                provider: provider.name,
-                model: provider.model,
-                messageCount: messages.length
-            })
+            for (let i = 0; i < chain.length; i++) {
+                const provider = chain[i]
+                try {
+                    await this._withRetry(provider, () => this._streamOnce(messages, provider, trackedChunk, options), () => !started)
+                    onDone({ provider: provider.name, model: provider.model, fallbackFrom: i > 0 ? chain[0].name : undefined })
+                    return
+                } catch (err) {
+                    if (started || i === chain.length - 1 || !this._shouldFallback(err)) throw err
+                    this._log('warn', 'AI', `${provider.name} unavailable — falling back to ${chain[i + 1].name}`, { error: err.message })
+                }
+            }
+        } catch (err) {
+            onError(err)
+        }
+    }
 
+    /**
+     * Internal: one streaming request to one provider. Resolves when the stream ends;
+     * provider stream readers pass the final usage to their onDone so it can be reported.
+     */
+    _streamOnce(messages, provider, onChunk, options) {
+        const t0 = Date.now()
+        let chunkCount = 0
+        this._log('info', 'AI', `Stream request → ${provider.name} / ${provider.model}`, {
+            provider: provider.name,
+            model: provider.model,
+            messageCount: messages.length
+        })
+
+        return new Promise((resolve, reject) => {
             const wrappedChunk = (chunk) => {
                 chunkCount++
                 onChunk(chunk)
             }
 
-            const wrappedDone = () => {
+            const wrappedDone = (usage) => {
                 const elapsed = Date.now() - t0
                 this._log('info', 'AI', `Stream complete ← ${provider.name} (${elapsed}ms, ${chunkCount} chunks)`, {
                     elapsedMs: elapsed,
-                    chunks: chunkCount
+                    chunks: chunkCount,
+                    usage
                 })
-                onDone()
+                this._reportUsage(provider.label || provider.name, provider.model, usage, elapsed, options.meta)
+                resolve()
             }
 
             const wrappedError = (err) => {
@@ -178,74 +515,324 @@ class AIService {
                 } else {
                     this._log('error', 'AI', `Stream error from ${provider.name}: ${err.message}`, { error: err.message })
                 }
-                onError(err)
+                reject(err)
             }
 
             switch (provider.name) {
                 case 'gemini':
-                    await this._streamGemini(messages, provider, wrappedChunk, wrappedDone, wrappedError)
+                    this._streamGemini(messages, provider, wrappedChunk, wrappedDone, wrappedError, options)
                     break
                 case 'anthropic':
-                    await this._streamAnthropic(messages, provider, wrappedChunk, wrappedDone, wrappedError)
+                    this._streamAnthropic(messages, provider, wrappedChunk, wrappedDone, wrappedError, options)
                     break
                 case 'ollama':
-                    await this._streamOllama(messages, provider, wrappedChunk, wrappedDone, wrappedError)
+                    this._streamOllama(messages, provider, wrappedChunk, wrappedDone, wrappedError, options)
                     break
                 default:
-                    await this._streamOpenAICompatible(messages, provider, wrappedChunk, wrappedDone, wrappedError)
+                    this._streamOpenAICompatible(messages, provider, wrappedChunk, wrappedDone, wrappedError, options)
                     break
             }
-        } catch (err) {
-            onError(err)
-        }
+        })
     }
 
-    async summarize(pageText, pageTitle, pageUrl, providerName) {
+    /**
+     * Summarize a page extracted by content-extractor.js — `page` is its result
+     * ({ markdown, title, url, byline, publishedTime, ... }).
+     * Long pages are split into sections, summarized in parallel and merged; see
+     * _summarizeSections. onProgress({ stage, done, total, section }) reports that.
+     */
+    async summarize(page, providerName, meta = {}, generation, onProgress) {
+        if (page.markdown.length > SUMMARY_SINGLE_PASS_CHARS) {
+            return this._summarizeSections(page, providerName, meta, generation, onProgress)
+        }
+
         const systemPrompt = `You are an AI research assistant built into That Browser.
 Your task is to provide clear, well-structured summaries of web pages.
-Format your response in markdown with:
-- A brief overview (2-3 sentences)
-- Key points as bullet points
-- Any important data, dates, or numbers highlighted
-- A relevance note if applicable to academic research`
+${SUMMARY_FORMAT}${page.isPdf ? `\n${PDF_CITATION}` : ''}`
 
         const userPrompt = `Please summarize the following web page:
 
-**Title:** ${pageTitle}
-**URL:** ${pageUrl}
+${formatPageMetadata(page)}
 
-**Content:**
-${pageText}`
+**Content (main article, as Markdown${page.truncated ? ', truncated' : ''}):**
+${page.markdown}`
 
         const messages = [
             { role: 'system', content: systemPrompt },
             { role: 'user', content: userPrompt }
         ]
 
-        return this.chat(messages, providerName)
+        return this.chat(messages, providerName, { meta: { feature: 'summarize', ...meta }, generation })
+    }
+
+    /**
+     * Internal: map-reduce summary of a long page. Each section chunk is summarized
+     * on its own (at most SUMMARY_CONCURRENCY requests at a time for the provider;
+     * rate-limit errors are retried by chat()), then the partial summaries are merged
+     * into one summary whose key points cite their sections as [§N Title].
+     */
+    async _summarizeSections(page, providerName, meta, generation, onProgress) {
+        const report = (progress) => { try { onProgress?.(progress) } catch { } }
+        const chunks = splitSections(page.markdown, SUMMARY_CHUNK_CHARS)
+        const provider = this.getProviderConfig(providerName)
+        const limit = (!provider.custom && SUMMARY_CONCURRENCY[provider.name]) || SUMMARY_DEFAULT_CONCURRENCY
+        const header = formatPageMetadata(page)
+        const chatOptions = { meta: { feature: 'summarize', ...meta }, generation }
+
+        this._log('info', 'AI', `Summarizing ${page.markdown.length} chars in ${chunks.length} sections (${limit} at a time)`)
+        report({ stage: 'map', done: 0, total: chunks.length })
+
+        let done = 0
+        const partials = await mapWithConcurrency(chunks, limit, async (chunk) => {
+            const result = await this.chat([
+                {
+                    role: 'system',
+                    content: `You summarize one section of a long web page; the summaries of all sections are merged later.
+Reply with 3-8 markdown bullet points of the section's key points — claims, findings, data, dates and numbers.
+No introduction or conclusion. If the section has no substantive content, reply with "- (no key points)".${page.isPdf ? `\n${PDF_CITATION}` : ''}`
+                },
+                {
+                    role: 'user',
+                    content: `${header}\n\n**Section ${chunk.id} of ${chunks.length}: ${chunk.title}**\n\n${chunk.markdown}`
+                }
+            ], providerName, chatOptions)
+            report({ stage: 'map', done: ++done, total: chunks.length, section: chunk.title })
+            return result.content
+        })
+
+        report({ stage: 'reduce', done: chunks.length, total: chunks.length })
+        const sectionNotes = chunks
+            .map((chunk, i) => `### ${chunk.id} ${chunk.title}\n${partials[i]}`)
+            .join('\n\n')
+
+        const result = await this.chat([
+            {
+                role: 'system',
+                content: `You are an AI research assistant built into That Browser.
+You are given section-by-section notes on a long web page. Merge them into one summary of the whole page.
+${SUMMARY_FORMAT}
+${page.isPdf
+        ? 'Keep the page citations of the notes — end every key point with (p. N) or (pp. N-M).'
+        : 'End every key point with the section it came from, as [§N Section title] — e.g. [§3 Methods].'}`
+            },
+            {
+                role: 'user',
+                content: `Please summarize the following web page from its section notes:\n\n${header}\n\n**Section notes (${chunks.length} sections):**\n\n${sectionNotes}`
+            }
+        ], providerName, chatOptions)
+
+        return { ...result, sections: chunks.map(({ id, title }) => ({ id, title })) }
+    }
+
+    /**
+     * Answer a question about the user's browsing history ("that article about vector
+     * databases I read last Tuesday"). The model first turns the question into keywords
+     * and a date range, `searchHistory({ query, from, to, anyTerm, limit })` finds the
+     * visits (each { url, title, visitedAt, snippet, excerpt }), and the model answers
+     * from them. The search is widened — any keyword, then any date — until it finds
+     * something. `result.visits` lists the visits the answer was based on.
+     */
+    async recallHistory(question, providerName, searchHistory, meta = {}) {
+        const chatOptions = { meta: { feature: 'recall', ...meta } }
+        const now = new Date()
+        const today = `${now.getFullYear()}-${String(now.getMonth() + 1).padStart(2, '0')}-${String(now.getDate()).padStart(2, '0')}`
+        const weekday = now.toLocaleDateString('en-US', { weekday: 'long' })
+
+        const plan = await this.chat([
+            {
+                role: 'system',
+                content: `You turn questions about the user's browsing history into a search.
+Today is ${weekday}, ${today}.
+Reply with only a JSON object: {"keywords": [...], "from": "YYYY-MM-DD" or null, "to": "YYYY-MM-DD" or null}
+- keywords: 1-5 distinctive words likely to appear in the page's title or text (no filler words like "article" or "read")
+- from / to: the date range the question refers to ("last Tuesday", "yesterday", "this week"), or null when it gives none`
+            },
+            { role: 'user', content: question }
+        ], providerName, chatOptions)
+
+        const parsed = parseJsonObject(plan.content) || {}
+        const query = (Array.isArray(parsed.keywords) ? parsed.keywords.join(' ') : question).toLowerCase()
+        const from = dayBoundary(parsed.from)
+        const to = dayBoundary(parsed.to, true)
+        this._log('info', 'AI', `History recall: "${query}" ${parsed.from || '…'} → ${parsed.to || '…'}`)
+
+        const attempts = [
+            { query, from, to },
+            { query, from, to, anyTerm: true },
+            { query, anyTerm: true }
+        ]
+        let visits = []
+        for (const attempt of attempts) {
+            visits = await searchHistory({ ...attempt, limit: RECALL_MAX_VISITS })
+            if (visits.length) break
+        }
+
+        const list = visits.map((visit, i) => [
+            `[${i + 1}] ${visit.title}`,
+            `URL: ${visit.url}`,
+            `Visited: ${new Date(visit.visitedAt).toLocaleString('en-US', { weekday: 'long', year: 'numeric', month: 'short', day: 'numeric', hour: 'numeric', minute: '2-digit' })}`,
+            visit.excerpt && `Page text: ${visit.excerpt}`
+        ].filter(Boolean).join('\n')).join('\n\n')
+
+        const result = await this.chat([
+            {
+                role: 'system',
+                content: `You help the user find pages from their own browsing history. Today is ${weekday}, ${today}.
+Answer from the visits listed below only. Name the page(s) that best match the question as markdown links
+with the visit date, and say in a sentence or two what each was about. If none match well, say so and
+mention the closest candidates.`
+            },
+            {
+                role: 'user',
+                content: `${question}\n\n---\nMatching history visits (${visits.length}):\n\n${list || '(none found)'}`
+            }
+        ], providerName, chatOptions)
+
+        return { ...result, visits: visits.map(({ id, url, title, visitedAt }) => ({ id, url, title, visitedAt })) }
     }
 
-    async executeTask(taskDescription, providerName) {
-        const systemPrompt = `You are an AI task execution assistant in That Browser.
-You can control the browser to automate tasks. You have access to these automation commands:
-- CLICK(x, y) — Click at screen coordinates
-- TYPE("text") — Type text into the focused element
-- PRESS("key") — Press a key (Enter, Tab, Escape, etc.)
-- SCROLL(deltaY) — Scroll the page (negative = up, positive = down)
-- NAVIGATE("url") — Go to a URL
-- WAIT(ms) — Wait for milliseconds
-- FIND("selector") — Find elements on the page
+    /**
+     * Multi-turn tool-calling loop. Sends the conversation with tool definitions,
+     * runs every requested call through executeTool(name, args), feeds the results
+     * back to the model, and repeats until it replies without calling a tool or
+     * calls `finishTool` ({ success, summary }), which ends the run with a verdict.
+     *
+     * observe() — optional; after each round of tool calls its message (usually a
+     * fresh page snapshot) is appended so the model can verify the effect.
+     * A new observation with an image drops the images of earlier messages.
+     * maxSteps — budget of executed tool calls; the run stops unfinished once spent.
+     * onStep({ type: 'call' | 'result', call, output }) reports progress.
+     * meta — usage tags for every model call in the run.
+     * generation — generation parameter overrides for every model call in the run.
+     */
+    async runAgent(messages, providerName, { tools, executeTool, onStep, observe, finishTool, maxSteps = 20, meta, generation } = {}) {
+        const abortGeneration = this._abortGeneration
+        const transcript = [...messages]
+        let steps = 0
+
+        // Every round either returns or executes at least one call, so the budget bounds the loop
+        for (let turn = 1; ; turn++) {
+            const result = await this.chat(transcript, providerName, { tools, meta, generation })
+            const toolCalls = result.toolCalls || []
+            transcript.push({ role: 'assistant', content: result.content || '', toolCalls, thinkingBlocks: result.thinkingBlocks })
+
+            if (toolCalls.length === 0) {
+                this._log('info', 'AI', `Agent finished after ${turn} turn(s), ${steps} step(s)`)
+                return { ...result, verdict: null, turns: turn, steps }
+            }
+
+            for (const call of toolCalls) {
+                this._throwIfAborted(abortGeneration)
+
+                if (call.name === finishTool) {
+                    const verdict = {
+                        success: call.args?.success === true,
+                        summary: call.args?.summary || result.content || ''
+                    }
+                    this._log('info', 'AI', `Agent verdict: ${verdict.success ? 'success' : 'failure'} after ${steps} step(s)`, verdict)
+                    return { ...result, content: verdict.summary, verdict, turns: turn, steps }
+                }
 
-Break down the task into clear, actionable steps using these commands.
-For each step, explain what you're doing and provide the exact command.
-Format commands in code blocks so they can be parsed and executed.`
+                if (steps >= maxSteps) {
+                    const summary = `Stopped after using the step budget of ${maxSteps} steps without finishing.`
+                    this._log('warn', 'AI', summary)
+                    return { ...result, content: summary, verdict: { success: false, summary }, budgetExhausted: true, turns: turn, steps }
+                }
+
+                steps++
+                onStep?.({ type: 'call', call })
+
+                let output
+                try {
+                    output = await executeTool(call.name, call.args || {})
+                } catch (err) {
+                    output = { error: err.message }
+                }
+                this._log(output?.error ? 'warn' : 'info', 'AI', `Tool ${call.name} → ${output?.error ? output.error : 'ok'}`, { args: call.args })
+                onStep?.({ type: 'result', call, output })
+
+                transcript.push({
+                    role: 'tool',
+                    toolCallId: call.id,
+                    name: call.name,
+                    content: JSON.stringify(output ?? {})
+                })
+            }
+            this._throwIfAborted(abortGeneration)
+
+            if (observe) {
+                const observation = await observe()
+                if (observation) {
+                    // Only the latest observation keeps its screenshot — older ones would be re-sent every turn
+                    if (observation.image) {
+                        for (let i = 0; i < transcript.length; i++) {
+                            if (transcript[i].image) {
+                                const { image, ...rest } = transcript[i]
+                                transcript[i] = rest
+                            }
+                        }
+                    }
+                    transcript.push({ role: 'user', ...observation })
+                }
+            }
+        }
+    }
+
+    /**
+     * Run a browser task with the automation tools in an observe–act–verify loop.
+     * observe() returns { content, image } describing the tab; it is called once
+     * up front and again after every step. The other options are passed to runAgent.
+     */
+    async executeTask(taskDescription, providerName, { tools, executeTool, onStep, observe, finishTool, maxSteps, meta, generation } = {}) {
+        const systemPrompt = `You are a browser automation agent in That Browser.
+You control the current tab through the provided tools. Work one action at a time:
+after each action you receive a fresh screenshot and list of interactive elements.
+
+Guidelines:
+- Look at the latest observation before every action and check that your previous action had the intended effect
+- If a modal, cookie banner or unexpected page appears, deal with it or adjust your plan
+- Prefer clickElement and fillInput over click(x, y)
+- For search boxes: fillInput, then pressKey("Enter")
+- If a tool returns an error, try a different approach instead of repeating it
+- Do only what the task needs${finishTool ? `
+- When the observation confirms the task is complete, call ${finishTool} with success true and a short summary
+- If the task cannot be completed, call ${finishTool} with success false and explain why` : `
+- When the task is complete, reply with a short summary and call no more tools`}`
+
+        const initial = observe ? await observe() : null
+        const userMsg = {
+            role: 'user',
+            content: `Task: ${taskDescription}` + (initial?.content ? `\n\n${initial.content}` : '')
+        }
+        if (initial?.image) userMsg.image = initial.image
 
         const messages = [
             { role: 'system', content: systemPrompt },
-            { role: 'user', content: `Please help me execute this task: ${taskDescription}` }
+            userMsg
         ]
 
-        return this.chat(messages, providerName)
+        return this.runAgent(messages, providerName, {
+            tools, executeTool, onStep, observe, finishTool, maxSteps,
+            meta: { feature: 'automate', label: taskDescription, ...meta },
+            // Planning browser actions should be repeatable, not creative
+            generation: { temperature: 0, ...generation }
+        })
+    }
+
+    /**
+     * Generation parameters for one request: per-request `options.generation`
+     * overrides win over the provider's settings, which win over GENERATION_DEFAULTS.
+     * Returns { temperature, maxTokens, topP, stopSequences }, null when unset.
+     */
+    _generationParams(provider, options = {}) {
+        const pick = (key) => options.generation?.[key] ?? provider[key] ?? GENERATION_DEFAULTS[key]
+        const stop = pick('stopSequences')
+        return {
+            temperature: pick('temperature'),
+            maxTokens: pick('maxTokens'),
+            topP: pick('topP'),
+            stopSequences: Array.isArray(stop) && stop.length > 0 ? stop : null
+        }
     }
 
     // === Provider Implementations ===
@@ -255,13 +842,36 @@ Format commands in code blocks so they can be parsed and executed.`
         const isLocal = provider.name === 'ollama' || provider.name === 'lmstudio'
         if (isLocal && (err.message === 'fetch failed' || err.cause?.code === 'ECONNREFUSED' || err.cause?.code === 'ECONNRESET')) {
             const app = provider.name === 'lmstudio' ? 'LM Studio (open LM Studio → Local Server tab → Start Server)' : 'Ollama (run: ollama serve)'
-            throw new Error(`Cannot connect to ${provider.name} at ${provider.baseUrl}. Please start ${app} and try again.`)
+            const enriched = new Error(`Cannot connect to ${provider.name} at ${provider.baseUrl}. Please start ${app} and try again.`)
+            enriched.unreachable = true // lets the fallback chain move on without retrying
+            throw enriched
         }
         throw err
     }
 
-    /** Convert a message to OpenAI-compatible format (supports vision) */
+    /** Parse tool-call arguments that arrive as a JSON string (OpenAI-compatible APIs) */
+    _parseToolArgs(args) {
+        if (!args) return {}
+        if (typeof args !== 'string') return args
+        try { return JSON.parse(args) } catch { return {} }
+    }
+
+    /** Convert a message to OpenAI-compatible format (supports vision and tool calls) */
     _toOpenAIMessage(msg) {
+        if (msg.role === 'tool') {
+            return { role: 'tool', tool_call_id: msg.toolCallId, content: msg.content }
+        }
+        if (msg.toolCalls?.length) {
+            return {
+                role: 'assistant',
+                content: msg.content || null,
+                tool_calls: msg.toolCalls.map(call => ({
+                    id: call.id,
+                    type: 'function',
+                    function: { name: call.name, arguments: JSON.stringify(call.args || {}) }
+                }))
+            }
+        }
         if (msg.image) {
             return {
                 role: msg.role,
@@ -274,15 +884,54 @@ Format commands in code blocks so they can be parsed and executed.`
         return { role: msg.role, content: msg.content }
     }
 
-    async _chatOpenAICompatible(messages, provider) {
-        const controller = this._makeController()
-        const headers = { 'Content-Type': 'application/json' }
+    /** o-series reasoning models (o1, o3, o4-mini, ...) on the OpenAI API */
+    _isOpenAIReasoningModel(provider) {
+        return provider.name === 'openai' && /^o\d/.test(provider.model || '')
+    }
+
+    /** Whether the provider runs local models that may wrap their reasoning in <think> tags */
+    _usesThinkTags(provider) {
+        return provider.name === 'ollama' || provider.name === 'lmstudio'
+    }
 
+    /** Request headers for OpenAI-compatible APIs, including a custom provider's extra headers */
+    _openAIHeaders(provider) {
+        const headers = { 'Content-Type': 'application/json' }
         if (provider.apiKey) headers['Authorization'] = `Bearer ${provider.apiKey}`
         if (provider.name === 'openrouter') {
             headers['HTTP-Referer'] = 'https://github.com/asukul/thatbrowser'
             headers['X-Title'] = 'That Browser'
         }
+        return { ...headers, ...provider.headers }
+    }
+
+    /** OpenAI-compatible request fields for the generation parameters */
+    _openAIGenerationFields(gen, provider) {
+        // Reasoning models reject temperature, top_p and stop, and count hidden reasoning in the token limit
+        if (this._isOpenAIReasoningModel(provider)) {
+            const budget = provider.reasoningBudget ?? OPENAI_REASONING_BUDGETS[provider.reasoningEffort] ?? OPENAI_REASONING_BUDGETS.medium
+            const fields = { max_completion_tokens: gen.maxTokens + budget }
+            if (provider.reasoningEffort) fields.reasoning_effort = provider.reasoningEffort
+            return fields
+        }
+        const fields = { temperature: gen.temperature, max_tokens: gen.maxTokens }
+        if (gen.topP != null) fields.top_p = gen.topP
+        if (gen.stopSequences) fields.stop = gen.stopSequences
+        return fields
+    }
+
+    async _chatOpenAICompatible(messages, provider, options = {}) {
+        const controller = this._makeController()
+        const headers = this._openAIHeaders(provider)
+
+        const body = {
+            model: provider.model,
+            messages: messages.map(m => this._toOpenAIMessage(m)),
+            ...this._openAIGenerationFields(this._generationParams(provider, options), provider)
+        }
+        if (options.tools?.length) {
+            body.tools = options.tools.map(t => ({ type: 'function', function: t }))
+        }
 
         this._log('info', 'Network', `POST ${provider.baseUrl}/chat/completions`)
 
@@ -291,40 +940,43 @@ Format commands in code blocks so they can be parsed and executed.`
                 method: 'POST',
                 headers,
                 signal: controller.signal,
-                body: JSON.stringify({
-                    model: provider.model,
-                    messages: messages.map(m => this._toOpenAIMessage(m)),
-                    temperature: 0.7,
-                    max_tokens: 4096
-                })
+                body: JSON.stringify(body)
             })
 
             if (!response.ok) {
-                const errBody = await response.text()
-                throw new Error(`${provider.name} API error (${response.status}): ${errBody}`)
+                throw await this._httpError(response, `${provider.label || provider.name} API error`)
             }
 
             const data = await response.json()
+            const message = data.choices[0].message
+            // DeepSeek / LM Studio send reasoning_content, OpenRouter sends reasoning
+            let content = message.content || ''
+            let reasoning = message.reasoning_content || message.reasoning || null
+            if (this._usesThinkTags(provider)) {
+                const split = splitThinkTags(content)
+                content = split.content
+                reasoning = [reasoning, split.reasoning].filter(Boolean).join('\n\n') || null
+            }
             return {
-                content: data.choices[0].message.content,
+                content,
+                reasoning,
                 model: data.model,
                 provider: provider.name,
-                usage: data.usage
+                usage: data.usage,
+                toolCalls: (message.tool_calls || []).map(call => ({
+                    id: call.id,
+                    name: call.function.name,
+                    args: this._parseToolArgs(call.function.arguments)
+                }))
             }
         } catch (err) {
             this._enrichFetchError(err, provider)
         }
     }
 
-    async _streamOpenAICompatible(messages, provider, onChunk, onDone, onError) {
+    async _streamOpenAICompatible(messages, provider, onChunk, onDone, onError, options = {}) {
         const controller = this._makeController()
-        const headers = { 'Content-Type': 'application/json' }
-
-        if (provider.apiKey) headers['Authorization'] = `Bearer ${provider.apiKey}`
-        if (provider.name === 'openrouter') {
-            headers['HTTP-Referer'] = 'https://github.com/asukul/thatbrowser'
-            headers['X-Title'] = 'That Browser'
-        }
+        const headers = this._openAIHeaders(provider)
 
         this._log('info', 'Network', `POST ${provider.baseUrl}/chat/completions (stream)`)
 
@@ -338,9 +990,9 @@ Format commands in code blocks so they can be parsed and executed.`
                     body: JSON.stringify({
                         model: provider.model,
                         messages: messages.map(m => this._toOpenAIMessage(m)),
-                        temperature: 0.7,
-                        max_tokens: 4096,
-                        stream: true
+                        ...this._openAIGenerationFields(this._generationParams(provider, options), provider),
+                        stream: true,
+                        stream_options: { include_usage: true }
                     })
                 })
             } catch (fetchErr) {
@@ -348,13 +1000,19 @@ Format commands in code blocks so they can be parsed and executed.`
             }
 
             if (!response.ok) {
-                const errBody = await response.text()
-                throw new Error(`${provider.name} API error (${response.status}): ${errBody}`)
+                throw await this._httpError(response, `${provider.label || provider.name} API error`)
             }
 
             const reader = response.body.getReader()
             const decoder = new TextDecoder()
             let buffer = ''
+            let usage = null
+            const onReasoning = (text) => options.onReasoning?.(text)
+            const splitter = this._usesThinkTags(provider) ? createThinkTagSplitter(onChunk, onReasoning) : null
+            const finish = () => {
+                splitter?.flush()
+                onDone(usage)
+            }
 
             while (true) {
                 const { done, value } = await reader.read()
@@ -369,17 +1027,24 @@ Format commands in code blocks so they can be parsed and executed.`
                     if (!trimmed || !trimmed.startsWith('data: ')) continue
                     const data = trimmed.slice(6)
                     if (data === '[DONE]') {
-                        onDone()
+                        finish()
                         return
                     }
                     try {
                         const json = JSON.parse(data)
-                        const content = json.choices?.[0]?.delta?.content
-                        if (content) onChunk(content)
+                        const delta = json.choices?.[0]?.delta
+                        const reasoning = delta?.reasoning_content || delta?.reasoning
+                        if (reasoning) onReasoning(reasoning)
+                        if (delta?.content) {
+                            if (splitter) splitter.push(delta.content)
+                            else onChunk(delta.content)
+                        }
+                        // Sent in the last chunk when stream_options.include_usage is set
+                        if (json.usage) usage = json.usage
                     } catch { }
                 }
             }
-            onDone()
+            finish()
         } catch (err) {
             onError(err)
         }
@@ -387,39 +1052,81 @@ Format commands in code blocks so they can be parsed and executed.`
 
     // ── Anthropic (Claude) ──────────────────────────────────────────────
 
-    /** Build Anthropic messages array — separates system prompt per API spec, supports vision */
+    /** Build Anthropic messages array — separates system prompt per API spec, supports vision and tool use */
     _buildAnthropicMessages(messages) {
         let systemContent = null
         const anthropicMessages = []
         for (const msg of messages) {
             if (msg.role === 'system') {
                 systemContent = (systemContent ? systemContent + '\n' : '') + msg.content
-            } else if (msg.image) {
-                const base64 = msg.image.replace(/^data:image\/\w+;base64,/, '')
-                anthropicMessages.push({
-                    role: msg.role,
-                    content: [
-                        { type: 'image', source: { type: 'base64', media_type: 'image/png', data: base64 } },
+            } else if (msg.role === 'tool') {
+                // Tool results go back as user turns; consecutive results share one turn
+                const block = { type: 'tool_result', tool_use_id: msg.toolCallId, content: msg.content }
+                const last = anthropicMessages[anthropicMessages.length - 1]
+                if (last?.role === 'user' && Array.isArray(last.content) && last.content[0]?.type === 'tool_result') {
+                    last.content.push(block)
+                } else {
+                    anthropicMessages.push({ role: 'user', content: [block] })
+                }
+            } else if (msg.toolCalls?.length) {
+                // With extended thinking, the turn's signed thinking blocks must come back unchanged
+                const content = [...(msg.thinkingBlocks || [])]
+                if (msg.content) content.push({ type: 'text', text: msg.content })
+                for (const call of msg.toolCalls) {
+                    content.push({ type: 'tool_use', id: call.id, name: call.name, input: call.args || {} })
+                }
+                anthropicMessages.push({ role: 'assistant', content })
+            } else {
+                const content = msg.image
+                    ? [
+                        { type: 'image', source: { type: 'base64', media_type: 'image/png', data: msg.image.replace(/^data:image\/\w+;base64,/, '') } },
                         { type: 'text', text: msg.content }
                     ]
-                })
-            } else {
-                anthropicMessages.push({ role: msg.role, content: msg.content })
+                    : msg.content
+                // An observation sent after tool results must share their user turn
+                const last = anthropicMessages[anthropicMessages.length - 1]
+                if (msg.role === 'user' && last?.role === 'user' && Array.isArray(last.content) && last.content[0]?.type === 'tool_result') {
+                    last.content.push(...(Array.isArray(content) ? content : [{ type: 'text', text: content }]))
+                } else {
+                    anthropicMessages.push({ role: msg.role, content })
+                }
             }
         }
         return { systemContent, anthropicMessages }
     }
 
-    async _chatAnthropic(messages, provider) {
+    /** Anthropic request fields for the generation parameters and extended thinking */
+    _anthropicGenerationFields(gen, provider) {
+        if (provider.thinkingBudget >= ANTHROPIC_MIN_THINKING_BUDGET) {
+            // Thinking fixes temperature / top_p, and max_tokens must leave room beyond the budget
+            const fields = {
+                max_tokens: provider.thinkingBudget + gen.maxTokens,
+                thinking: { type: 'enabled', budget_tokens: provider.thinkingBudget }
+            }
+            if (gen.stopSequences) fields.stop_sequences = gen.stopSequences
+            return fields
+        }
+        // Current Claude models reject temperature and top_p together — top_p wins when set
+        const fields = gen.topP != null
+            ? { max_tokens: gen.maxTokens, top_p: gen.topP }
+            : { max_tokens: gen.maxTokens, temperature: gen.temperature }
+        if (gen.stopSequences) fields.stop_sequences = gen.stopSequences
+        return fields
+    }
+
+    async _chatAnthropic(messages, provider, options = {}) {
         const controller = this._makeController()
         const { systemContent, anthropicMessages } = this._buildAnthropicMessages(messages)
 
         const body = {
             model: provider.model,
-            max_tokens: 4096,
+            ...this._anthropicGenerationFields(this._generationParams(provider, options), provider),
             messages: anthropicMessages
         }
         if (systemContent) body.system = systemContent
+        if (options.tools?.length) {
+            body.tools = options.tools.map(t => ({ name: t.name, description: t.description, input_schema: t.parameters }))
+        }
 
         this._log('info', 'Network', `POST ${provider.baseUrl}/v1/messages (Anthropic)`)
 
@@ -435,26 +1142,30 @@ Format commands in code blocks so they can be parsed and executed.`
         })
 
         if (!response.ok) {
-            const errBody = await response.text()
-            throw new Error(`Anthropic API error (${response.status}): ${errBody}`)
+            throw await this._httpError(response, `Anthropic API error`)
         }
 
         const data = await response.json()
+        const blocks = data.content || []
+        const thinkingBlocks = blocks.filter(b => b.type === 'thinking' || b.type === 'redacted_thinking')
         return {
-            content: data.content[0].text,
+            content: blocks.filter(b => b.type === 'text').map(b => b.text).join(''),
+            reasoning: thinkingBlocks.filter(b => b.thinking).map(b => b.thinking).join('\n\n') || null,
+            thinkingBlocks,
             model: data.model,
             provider: 'anthropic',
-            usage: data.usage
+            usage: data.usage,
+            toolCalls: blocks.filter(b => b.type === 'tool_use').map(b => ({ id: b.id, name: b.name, args: b.input }))
         }
     }
 
-    async _streamAnthropic(messages, provider, onChunk, onDone, onError) {
+    async _streamAnthropic(messages, provider, onChunk, onDone, onError, options = {}) {
         const controller = this._makeController()
         const { systemContent, anthropicMessages } = this._buildAnthropicMessages(messages)
 
         const body = {
             model: provider.model,
-            max_tokens: 4096,
+            ...this._anthropicGenerationFields(this._generationParams(provider, options), provider),
             messages: anthropicMessages,
             stream: true
         }
@@ -475,13 +1186,13 @@ Format commands in code blocks so they can be parsed and executed.`
             })
 
             if (!response.ok) {
-                const errBody = await response.text()
-                throw new Error(`Anthropic API error (${response.status}): ${errBody}`)
+                throw await this._httpError(response, `Anthropic API error`)
             }
 
             const reader = response.body.getReader()
             const decoder = new TextDecoder()
             let buffer = ''
+            let usage = null
 
             while (true) {
                 const { done, value } = await reader.read()
@@ -496,19 +1207,25 @@ Format commands in code blocks so they can be parsed and executed.`
                     if (!trimmed || !trimmed.startsWith('data: ')) continue
                     try {
                         const json = JSON.parse(trimmed.slice(6))
+                        // message_start carries input usage; message_delta the final output count
+                        if (json.type === 'message_start') usage = { ...json.message?.usage }
+                        if (json.type === 'message_delta' && json.usage) usage = { ...usage, ...json.usage }
                         // content_block_delta carries the text deltas
                         if (json.type === 'content_block_delta' && json.delta?.type === 'text_delta') {
                             onChunk(json.delta.text)
                         }
+                        if (json.type === 'content_block_delta' && json.delta?.type === 'thinking_delta') {
+                            options.onReasoning?.(json.delta.thinking)
+                        }
                         // message_stop signals end of stream
                         if (json.type === 'message_stop') {
-                            onDone()
+                            onDone(usage)
                             return
                         }
                     } catch { }
                 }
             }
-            onDone()
+            onDone(usage)
         } catch (err) {
             onError(err)
         }
@@ -526,29 +1243,69 @@ Format commands in code blocks so they can be parsed and executed.`
         return parts
     }
 
-    async _chatGemini(messages, provider) {
-        const controller = this._makeController()
+    /** Build Gemini contents + system instruction, mapping tool calls to functionCall/functionResponse parts */
+    _buildGeminiContents(messages) {
         const contents = []
         let systemInstruction = null
 
         for (const msg of messages) {
             if (msg.role === 'system') {
                 systemInstruction = msg.content
+            } else if (msg.role === 'tool') {
+                let response
+                try { response = JSON.parse(msg.content) } catch { response = { result: msg.content } }
+                const part = { functionResponse: { name: msg.name, response } }
+                // Responses to one model turn's calls must share a single user turn
+                const last = contents[contents.length - 1]
+                if (last?.role === 'user' && last.parts[0]?.functionResponse) {
+                    last.parts.push(part)
+                } else {
+                    contents.push({ role: 'user', parts: [part] })
+                }
+            } else if (msg.toolCalls?.length) {
+                const parts = msg.content ? [{ text: msg.content }] : []
+                for (const call of msg.toolCalls) {
+                    const part = { functionCall: { name: call.name, args: call.args || {} } }
+                    if (call.thoughtSignature) part.thoughtSignature = call.thoughtSignature
+                    parts.push(part)
+                }
+                contents.push({ role: 'model', parts })
             } else {
-                contents.push({
-                    role: msg.role === 'assistant' ? 'model' : 'user',
-                    parts: this._toGeminiParts(msg)
-                })
+                const role = msg.role === 'assistant' ? 'model' : 'user'
+                const last = contents[contents.length - 1]
+                // An observation sent after function responses joins their user turn
+                if (role === 'user' && last?.role === 'user' && last.parts[0]?.functionResponse) {
+                    last.parts.push(...this._toGeminiParts(msg))
+                } else {
+                    contents.push({ role, parts: this._toGeminiParts(msg) })
+                }
             }
         }
+        return { contents, systemInstruction }
+    }
+
+    /** Gemini generationConfig for the generation parameters */
+    _geminiGenerationConfig(gen) {
+        const config = { temperature: gen.temperature, maxOutputTokens: gen.maxTokens }
+        if (gen.topP != null) config.topP = gen.topP
+        if (gen.stopSequences) config.stopSequences = gen.stopSequences
+        return config
+    }
+
+    async _chatGemini(messages, provider, options = {}) {
+        const controller = this._makeController()
+        const { contents, systemInstruction } = this._buildGeminiContents(messages)
 
         const body = {
             contents,
-            generationConfig: { temperature: 0.7, maxOutputTokens: 4096 }
+            generationConfig: this._geminiGenerationConfig(this._generationParams(provider, options))
         }
         if (systemInstruction) {
             body.systemInstruction = { parts: [{ text: systemInstruction }] }
         }
+        if (options.tools?.length) {
+            body.tools = [{ functionDeclarations: options.tools }]
+        }
 
         const url = `${provider.baseUrl}/models/${provider.model}:generateContent?key=${provider.apiKey}`
         this._log('info', 'Network', `POST Gemini generateContent`)
@@ -561,34 +1318,29 @@ Format commands in code blocks so they can be parsed and executed.`
         })
 
         if (!response.ok) {
-            const errBody = await response.text()
-            throw new Error(`Gemini API error (${response.status}): ${errBody}`)
+            throw await this._httpError(response, `Gemini API error`)
         }
 
         const data = await response.json()
-        const text = data.candidates?.[0]?.content?.parts?.[0]?.text || 'No response generated.'
-        return { content: text, model: provider.model, provider: 'gemini', usage: data.usageMetadata }
+        const parts = data.candidates?.[0]?.content?.parts || []
+        // Gemini has no call ids — synthesize them so tool results can be matched up
+        const toolCalls = parts.filter(p => p.functionCall).map((p, i) => ({
+            id: `gemini-call-${Date.now()}-${i}`,
+            name: p.functionCall.name,
+            args: p.functionCall.args || {},
+            thoughtSignature: p.thoughtSignature
+        }))
+        const text = parts.filter(p => p.text).map(p => p.text).join('') || (toolCalls.length ? '' : 'No response generated.')
+        return { content: text, model: provider.model, provider: 'gemini', usage: data.usageMetadata, toolCalls }
     }
 
-    async _streamGemini(messages, provider, onChunk, onDone, onError) {
+    async _streamGemini(messages, provider, onChunk, onDone, onError, options = {}) {
         const controller = this._makeController()
-        const contents = []
-        let systemInstruction = null
-
-        for (const msg of messages) {
-            if (msg.role === 'system') {
-                systemInstruction = msg.content
-            } else {
-                contents.push({
-                    role: msg.role === 'assistant' ? 'model' : 'user',
-                    parts: this._toGeminiParts(msg)
-                })
-            }
-        }
+        const { contents, systemInstruction } = this._buildGeminiContents(messages)
 
         const body = {
             contents,
-            generationConfig: { temperature: 0.7, maxOutputTokens: 4096 }
+            generationConfig: this._geminiGenerationConfig(this._generationParams(provider, options))
         }
         if (systemInstruction) {
             body.systemInstruction = { parts: [{ text: systemInstruction }] }
@@ -606,13 +1358,13 @@ Format commands in code blocks so they can be parsed and executed.`
             })
 
             if (!response.ok) {
-                const errBody = await response.text()
-                throw new Error(`Gemini API error (${response.status}): ${errBody}`)
+                throw await this._httpError(response, `Gemini API error`)
             }
 
             const reader = response.body.getReader()
             const decoder = new TextDecoder()
             let buffer = ''
+            let usage = null
 
             while (true) {
                 const { done, value } = await reader.read()
@@ -629,26 +1381,52 @@ Format commands in code blocks so they can be parsed and executed.`
                         const json = JSON.parse(trimmed.slice(6))
                         const text = json.candidates?.[0]?.content?.parts?.[0]?.text
                         if (text) onChunk(text)
+                        // Every chunk carries cumulative usage; the last one wins
+                        if (json.usageMetadata) usage = json.usageMetadata
                     } catch { }
                 }
             }
-            onDone()
+            onDone(usage)
         } catch (err) {
             onError(err)
         }
     }
 
-    /** Convert message to Ollama format (supports vision via images field) */
+    /** Convert message to Ollama format (supports vision via images field, and tool calls) */
     _toOllamaMessage(msg) {
+        if (msg.role === 'tool') {
+            return { role: 'tool', content: msg.content, tool_name: msg.name }
+        }
         const out = { role: msg.role, content: msg.content }
+        if (msg.toolCalls?.length) {
+            out.tool_calls = msg.toolCalls.map(call => ({ function: { name: call.name, arguments: call.args || {} } }))
+        }
         if (msg.image) {
             out.images = [msg.image.replace(/^data:image\/\w+;base64,/, '')]
         }
         return out
     }
 
-    async _chatOllama(messages, provider) {
+    /** Ollama `options` for the generation parameters */
+    _ollamaOptions(gen) {
+        const opts = { temperature: gen.temperature, num_predict: gen.maxTokens }
+        if (gen.topP != null) opts.top_p = gen.topP
+        if (gen.stopSequences) opts.stop = gen.stopSequences
+        return opts
+    }
+
+    async _chatOllama(messages, provider, options = {}) {
         const controller = this._makeController()
+        const body = {
+            model: provider.model,
+            messages: messages.map(m => this._toOllamaMessage(m)),
+            options: this._ollamaOptions(this._generationParams(provider, options)),
+            stream: false
+        }
+        if (options.tools?.length) {
+            body.tools = options.tools.map(t => ({ type: 'function', function: t }))
+        }
+
         this._log('info', 'Network', `POST ${provider.baseUrl}/api/chat`)
 
         try {
@@ -656,54 +1434,64 @@ Format commands in code blocks so they can be parsed and executed.`
                 method: 'POST',
                 headers: { 'Content-Type': 'application/json' },
                 signal: controller.signal,
-                body: JSON.stringify({
-                    model: provider.model,
-                    messages: messages.map(m => this._toOllamaMessage(m)),
-                    stream: false
-                })
+                body: JSON.stringify(body)
             })
 
             if (!response.ok) {
-                const errBody = await response.text()
-                throw new Error(`Ollama API error (${response.status}): ${errBody}`)
+                throw await this._httpError(response, `Ollama API error`)
             }
 
             const data = await response.json()
+            const { content, reasoning } = splitThinkTags(data.message.content)
             return {
-                content: data.message.content,
+                content,
+                // Ollama returns a separate `thinking` field when the model's thinking mode is on
+                reasoning: [data.message.thinking, reasoning].filter(Boolean).join('\n\n') || null,
                 model: data.model,
                 provider: 'ollama',
-                usage: { prompt_tokens: data.prompt_eval_count, completion_tokens: data.eval_count }
+                usage: { prompt_tokens: data.prompt_eval_count, completion_tokens: data.eval_count },
+                toolCalls: (data.message.tool_calls || []).map((call, i) => ({
+                    id: `ollama-call-${Date.now()}-${i}`,
+                    name: call.function.name,
+                    args: this._parseToolArgs(call.function.arguments)
+                }))
             }
         } catch (err) {
             this._enrichFetchError(err, provider)
         }
     }
 
-    async _streamOllama(messages, provider, onChunk, onDone, onError) {
+    async _streamOllama(messages, provider, onChunk, onDone, onError, options = {}) {
         const controller = this._makeController()
         this._log('info', 'Network', `POST ${provider.baseUrl}/api/chat (stream)`)
 
         try {
-            const response = await fetch(`${provider.baseUrl}/api/chat`, {
-                method: 'POST',
-                headers: { 'Content-Type': 'application/json' },
-                signal: controller.signal,
-                body: JSON.stringify({
-                    model: provider.model,
-                    messages: messages.map(m => this._toOllamaMessage(m)),
-                    stream: true
+            let response
+            try {
+                response = await fetch(`${provider.baseUrl}/api/chat`, {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json' },
+                    signal: controller.signal,
+                    body: JSON.stringify({
+                        model: provider.model,
+                        messages: messages.map(m => this._toOllamaMessage(m)),
+                        options: this._ollamaOptions(this._generationParams(provider, options)),
+                        stream: true
+                    })
                 })
-            })
+            } catch (fetchErr) {
+                this._enrichFetchError(fetchErr, provider)
+            }
 
             if (!response.ok) {
-                const errBody = await response.text()
-                throw new Error(`Ollama API error (${response.status}): ${errBody}`)
+                throw await this._httpError(response, `Ollama API error`)
             }
 
             const reader = response.body.getReader()
             const decoder = new TextDecoder()
             let buffer = ''
+            const onReasoning = (text) => options.onReasoning?.(text)
+            const splitter = createThinkTagSplitter(onChunk, onReasoning)
 
             while (true) {
                 const { done, value } = await reader.read()
@@ -717,11 +1505,17 @@ Format commands in code blocks so they can be parsed and executed.`
                     if (!line.trim()) continue
                     try {
                         const json = JSON.parse(line)
-                        if (json.message?.content) onChunk(json.message.content)
-                        if (json.done) { onDone(); return }
+                        if (json.message?.thinking) onReasoning(json.message.thinking)
+                        if (json.message?.content) splitter.push(json.message.content)
+                        if (json.done) {
+                            splitter.flush()
+                            onDone({ prompt_tokens: json.prompt_eval_count, completion_tokens: json.eval_count })
+                            return
+                        }
                     } catch { }
                 }
             }
+            splitter.flush()
             onDone()
         } catch (err) {
             onError(err)
@@ -732,32 +1526,174 @@ Format commands in code blocks so they can be parsed and executed.`
     // and populate available models dropdown
     // ═══════════════════════════════════════════════════════════════
 
+    /**
+     * Embed texts through the provider's embeddings endpoint — OpenAI-compatible
+     * `/embeddings`, Ollama `/api/embeddings` or Gemini `embedContent`. Returns
+     * { vectors, model }. Transient errors are retried, but there is no fallback
+     * chain: vectors from different models cannot be compared.
+     */
+    async embed(texts, providerName, model, meta = {}) {
+        const provider = this.getProviderConfig(providerName)
+        const embeddingModel = model || (!provider.custom && EMBEDDING_DEFAULTS[provider.name])
+        if (provider.name === 'anthropic') {
+            throw new Error('Anthropic has no embeddings API — choose another provider for the semantic index')
+        }
+        if (!embeddingModel) throw new Error(`Set an embedding model for ${provider.label || provider.name}`)
+
+        const t0 = Date.now()
+        const { vectors, usage } = await this._withRetry(provider, () => {
+            switch (provider.custom ? 'openai' : provider.name) {
+                case 'gemini': return this._embedGemini(texts, provider, embeddingModel)
+                case 'ollama': return this._embedOllama(texts, provider, embeddingModel)
+                default: return this._embedOpenAICompatible(texts, provider, embeddingModel)
+            }
+        })
+        this._reportUsage(provider.label || provider.name, embeddingModel, usage, Date.now() - t0, { feature: 'embed', ...meta })
+        return { vectors, model: embeddingModel }
+    }
+
+    async _embedOpenAICompatible(texts, provider, model) {
+        const controller = this._makeController(60000)
+        const response = await fetch(`${provider.baseUrl}/embeddings`, {
+            method: 'POST',
+            headers: this._openAIHeaders(provider),
+            signal: controller.signal,
+            body: JSON.stringify({ model, input: texts })
+        })
+        if (!response.ok) {
+            throw await this._httpError(response, `${provider.label || provider.name} embeddings error`)
+        }
+        const data = await response.json()
+        const vectors = [...(data.data || [])].sort((a, b) => a.index - b.index).map(d => d.embedding)
+        return { vectors, usage: data.usage }
+    }
+
+    async _embedGemini(texts, provider, model) {
+        const controller = this._makeController(60000)
+        const response = await fetch(`${provider.baseUrl}/models/${model}:batchEmbedContents?key=${provider.apiKey}`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            signal: controller.signal,
+            body: JSON.stringify({
+                requests: texts.map(text => ({ model: `models/${model}`, content: { parts: [{ text }] } }))
+            })
+        })
+        if (!response.ok) {
+            throw await this._httpError(response, `Gemini embeddings error`)
+        }
+        const data = await response.json()
+        return { vectors: (data.embeddings || []).map(e => e.values), usage: null }
+    }
+
+    // Ollama's /api/embeddings takes one prompt per request
+    async _embedOllama(texts, provider, model) {
+        const vectors = []
+        for (const text of texts) {
+            const controller = this._makeController(60000)
+            const response = await fetch(`${provider.baseUrl}/api/embeddings`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                signal: controller.signal,
+                body: JSON.stringify({ model, prompt: text })
+            })
+            if (!response.ok) {
+                throw await this._httpError(response, `Ollama embeddings error`)
+            }
+            vectors.push((await response.json()).embedding)
+        }
+        return { vectors, usage: null }
+    }
+
+    /**
+     * Retrieval-augmented answer: `sources` are the best-matching index chunks
+     * ({ title, url, text, type }); the model answers from them and links back.
+     */
+    async answerFromSources(question, sources, providerName, meta = {}) {
+        const list = sources.map((source, i) =>
+            `[${i + 1}] ${source.title} (${source.type})\nURL: ${source.url || 'n/a'}\n${source.text}`
+        ).join('\n\n')
+
+        return this.chat([
+            {
+                role: 'system',
+                content: `You answer questions from the user's own browsing — pages they visited, their saved AI conversations and their bookmarks.
+Use only the sources below. Cite the sources you use inline as markdown links to their URL, e.g. ([Page title](https://...)).
+If the sources do not answer the question, say so and mention what they do cover.`
+            },
+            { role: 'user', content: `${question}\n\n---\nSources from my browsing:\n\n${list || '(no indexed content yet)'}` }
+        ], providerName, { meta: { feature: 'browsing-search', ...meta } })
+    }
+
+    /**
+     * Selector healing: a step's selector found nothing and no element matched its
+     * fingerprint confidently, so the model picks which candidate ({ selector, score,
+     * fingerprint }) is the element the step meant. Resolves with its index, or -1.
+     */
+    async pickElement(fingerprint, candidates, selector, providerName, meta = {}) {
+        const list = candidates.map((candidate, i) =>
+            `${i + 1}. ${describeFingerprint(candidate.fingerprint)} (similarity ${candidate.score})`
+        ).join('\n')
+
+        const result = await this.chat([
+            {
+                role: 'system',
+                content: `A browser automation step could not find its target: the page changed and the step's selector no longer matches.
+Pick the candidate on the current page that is the element the step meant — the same control, even if its text, classes or position changed a little.
+Reply with only the candidate number, or 0 if none of them is that element.`
+            },
+            {
+                role: 'user',
+                content: `Selector that no longer matches: ${selector}\nThe element when the step was saved: ${describeFingerprint(fingerprint)}\n\nCandidates:\n${list}`
+            }
+        ], providerName, { meta: { feature: 'selector-healing', ...meta } })
+
+        const n = parseInt(result.content?.match(/\d+/)?.[0], 10)
+        return n >= 1 && n <= candidates.length ? n - 1 : -1
+    }
+
+    /**
+     * Page watching: a plain-language summary of what changed on a watched page (or a
+     * region of it) between two snapshots, from the lines the diff removed and added
+     */
+    async summarizePageChange(watch, diff, providerName, meta = {}) {
+        const lines = (prefix, list) => list.map(line => `${prefix} ${line}`).join('\n').substring(0, 6000)
+        return this.chat([
+            {
+                role: 'system',
+                content: `You watch a web page for the user and tell them what changed since the last check.
+You get the lines removed from the page (-) and the lines added (+). Say in one to three short sentences what changed in substance — prices, availability, dates, new or removed items, status changes — with the old and new values.
+Ignore changes in formatting, ordering or wording that do not change the meaning. Do not describe the diff format itself.`
+            },
+            {
+                role: 'user',
+                content: `Page: ${watch.name}\nURL: ${watch.url}${watch.selector ? `\nWatched region: ${watch.selector}` : ''}\n\nRemoved:\n${lines('-', diff.removed) || '(nothing)'}\n\nAdded:\n${lines('+', diff.added) || '(nothing)'}`
+            }
+        ], providerName, { meta: { feature: 'page-watch', label: watch.name, ...meta } })
+    }
+
     async listModels(providerName) {
         const provider = this.getProviderConfig(providerName)
         const controller = this._makeController(15000)
         this._log('info', 'AI', `Listing models for ${provider.name}...`)
 
         try {
-            switch (provider.name) {
+            // Custom providers speak the OpenAI protocol, so they list models the same way
+            switch (provider.custom ? 'openai' : provider.name) {
                 case 'openai':
                 case 'openrouter':
                 case 'lmstudio': {
-                    const headers = { 'Content-Type': 'application/json' }
-                    if (provider.apiKey) headers['Authorization'] = `Bearer ${provider.apiKey}`
-                    if (provider.name === 'openrouter') {
-                        headers['HTTP-Referer'] = 'https://github.com/asukul/thatbrowser'
-                        headers['X-Title'] = 'That Browser'
-                    }
+                    const displayName = provider.label || provider.name
+                    if (!provider.baseUrl) throw new Error(`No base URL configured for ${displayName}`)
                     const res = await fetch(`${provider.baseUrl}/models`, {
-                        headers, signal: controller.signal
+                        headers: this._openAIHeaders(provider), signal: controller.signal
                     })
                     if (!res.ok) {
                         const body = await res.text().catch(() => '')
-                        throw new Error(`${provider.name} API error (${res.status}): ${body.substring(0, 200)}`)
+                        throw new Error(`${displayName} API error (${res.status}): ${body.substring(0, 200)}`)
                     }
                     const data = await res.json()
                     const models = (data.data || []).map(m => m.id).sort()
-                    this._log('info', 'AI', `${provider.name}: ${models.length} models found`)
+                    this._log('info', 'AI', `${displayName}: ${models.length} models found`)
                     return { models }
                 }
                 case 'anthropic': {
@@ -905,6 +1841,7 @@ Format commands in code blocks so they can be parsed and executed.`
     }
 
     async transcribeAudio(audioBuffer, mimeType, sttSettings = {}) {
+        const t0 = Date.now()
         const sttProvider = sttSettings.provider || 'openai'
         const language = sttSettings.language || 'en'
         const apiKey = sttSettings.apiKey || ''
@@ -937,6 +1874,7 @@ Format commands in code blocks so they can be parsed and executed.`
                 }
                 const data = await res.json()
                 this._log('info', 'AI', `STT result: "${(data.text || '').substring(0, 60)}..."`)
+                this._reportUsage('openai', whisperModel, data.usage, Date.now() - t0, { feature: 'stt' })
                 return { text: data.text || '' }
             }
             case 'gemini': {
@@ -967,6 +1905,7 @@ Format commands in code blocks so they can be parsed and executed.`
                 const data = await res.json()
                 const text = data.candidates?.[0]?.content?.parts?.[0]?.text || ''
                 this._log('info', 'AI', `STT result: "${text.substring(0, 60)}..."`)
+                this._reportUsage('gemini', geminiModel, data.usageMetadata, Date.now() - t0, { feature: 'stt' })
                 return { text }
             }
             case 'lmstudio': {
@@ -993,6 +1932,7 @@ Format commands in code blocks so they can be parsed and executed.`
                 }
                 const data = await res.json()
                 this._log('info', 'AI', `STT result: "${(data.text || '').substring(0, 60)}..."`)
+                this._reportUsage('lmstudio', lmModel, data.usage, Date.now() - t0, { feature: 'stt' })
                 return { text: data.text || '' }
             }
             default:
@@ -1001,4 +1941,4 @@ Format commands in code blocks so they can be parsed and executed.`
     }
 }
 
-export { AIService }
+export { AIService, EMBEDDING_DEFAULTS }
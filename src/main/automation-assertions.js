@@ -0,0 +1,177 @@
+/**
+ * Automation Assertions — ASSERT_* commands that check the page instead of acting on it,
+ * so a run (or a headless test case) fails when it did not reach the expected state.
+ *
+ * Page assertions retry until they hold or ASSERT_TIMEOUT_MS runs out, since the page may
+ * still be settling after the step before. Results are { success, actual } or
+ * { error, expected, actual } — `expected`/`actual` are shown in the run report.
+ *
+ * ASSERT_SCREENSHOT compares the tab with a baseline PNG in `screenshotDir`; the first
+ * run saves the baseline. On a mismatch the capture and a diff image (changed pixels
+ * in red) are written next to it and returned as `files`.
+ */
+
+import fs from 'fs/promises'
+import path from 'path'
+import { nativeImage } from 'electron'
+import { urlMatches } from './browser-automation.js'
+
+const ASSERT_TIMEOUT_MS = 5000
+const POLL_INTERVAL_MS = 250
+// A pixel counts as changed when a color channel moved by more than this (absorbs antialiasing)
+const PIXEL_TOLERANCE = 32
+const DEFAULT_MAX_DIFF_PERCENT = 1
+
+function normalizeText(text) {
+    return String(text ?? '').replace(/\s+/g, ' ').trim()
+}
+
+function quote(text, max = 120) {
+    const t = normalizeText(text)
+    return `"${t.length > max ? t.substring(0, max) + '…' : t}"`
+}
+
+/** ASSERT_COUNT expectation: a number, or a comparison such as ">=3" */
+function parseCount(count) {
+    const m = String(count).trim().match(/^(>=|<=|>|<|=)?\s*(\d+)$/)
+    return m && { op: m[1] || '=', n: +m[2] }
+}
+
+function compareCount(actual, { op, n }) {
+    switch (op) {
+        case '>=': return actual >= n
+        case '<=': return actual <= n
+        case '>': return actual > n
+        case '<': return actual < n
+        default: return actual === n
+    }
+}
+
+// One attempt of each page assertion: { pass, expected, actual }
+const CHECKS = {
+    assert_url: async (automation, webContents, cmd) => {
+        const url = webContents.getURL()
+        return { pass: urlMatches(url, cmd.pattern), expected: `URL matching "${cmd.pattern}"`, actual: url }
+    },
+    assert_title: async (automation, webContents, cmd) => {
+        const title = webContents.getTitle()
+        return { pass: title.includes(cmd.text), expected: `title containing "${cmd.text}"`, actual: quote(title) }
+    },
+    assert_text: async (automation, webContents, cmd) => {
+        const expected = `"${cmd.selector}" containing "${cmd.text}"`
+        const state = await automation.elementState(webContents, cmd.selector)
+        if (!state.count) return { pass: false, expected, actual: 'no matching element' }
+        return { pass: normalizeText(state.text).includes(normalizeText(cmd.text)), expected, actual: quote(state.text) }
+    },
+    assert_visible: async (automation, webContents, cmd) => {
+        const state = await automation.elementState(webContents, cmd.selector)
+        return {
+            pass: state.visible,
+            expected: `"${cmd.selector}" visible`,
+            actual: state.visible ? 'visible' : state.count ? 'element is hidden' : 'no matching element'
+        }
+    },
+    assert_count: async (automation, webContents, cmd) => {
+        const count = parseCount(cmd.count)
+        if (!count) throw new Error(`Invalid count "${cmd.count}" — use a number or a comparison like ">=3"`)
+        const state = await automation.elementState(webContents, cmd.selector)
+        return {
+            pass: compareCount(state.count, count),
+            expected: `${count.op === '=' ? '' : count.op + ' '}${count.n} × "${cmd.selector}"`,
+            actual: `${state.count} element${state.count === 1 ? '' : 's'}`
+        }
+    }
+}
+
+/**
+ * Run one assertion command against a tab. `screenshotDir` holds ASSERT_SCREENSHOT
+ * baselines. Invalid selectors or counts throw.
+ */
+async function runAssertion(automation, webContents, cmd, { screenshotDir } = {}) {
+    if (cmd.type === 'assert_screenshot') return assertScreenshot(webContents, cmd, screenshotDir)
+    const check = CHECKS[cmd.type]
+    if (!check) return { error: `Unknown assertion: ${cmd.type}` }
+
+    const deadline = Date.now() + ASSERT_TIMEOUT_MS
+    for (;;) {
+        if (webContents.isDestroyed()) return { error: 'Tab was closed' }
+        const { pass, expected, actual } = await check(automation, webContents, cmd)
+        if (pass) return { success: true, actual }
+        if (Date.now() >= deadline) return { error: `Expected ${expected}, got ${actual}`, expected, actual }
+        await new Promise(r => setTimeout(r, POLL_INTERVAL_MS))
+    }
+}
+
+async function assertScreenshot(webContents, cmd, screenshotDir) {
+    if (!screenshotDir) return { error: 'Screenshot assertions need a baseline folder' }
+    const name = String(cmd.name || '').trim().replace(/[^\w.-]+/g, '_')
+    if (!name) return { error: 'Screenshot assertion needs a name' }
+    const baselinePath = path.join(screenshotDir, `${name}.png`)
+    const actualPath = path.join(screenshotDir, `${name}.actual.png`)
+    const diffPath = path.join(screenshotDir, `${name}.diff.png`)
+
+    // Round-trip the capture through PNG so it is decoded exactly like the baseline
+    const png = (await webContents.capturePage()).toPNG()
+    const actual = nativeImage.createFromBuffer(png)
+    await fs.mkdir(screenshotDir, { recursive: true })
+
+    const saved = await fs.readFile(baselinePath).catch(() => null)
+    if (!saved) {
+        await fs.writeFile(baselinePath, png)
+        return { success: true, actual: `baseline saved to ${baselinePath}` }
+    }
+
+    const baseline = nativeImage.createFromBuffer(saved)
+    const { width, height } = baseline.getSize()
+    const size = actual.getSize()
+    if (size.width !== width || size.height !== height) {
+        await fs.writeFile(actualPath, png)
+        return {
+            error: `Screenshot "${cmd.name}" is ${size.width}×${size.height}, its baseline ${width}×${height}`,
+            expected: `${width}×${height} screenshot`,
+            actual: `${size.width}×${size.height}`,
+            files: [actualPath]
+        }
+    }
+
+    const { changed, diff } = diffBitmaps(baseline.toBitmap(), actual.toBitmap())
+    const percent = changed / (width * height) * 100
+    const limit = typeof cmd.maxDiffPercent === 'number' && cmd.maxDiffPercent >= 0 ? cmd.maxDiffPercent : DEFAULT_MAX_DIFF_PERCENT
+    const actualText = `${percent.toFixed(2)}% of pixels changed`
+    if (percent <= limit) {
+        // Images of an earlier failure no longer apply
+        await Promise.all([actualPath, diffPath].map(p => fs.rm(p, { force: true })))
+        return { success: true, actual: actualText }
+    }
+
+    await fs.writeFile(actualPath, png)
+    await fs.writeFile(diffPath, nativeImage.createFromBitmap(diff, { width, height }).toPNG())
+    return {
+        error: `Screenshot "${cmd.name}" differs from its baseline: ${actualText} (limit ${limit}%)`,
+        expected: `at most ${limit}% of pixels changed`,
+        actual: actualText,
+        files: [actualPath, diffPath]
+    }
+}
+
+/** Count changed pixels of two same-size BGRA bitmaps; the diff shows them in red over a faded copy */
+function diffBitmaps(a, b) {
+    const diff = Buffer.alloc(a.length)
+    let changed = 0
+    for (let i = 0; i < a.length; i += 4) {
+        const delta = Math.max(Math.abs(a[i] - b[i]), Math.abs(a[i + 1] - b[i + 1]), Math.abs(a[i + 2] - b[i + 2]))
+        if (delta > PIXEL_TOLERANCE) {
+            changed++
+            diff[i] = 0
+            diff[i + 1] = 0
+            diff[i + 2] = 255
+        } else {
+            const faded = 192 + ((b[i] + b[i + 1] + b[i + 2]) / 3) / 4
+            diff[i] = diff[i + 1] = diff[i + 2] = faded
+        }
+        diff[i + 3] = 255
+    }
+    return { changed, diff }
+}
+
+export { runAssertion }
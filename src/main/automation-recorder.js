@@ -0,0 +1,260 @@
+/**
+ * Automation Recorder — turns what the user does in a tab into automation commands
+ *
+ * RECORDER_SCRIPT runs in every document of the tab the page can script (the main
+ * frame and same-origin iframes; cross-origin frames are not recorded) and reports
+ * trusted clicks, typing, Enter/Tab/Escape and wheel scrolls through a CDP binding.
+ * Each target gets the steadiest selector that matches only it: a hand-written #id,
+ * a test attribute (data-testid…), [aria-label], role plus accessible name
+ * (`role=button[name="Sign in"]`), a form field's name, and finally a CSS path —
+ * plus a fingerprint that lets the step heal when the selector stops matching
+ * (element-fingerprint.js). Elements in shadow roots and frames are scoped with
+ * `host >>> inner`.
+ *
+ * Navigations the page did not start itself — address bar, back/forward, reload —
+ * become NAVIGATE steps; the ones a recorded click or key caused replay by themselves.
+ * Steps are the command objects the runner executes; consecutive FILLs of one field
+ * collapse into its final value. What is typed into a password field never leaves the
+ * page: its FILL types the {{password}} input, asked for when the automation runs.
+ */
+
+import { SELECTOR_ENGINE } from './element-locator.js'
+import { ELEMENT_FINGERPRINT } from './element-fingerprint.js'
+import { escapeVariables } from '../shared/automation-variables.js'
+
+// CDP binding the page script reports through, and its in-page state object
+const BINDING = '__automationRecorderStep'
+const STATE = '__automationRecorder'
+
+// Fields each recorded step carries, and their types; element steps may add a fingerprint
+const STEP_FIELDS = {
+    click_element: { selector: 'string' },
+    fill: { selector: 'string', value: 'string' },
+    press: { key: 'string' },
+    scroll: { deltaY: 'number' }
+}
+const ELEMENT_STEPS = ['click_element', 'fill']
+
+const RECORDER_SCRIPT = `(function() {
+    if (window.${STATE}) { window.${STATE}.active = true; return; }
+    // A cross-origin frame cannot name its <iframe> in the parent, so its steps could not replay
+    if (window !== window.top && !window.frameElement) return;
+    ${SELECTOR_ENGINE}
+    ${ELEMENT_FINGERPRINT}
+    const recorder = window.${STATE} = { active: true };
+    const send = (step) => {
+        if (!recorder.active) return;
+        try { window.${BINDING}(JSON.stringify(step)); } catch (e) { }
+    };
+
+    const RECORDED_KEYS = ['Enter', 'Tab', 'Escape'];
+    const NOT_TEXT_INPUTS = ['button', 'submit', 'reset', 'image', 'checkbox', 'radio', 'file', 'range', 'color'];
+    const CLICKABLE = 'a, button, input, select, textarea, label, summary, [role=button], [role=link], [role=checkbox], [role=radio], [role=tab], [role=menuitem], [role=option], [onclick]';
+
+    // Selector from the top document: a same-origin frame prefixes its <iframe>'s selector
+    recorder.selectorFor = function(el) {
+        const selector = __selectorFor(el);
+        if (!window.frameElement) return selector;
+        try {
+            return window.parent.${STATE}.selectorFor(window.frameElement) + ' >>> ' + selector;
+        } catch (e) {
+            return selector;
+        }
+    };
+    // An element step: its selector plus the fingerprint that heals it when the page changes
+    const elementStep = (el) => ({ selector: recorder.selectorFor(el), fingerprint: __fingerprintOf(el) });
+
+    const targetOf = (e) => {
+        const target = e.composedPath()[0];
+        return target && target.nodeType === 1 ? target : null;
+    };
+    const isTextField = (el) => el.isContentEditable || el.tagName === 'TEXTAREA' ||
+        (el.tagName === 'INPUT' && !NOT_TEXT_INPUTS.includes((el.getAttribute('type') || 'text').toLowerCase()));
+
+    // A click on a <label> also clicks its control; only the label click is recorded
+    let lastLabelClick = null;
+    document.addEventListener('click', (e) => {
+        const target = e.isTrusted && targetOf(e);
+        if (!target) return;
+        // The interactive ancestor gives a steadier selector than an inner <span>
+        const el = target.closest(CLICKABLE) || target;
+        // Focusing a field or opening a <select> is covered by the FILL that follows
+        if (isTextField(el) || el.tagName === 'SELECT' || el.tagName === 'OPTION') return;
+        if (el.tagName === 'LABEL') lastLabelClick = { control: el.control, time: Date.now() };
+        else if (lastLabelClick && lastLabelClick.control === el && Date.now() - lastLabelClick.time < 500) return;
+        send({ type: 'click_element', ...elementStep(el) });
+    }, true);
+
+    document.addEventListener('input', (e) => {
+        const el = e.isTrusted && targetOf(e);
+        if (!el || !isTextField(el)) return;
+        if (el.tagName === 'INPUT' && el.type === 'password') {
+            send({ type: 'fill', ...elementStep(el), value: '', password: true });
+            return;
+        }
+        send({ type: 'fill', ...elementStep(el), value: el.isContentEditable ? el.innerText : el.value });
+    }, true);
+
+    document.addEventListener('change', (e) => {
+        const el = e.isTrusted && targetOf(e);
+        if (!el || el.tagName !== 'SELECT') return;
+        send({ type: 'fill', ...elementStep(el), value: el.value });
+    }, true);
+
+    document.addEventListener('keydown', (e) => {
+        if (!e.isTrusted || e.repeat || !RECORDED_KEYS.includes(e.key)) return;
+        // Enter in a multi-line field is a newline, which its FILL already holds
+        const el = targetOf(e);
+        if (e.key === 'Enter' && el && (el.tagName === 'TEXTAREA' || el.isContentEditable)) return;
+        send({ type: 'press', key: e.key });
+    }, true);
+
+    // Wheel scrolls, summed until the wheel rests
+    let scrolled = 0;
+    let scrollTimer = null;
+    window.addEventListener('wheel', (e) => {
+        if (!e.isTrusted) return;
+        scrolled += e.deltaMode === 1 ? e.deltaY * 40 : e.deltaY;
+        clearTimeout(scrollTimer);
+        scrollTimer = setTimeout(() => {
+            const deltaY = Math.round(scrolled);
+            scrolled = 0;
+            if (Math.abs(deltaY) >= 50) send({ type: 'scroll', deltaY });
+        }, 400);
+    }, { capture: true, passive: true });
+})()`
+
+const STOP_SCRIPT = `window.${STATE} && (window.${STATE}.active = false)`
+
+class AutomationRecorder {
+    /** `automation` is the BrowserAutomation that owns the tabs' debugger sessions */
+    constructor(automation) {
+        this.automation = automation
+        this.sessions = new Map()   // webContents → { steps, onStep, scriptId, pageNavigation, cleanup }
+    }
+
+    /** Steps recorded so far in a tab, or null when it is not being recorded */
+    recordedSteps(webContents) {
+        return this.sessions.get(webContents)?.steps.map(s => ({ ...s })) || null
+    }
+
+    /**
+     * Start recording a tab. `onStep(steps)` is called with the step list whenever it
+     * changes. The first step navigates to the page the recording starts on.
+     */
+    async start(webContents, { onStep } = {}) {
+        if (this.sessions.has(webContents)) return { error: 'This tab is already being recorded' }
+        if (!(await this.automation.attachDebugger(webContents))) {
+            return { error: 'Recording needs the DevTools protocol, which could not be attached' }
+        }
+
+        const session = { steps: [], onStep, scriptId: null, pageNavigation: null, cleanup: [] }
+        const on = (emitter, event, listener) => {
+            emitter.on(event, listener)
+            session.cleanup.push(() => emitter.removeListener(event, listener))
+        }
+        on(webContents.debugger, 'message', (event, method, params) => {
+            if (method === 'Runtime.bindingCalled' && params.name === BINDING) this._onPageStep(session, params.payload)
+        })
+        // Navigations the page starts itself (links, forms, scripts) announce themselves here first
+        on(webContents, 'will-navigate', (details) => { session.pageNavigation = details.url })
+        on(webContents, 'did-start-navigation', (details) => {
+            if (!details.isMainFrame || details.isSameDocument) return
+            const fromPage = session.pageNavigation === details.url
+            session.pageNavigation = null
+            if (!fromPage) this._add(session, { type: 'navigate', url: details.url })
+        })
+        on(webContents, 'destroyed', () => this._end(webContents, session))
+        this.sessions.set(webContents, session)
+
+        try {
+            await this._cdp(webContents, 'Runtime.enable')
+            await this._cdp(webContents, 'Page.enable')
+            await this._cdp(webContents, 'Runtime.addBinding', { name: BINDING })
+            const { identifier } = await this._cdp(webContents, 'Page.addScriptToEvaluateOnNewDocument', { source: RECORDER_SCRIPT })
+            session.scriptId = identifier
+            // Documents already open get the script now; cross-origin frames ignore it
+            await Promise.all(webContents.mainFrame.framesInSubtree.map(frame =>
+                frame.executeJavaScript(RECORDER_SCRIPT).catch(() => { })))
+        } catch (err) {
+            await this.stop(webContents)
+            return { error: `Could not start recording: ${err.message}` }
+        }
+
+        const url = webContents.getURL()
+        if (/^(https?|file):/.test(url)) this._add(session, { type: 'navigate', url })
+        return { success: true }
+    }
+
+    /** Stop recording a tab and return its steps */
+    async stop(webContents) {
+        const session = this.sessions.get(webContents)
+        if (!session) return { error: 'This tab is not being recorded' }
+        this._end(webContents, session)
+        if (!webContents.isDestroyed()) {
+            if (session.scriptId) {
+                await this._cdp(webContents, 'Page.removeScriptToEvaluateOnNewDocument', { identifier: session.scriptId }).catch(() => { })
+            }
+            await this._cdp(webContents, 'Runtime.removeBinding', { name: BINDING }).catch(() => { })
+            // The page keeps its listeners until it navigates — switch them off
+            await Promise.all(webContents.mainFrame.framesInSubtree.map(frame =>
+                frame.executeJavaScript(STOP_SCRIPT).catch(() => { })))
+        }
+        return { success: true, steps: session.steps }
+    }
+
+    /** Stop every recording, e.g. when the window showing them is closed */
+    stopAll() {
+        return Promise.all([...this.sessions.keys()].map(webContents => this.stop(webContents)))
+    }
+
+    _end(webContents, session) {
+        if (this.sessions.get(webContents) !== session) return
+        this.sessions.delete(webContents)
+        session.cleanup.forEach(off => off())
+    }
+
+    // A step reported by the page: only known step types with well-typed fields are kept
+    _onPageStep(session, payload) {
+        let step
+        try {
+            step = JSON.parse(payload)
+        } catch {
+            return
+        }
+        const fields = STEP_FIELDS[step?.type]
+        if (!fields) return
+        const clean = { type: step.type }
+        for (const [field, type] of Object.entries(fields)) {
+            if (typeof step[field] !== type) return
+            clean[field] = step[field]
+        }
+        if (ELEMENT_STEPS.includes(step.type) && step.fingerprint && typeof step.fingerprint === 'object') {
+            clean.fingerprint = step.fingerprint
+        }
+        // Typed text replays literally, even if it contains {{
+        if (clean.type === 'fill') clean.value = step.password === true ? '{{password}}' : escapeVariables(clean.value)
+        this._add(session, clean)
+    }
+
+    _add(session, step) {
+        const last = session.steps[session.steps.length - 1]
+        if (step.type === 'fill' && last?.type === 'fill' && last.selector === step.selector) {
+            // Typing reports every keystroke; the field's final value is what replays
+            Object.assign(last, step)
+        } else if (step.type === 'scroll' && last?.type === 'scroll') {
+            last.deltaY += step.deltaY
+        } else if (step.type === 'navigate' && last?.type === 'navigate' && last.url === step.url) {
+            return
+        } else {
+            session.steps.push(step)
+        }
+        session.onStep?.(session.steps.map(s => ({ ...s })))
+    }
+
+    _cdp(webContents, method, params = {}) {
+        return webContents.debugger.sendCommand(method, params)
+    }
+}
+
+export { AutomationRecorder }
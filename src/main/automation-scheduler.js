@@ -0,0 +1,428 @@
+/**
+ * Automation Scheduler — runs saved automations on their own, every N minutes or on a
+ * cron schedule, in a hidden background view (it shares the browser session, so the
+ * sites the user is logged in to stay logged in).
+ *
+ * Schedules live in the settings store under `automationSchedules`:
+ *   { id, automationId, schedule, enabled, values, notifyOnFailure, notifyOnChange,
+ *     createdAt, lastRunAt, lastStatus, nextRunAt }
+ * where `schedule` is { kind: 'interval', minutes } or { kind: 'cron', expression }
+ * and `values` fill the automation's inputs. Each run — its steps' status and duration,
+ * and the values EXTRACT / EXTRACT_ALL captured — is kept in automation-runs.json, the
+ * newest RUNS_PER_SCHEDULE per schedule. A desktop notification is raised when a run
+ * fails, or when an extracted value differs from the previous run's.
+ *
+ * Runs go one at a time (see background-jobs.js). A schedule that was due while the
+ * app was closed runs once at startup. Broken selectors heal from the steps'
+ * fingerprints only — a background run never asks the AI provider.
+ */
+
+import { BackgroundJobs, keepNewest } from './background-jobs.js'
+import { loadPage } from './page-loader.js'
+import { initialVariables, interpolateCommand } from '../shared/automation-variables.js'
+import { runCommands, flattenCommands } from '../shared/automation-flow.js'
+import { TEST_CASES } from '../renderer/components/TestCases.js'
+
+const RUNS_PER_SCHEDULE = 20
+const MIN_INTERVAL_MINUTES = 1
+// Absolute ceiling on any single step, so a hung page cannot stall the queue
+const STEP_TIMEOUT_MS = 120000
+// Pause between steps for the page to react, as in the chat window's runs
+const STEP_PAUSE_MS = 250
+
+// ── Cron expressions ────────────────────────────────────────────────
+
+const CRON_MACROS = {
+    '@hourly': '0 * * * *',
+    '@daily': '0 0 * * *',
+    '@weekly': '0 0 * * 0',
+    '@monthly': '0 0 1 * *'
+}
+// minute hour day-of-month month day-of-week; day-of-week 7 is Sunday like 0
+const CRON_FIELDS = [
+    { name: 'minute', min: 0, max: 59 },
+    { name: 'hour', min: 0, max: 23 },
+    { name: 'day of month', min: 1, max: 31 },
+    { name: 'month', min: 1, max: 12 },
+    { name: 'day of week', min: 0, max: 7 }
+]
+// How far ahead nextCronTime looks before deciding an expression never matches (Feb 30…)
+const CRON_HORIZON_MS = 5 * 366 * 24 * 60 * 60 * 1000
+
+function parseCronField(text, { name, min, max }) {
+    const values = new Set()
+    for (const part of text.split(',')) {
+        const m = part.match(/^(\*|(\d+)(?:-(\d+))?)(?:\/(\d+))?$/)
+        if (!m) throw new Error(`Invalid ${name} "${part}"`)
+        const from = m[1] === '*' ? min : +m[2]
+        const to = m[1] === '*' ? max : m[3] != null ? +m[3] : m[4] ? max : from
+        const step = m[4] ? +m[4] : 1
+        if (from < min || to > max || from > to || step < 1) throw new Error(`Invalid ${name} "${part}" (${min}–${max})`)
+        for (let v = from; v <= to; v += step) values.add(v)
+    }
+    return values
+}
+
+/**
+ * Parse a 5-field cron expression (`*`, lists, ranges and `/step`; @hourly, @daily,
+ * @weekly, @monthly). Throws with a readable message on an invalid one.
+ */
+function parseCron(expression) {
+    const text = CRON_MACROS[expression.trim().toLowerCase()] || expression.trim()
+    const parts = text.split(/\s+/)
+    if (parts.length !== 5) throw new Error('A cron expression has 5 fields: minute hour day-of-month month day-of-week')
+    const [minutes, hours, days, months, weekdays] = parts.map((part, i) => parseCronField(part, CRON_FIELDS[i]))
+    if (weekdays.has(7)) weekdays.add(0)
+    // As in cron, when both day fields are restricted a day matching either one runs
+    return { minutes, hours, days, months, weekdays, anyDay: parts[2] === '*', anyWeekday: parts[4] === '*' }
+}
+
+function cronDayMatches(cron, date) {
+    const day = cron.days.has(date.getDate())
+    const weekday = cron.weekdays.has(date.getDay())
+    if (cron.anyDay) return weekday
+    if (cron.anyWeekday) return day
+    return day || weekday
+}
+
+/** First minute after `after` (ms) that a parsed cron expression matches, in local time; null if none */
+function nextCronTime(cron, after) {
+    const date = new Date(after)
+    date.setSeconds(0, 0)
+    date.setMinutes(date.getMinutes() + 1)
+    while (date.getTime() - after < CRON_HORIZON_MS) {
+        if (!cron.months.has(date.getMonth() + 1)) {
+            date.setMonth(date.getMonth() + 1, 1)
+            date.setHours(0, 0)
+        } else if (!cronDayMatches(cron, date)) {
+            date.setDate(date.getDate() + 1)
+            date.setHours(0, 0)
+        } else if (!cron.hours.has(date.getHours())) {
+            date.setHours(date.getHours() + 1, 0)
+        } else if (!cron.minutes.has(date.getMinutes())) {
+            date.setMinutes(date.getMinutes() + 1)
+        } else {
+            return date.getTime()
+        }
+    }
+    return null
+}
+
+/** When a schedule next runs after `after` (ms), or null when it never does */
+function nextRunTime(schedule, after) {
+    if (schedule.kind === 'interval') return after + schedule.minutes * 60000
+    return nextCronTime(parseCron(schedule.expression), after)
+}
+
+/** Check a schedule from the chat window; returns the normalized schedule or throws */
+function validateSchedule(schedule) {
+    if (schedule?.kind === 'interval') {
+        const minutes = Number(schedule.minutes)
+        if (!Number.isFinite(minutes) || minutes < MIN_INTERVAL_MINUTES) {
+            throw new Error(`The interval must be at least ${MIN_INTERVAL_MINUTES} minute${MIN_INTERVAL_MINUTES === 1 ? '' : 's'}`)
+        }
+        return { kind: 'interval', minutes: Math.round(minutes) }
+    }
+    if (schedule?.kind === 'cron') {
+        const expression = String(schedule.expression || '').trim()
+        if (nextCronTime(parseCron(expression), Date.now()) == null) throw new Error(`"${expression}" never matches a date`)
+        return { kind: 'cron', expression }
+    }
+    throw new Error('A schedule is an interval or a cron expression')
+}
+
+// ── Running an automation ───────────────────────────────────────────
+
+function withTimeout(promise, ms, label) {
+    return new Promise((resolve, reject) => {
+        const timer = setTimeout(() => reject(new Error(`${label} timed out after ${ms / 1000}s`)), ms)
+        promise.then(
+            (value) => { clearTimeout(timer); resolve(value) },
+            (err) => { clearTimeout(timer); reject(err) }
+        )
+    })
+}
+
+/** Short text of a step for the run history: its type and target */
+function describeStep(cmd) {
+    const target = cmd.selector ?? cmd.url ?? cmd.pattern ?? cmd.key ?? cmd.text ?? cmd.name ?? cmd.automation ??
+        (cmd.ms != null ? `${cmd.ms}ms` : cmd.times != null ? `${cmd.times}×` : cmd.deltaY != null ? `${cmd.deltaY}px` : '')
+    const label = cmd.type.toUpperCase()
+    return target === '' ? label : `${label} ${String(target).substring(0, 80)}`
+}
+
+class AutomationScheduler extends BackgroundJobs {
+    /**
+     * `runStore` is the electron-store of run history. `services` are the main process
+     * parts a run needs: { automation, runAssertion, screenshotDir(), downloadManager,
+     * openView() → { webContents, close() } }.
+     */
+    constructor(store, runStore, services) {
+        super(store, { storeKey: 'automationSchedules', dueKey: 'nextRunAt', logCategory: 'Automation' })
+        this.runStore = runStore
+        this.services = services
+    }
+
+    /** Schedules with their automation's name and whether they are queued or running */
+    list() {
+        const automations = this._automations()
+        return this._schedules().map(s => ({
+            ...s,
+            automationName: automations.find(a => a.id === s.automationId)?.name || null,
+            running: this.current === s.id,
+            queued: this.queue.includes(s.id)
+        }))
+    }
+
+    /** Create a schedule, or update the one with `id`; returns it or { error } */
+    save({ id, automationId, schedule, enabled = true, values = {}, notifyOnFailure = true, notifyOnChange = true }) {
+        let normalized
+        try {
+            normalized = validateSchedule(schedule)
+        } catch (err) {
+            return { error: err.message }
+        }
+        if (!this._automations().some(a => a.id === automationId)) return { error: 'Automation not found' }
+
+        const schedules = this._schedules()
+        const existing = id && schedules.find(s => s.id === id)
+        const item = {
+            ...(existing || {
+                id: `sched-${Date.now()}-${Math.random().toString(36).substring(2, 7)}`,
+                createdAt: Date.now(),
+                lastRunAt: null,
+                lastStatus: null
+            }),
+            automationId,
+            schedule: normalized,
+            enabled: Boolean(enabled),
+            values: values || {},
+            notifyOnFailure: Boolean(notifyOnFailure),
+            notifyOnChange: Boolean(notifyOnChange)
+        }
+        item.nextRunAt = item.enabled ? nextRunTime(normalized, Date.now()) : null
+        this.store.set('automationSchedules', existing
+            ? schedules.map(s => s.id === id ? item : s)
+            : [...schedules, item])
+        this._log('info', `${existing ? 'Updated' : 'Created'} schedule for "${this._automationName(automationId)}"`, { id: item.id, schedule: normalized })
+        this._changed()
+        return item
+    }
+
+    /** Remove a schedule and its run history */
+    delete(id) {
+        this.store.set('automationSchedules', this._schedules().filter(s => s.id !== id))
+        this.runStore.set('runs', this.runStore.get('runs').filter(r => r.scheduleId !== id))
+        this.queue = this.queue.filter(q => q !== id)
+        this._changed()
+        return { success: true }
+    }
+
+    /** Remove the schedules of a deleted automation, with their run history */
+    deleteForAutomation(automationId) {
+        for (const s of this._schedules()) {
+            if (s.automationId === automationId) this.delete(s.id)
+        }
+    }
+
+    /** Queue a schedule to run now, whether or not it is enabled or due */
+    runNow(id) {
+        if (!this._schedules().some(s => s.id === id)) return { error: 'Schedule not found' }
+        this._enqueue(id)
+        return { success: true }
+    }
+
+    /** Run history of a schedule, newest first */
+    runs(scheduleId) {
+        return this.runStore.get('runs').filter(r => r.scheduleId === scheduleId).reverse()
+    }
+
+    async _runJob(schedule) {
+        const automation = this._automations().find(a => a.id === schedule.automationId)
+        const startedAt = Date.now()
+        const run = automation
+            ? await this._execute(automation, schedule)
+            : { status: 'failed', error: 'The automation was deleted', steps: [], extracted: {} }
+        run.id = `run-${startedAt}-${Math.random().toString(36).substring(2, 7)}`
+        run.scheduleId = schedule.id
+        run.automationId = schedule.automationId
+        run.automationName = automation?.name || null
+        run.startedAt = startedAt
+        run.durationMs = Date.now() - startedAt
+
+        const previous = this.runs(schedule.id).find(r => r.status === 'passed')
+        run.changes = run.status === 'passed' && previous
+            ? Object.keys(run.extracted)
+                .filter(name => name in previous.extracted && JSON.stringify(previous.extracted[name]) !== JSON.stringify(run.extracted[name]))
+                .map(name => ({ name, from: previous.extracted[name], to: run.extracted[name] }))
+            : []
+
+        this._saveRun(run)
+        // A schedule whose automation is gone is switched off rather than failing again every time
+        this._updateJob(schedule.id, (current) => {
+            const enabled = current.enabled && !!automation
+            return {
+                ...current,
+                enabled,
+                lastRunAt: startedAt,
+                lastStatus: run.status,
+                nextRunAt: enabled ? nextRunTime(current.schedule, Date.now()) : null
+            }
+        })
+
+        const name = run.automationName || 'Scheduled automation'
+        this._log(run.status === 'passed' ? 'info' : 'warn', `Scheduled run of "${name}" ${run.status} in ${run.durationMs}ms`, run.error)
+        if (run.status === 'failed' && schedule.notifyOnFailure) {
+            this._notify(`"${name}" failed`, run.error || 'A step failed')
+        }
+        if (run.changes.length && schedule.notifyOnChange) {
+            const format = (value) => (Array.isArray(value) ? value.join(', ') : String(value)).substring(0, 60)
+            this._notify(`"${name}" changed`, run.changes.map(c => `${c.name}: ${format(c.from)} → ${format(c.to)}`).join('\n'))
+        }
+    }
+
+    /** Run an automation in a fresh hidden view; resolves with { status, error, steps, extracted } */
+    async _execute(item, schedule) {
+        const { rows } = flattenCommands(item.commands || [])
+        const steps = rows.map(row => row.label
+            ? { label: row.label, depth: row.depth }
+            : { text: describeStep(row.cmd), depth: row.depth, status: 'skipped' })
+        const extracted = {}
+        let lastError = null
+
+        let view
+        try {
+            view = this.services.openView()
+        } catch (err) {
+            return { status: 'failed', error: err.message, steps, extracted }
+        }
+        const { webContents } = view
+        // WAIT_DOWNLOAD picks up downloads this view starts from here on
+        const runStartedAt = Date.now()
+
+        const runStep = async (cmd, i, vars) => {
+            const stepStart = Date.now()
+            steps[i].status = 'running'
+            try {
+                cmd = interpolateCommand(cmd, vars)
+                const result = await withTimeout(this._runCommand(webContents, cmd, vars, runStartedAt), STEP_TIMEOUT_MS, cmd.type.toUpperCase())
+                if (cmd.type === 'extract' || cmd.type === 'extract_all') {
+                    extracted[cmd.variable] = result.value
+                    steps[i].note = JSON.stringify(result.value).substring(0, 200)
+                } else if (result?.healed) {
+                    steps[i].note = `selector healed → ${result.healed.to}`
+                }
+                Object.assign(steps[i], { status: 'done', durationMs: Date.now() - stepStart })
+                await new Promise(r => setTimeout(r, STEP_PAUSE_MS))
+                return result
+            } catch (err) {
+                Object.assign(steps[i], { status: 'error', error: err.message, durationMs: Date.now() - stepStart })
+                lastError = `${steps[i].text}: ${err.message}`
+                return { error: err.message }
+            }
+        }
+
+        const blockStarts = new Map()
+        try {
+            const { failed } = await runCommands(item.commands || [], {
+                runStep,
+                exists: (selector, timeoutMs) => this.services.automation.elementExists(webContents, selector, { timeoutMs }),
+                loadAutomation: (name) => this._automations().find(a => a.name === name) ||
+                    TEST_CASES.find(tc => tc.name === name || tc.id === name) || null,
+                onStep: (i, update) => {
+                    if (update.status === 'running') blockStarts.set(i, Date.now())
+                    steps[i].status = update.status
+                    if (update.note) steps[i].note = update.note
+                    if (update.status !== 'running') steps[i].durationMs = Date.now() - (blockStarts.get(i) ?? Date.now())
+                    if (update.status === 'error' && update.detail) {
+                        steps[i].error = update.detail
+                        lastError = update.detail
+                    }
+                },
+                describe: describeStep,
+                stopOnError: true
+            }, initialVariables(item.inputs, schedule.values))
+            return { status: failed ? 'failed' : 'passed', error: failed ? lastError : null, steps, extracted }
+        } catch (err) {
+            return { status: 'failed', error: err.message, steps, extracted }
+        } finally {
+            view.close()
+        }
+    }
+
+    async _runCommand(webContents, cmd, vars, runStartedAt) {
+        const { automation, runAssertion, screenshotDir, downloadManager } = this.services
+        const check = (result) => {
+            if (result?.error) throw new Error(result.files ? `${result.error} — see ${result.files.join(', ')}` : result.error)
+            return result
+        }
+        if (cmd.type.startsWith('assert_')) {
+            return check(await runAssertion(automation, webContents, cmd, { screenshotDir: screenshotDir() }))
+        }
+        switch (cmd.type) {
+            case 'navigate':
+                await loadPage(webContents, cmd.url)
+                return {}
+            case 'click':
+                await automation.click(webContents, cmd.x, cmd.y)
+                return {}
+            case 'click_element':
+                return check(await automation.clickElement(webContents, cmd.selector, { fingerprint: cmd.fingerprint }))
+            case 'type':
+                await automation.type(webContents, cmd.text)
+                return {}
+            case 'fill':
+                return check(await automation.fillInput(webContents, cmd.selector, cmd.value, { fingerprint: cmd.fingerprint }))
+            case 'upload':
+                return check(await automation.uploadFiles(webContents, cmd.selector, cmd.files))
+            case 'press':
+                await automation.pressKey(webContents, cmd.key, cmd.modifiers || [])
+                return {}
+            case 'scroll':
+                await automation.scroll(webContents, 400, 300, 0, cmd.deltaY)
+                return {}
+            case 'wait':
+                await new Promise(r => setTimeout(r, Math.min(cmd.ms, 60000)))
+                return {}
+            case 'wait_download': {
+                const download = await downloadManager.waitForDownload({ since: runStartedAt, webContents, timeoutMs: cmd.timeoutMs > 0 ? cmd.timeoutMs : undefined })
+                return { path: download.savePath }
+            }
+            case 'wait_for':
+                return check(await automation.waitForSelector(webContents, cmd.selector, { timeoutMs: cmd.timeoutMs }))
+            case 'wait_for_url':
+                return check(await automation.waitForUrl(webContents, cmd.pattern, { timeoutMs: cmd.timeoutMs }))
+            case 'wait_for_network_idle':
+                return check(await automation.waitForNetworkIdle(webContents, { timeoutMs: cmd.timeoutMs }))
+            case 'find':
+                return { elements: await automation.getElements(webContents, cmd.selector) }
+            case 'extract':
+            case 'extract_all': {
+                const result = check(await automation.extractText(webContents, cmd.selector, { all: cmd.type === 'extract_all' }))
+                vars[cmd.variable] = result.value
+                return result
+            }
+            default:
+                throw new Error(`Unknown command type: ${cmd.type}`)
+        }
+    }
+
+    _saveRun(run) {
+        const runs = [...this.runStore.get('runs'), run]
+        this.runStore.set('runs', keepNewest(runs, r => r.scheduleId, RUNS_PER_SCHEDULE))
+    }
+
+    _schedules() {
+        return this._jobs()
+    }
+
+    _automations() {
+        return this.store.get('library')?.automations || []
+    }
+
+    _automationName(id) {
+        return this._automations().find(a => a.id === id)?.name || id
+    }
+}
+
+export { AutomationScheduler }
@@ -0,0 +1,259 @@
+/**
+ * Automation Tools — structured tool definitions for the AI agent loop
+ *
+ * The model calls these through each provider's native tool-calling API
+ * (see AIService.runAgent). Every call is executed against a tab's
+ * webContents with BrowserAutomation, and the result is fed back to the model.
+ *
+ * Parameters use plain JSON Schema, which all providers accept as-is.
+ *
+ * There is deliberately no file-upload tool: text on a page could talk the agent
+ * into attaching any local file to a form. UPLOAD is only available in scripts the
+ * user writes or runs themselves.
+ *
+ * After every step the agent is shown a fresh observation of the tab
+ * (screenshot + interactive elements, see observePage) and either acts again
+ * or calls `done` with its verdict.
+ */
+
+// Name of the tool the model calls to end a run; it is never executed
+const FINISH_TOOL = 'done'
+// Longest wait a model may ask for, so a run can still be stopped promptly
+const MAX_WAIT_MS = 30000
+
+const AUTOMATION_TOOLS = [
+    {
+        name: 'click',
+        description: 'Click at viewport pixel coordinates. Prefer clickElement when the target has a usable CSS selector.',
+        parameters: {
+            type: 'object',
+            properties: {
+                x: { type: 'number', description: 'Horizontal viewport coordinate in pixels' },
+                y: { type: 'number', description: 'Vertical viewport coordinate in pixels' }
+            },
+            required: ['x', 'y']
+        }
+    },
+    {
+        name: 'clickElement',
+        description: 'Click the first element matching a CSS selector. Waits (up to 10s) until it is visible, enabled and not covered, and scrolls it into view. Selectors also match inside shadow roots and iframes; "host >>> inner" scopes the selector to one shadow root or iframe.',
+        parameters: {
+            type: 'object',
+            properties: {
+                selector: { type: 'string', description: 'CSS selector of the element to click' }
+            },
+            required: ['selector']
+        }
+    },
+    {
+        name: 'fillInput',
+        description: 'Focus an input or textarea by CSS selector, clear it, and type a value into it.',
+        parameters: {
+            type: 'object',
+            properties: {
+                selector: { type: 'string', description: 'CSS selector of the input field' },
+                value: { type: 'string', description: 'Text to enter' }
+            },
+            required: ['selector', 'value']
+        }
+    },
+    {
+        name: 'pressKey',
+        description: 'Press a keyboard key on the focused element, e.g. Enter, Tab, Escape, Backspace, ArrowDown.',
+        parameters: {
+            type: 'object',
+            properties: {
+                key: { type: 'string', description: 'Key name such as Enter, Tab or Escape' }
+            },
+            required: ['key']
+        }
+    },
+    {
+        name: 'scroll',
+        description: 'Scroll the page vertically. Positive deltaY scrolls down, negative scrolls up.',
+        parameters: {
+            type: 'object',
+            properties: {
+                deltaY: { type: 'number', description: 'Pixels to scroll' }
+            },
+            required: ['deltaY']
+        }
+    },
+    {
+        name: 'navigate',
+        description: 'Load a URL in the current tab and wait for it to start loading.',
+        parameters: {
+            type: 'object',
+            properties: {
+                url: { type: 'string', description: 'Absolute URL including the protocol' }
+            },
+            required: ['url']
+        }
+    },
+    {
+        name: 'waitFor',
+        description: 'Wait until an element matching a CSS selector is visible, e.g. content that renders after an action. Clicks and fills already wait for their target, so this is only needed before reading the page.',
+        parameters: {
+            type: 'object',
+            properties: {
+                selector: { type: 'string', description: 'CSS selector to wait for' },
+                timeoutMs: { type: 'number', description: 'Maximum wait in milliseconds (default 10000)' }
+            },
+            required: ['selector']
+        }
+    },
+    {
+        name: 'waitForUrl',
+        description: 'Wait until the page URL matches a pattern: a substring, a glob with * wildcards, or /regex/.',
+        parameters: {
+            type: 'object',
+            properties: {
+                pattern: { type: 'string', description: 'URL substring, glob or /regex/' },
+                timeoutMs: { type: 'number', description: 'Maximum wait in milliseconds (default 10000)' }
+            },
+            required: ['pattern']
+        }
+    },
+    {
+        name: 'waitForNetworkIdle',
+        description: 'Wait until the page has had no network requests in flight for 500ms, e.g. after a search that loads results by script.',
+        parameters: {
+            type: 'object',
+            properties: {
+                timeoutMs: { type: 'number', description: 'Maximum wait in milliseconds (default 10000)' }
+            }
+        }
+    },
+    {
+        name: 'getElements',
+        description: 'List up to 50 elements matching a CSS selector with their text, attributes and viewport coordinates. Use it to discover selectors before clicking or filling.',
+        parameters: {
+            type: 'object',
+            properties: {
+                selector: { type: 'string', description: 'CSS selector to query' }
+            },
+            required: ['selector']
+        }
+    },
+    {
+        name: FINISH_TOOL,
+        description: 'Finish the task. Call this once the latest observation confirms the task is complete, or when it cannot be completed.',
+        parameters: {
+            type: 'object',
+            properties: {
+                success: { type: 'boolean', description: 'Whether the task was completed' },
+                summary: { type: 'string', description: 'Short summary of the outcome for the user' }
+            },
+            required: ['success', 'summary']
+        }
+    }
+]
+
+/**
+ * Map a tool call onto the command object format used by saved automations,
+ * so agent runs can be shown in the report and saved to the library.
+ */
+function toolCallToCommand(name, args = {}) {
+    switch (name) {
+        case 'click': return { type: 'click', x: Math.round(args.x), y: Math.round(args.y) }
+        case 'clickElement': return { type: 'click_element', selector: args.selector }
+        case 'fillInput': return { type: 'fill', selector: args.selector, value: args.value }
+        case 'pressKey': return { type: 'press', key: args.key }
+        case 'scroll': return { type: 'scroll', deltaY: Math.round(args.deltaY) }
+        case 'navigate': return { type: 'navigate', url: args.url }
+        case 'waitFor': return { type: 'wait_for', selector: args.selector, ...(args.timeoutMs && { timeoutMs: args.timeoutMs }) }
+        case 'waitForUrl': return { type: 'wait_for_url', pattern: args.pattern, ...(args.timeoutMs && { timeoutMs: args.timeoutMs }) }
+        case 'waitForNetworkIdle': return { type: 'wait_for_network_idle', ...(args.timeoutMs && { timeoutMs: args.timeoutMs }) }
+        case 'getElements': return { type: 'find', selector: args.selector }
+        default: return null
+    }
+}
+
+/**
+ * Execute one tool call against a tab. Returns a JSON-serializable result
+ * for the model; failures are returned as { error } rather than thrown so the
+ * model can see what went wrong and try something else.
+ */
+async function executeAutomationTool(automation, webContents, name, args = {}) {
+    const timeoutMs = args.timeoutMs > 0 ? Math.min(args.timeoutMs, MAX_WAIT_MS) : undefined
+    switch (name) {
+        case 'click':
+            await automation.highlightElement(webContents, args.x, args.y)
+            await automation.click(webContents, args.x, args.y)
+            return { success: true }
+        case 'clickElement': {
+            const result = await automation.clickElement(webContents, args.selector)
+            if (result?.error) return { error: result.error }
+            if (result?.x && result?.y) {
+                await automation.highlightElement(webContents, result.x, result.y)
+            }
+            return { success: true, tag: result.tag }
+        }
+        case 'fillInput': {
+            const result = await automation.fillInput(webContents, args.selector, args.value)
+            if (result?.error) return { error: result.error }
+            return { success: true }
+        }
+        case 'pressKey':
+            await automation.pressKey(webContents, args.key)
+            return { success: true }
+        case 'scroll':
+            await automation.scroll(webContents, 400, 300, 0, args.deltaY)
+            return { success: true }
+        case 'navigate':
+            await webContents.loadURL(args.url)
+            return { success: true, url: webContents.getURL(), title: webContents.getTitle() }
+        case 'waitFor':
+            return automation.waitForSelector(webContents, args.selector, { timeoutMs })
+        case 'waitForUrl':
+            return automation.waitForUrl(webContents, args.pattern, { timeoutMs })
+        case 'waitForNetworkIdle':
+            return automation.waitForNetworkIdle(webContents, { timeoutMs })
+        case 'getElements': {
+            const elements = await automation.getElements(webContents, args.selector)
+            return { count: elements.length, elements }
+        }
+        default:
+            return { error: `Unknown tool: ${name}` }
+    }
+}
+
+/**
+ * Capture what the agent sees after a step: a screenshot plus the visible
+ * interactive elements. Gives the page a moment to react and waits (bounded)
+ * for any navigation the step started; either part may still be missing.
+ * Pass `background: true` for a tab that is not on screen so it renders for the capture.
+ */
+async function observePage(automation, webContents, { settleMs = 300, loadTimeoutMs = 5000, background = false } = {}) {
+    await new Promise(r => setTimeout(r, settleMs))
+    if (webContents.isLoading()) {
+        await new Promise(resolve => {
+            const done = () => { clearTimeout(timer); webContents.removeListener('did-stop-loading', done); resolve() }
+            const timer = setTimeout(done, loadTimeoutMs)
+            webContents.on('did-stop-loading', done)
+        })
+    }
+
+    const [screenshot, elements] = await Promise.all([
+        webContents.capturePage(undefined, { stayHidden: background }).then(img => img.toDataURL()).catch(() => null),
+        automation.getInteractiveElements(webContents).catch(() => [])
+    ])
+    return {
+        title: webContents.getTitle(),
+        url: webContents.getURL(),
+        screenshot,
+        elements: elements.slice(0, 40)
+    }
+}
+
+/** Render an observation as text for the model; the screenshot is attached separately */
+function formatObservation(observation) {
+    const elementList = observation.elements.map((el, i) => {
+        const selector = el.id ? `#${el.id}` : el.tag + (el.type ? `[type="${el.type}"]` : '')
+        return `[${i}] <${el.tag}> "${el.text?.substring(0, 60) || ''}" at (${el.x}, ${el.y}) size ${el.width}x${el.height} selector: "${selector}"${el.href ? ' href=' + el.href : ''}${el.frame ? ' in frame ' + el.frame : ''}`
+    }).join('\n')
+    return `Current page: ${observation.title || 'unknown'} (${observation.url || 'unknown'})\n\n` +
+        `Interactive elements in view:\n${elementList || '(none found)'}`
+}
+
+export { AUTOMATION_TOOLS, FINISH_TOOL, toolCallToCommand, executeAutomationTool, observePage, formatObservation }
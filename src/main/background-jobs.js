@@ -0,0 +1,126 @@
+/**
+ * Background Jobs — what the automation scheduler and the page watcher share: a list
+ * of jobs in the settings store, each { id, enabled, <due time> }, checked every
+ * TICK_MS; jobs that are due (or asked for with _enqueue) run one at a time.
+ *
+ * Subclasses implement `_runJob(job)`, and read and update their jobs with
+ * _jobs() / _updateJob(). Changes go out through onChange, messages through onLog.
+ */
+
+import { Notification } from 'electron'
+
+const TICK_MS = 30000
+
+/** The newest `perGroup` entries of each `groupOf(entry)`, oldest first like `entries` */
+function keepNewest(entries, groupOf, perGroup) {
+    const kept = []
+    const counts = new Map()
+    for (let i = entries.length - 1; i >= 0; i--) {
+        const group = groupOf(entries[i])
+        const n = counts.get(group) || 0
+        if (n >= perGroup) continue
+        counts.set(group, n + 1)
+        kept.unshift(entries[i])
+    }
+    return kept
+}
+
+class BackgroundJobs {
+    /**
+     * `storeKey` holds the jobs in `store`, `dueKey` names the field with a job's next
+     * due time, and `logCategory` is the category of its log messages.
+     */
+    constructor(store, { storeKey, dueKey, logCategory }) {
+        this.store = store
+        this.storeKey = storeKey
+        this.dueKey = dueKey
+        this.logCategory = logCategory
+        this.queue = []             // job ids waiting to run
+        this.current = null         // id of the job running
+        this.timer = null
+        this.onChange = null        // () => void — jobs or their results changed
+        this.onLog = null           // (level, category, message, data) => void
+        this.onNotificationClick = null
+    }
+
+    start() {
+        if (this.timer) return
+        this.timer = setInterval(() => this._tick(), TICK_MS)
+        this._tick()
+    }
+
+    stop() {
+        clearInterval(this.timer)
+        this.timer = null
+        this.queue = []
+    }
+
+    /** Run a job (see _drain); implemented by subclasses */
+    async _runJob() {
+        throw new Error('Not implemented')
+    }
+
+    _tick() {
+        const now = Date.now()
+        for (const job of this._jobs()) {
+            if (job.enabled && job[this.dueKey] != null && job[this.dueKey] <= now) this._enqueue(job.id)
+        }
+    }
+
+    _enqueue(id) {
+        if (this.current === id || this.queue.includes(id)) return
+        this.queue.push(id)
+        this._changed()
+        if (!this.current) this._drain()
+    }
+
+    async _drain() {
+        while (this.queue.length) {
+            const id = this.queue.shift()
+            const job = this._jobs().find(j => j.id === id)
+            if (!job) continue
+            this.current = id
+            this._changed()
+            try {
+                await this._runJob(job)
+            } catch (err) {
+                this._log('error', `Background job crashed: ${err.message}`, { id })
+            }
+            this.current = null
+            this._changed()
+        }
+    }
+
+    _jobs() {
+        return this.store.get(this.storeKey) || []
+    }
+
+    /**
+     * Replace a job with `update(job)` — given the stored job, since it may have been
+     * edited while it ran; nothing happens when it was deleted meanwhile
+     */
+    _updateJob(id, update) {
+        const jobs = this._jobs()
+        const current = jobs.find(j => j.id === id)
+        if (!current) return
+        const updated = update(current)
+        this.store.set(this.storeKey, jobs.map(j => j.id === id ? updated : j))
+    }
+
+    _notify(title, body) {
+        if (!Notification.isSupported()) return
+        const notification = new Notification({ title, body })
+        notification.on('click', () => this.onNotificationClick?.())
+        notification.show()
+    }
+
+    _changed() {
+        this.onChange?.()
+    }
+
+    _log(level, message, data) {
+        this.onLog?.(level, this.logCategory, message, data)
+    }
+}
+
+export { BackgroundJobs, keepNewest }
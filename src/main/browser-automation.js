@@ -8,11 +8,125 @@
  *
  * CDP is the same protocol used by Puppeteer and Playwright — it's the gold standard
  * for browser automation and works reliably in Electron.
+ *
+ * Selectors reach into open shadow roots and into iframes, cross-origin ones included
+ * (element-locator.js); `host >>> inner` scopes a selector to one shadow root or frame.
+ *
+ * Element actions auto-wait, like Playwright: before clicking or filling, the element
+ * is polled until it is attached, visible, stable, enabled and not covered by another
+ * element (see _waitForActionable), so scripts need no fixed WAIT(ms) before them.
  */
 
+import fs from 'fs/promises'
+import os from 'os'
+import path from 'path'
+import { SELECTOR_ENGINE, FrameContexts } from './element-locator.js'
+import { ELEMENT_FINGERPRINT, CANDIDATE_LIMIT, confidentMatch } from './element-fingerprint.js'
+
+// How long element actions and explicit waits poll before giving up
+const ACTION_TIMEOUT_MS = 10000
+const POLL_INTERVAL_MS = 100
+// WAIT_FOR_NETWORK_IDLE: no request in flight for this long
+const NETWORK_IDLE_MS = 500
+// `selector >> nth=N`, as FOR_EACH addresses its items (the engine's own pattern, see element-locator.js)
+const NTH_PATTERN = /^(.*[^>\s])\s*>>\s*nth=(\d+)\s*$/
+
+// In-page script run in each frame with SELECTOR_ENGINE and ELEMENT_FINGERPRINT in
+// scope; returns null when nothing is found. Same-origin child frames skip themselves — the query of the frame
+// above them already descends into their documents.
+function frameScript(body) {
+    return `(function() {
+        if (window.frameElement) return null;
+        ${SELECTOR_ENGINE}
+        ${ELEMENT_FINGERPRINT}
+        ${body}
+    })()`
+}
+
+/**
+ * In-page actionability check of the first element matching `selector`: null when
+ * there is none, { reason } when it fails a check, else its center in the frame's
+ * viewport plus `rect` for the stability check. `checks` picks what is tested:
+ * visible, enabled, editable, hitTarget (scrolls the element into view, then tests
+ * that a click at its center would land on it rather than on an overlay).
+ */
+function actionabilityScript(selector, checks) {
+    return frameScript(`
+        const checks = ${JSON.stringify(checks)};
+        const match = __deepQuery(${JSON.stringify(selector)}, 1)[0];
+        if (!match) return null;
+        const el = match.el;
+        const win = el.ownerDocument.defaultView;
+        const describe = (node) => '<' + node.tagName.toLowerCase() + (node.id ? '#' + node.id : '') +
+            (typeof node.className === 'string' && node.className.trim() ? '.' + node.className.trim().split(/\\s+/).slice(0, 2).join('.') : '') + '>';
+
+        let r = el.getBoundingClientRect();
+        if (checks.visible) {
+            const style = win.getComputedStyle(el);
+            if (r.width === 0 || r.height === 0 || style.visibility === 'hidden' || style.visibility === 'collapse') return { reason: 'not visible' };
+        }
+        if (checks.enabled && (el.disabled || el.closest('fieldset:disabled') || el.getAttribute('aria-disabled') === 'true')) return { reason: 'disabled' };
+        if (checks.editable) {
+            const field = ['INPUT', 'TEXTAREA', 'SELECT'].includes(el.tagName);
+            if (!field && !el.isContentEditable) return { reason: 'not editable (' + describe(el) + ')' };
+            if (field && el.readOnly) return { reason: 'read-only' };
+        }
+        if (checks.hitTarget) {
+            if (r.top < 0 || r.left < 0 || r.bottom > win.innerHeight || r.right > win.innerWidth) {
+                // Scroll instantly so getBoundingClientRect is accurate immediately
+                el.scrollIntoView({ behavior: 'instant', block: 'center', inline: 'center' });
+                r = el.getBoundingClientRect();
+            }
+            const cx = r.x + r.width / 2;
+            const cy = r.y + r.height / 2;
+            let hit = el.ownerDocument.elementFromPoint(cx, cy);
+            while (hit && hit.shadowRoot) {
+                const inner = hit.shadowRoot.elementFromPoint(cx, cy);
+                if (!inner || inner === hit) break;
+                hit = inner;
+            }
+            // The hit must be the element or inside it, shadow trees included
+            let node = hit;
+            while (node && node !== el) node = node.parentNode || node.host;
+            if (!node) return { reason: hit ? 'covered by ' + describe(hit) : 'outside the viewport' };
+        }
+
+        const rect = __rectOf(match);
+        return {
+            x: Math.round(rect.x + rect.width / 2),
+            y: Math.round(rect.y + rect.height / 2),
+            rect: [rect.x, rect.y, rect.width, rect.height].map(Math.round),
+            tag: el.tagName.toLowerCase(),
+            href: el.href || null,
+            fingerprint: __fingerprintOf(el)
+        };
+    `)
+}
+
+/** A caller's timeout, or the default when it is missing or not positive */
+function timeoutOf(timeoutMs) {
+    return timeoutMs > 0 ? timeoutMs : ACTION_TIMEOUT_MS
+}
+
+/**
+ * Whether a URL matches a WAIT_FOR_URL pattern: `/regex/flags`, a glob where `*`
+ * matches anything (e.g. `https://*.example.com/search*`), or else a substring
+ */
+function urlMatches(url, pattern) {
+    const regex = pattern.match(/^\/(.+)\/([a-z]*)$/)
+    if (regex) return new RegExp(regex[1], regex[2]).test(url)
+    if (pattern.includes('*')) {
+        const glob = pattern.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*')
+        return new RegExp(`^${glob}$`).test(url)
+    }
+    return url.includes(pattern)
+}
+
 class BrowserAutomation {
     constructor() {
         this._debuggerAttached = new WeakSet()
+        this._frameContexts = new WeakMap() // webContents → Promise<FrameContexts | null>
+        this._network = new WeakMap()       // webContents → { inflight, lastActivity, enabling }
     }
 
     /**
@@ -26,11 +140,24 @@ class BrowserAutomation {
             webContents.on('destroyed', () => {
                 this._debuggerAttached.delete(webContents)
             })
+            // Tracked frame contexts die with the session (e.g. DevTools took over)
+            webContents.debugger.on('detach', () => {
+                this._debuggerAttached.delete(webContents)
+                this._frameContexts.get(webContents)?.then(frames => frames?.dispose())
+                this._frameContexts.delete(webContents)
+                const network = this._network.get(webContents)
+                if (network) {
+                    network.enabling = null
+                    network.inflight.clear()
+                }
+            })
+            await this._trackNetwork(webContents)
             return true
         } catch (err) {
             // Already attached or can't attach — try anyway
             if (err.message.includes('Already attached')) {
                 this._debuggerAttached.add(webContents)
+                await this._trackNetwork(webContents)
                 return true
             }
             console.warn('Could not attach debugger:', err.message)
@@ -39,10 +166,20 @@ class BrowserAutomation {
     }
 
     /**
-     * Send CDP command
+     * Attach the CDP debugger for another module that talks to the tab directly
+     * (the recorder); false when it could not be attached
+     */
+    attachDebugger(webContents) {
+        return this._ensureDebugger(webContents)
+    }
+
+    /**
+     * Send CDP command — to the tab, or to an OOPIF's session when `sessionId` is given
      */
-    async _cdp(webContents, method, params = {}) {
-        return webContents.debugger.sendCommand(method, params)
+    async _cdp(webContents, method, params = {}, sessionId) {
+        return sessionId
+            ? webContents.debugger.sendCommand(method, params, sessionId)
+            : webContents.debugger.sendCommand(method, params)
     }
 
     /**
@@ -293,127 +430,148 @@ class BrowserAutomation {
     }
 
     /**
-     * Click on an element by CSS selector.
-     * Strategy: JS to find element + get viewport coords, then CDP for real click.
+     * Click on an element by CSS selector — in any frame or open shadow root
+     * (see element-locator.js).
+     * Strategy: wait until the element is actionable (scrolled into view, stable,
+     * enabled, not covered), then CDP for a real click at its center.
      * This is the most reliable approach for anchor tags / navigation links.
+     * With a `fingerprint` a selector that finds nothing is healed (see _withHealing).
+     * The result carries the clicked element's fingerprint.
      */
-    async clickElement(webContents, selector) {
-        // Step 1: Find element via JS, scroll into view, get exact viewport center
-        const info = await webContents.executeJavaScript(`
-            (function() {
-                const el = document.querySelector(${JSON.stringify(selector)});
-                if (!el) return { error: 'Element not found: ' + ${JSON.stringify(selector)} };
-
-                // Scroll instantly so getBoundingClientRect is accurate immediately
-                el.scrollIntoView({ behavior: 'instant', block: 'center' });
-
-                const rect = el.getBoundingClientRect();
-                return {
-                    x: Math.round(rect.x + rect.width / 2),
-                    y: Math.round(rect.y + rect.height / 2),
-                    tag: el.tagName.toLowerCase(),
-                    href: el.href || null,
-                    visible: rect.width > 0 && rect.height > 0
-                };
-            })()
-        `)
+    async clickElement(webContents, selector, { timeoutMs, fingerprint, pickCandidate } = {}) {
+        return this._withHealing(webContents, selector, { fingerprint, pickCandidate },
+            (target) => this._clickElement(webContents, target, timeoutMs))
+    }
 
-        if (!info || info.error) return { error: info?.error || 'Element not found' }
-        if (!info.visible) return { error: `Element "${selector}" is not visible or has zero size` }
+    async _clickElement(webContents, selector, timeoutMs) {
+        // Step 1: Wait for the element and get its exact center in its frame's viewport
+        const found = await this._waitForActionable(webContents, selector,
+            { visible: true, stable: true, enabled: true, hitTarget: true }, timeoutMs)
+        if (found.error) return found
+        const { value: info, frame, frames, selector: frameSelector } = found
 
-        // Short delay for scroll to settle
-        await this._delay(150)
+        // Coordinates inside a child frame are moved into the tab's viewport
+        const { x, y } = await this._toViewport(frames, frame, info)
+        const frameUrl = frame?.contextId ? frame.url : undefined
 
         const hasCDP = await this._ensureDebugger(webContents)
 
         if (hasCDP) {
             try {
                 // Use CDP Input.dispatchMouseEvent — the same method Puppeteer/Playwright use.
-                // This dispatches real, trusted input events that trigger link navigation.
+                // This dispatches real, trusted input events that trigger link navigation;
+                // the browser routes them to whichever frame is under the point.
                 await this._cdp(webContents, 'Input.dispatchMouseEvent', {
-                    type: 'mouseMoved', x: info.x, y: info.y, modifiers: 0
+                    type: 'mouseMoved', x, y, modifiers: 0
                 })
                 await this._delay(20)
                 await this._cdp(webContents, 'Input.dispatchMouseEvent', {
-                    type: 'mousePressed', x: info.x, y: info.y,
+                    type: 'mousePressed', x, y,
                     button: 'left', clickCount: 1, modifiers: 0
                 })
                 await this._delay(50)
                 await this._cdp(webContents, 'Input.dispatchMouseEvent', {
-                    type: 'mouseReleased', x: info.x, y: info.y,
+                    type: 'mouseReleased', x, y,
                     button: 'left', clickCount: 1, modifiers: 0
                 })
-                return { success: true, tag: info.tag, x: info.x, y: info.y }
+                return { success: true, tag: info.tag, x, y, frame: frameUrl, fingerprint: info.fingerprint }
             } catch (err) {
                 console.warn('CDP clickElement failed, falling back to JS:', err.message)
             }
         }
 
         // JS fallback — dispatch mouse events and navigate anchors directly
-        await webContents.executeJavaScript(`
-            (function() {
-                const el = document.querySelector(${JSON.stringify(selector)});
-                if (!el) return;
-                const rect = el.getBoundingClientRect();
-                const cx = Math.round(rect.x + rect.width / 2);
-                const cy = Math.round(rect.y + rect.height / 2);
-                const opts = { bubbles: true, cancelable: true, clientX: cx, clientY: cy, button: 0 };
-                el.dispatchEvent(new MouseEvent('mouseover', opts));
-                el.dispatchEvent(new MouseEvent('mousedown', opts));
-                el.focus && el.focus();
-                el.dispatchEvent(new MouseEvent('mouseup', opts));
-                el.dispatchEvent(new MouseEvent('click', opts));
-                // For anchor tags: navigate directly as backup
-                if (el.tagName === 'A' && el.href && !el.href.startsWith('javascript:')) {
-                    window.location.href = el.href;
-                }
-            })()
-        `)
-        return { success: true, tag: info.tag, x: info.x, y: info.y }
+        await this._evaluateIn(webContents, frames, frame, frameScript(`
+            const match = __deepQuery(${JSON.stringify(frameSelector)}, 1)[0];
+            if (!match) return null;
+            const el = match.el;
+            const rect = el.getBoundingClientRect();
+            const cx = Math.round(rect.x + rect.width / 2);
+            const cy = Math.round(rect.y + rect.height / 2);
+            const opts = { bubbles: true, cancelable: true, composed: true, clientX: cx, clientY: cy, button: 0 };
+            el.dispatchEvent(new MouseEvent('mouseover', opts));
+            el.dispatchEvent(new MouseEvent('mousedown', opts));
+            el.focus && el.focus();
+            el.dispatchEvent(new MouseEvent('mouseup', opts));
+            el.dispatchEvent(new MouseEvent('click', opts));
+            // For anchor tags: navigate directly as backup
+            if (el.tagName === 'A' && el.href && !el.href.startsWith('javascript:')) {
+                el.ownerDocument.defaultView.location.href = el.href;
+            }
+            return true;
+        `))
+        return { success: true, tag: info.tag, x, y, frame: frameUrl, fingerprint: info.fingerprint }
     }
 
     /**
-     * Focus and fill an input element by selector
+     * Focus and fill an input element by selector — in any frame or open shadow root.
+     * Waits until the element is visible, enabled and editable. A <select> gets the
+     * option whose value or text is `value` (what the recorder captures for it).
+     * Heals its selector like clickElement and returns the field's fingerprint.
      */
-    async fillInput(webContents, selector, value) {
+    async fillInput(webContents, selector, value, { timeoutMs, fingerprint, pickCandidate } = {}) {
+        return this._withHealing(webContents, selector, { fingerprint, pickCandidate },
+            (target) => this._fillInput(webContents, target, value, timeoutMs))
+    }
+
+    async _fillInput(webContents, selector, value, timeoutMs) {
+        const ready = await this._waitForActionable(webContents, selector,
+            { visible: true, enabled: true, editable: true }, timeoutMs)
+        if (ready.error) return ready
+
         // Step 1: JS — find element, scroll into view, focus, and clear
-        const prep = await webContents.executeJavaScript(`
-            (function() {
-                const el = document.querySelector(${JSON.stringify(selector)});
-                if (!el) return { error: 'Element not found: ' + ${JSON.stringify(selector)} };
-                el.scrollIntoView({ behavior: 'instant', block: 'center' });
+        const { value: prep, frame, frames, selector: frameSelector } = await this._findInFrames(webContents, selector, (sel) => frameScript(`
+            const match = __deepQuery(${JSON.stringify(sel)}, 1)[0];
+            if (!match) return null;
+            const el = match.el;
+            el.scrollIntoView({ behavior: 'instant', block: 'center' });
+            if (el.tagName === 'SELECT') {
+                const value = ${JSON.stringify(value)};
+                const option = [...el.options].find(o => o.value === value) ||
+                    [...el.options].find(o => o.text.trim() === value.trim());
+                if (!option) return { error: 'No option "' + value + '" in ' + ${JSON.stringify(selector)} };
                 el.focus();
-                el.click();
-                // Select all + delete to clear
-                if (el.tagName === 'INPUT' || el.tagName === 'TEXTAREA') {
-                    el.select();
-                }
-                return { success: true, tag: el.tagName.toLowerCase() };
-            })()
-        `)
-        if (prep?.error) return prep
+                el.value = option.value;
+                el.dispatchEvent(new Event('input', { bubbles: true, composed: true }));
+                el.dispatchEvent(new Event('change', { bubbles: true }));
+                return { success: true, tag: 'select', selected: true, fingerprint: __fingerprintOf(el) };
+            }
+            el.focus();
+            el.click();
+            // Select all + delete to clear
+            if (el.tagName === 'INPUT' || el.tagName === 'TEXTAREA') {
+                el.select();
+            }
+            return { success: true, tag: el.tagName.toLowerCase(), fingerprint: __fingerprintOf(el) };
+        `))
+        if (!prep) return { error: 'Element not found: ' + selector }
+        if (prep.error) return prep
+        const { fingerprint } = prep
+        if (prep.selected) return { success: true, method: 'select', fingerprint }
 
-        // Step 2: Try CDP typing (most reliable — generates trusted KeyboardEvents)
+        // Step 2: Try CDP typing (most reliable — generates trusted KeyboardEvents).
+        // Keys go to the session of the element's frame, which matters for site-isolated frames.
         try {
             const hasDebugger = await this._ensureDebugger(webContents)
             if (hasDebugger) {
+                const session = frame?.sessionId
                 // Clear existing content with select-all + delete
-                await webContents.debugger.sendCommand('Input.dispatchKeyEvent', {
+                await this._cdp(webContents, 'Input.dispatchKeyEvent', {
                     type: 'keyDown', key: 'a', code: 'KeyA', windowsVirtualKeyCode: 65, modifiers: 2 /* Ctrl */
-                })
-                await webContents.debugger.sendCommand('Input.dispatchKeyEvent', {
+                }, session)
+                await this._cdp(webContents, 'Input.dispatchKeyEvent', {
                     type: 'keyUp', key: 'a', code: 'KeyA', windowsVirtualKeyCode: 65
-                })
-                await webContents.debugger.sendCommand('Input.dispatchKeyEvent', {
+                }, session)
+                await this._cdp(webContents, 'Input.dispatchKeyEvent', {
                     type: 'keyDown', key: 'Backspace', code: 'Backspace', windowsVirtualKeyCode: 8
-                })
-                await webContents.debugger.sendCommand('Input.dispatchKeyEvent', {
+                }, session)
+                await this._cdp(webContents, 'Input.dispatchKeyEvent', {
                     type: 'keyUp', key: 'Backspace', code: 'Backspace', windowsVirtualKeyCode: 8
-                })
+                }, session)
 
                 // Type each character via CDP insertText (fast + triggers all JS events)
-                await webContents.debugger.sendCommand('Input.insertText', { text: value })
-                return { success: true, method: 'cdp' }
+                await this._cdp(webContents, 'Input.insertText', { text: value }, session)
+                return { success: true, method: 'cdp', fingerprint }
             }
         } catch (err) {
             // CDP failed — fall through to JS fallback
@@ -421,26 +579,470 @@ class BrowserAutomation {
         }
 
         // Step 3: JS fallback — native value setter (works for React etc.)
-        return webContents.executeJavaScript(`
-            (function() {
-                const el = document.querySelector(${JSON.stringify(selector)});
-                if (!el) return { error: 'Element not found (fallback)' };
+        const result = await this._evaluateIn(webContents, frames, frame, frameScript(`
+            const match = __deepQuery(${JSON.stringify(frameSelector)}, 1)[0];
+            if (!match) return null;
+            const el = match.el;
+            const win = el.ownerDocument.defaultView;
 
-                const nativeInputValueSetter = Object.getOwnPropertyDescriptor(
-                    el.tagName === 'TEXTAREA' ? HTMLTextAreaElement.prototype : HTMLInputElement.prototype, 'value'
-                )?.set;
+            const nativeInputValueSetter = Object.getOwnPropertyDescriptor(
+                el.tagName === 'TEXTAREA' ? win.HTMLTextAreaElement.prototype : win.HTMLInputElement.prototype, 'value'
+            )?.set;
 
-                if (nativeInputValueSetter) {
-                    nativeInputValueSetter.call(el, ${JSON.stringify(value)});
-                } else {
-                    el.value = ${JSON.stringify(value)};
-                }
+            if (nativeInputValueSetter) {
+                nativeInputValueSetter.call(el, ${JSON.stringify(value)});
+            } else {
+                el.value = ${JSON.stringify(value)};
+            }
 
-                el.dispatchEvent(new Event('input', { bubbles: true }));
-                el.dispatchEvent(new Event('change', { bubbles: true }));
-                return { success: true, method: 'js-fallback' };
-            })()
+            el.dispatchEvent(new Event('input', { bubbles: true, composed: true }));
+            el.dispatchEvent(new Event('change', { bubbles: true }));
+            return { success: true, method: 'js-fallback' };
+        `))
+        return result ? { ...result, fingerprint } : { error: 'Element not found (fallback)' }
+    }
+
+    /**
+     * Run an element action on `selector`; when it finds no element and the step has a
+     * fingerprint, run it once more on the selector healSelector() finds. The result then
+     * carries `healed`: { from, to, score, by: 'fingerprint' | 'ai' }. Other failures
+     * (hidden, disabled, covered) are not healed — the element is there.
+     */
+    async _withHealing(webContents, selector, { fingerprint, pickCandidate }, action) {
+        const result = await action(selector)
+        if (!fingerprint?.tag || !/^Element not found/.test(result?.error || '')) return result
+        const healed = await this.healSelector(webContents, fingerprint, { selector, pickCandidate })
+        if (!healed || healed.selector === selector) return result
+        const retry = await action(healed.selector)
+        if (retry?.error) return result
+        return { ...retry, healed: { from: selector, to: healed.selector, score: healed.score, by: healed.by } }
+    }
+
+    /**
+     * Find the element a fingerprint describes: visible elements of its tag or role in
+     * every frame, scored by similarity (element-fingerprint.js). A confident match is
+     * taken as is; otherwise `pickCandidate(fingerprint, candidates, selector)` — when
+     * given, e.g. asking the model — may return the index of one. Resolves with
+     * { selector, score, by } or null.
+     */
+    async healSelector(webContents, fingerprint, { selector, pickCandidate } = {}) {
+        const script = frameScript(`return __healCandidates(${JSON.stringify(fingerprint)}, ${CANDIDATE_LIMIT});`)
+        const candidates = (await this._evaluateAllFrames(webContents, null, () => script))
+            .flatMap(({ value }) => value || [])
+            .sort((a, b) => b.score - a.score)
+            .slice(0, CANDIDATE_LIMIT)
+        const match = confidentMatch(candidates)
+        if (match) return { selector: match.selector, score: match.score, by: 'fingerprint' }
+        if (!pickCandidate || !candidates.length) return null
+        const index = await Promise.resolve(pickCandidate(fingerprint, candidates, selector)).catch(err => {
+            console.warn('[Automation] Could not ask which element to heal to:', err.message)
+            return -1
+        })
+        const picked = candidates[index]
+        return picked ? { selector: picked.selector, score: picked.score, by: 'ai' } : null
+    }
+
+    /**
+     * Set files on an <input type="file"> by selector — CDP DOM.setFileInputFiles,
+     * the only way to choose files without the OS file picker (there is no JS fallback).
+     * Paths must be absolute (`~/` is expanded) and exist; several files need an
+     * input with the `multiple` attribute. The page gets the usual input/change events.
+     * File inputs are often hidden behind a styled button, so it only waits for the
+     * input to be attached.
+     */
+    async uploadFiles(webContents, selector, files, { timeoutMs } = {}) {
+        const paths = (Array.isArray(files) ? files : [files])
+            .map(f => String(f).trim())
+            .filter(Boolean)
+            .map(f => f === '~' || f.startsWith('~/') ? path.join(os.homedir(), f.slice(1)) : f)
+        if (paths.length === 0) return { error: 'No file given to upload' }
+
+        const relative = paths.filter(p => !path.isAbsolute(p))
+        if (relative.length) return { error: `File paths must be absolute: ${relative.join(', ')}` }
+        const missing = []
+        for (const p of paths) {
+            const stat = await fs.stat(p).catch(() => null)
+            if (!stat?.isFile()) missing.push(p)
+        }
+        if (missing.length) return { error: `File not found: ${missing.join(', ')}` }
+
+        const attached = await this._waitForActionable(webContents, selector, {}, timeoutMs)
+        if (attached.error) return attached
+
+        const findInput = (sel) => `const match = __deepQuery(${JSON.stringify(sel)}, 1)[0];`
+        const { value: check, frame, frames, selector: frameSelector } = await this._findInFrames(webContents, selector, (sel) => frameScript(`
+            ${findInput(sel)}
+            if (!match) return null;
+            const el = match.el;
+            if (el.tagName !== 'INPUT' || el.type !== 'file') return { error: 'Element is not a file input: <' + el.tagName.toLowerCase() + (el.type ? ' type="' + el.type + '"' : '') + '>' };
+            if (el.disabled) return { error: 'File input is disabled' };
+            return { multiple: el.multiple };
+        `))
+        if (!check) return { error: 'Element not found: ' + selector }
+        if (check.error) return check
+        if (paths.length > 1 && !check.multiple) return { error: `File input accepts one file, got ${paths.length}` }
+        if (!frames) return { error: 'File upload needs the DevTools protocol, which could not be attached' }
+
+        const handle = await frames.evaluate(frame, frameScript(`
+            ${findInput(frameSelector)}
+            return match ? match.el : null;
+        `), { returnByValue: false })
+        if (!handle?.objectId) return { error: 'Element not found: ' + selector }
+        try {
+            await this._cdp(webContents, 'DOM.setFileInputFiles', { files: paths, objectId: handle.objectId }, frame.sessionId)
+        } finally {
+            this._cdp(webContents, 'Runtime.releaseObject', { objectId: handle.objectId }, frame.sessionId).catch(() => { })
+        }
+        return { success: true, files: paths.map(p => path.basename(p)) }
+    }
+
+    /**
+     * List elements matching a CSS selector (first 50) across frames and open
+     * shadow roots, with text, attributes, and viewport-center coordinates
+     */
+    async getElements(webContents, selector) {
+        return this._collectFromFrames(webContents, 50, selector, (sel) => frameScript(`
+            return __deepQuery(${JSON.stringify(sel)}, 50).map(match => {
+                const el = match.el;
+                const rect = __rectOf(match);
+                return {
+                    tag: el.tagName.toLowerCase(),
+                    id: el.id || null,
+                    className: el.className || null,
+                    text: el.innerText?.substring(0, 200) || '',
+                    value: el.value || null,
+                    href: el.href || null,
+                    placeholder: el.placeholder || null,
+                    type: el.type || null,
+                    ariaLabel: el.getAttribute('aria-label') || null,
+                    x: Math.round(rect.x + rect.width / 2),
+                    y: Math.round(rect.y + rect.height / 2),
+                    width: Math.round(rect.width),
+                    height: Math.round(rect.height),
+                    visible: rect.width > 0 && rect.height > 0
+                };
+            });
+        `))
+    }
+
+    /**
+     * Get the visible interactive elements on the page (links, buttons, form
+     * fields, ARIA widgets) across frames and open shadow roots, with
+     * viewport-center coordinates
+     */
+    async getInteractiveElements(webContents) {
+        return this._collectFromFrames(webContents, 100, null, () => frameScript(`
+            const selectors = 'a, button, input, select, textarea, [role="button"], [role="link"], [role="tab"], [role="menuitem"], [onclick], [tabindex]';
+            return __deepQuery(selectors, 100).map(match => {
+                const el = match.el;
+                const rect = __rectOf(match);
+                return {
+                    tag: el.tagName.toLowerCase(),
+                    id: el.id || null,
+                    text: (el.innerText || el.value || el.placeholder || el.getAttribute('aria-label') || '').substring(0, 100),
+                    type: el.type || null,
+                    href: el.href || null,
+                    x: Math.round(rect.x + rect.width / 2),
+                    y: Math.round(rect.y + rect.height / 2),
+                    width: Math.round(rect.width),
+                    height: Math.round(rect.height),
+                    visible: rect.width > 0 && rect.height > 0 && rect.y >= 0 && rect.y < window.innerHeight
+                };
+            }).filter(el => el.visible);
+        `))
+    }
+
+    /**
+     * Elements matching `selector` across frames and open shadow roots, for assertions:
+     * { count, visible, text } — `visible` and `text` describe the first match
+     * (`text` is the value of form fields).
+     */
+    async elementState(webContents, selector) {
+        const script = (sel) => frameScript(`
+            const matches = __deepQuery(${JSON.stringify(sel)}, Infinity);
+            if (!matches.length) return null;
+            const el = matches[0].el;
+            const rect = el.getBoundingClientRect();
+            const style = el.ownerDocument.defaultView.getComputedStyle(el);
+            return {
+                count: matches.length,
+                visible: rect.width > 0 && rect.height > 0 && style.visibility !== 'hidden' && style.visibility !== 'collapse',
+                text: ['INPUT', 'TEXTAREA', 'SELECT'].includes(el.tagName) ? el.value : (el.innerText ?? el.textContent)
+            };
         `)
+        const found = (await this._evaluateAllFrames(webContents, selector, script)).map(r => r.value).filter(Boolean)
+        return {
+            count: found.reduce((n, s) => n + s.count, 0),
+            visible: found[0]?.visible ?? false,
+            text: found[0]?.text ?? null
+        }
+    }
+
+    /**
+     * IF_EXISTS / WHILE_EXISTS / FOR_EACH — whether a visible element matches `selector`,
+     * polling for up to `timeoutMs` (0 checks once), plus the number of matches
+     */
+    async elementExists(webContents, selector, { timeoutMs = 0 } = {}) {
+        const deadline = Date.now() + Math.max(0, timeoutMs || 0)
+        for (;;) {
+            if (webContents.isDestroyed()) return { error: 'Tab was closed' }
+            const state = await this.elementState(webContents, selector)
+            if (state.visible || Date.now() >= deadline) return { success: true, exists: state.visible, count: state.count }
+            await this._delay(POLL_INTERVAL_MS)
+        }
+    }
+
+    /**
+     * EXTRACT / EXTRACT_ALL — text of the first element matching `selector` (the value
+     * of form fields), or with `all` of every match across frames (up to 500). Waits
+     * for a match to be attached first.
+     */
+    async extractText(webContents, selector, { all = false, timeoutMs } = {}) {
+        const attached = await this._waitForActionable(webContents, selector, {}, timeoutMs)
+        if (attached.error) return attached
+        const results = await this._evaluateAllFrames(webContents, selector, (sel) => frameScript(`
+            return __deepQuery(${JSON.stringify(sel)}, ${all ? 500 : 1}).map(({ el }) =>
+                (['INPUT', 'TEXTAREA', 'SELECT'].includes(el.tagName) ? el.value : (el.innerText ?? el.textContent) || '').trim());
+        `))
+        const values = results.flatMap(r => r.value || []).slice(0, 500)
+        return { success: true, value: all ? values : values[0] ?? '' }
+    }
+
+    /**
+     * WAIT_FOR — wait until an element matching `selector` is visible
+     */
+    async waitForSelector(webContents, selector, { timeoutMs } = {}) {
+        const found = await this._waitForActionable(webContents, selector, { visible: true }, timeoutMs)
+        if (found.error) return found
+        return { success: true, tag: found.value.tag, frame: found.frame?.contextId ? found.frame.url : undefined }
+    }
+
+    /**
+     * WAIT_FOR_URL — wait until the tab's URL matches `pattern` (see urlMatches)
+     */
+    async waitForUrl(webContents, pattern, { timeoutMs } = {}) {
+        timeoutMs = timeoutOf(timeoutMs)
+        const deadline = Date.now() + timeoutMs
+        for (;;) {
+            if (webContents.isDestroyed()) return { error: 'Tab was closed' }
+            const url = webContents.getURL()
+            if (urlMatches(url, pattern)) return { success: true, url }
+            if (Date.now() >= deadline) return { error: `URL did not match "${pattern}" within ${timeoutMs / 1000}s (at ${url})` }
+            await this._delay(POLL_INTERVAL_MS)
+        }
+    }
+
+    /**
+     * WAIT_FOR_NETWORK_IDLE — wait until no request of the tab has been in flight for
+     * `idleMs`. Requests are seen through CDP from the tab's first action on, so one
+     * started by the step before (e.g. a CLICK's XHR) is waited for.
+     */
+    async waitForNetworkIdle(webContents, { idleMs = NETWORK_IDLE_MS, timeoutMs } = {}) {
+        timeoutMs = timeoutOf(timeoutMs)
+        if (!(await this._ensureDebugger(webContents))) return { error: 'Waiting for the network needs the DevTools protocol, which could not be attached' }
+        const network = await this._trackNetwork(webContents)
+        if (!network) return { error: 'The requests of the tab could not be tracked' }
+        const deadline = Date.now() + timeoutMs
+        for (;;) {
+            if (webContents.isDestroyed()) return { error: 'Tab was closed' }
+            if (network.inflight.size === 0 && Date.now() - network.lastActivity >= idleMs) return { success: true }
+            if (Date.now() >= deadline) {
+                const pending = [...network.inflight.values()]
+                return { error: `Network still busy after ${timeoutMs / 1000}s — ${pending.length} request(s) in flight: ${pending.slice(0, 3).join(', ')}` }
+            }
+            await this._delay(POLL_INTERVAL_MS)
+        }
+    }
+
+    /**
+     * Poll actionabilityScript() for `selector` until the element passes `checks`
+     * (see there; `stable` also requires the same rect on two polls in a row) or
+     * `timeoutMs` runs out. Returns _findInFrames()'s { value, frame, frames, selector }, or
+     * { error } naming the check that was still failing.
+     */
+    async _waitForActionable(webContents, selector, checks, timeoutMs) {
+        timeoutMs = timeoutOf(timeoutMs)
+        const deadline = Date.now() + timeoutMs
+        let last = null
+        for (;;) {
+            if (webContents.isDestroyed()) return { error: 'Tab was closed' }
+            const found = await this._findInFrames(webContents, selector, (sel) => actionabilityScript(sel, checks))
+            const state = found.value
+            if (state && !state.reason) {
+                if (!checks.stable) return found
+                const key = `${found.frame?.frameId}:${state.rect.join(',')}`
+                if (key === last) return found
+                last = key
+            } else {
+                last = null
+            }
+
+            if (Date.now() >= deadline) {
+                const waited = `waited ${timeoutMs / 1000}s`
+                if (!state) return { error: `Element not found: ${selector} (${waited})` }
+                return { error: `Element "${selector}" is ${state.reason || 'still moving'} (${waited})` }
+            }
+            await this._delay(POLL_INTERVAL_MS)
+        }
+    }
+
+    /**
+     * Count the tab's in-flight requests from CDP Network events, for waitForNetworkIdle.
+     * Enabled when the debugger attaches, and again after a detach; resolves with the
+     * tracking record once the Network domain is on, or null when it could not be enabled.
+     */
+    async _trackNetwork(webContents) {
+        let network = this._network.get(webContents)
+        if (!network) {
+            network = { inflight: new Map(), lastActivity: Date.now(), enabling: null } // requestId → url
+            webContents.debugger.on('message', (event, method, params, sessionId) => {
+                if (sessionId) return // OOPIF sessions do not have the Network domain enabled
+                switch (method) {
+                    case 'Network.requestWillBeSent':
+                        if (params.request.url.startsWith('data:')) break
+                        network.inflight.set(params.requestId, params.request.url)
+                        network.lastActivity = Date.now()
+                        break
+                    case 'Network.loadingFinished':
+                    case 'Network.loadingFailed':
+                        if (network.inflight.delete(params.requestId)) network.lastActivity = Date.now()
+                        break
+                }
+            })
+            this._network.set(webContents, network)
+        }
+        if (!network.enabling) {
+            network.lastActivity = Date.now()
+            network.enabling = this._cdp(webContents, 'Network.enable').then(() => true, err => {
+                network.enabling = null
+                console.warn('Could not track network requests:', err.message)
+                return false
+            })
+        }
+        return (await network.enabling) ? network : null
+    }
+
+    /**
+     * Frame contexts of a tab (see element-locator.js), created once per tab;
+     * null when CDP is unavailable or frame tracking could not be enabled
+     */
+    async _frames(webContents) {
+        if (!(await this._ensureDebugger(webContents))) return null
+        if (!this._frameContexts.has(webContents)) {
+            const frames = new FrameContexts(webContents)
+            this._frameContexts.set(webContents, frames.enable().then(() => frames, (err) => {
+                console.warn('Could not track frames, searching the main frame only:', err.message)
+                frames.dispose()
+                return null
+            }))
+        }
+        return this._frameContexts.get(webContents)
+    }
+
+    /**
+     * Frames to run a selector's script in, each { frame, selector }: every frame with
+     * the selector as is, or only the main frame without CDP (frame null). Each frame's
+     * script sees only its own matches, so for `sel >> nth=N` — numbered across all
+     * frames, in list() order — it is just the frame holding match N, with the index
+     * it has there (no frame when there are fewer matches).
+     */
+    async _frameTargets(webContents, selector) {
+        const frames = await this._frames(webContents)
+        if (!frames) return { frames: null, targets: [{ frame: null, selector }] }
+        const list = await frames.list()
+        const nth = selector && selector.match(NTH_PATTERN)
+        if (!nth) return { frames, targets: list.map(frame => ({ frame, selector })) }
+        const countScript = frameScript(`return __deepQuery(${JSON.stringify(nth[1])}, ${+nth[2] + 1}).length;`)
+        let index = +nth[2]
+        for (const frame of list) {
+            const count = await frames.evaluate(frame, countScript).catch(err => {
+                if (!frame.contextId) throw err
+                return 0
+            }) || 0
+            if (index < count) return { frames, targets: [{ frame, selector: `${nth[1]} >> nth=${index}` }] }
+            index -= count
+        }
+        return { frames, targets: [] }
+    }
+
+    /**
+     * Run `scriptFor(selector)` — a frameScript() — in each frame, main frame first,
+     * until one returns a value (see _frameTargets; `selector` may be null). Returns
+     * { value, frame, frames, selector } — `frame` is where it was found and `selector`
+     * what addresses the element there, `frames` the tab's FrameContexts (frame and
+     * frames are null without CDP, where only the main frame is searched).
+     */
+    async _findInFrames(webContents, selector, scriptFor) {
+        const { frames, targets } = await this._frameTargets(webContents, selector)
+        for (const target of targets) {
+            const value = await this._evaluateIn(webContents, frames, target.frame, scriptFor(target.selector)).catch(err => {
+                // Errors from the main frame (e.g. an invalid selector) are real; child frames may just be gone
+                if (!target.frame?.contextId) throw err
+                return null
+            })
+            if (value != null) return { value, frame: target.frame, frames, selector: target.selector }
+        }
+        return { value: null, frame: null, frames, selector }
+    }
+
+    /**
+     * Run `scriptFor(selector)` in every frame (see _frameTargets) and return
+     * [{ value, frame }] in frame order; errors from child frames count as no value
+     */
+    async _evaluateAllFrames(webContents, selector, scriptFor) {
+        const { frames, targets } = await this._frameTargets(webContents, selector)
+        const results = []
+        for (const target of targets) {
+            const value = await this._evaluateIn(webContents, frames, target.frame, scriptFor(target.selector)).catch(err => {
+                if (!target.frame?.contextId) throw err
+                return null
+            })
+            results.push({ value, frame: target.frame })
+        }
+        return results
+    }
+
+    /**
+     * Run a list-returning `scriptFor(selector)` in every frame and merge the results up
+     * to `limit`: coordinates are moved into the tab's viewport, and elements from child
+     * frames carry the frame's URL as `frame`
+     */
+    async _collectFromFrames(webContents, limit, selector, scriptFor) {
+        const { frames, targets } = await this._frameTargets(webContents, selector)
+        const all = []
+        for (const target of targets) {
+            if (all.length >= limit) break
+            const found = await this._evaluateIn(webContents, frames, target.frame, scriptFor(target.selector)).catch(err => {
+                if (!target.frame?.contextId) throw err
+                return null
+            })
+            if (!found?.length) continue
+            if (!target.frame?.contextId) {
+                all.push(...found)
+                continue
+            }
+            const offset = await frames.frameOffset(target.frame.frameId).catch(() => null)
+            if (!offset) continue // frame went away mid-query
+            all.push(...found.map(el => ({
+                ...el,
+                x: Math.round(el.x + offset.x),
+                y: Math.round(el.y + offset.y),
+                frame: target.frame.url
+            })))
+        }
+        return all.slice(0, limit).map((el, i) => ({ index: i, ...el }))
+    }
+
+    /** Move a point reported from inside a frame into the tab's viewport */
+    async _toViewport(frames, frame, point) {
+        if (!frame?.contextId) return { x: point.x, y: point.y }
+        const offset = await frames.frameOffset(frame.frameId)
+        return { x: Math.round(point.x + offset.x), y: Math.round(point.y + offset.y) }
+    }
+
+    /** Evaluate in the frame an element was found in (the main frame without CDP) */
+    _evaluateIn(webContents, frames, frame, script) {
+        return frames && frame ? frames.evaluate(frame, script) : webContents.executeJavaScript(script)
     }
 
     /**
@@ -512,4 +1114,4 @@ class BrowserAutomation {
     }
 }
 
-export { BrowserAutomation }
+export { BrowserAutomation, urlMatches }
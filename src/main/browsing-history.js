@@ -0,0 +1,211 @@
+/**
+ * Browsing History — every visit with URL, title, time and tab, plus an optional
+ * snapshot of the page's extracted text for full-text search and AI recall
+ *
+ * Visits live in their own electron-store file (`history.json`) so the settings file
+ * stays small; they are kept in memory and written back a moment after the last
+ * change — electron-store rewrites the whole file on every set. Snapshots are most of
+ * the data, so they stay out of that file: each one is appended as a JSON line to
+ * `snapshotFile` and read back into memory at startup, when removed and pruned
+ * visits' lines are compacted away.
+ */
+
+import fs from 'fs'
+
+// Keep the history bounded; snapshots make each visit up to a few KB
+const HISTORY_MAX_VISITS = 5000
+const SNAPSHOT_MAX_CHARS = 4000
+const SAVE_DELAY_MS = 2000
+
+// Characters of context on each side of the first match in a search snippet
+const SNIPPET_RADIUS = 90
+
+function snippetAround(text, terms) {
+    if (!text) return ''
+    const lower = text.toLowerCase()
+    const at = terms.map(t => lower.indexOf(t)).filter(i => i >= 0).sort((a, b) => a - b)[0]
+    if (at == null) return text.substring(0, SNIPPET_RADIUS * 2).trim()
+    const start = Math.max(0, at - SNIPPET_RADIUS)
+    const end = Math.min(text.length, at + SNIPPET_RADIUS)
+    return (start > 0 ? '…' : '') + text.substring(start, end).replace(/\s+/g, ' ').trim() + (end < text.length ? '…' : '')
+}
+
+/** Read the snapshot log into a Map of visit id → text; later lines win, null text removes */
+function readSnapshotLog(file) {
+    const snapshots = new Map()
+    let lines = 0
+    let text = ''
+    try {
+        text = fs.readFileSync(file, 'utf8')
+    } catch (err) {
+        if (err.code !== 'ENOENT') console.error('[History] Could not read snapshots:', err.message)
+    }
+    for (const line of text.split('\n')) {
+        if (!line) continue
+        lines++
+        try {
+            const { id, snapshot } = JSON.parse(line)
+            if (snapshot == null) snapshots.delete(id)
+            else snapshots.set(id, snapshot)
+        } catch {
+            // A line cut short by a crash mid-write
+        }
+    }
+    return { snapshots, lines }
+}
+
+class BrowsingHistory {
+    constructor(store, snapshotFile) {
+        this.store = store
+        this.snapshotFile = snapshotFile
+        this.visits = store.get('visits') || []
+        this._pendingLines = []
+        this._saveTimer = null
+
+        const { snapshots, lines } = readSnapshotLog(snapshotFile)
+        this.snapshots = snapshots
+        // Older versions kept snapshots inside the visits themselves
+        let migrated = false
+        for (const visit of this.visits) {
+            if (!('snapshot' in visit)) continue
+            if (visit.snapshot) this.snapshots.set(visit.id, visit.snapshot)
+            delete visit.snapshot
+            migrated = true
+        }
+        const live = new Set(this.visits.map(v => v.id))
+        for (const id of this.snapshots.keys()) {
+            if (!live.has(id)) this.snapshots.delete(id)
+        }
+        if (migrated || lines > this.snapshots.size) this._compact()
+        if (migrated) this.flush()
+    }
+
+    /** Record a visit; returns its id so the title and snapshot can be filled in later */
+    addVisit({ url, title, tabId }) {
+        const visit = {
+            id: `visit-${Date.now()}-${Math.random().toString(36).slice(2, 7)}`,
+            url,
+            title: title || url,
+            visitedAt: Date.now(),
+            tabId: tabId || null
+        }
+        this.visits.push(visit)
+        if (this.visits.length > HISTORY_MAX_VISITS) {
+            // The pruned visits' snapshot lines go at the next startup's compaction
+            for (const old of this.visits.splice(0, this.visits.length - HISTORY_MAX_VISITS)) this.snapshots.delete(old.id)
+        }
+        this._scheduleSave()
+        return visit.id
+    }
+
+    /** Update a visit's title and/or page-text snapshot */
+    updateVisit(id, { title, snapshot }) {
+        const visit = this.visits.findLast(v => v.id === id)
+        if (!visit) return
+        if (title) visit.title = title
+        if (snapshot != null) this._setSnapshot(id, snapshot.substring(0, SNAPSHOT_MAX_CHARS))
+        this._scheduleSave()
+    }
+
+    /**
+     * Full-text search over titles, URLs and snapshots. Every term must match
+     * somewhere; with `anyTerm` one is enough and visits matching more terms rank
+     * first. `from` / `to` are timestamps. Results are newest first (within a rank),
+     * each with a `snippet` instead of the full snapshot.
+     */
+    search({ query = '', from, to, limit = 100, anyTerm = false } = {}) {
+        const terms = query.toLowerCase().split(/\s+/).filter(Boolean)
+        const matches = []
+        for (let i = this.visits.length - 1; i >= 0; i--) {
+            const visit = this.visits[i]
+            if (from && visit.visitedAt < from) continue
+            if (to && visit.visitedAt > to) continue
+            const haystack = `${visit.title}\n${visit.url}\n${this.snapshots.get(visit.id) || ''}`.toLowerCase()
+            const score = terms.filter(t => haystack.includes(t)).length
+            if (anyTerm ? terms.length && !score : score < terms.length) continue
+            matches.push({ visit, score })
+            if (!anyTerm && matches.length >= limit) break
+        }
+        if (anyTerm) matches.sort((a, b) => b.score - a.score)
+
+        return matches.slice(0, limit).map(({ visit }) => {
+            const snapshot = this.snapshots.get(visit.id)
+            return { ...visit, hasSnapshot: !!snapshot, snippet: snippetAround(snapshot, terms) }
+        })
+    }
+
+    /**
+     * The newest visit with a snapshot for each URL, up to `limit` pages, newest first.
+     * Each comes with its `snapshot` text.
+     */
+    pagesWithSnapshots(limit) {
+        const seen = new Set()
+        const pages = []
+        for (let i = this.visits.length - 1; i >= 0 && pages.length < limit; i--) {
+            const visit = this.visits[i]
+            const snapshot = this.snapshots.get(visit.id)
+            if (!snapshot || seen.has(visit.url)) continue
+            seen.add(visit.url)
+            pages.push({ ...visit, snapshot })
+        }
+        return pages
+    }
+
+    /** Full snapshot text of one visit */
+    getSnapshot(id) {
+        return this.snapshots.get(id) || null
+    }
+
+    remove(id) {
+        this.visits = this.visits.filter(v => v.id !== id)
+        if (this.snapshots.has(id)) this._setSnapshot(id, null)
+        this._scheduleSave()
+    }
+
+    clear() {
+        this.visits = []
+        this.snapshots.clear()
+        this._pendingLines = []
+        this._compact()
+        this.flush()
+    }
+
+    /** Write pending changes now (called on quit) */
+    flush() {
+        clearTimeout(this._saveTimer)
+        this._saveTimer = null
+        this.store.set('visits', this.visits)
+        if (!this._pendingLines.length) return
+        try {
+            fs.appendFileSync(this.snapshotFile, this._pendingLines.join(''))
+        } catch (err) {
+            console.error('[History] Could not save snapshots:', err.message)
+        }
+        this._pendingLines = []
+    }
+
+    /** Set or (with null) remove a snapshot; the change is appended to the log on the next save */
+    _setSnapshot(id, snapshot) {
+        if (snapshot == null) this.snapshots.delete(id)
+        else this.snapshots.set(id, snapshot)
+        this._pendingLines.push(JSON.stringify({ id, snapshot }) + '\n')
+    }
+
+    /** Rewrite the snapshot log with only the live snapshots */
+    _compact() {
+        const text = [...this.snapshots].map(([id, snapshot]) => JSON.stringify({ id, snapshot }) + '\n').join('')
+        try {
+            fs.writeFileSync(`${this.snapshotFile}.tmp`, text)
+            fs.renameSync(`${this.snapshotFile}.tmp`, this.snapshotFile)
+        } catch (err) {
+            console.error('[History] Could not compact snapshots:', err.message)
+        }
+    }
+
+    _scheduleSave() {
+        if (this._saveTimer) return
+        this._saveTimer = setTimeout(() => this.flush(), SAVE_DELAY_MS)
+    }
+}
+
+export { BrowsingHistory, SNAPSHOT_MAX_CHARS }
@@ -0,0 +1,381 @@
+/**
+ * Content Extractor — readability-style main-content extraction for AI features
+ *
+ * Runs inside the page: scores block-level nodes by the amount of prose they hold
+ * (text length, commas, paragraph count) minus link density and boilerplate hints
+ * in class / id names, picks the best container, and serializes it as Markdown —
+ * headings, lists, tables, block quotes and code blocks survive, menus, cookie
+ * banners, share bars and footers do not.
+ *
+ * Also reads the page metadata (byline, published date, canonical URL, language)
+ * from meta tags, JSON-LD and common markup.
+ */
+
+// Default text budget handed to the model
+const DEFAULT_MAX_CHARS = 20000
+
+// Text budget for summarization — long pages are summarized section by section
+const SUMMARY_MAX_CHARS = 400000
+
+// Pages whose scored content is shorter than this fall back to the visible body text
+const MIN_CONTENT_CHARS = 250
+
+/** In-page extraction script; returns { title, byline, publishedTime, ..., markdown, length, truncated } */
+function extractionScript(maxChars) {
+    return `
+        (function() {
+            var MAX_CHARS = ${Number(maxChars) || DEFAULT_MAX_CHARS};
+            var MIN_CONTENT_CHARS = ${MIN_CONTENT_CHARS};
+            var FENCE = String.fromCharCode(96, 96, 96);
+            var TICK = String.fromCharCode(96);
+
+            var SKIP_TAGS = /^(SCRIPT|STYLE|NOSCRIPT|TEMPLATE|IFRAME|SVG|CANVAS|VIDEO|AUDIO|OBJECT|EMBED|BUTTON|INPUT|SELECT|TEXTAREA|NAV|FOOTER|ASIDE|DIALOG)$/;
+            var SKIP_ROLES = /^(navigation|banner|contentinfo|complementary|dialog|alertdialog|search|menu|menubar|toolbar)$/;
+            var NEGATIVE = /cookie|consent|gdpr|banner|modal|popup|overlay|newsletter|subscribe|signup|share|sharing|social|related|recommend|comment|sidebar|widget|footer|masthead|navbar|\\bnav\\b|menu|breadcrumb|pagination|promo|sponsor|advert|\\bads?\\b|outbrain|taboola|skip-link|toolbar/i;
+            var POSITIVE = /article|content|entry|main|post|story|blog|prose|markdown|documentation/i;
+            var INLINE_TAGS = /^(A|SPAN|STRONG|B|EM|I|U|S|CODE|KBD|SMALL|MARK|TIME|ABBR|SUP|SUB|LABEL|BR|IMG|CITE|Q|DFN|VAR|SAMP)$/;
+
+            function hintOf(el) {
+                return ((typeof el.className === 'string' ? el.className : '') + ' ' + (el.id || ''));
+            }
+
+            function isHidden(el) {
+                if (el.hidden || el.getAttribute('aria-hidden') === 'true') return true;
+                var style = window.getComputedStyle(el);
+                return style.display === 'none' || style.visibility === 'hidden';
+            }
+
+            // Boilerplate: structural chrome, hidden nodes, and class / id names that say so
+            function isBoilerplate(el) {
+                if (SKIP_TAGS.test(el.tagName)) return true;
+                var role = el.getAttribute('role');
+                if (role && SKIP_ROLES.test(role)) return true;
+                if (el.tagName === 'HEADER' && !el.closest('article')) return true;
+                var hint = hintOf(el);
+                if (hint.trim() && NEGATIVE.test(hint) && !POSITIVE.test(hint)) return true;
+                return isHidden(el);
+            }
+
+            function textLength(el) {
+                return (el.innerText || el.textContent || '').replace(/\\s+/g, ' ').trim().length;
+            }
+
+            function linkDensity(el) {
+                var total = textLength(el) || 1;
+                var linked = 0;
+                el.querySelectorAll('a').forEach(function(a) { linked += textLength(a); });
+                return Math.min(1, linked / total);
+            }
+
+            // --- Scoring: paragraphs vote for their parent (full) and grandparent (half) ---
+            function findMainContent() {
+                var scores = new Map();
+                var blocks = document.body.querySelectorAll('p, pre, td, blockquote, li, h2, h3, dd');
+                blocks.forEach(function(block) {
+                    var len = textLength(block);
+                    if (len < 25) return;
+                    var score = 1 + (block.textContent.split(',').length - 1) + Math.min(Math.floor(len / 100), 3);
+                    var parent = block.parentElement;
+                    var grand = parent && parent.parentElement;
+                    if (parent) scores.set(parent, (scores.get(parent) || 0) + score);
+                    if (grand) scores.set(grand, (scores.get(grand) || 0) + score / 2);
+                });
+
+                var best = null, bestScore = 0;
+                scores.forEach(function(score, el) {
+                    if (el === document.body || el === document.documentElement) return;
+                    if (el.closest('nav, footer, aside, [role="navigation"], [role="contentinfo"], [role="complementary"]')) return;
+                    var hint = hintOf(el);
+                    if (POSITIVE.test(hint)) score += 25;
+                    if (NEGATIVE.test(hint)) score -= 25;
+                    if (/^(ARTICLE|MAIN)$/.test(el.tagName) || el.getAttribute('role') === 'main') score += 25;
+                    score *= 1 - linkDensity(el);
+                    if (score > bestScore) { best = el; bestScore = score; }
+                });
+
+                // Prefer an enclosing <article> / <main> so the title and intro come along
+                var wrapper = best && best.closest('article, main, [role="main"]');
+                if (wrapper && wrapper !== document.body && textLength(wrapper) < textLength(best) * 3) best = wrapper;
+                return best;
+            }
+
+            // --- Markdown serialization ---
+            function absolute(url) {
+                try { return new URL(url, location.href).href; } catch (e) { return url; }
+            }
+
+            function inline(node) {
+                var out = '';
+                node.childNodes.forEach(function(child) {
+                    if (child.nodeType === 3) { out += child.textContent.replace(/\\s+/g, ' '); return; }
+                    if (child.nodeType !== 1 || isBoilerplate(child)) return;
+                    var tag = child.tagName;
+                    var inner = inline(child);
+                    if (tag === 'BR') out += '\\n';
+                    else if (tag === 'A' && child.getAttribute('href') && !/^(#|javascript:)/i.test(child.getAttribute('href')) && inner.trim()) {
+                        out += '[' + inner.trim() + '](' + absolute(child.getAttribute('href')) + ')';
+                    }
+                    else if ((tag === 'STRONG' || tag === 'B') && inner.trim()) out += '**' + inner.trim() + '**';
+                    else if ((tag === 'EM' || tag === 'I') && inner.trim()) out += '_' + inner.trim() + '_';
+                    else if (tag === 'CODE' || tag === 'KBD') out += TICK + child.textContent + TICK;
+                    else if (tag === 'IMG') { if (child.alt) out += '[image: ' + child.alt + ']'; }
+                    else out += inner;
+                });
+                return out;
+            }
+
+            function table(el) {
+                var rows = Array.from(el.querySelectorAll('tr')).filter(function(tr) { return tr.closest('table') === el; });
+                if (rows.length === 0) return '';
+                var cells = rows.map(function(tr) {
+                    return Array.from(tr.children).map(function(cell) {
+                        return inline(cell).replace(/\\|/g, '\\\\|').replace(/\\s+/g, ' ').trim();
+                    });
+                });
+                var width = Math.max.apply(null, cells.map(function(r) { return r.length; }));
+                var line = function(r) {
+                    while (r.length < width) r.push('');
+                    return '| ' + r.join(' | ') + ' |';
+                };
+                var out = [line(cells[0]), '|' + new Array(width).fill(' --- ').join('|') + '|'];
+                cells.slice(1).forEach(function(r) { out.push(line(r)); });
+                return out.join('\\n');
+            }
+
+            function list(el, depth) {
+                var ordered = el.tagName === 'OL';
+                var items = [];
+                var n = 1;
+                Array.from(el.children).forEach(function(li) {
+                    if (li.tagName !== 'LI' || isBoilerplate(li)) return;
+                    var text = '';
+                    var nested = [];
+                    li.childNodes.forEach(function(child) {
+                        if (child.nodeType === 1 && (child.tagName === 'UL' || child.tagName === 'OL')) nested.push(list(child, depth + 1));
+                        else if (child.nodeType === 1 && isBoilerplate(child)) return;
+                        else if (child.nodeType === 1 && /^(P|DIV)$/.test(child.tagName)) text += ' ' + inline(child);
+                        else if (child.nodeType === 1) text += inline({ childNodes: [child] });
+                        else if (child.nodeType === 3) text += child.textContent.replace(/\\s+/g, ' ');
+                    });
+                    text = text.trim();
+                    if (!text && nested.length === 0) return;
+                    var indent = new Array(depth + 1).join('  ');
+                    items.push(indent + (ordered ? (n++) + '. ' : '- ') + text);
+                    nested.forEach(function(block) { if (block) items.push(block); });
+                });
+                return items.join('\\n');
+            }
+
+            function blocks(node, out) {
+                // Text and inline elements between blocks form one paragraph
+                var run = '';
+                function flush() {
+                    var text = run.replace(/[ \\t]+/g, ' ').trim();
+                    if (text) out.push(text);
+                    run = '';
+                }
+
+                node.childNodes.forEach(function(child) {
+                    if (child.nodeType === 3) {
+                        run += child.textContent.replace(/\\s+/g, ' ');
+                        return;
+                    }
+                    if (child.nodeType !== 1 || isBoilerplate(child)) return;
+                    var tag = child.tagName;
+                    if (INLINE_TAGS.test(tag)) {
+                        run += inline({ childNodes: [child] });
+                        return;
+                    }
+                    flush();
+                    if (/^H[1-6]$/.test(tag)) {
+                        var h = inline(child).trim();
+                        if (h) out.push(new Array(Number(tag[1]) + 1).join('#') + ' ' + h);
+                    } else if (tag === 'P') {
+                        var p = inline(child).trim();
+                        if (p) out.push(p);
+                    } else if (tag === 'PRE') {
+                        var code = child.querySelector('code');
+                        var lang = ((code && code.className) || child.className || '').match(/(?:language|lang)-([\\w+#-]+)/);
+                        out.push(FENCE + (lang ? lang[1] : '') + '\\n' + child.textContent.replace(/\\n$/, '') + '\\n' + FENCE);
+                    } else if (tag === 'UL' || tag === 'OL') {
+                        var l = list(child, 0);
+                        if (l) out.push(l);
+                    } else if (tag === 'TABLE') {
+                        var t2 = table(child);
+                        if (t2) out.push(t2);
+                    } else if (tag === 'BLOCKQUOTE') {
+                        var inner = [];
+                        blocks(child, inner);
+                        if (inner.length) out.push(inner.join('\\n\\n').split('\\n').map(function(line) { return '> ' + line; }).join('\\n'));
+                    } else if (tag === 'HR') {
+                        out.push('---');
+                    } else if (tag === 'DL') {
+                        Array.from(child.children).forEach(function(item) {
+                            var text = inline(item).trim();
+                            if (text) out.push(item.tagName === 'DT' ? '**' + text + '**' : text);
+                        });
+                    } else if (tag === 'FIGURE') {
+                        var caption = child.querySelector('figcaption');
+                        var inner2 = [];
+                        blocks(child, inner2);
+                        if (inner2.length) out.push.apply(out, inner2);
+                        else if (caption) out.push('_' + inline(caption).trim() + '_');
+                    } else {
+                        blocks(child, out);
+                    }
+                });
+                flush();
+                return out;
+            }
+
+            // --- Metadata ---
+            function meta(selectors) {
+                for (var i = 0; i < selectors.length; i++) {
+                    var el = document.querySelector(selectors[i]);
+                    var value = el && (el.getAttribute('content') || el.getAttribute('datetime') || el.getAttribute('href') || el.textContent);
+                    if (value && value.trim()) return value.trim();
+                }
+                return null;
+            }
+
+            function jsonLd(key) {
+                var scripts = document.querySelectorAll('script[type="application/ld+json"]');
+                for (var i = 0; i < scripts.length; i++) {
+                    try {
+                        var data = JSON.parse(scripts[i].textContent);
+                        var items = [].concat(data['@graph'] || data);
+                        for (var j = 0; j < items.length; j++) {
+                            var value = items[j] && items[j][key];
+                            if (!value) continue;
+                            if (Array.isArray(value)) value = value[0];
+                            if (typeof value === 'object') value = value.name;
+                            if (value) return String(value);
+                        }
+                    } catch (e) { }
+                }
+                return null;
+            }
+
+            var metadata = {
+                title: meta(['meta[property="og:title"]', 'meta[name="twitter:title"]']) || document.title || meta(['h1']),
+                byline: meta(['meta[name="author"]', 'meta[property="article:author"]', '[itemprop="author"] [itemprop="name"]', '[itemprop="author"]', '[rel="author"]', '.byline', '.author']) || jsonLd('author'),
+                publishedTime: meta(['meta[property="article:published_time"]', 'meta[name="date"]', 'meta[name="pubdate"]', 'meta[itemprop="datePublished"]', 'time[datetime]']) || jsonLd('datePublished'),
+                canonicalUrl: absolute(meta(['link[rel="canonical"]', 'meta[property="og:url"]']) || location.href),
+                lang: document.documentElement.lang || meta(['meta[http-equiv="content-language"]', 'meta[property="og:locale"]']),
+                siteName: meta(['meta[property="og:site_name"]', 'meta[name="application-name"]']),
+                excerpt: meta(['meta[name="description"]', 'meta[property="og:description"]'])
+            };
+            if (metadata.byline && metadata.byline.length > 100) metadata.byline = metadata.byline.substring(0, 100);
+
+            // --- Extract ---
+            var root = findMainContent();
+            var markdown = root ? blocks(root, []).join('\\n\\n') : '';
+            var method = 'readability';
+            if (markdown.length < MIN_CONTENT_CHARS) {
+                markdown = blocks(document.body, []).join('\\n\\n');
+                method = 'body';
+            }
+            markdown = markdown.replace(/\\n{3,}/g, '\\n\\n').trim();
+
+            var truncated = markdown.length > MAX_CHARS;
+            if (truncated) {
+                // Cut at a paragraph boundary when one is reasonably close
+                var cut = markdown.lastIndexOf('\\n\\n', MAX_CHARS);
+                markdown = markdown.substring(0, cut > MAX_CHARS * 0.8 ? cut : MAX_CHARS) + '\\n\\n[…truncated]';
+            }
+
+            return Object.assign(metadata, {
+                url: location.href,
+                markdown: markdown,
+                length: markdown.length,
+                truncated: truncated,
+                method: method
+            });
+        })()
+    `
+}
+
+/**
+ * Extract the main content of a page as Markdown plus metadata:
+ * { title, url, canonicalUrl, byline, publishedTime, lang, siteName, excerpt,
+ *   markdown, text, length, truncated, method }
+ * `text` mirrors `markdown` for callers of the older { text, title, url } shape.
+ */
+async function extractPageContent(webContents, { maxChars = DEFAULT_MAX_CHARS } = {}) {
+    const result = await webContents.executeJavaScript(extractionScript(maxChars))
+    return { ...result, title: result.title || webContents.getTitle(), text: result.markdown }
+}
+
+/** Header lines describing the page's metadata, for prompts */
+function formatPageMetadata(page) {
+    return [
+        `**Title:** ${page.title}`,
+        `**URL:** ${page.canonicalUrl || page.url}`,
+        page.byline && `**Author:** ${page.byline}`,
+        page.publishedTime && `**Published:** ${page.publishedTime}`,
+        page.siteName && `**Site:** ${page.siteName}`,
+        page.lang && `**Language:** ${page.lang}`,
+        page.isPdf && `**Format:** PDF, ${page.pageCount} pages`
+    ].filter(Boolean).join('\n')
+}
+
+/**
+ * Split extracted Markdown into chunks of at most `maxChars`, on section boundaries.
+ * Consecutive short sections share a chunk; a section longer than `maxChars` is cut
+ * at paragraph boundaries into parts. Headings inside code fences are ignored.
+ * Returns [{ id: '§1', title, markdown }].
+ */
+function splitSections(markdown, maxChars) {
+    const sections = []
+    let current = { heading: null, lines: [] }
+    let inFence = false
+    for (const line of markdown.split('\n')) {
+        if (line.startsWith('```')) inFence = !inFence
+        const heading = !inFence && line.match(/^#{1,6}\s+(.+)$/)
+        if (heading && current.lines.some(l => l.trim())) {
+            sections.push(current)
+            current = { heading: null, lines: [] }
+        }
+        if (heading) current.heading = heading[1].trim()
+        current.lines.push(line)
+    }
+    sections.push(current)
+
+    // Cut oversized sections into paragraph-aligned parts
+    const pieces = []
+    for (const section of sections) {
+        const text = section.lines.join('\n').trim()
+        if (!text) continue
+        const heading = section.heading || (pieces.length ? 'Untitled section' : 'Introduction')
+        if (text.length <= maxChars) {
+            pieces.push({ heading, text })
+            continue
+        }
+        let rest = text
+        for (let part = 1; rest; part++) {
+            let cut = rest.length <= maxChars ? rest.length : rest.lastIndexOf('\n\n', maxChars)
+            if (cut < maxChars * 0.5) cut = Math.min(rest.length, maxChars)
+            pieces.push({ heading: `${heading} (part ${part})`, text: rest.substring(0, cut).trim() })
+            rest = rest.substring(cut).trim()
+        }
+    }
+
+    // Pack consecutive pieces into chunks
+    const chunks = []
+    for (const piece of pieces) {
+        const last = chunks[chunks.length - 1]
+        if (last && last.markdown.length + piece.text.length + 2 <= maxChars) {
+            last.markdown += '\n\n' + piece.text
+            last.headings.push(piece.heading)
+        } else {
+            chunks.push({ headings: [piece.heading], markdown: piece.text })
+        }
+    }
+    return chunks.map(({ headings, markdown }, i) => ({
+        id: `§${i + 1}`,
+        title: headings.length > 1 ? `${headings[0]} … ${headings[headings.length - 1]}` : headings[0],
+        markdown
+    }))
+}
+
+export { extractPageContent, formatPageMetadata, splitSections, DEFAULT_MAX_CHARS, SUMMARY_MAX_CHARS }
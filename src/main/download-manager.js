@@ -0,0 +1,249 @@
+/**
+ * Download Manager — saves every download of the browser session to the download
+ * folder and tracks its progress, so the downloads panel can pause, resume, cancel
+ * and open them, and automations can wait for a file (WAIT_DOWNLOAD).
+ *
+ * Electron's DownloadItem objects only live for the session; the finished list
+ * (without the items) is kept in the settings store under `downloads`, written a
+ * moment after the last change since electron-store rewrites the whole file.
+ */
+
+import fs from 'fs'
+import path from 'path'
+import { app, shell } from 'electron'
+
+const DOWNLOADS_MAX = 200
+// Progress events are sent to the renderer at most this often per download
+const PROGRESS_INTERVAL_MS = 250
+const WAIT_DEFAULT_TIMEOUT_MS = 60000
+const SAVE_DELAY_MS = 1000
+
+/** `name.ext`, `name (1).ext`, … — the first path that is neither on disk nor being downloaded to */
+function uniquePath(folder, filename, taken) {
+    const ext = path.extname(filename)
+    const base = path.basename(filename, ext)
+    for (let n = 0; ; n++) {
+        const candidate = path.join(folder, n ? `${base} (${n})${ext}` : filename)
+        if (!fs.existsSync(candidate) && !taken.has(candidate)) return candidate
+    }
+}
+
+class DownloadManager {
+    constructor(store) {
+        this.store = store
+        this.downloads = store.get('downloads') || []   // newest last
+        this.items = new Map()      // id → DownloadItem, for downloads of this session
+        this._waiters = []
+        this._claimed = new Set()   // ids already handed to a waitForDownload() call
+        this._origins = new Map()   // id → id of the webContents that started the download
+        this._lastSent = new Map()  // id → time of the last progress event
+        this._saveTimer = null
+        this.onChange = null        // (download) => void
+        this.onLog = null           // (level, category, message) => void
+
+        // A download still running when the app quit can no longer be resumed
+        for (const d of this.downloads) {
+            if (d.state === 'progressing' || d.state === 'paused') d.state = 'interrupted'
+        }
+    }
+
+    /** Folder new downloads are saved to — the configured one, or the system Downloads folder */
+    folder() {
+        return this.store.get('downloadSettings')?.folder || app.getPath('downloads')
+    }
+
+    /** Handle the session's downloads (call once at startup) */
+    attach(session) {
+        session.on('will-download', (event, item, webContents) => this._track(item, webContents))
+    }
+
+    _track(item, webContents) {
+        const folder = this.folder()
+        fs.mkdirSync(folder, { recursive: true })
+        const taken = new Set([...this.items.values()].map(i => i.getSavePath()))
+        const savePath = uniquePath(folder, item.getFilename() || 'download', taken)
+        item.setSavePath(savePath)
+
+        const download = {
+            id: `dl-${Date.now()}-${Math.random().toString(36).slice(2, 7)}`,
+            url: item.getURL(),
+            filename: path.basename(savePath),
+            savePath,
+            mimeType: item.getMimeType(),
+            state: 'progressing',
+            receivedBytes: 0,
+            totalBytes: item.getTotalBytes(),
+            bytesPerSecond: 0,
+            startedAt: Date.now(),
+            endedAt: null
+        }
+        this.items.set(download.id, item)
+        if (webContents) this._origins.set(download.id, webContents.id)
+        this.downloads.push(download)
+        if (this.downloads.length > DOWNLOADS_MAX) {
+            this.downloads.splice(0, this.downloads.length - DOWNLOADS_MAX)
+            this._prune()
+        }
+        this.onLog?.('info', 'Browser', `Download started: ${download.filename} (${download.url})`)
+
+        item.on('updated', (e, state) => {
+            const paused = item.isPaused()
+            const changed = download.state !== (paused ? 'paused' : state)
+            download.state = paused ? 'paused' : state
+            download.receivedBytes = item.getReceivedBytes()
+            download.totalBytes = item.getTotalBytes()
+            download.bytesPerSecond = paused ? 0 : item.getCurrentBytesPerSecond()
+            this._emit(download, changed)
+        })
+        item.once('done', (e, state) => {
+            download.state = state
+            download.receivedBytes = item.getReceivedBytes()
+            download.bytesPerSecond = 0
+            download.endedAt = Date.now()
+            this.items.delete(download.id)
+            this._lastSent.delete(download.id)
+            this.onLog?.(state === 'completed' ? 'info' : 'warn', 'Browser', `Download ${state}: ${download.filename}`)
+            this._emit(download, true)
+            this._save()
+        })
+
+        this._emit(download, true)
+        this._save()
+    }
+
+    list() {
+        return [...this.downloads].reverse()
+    }
+
+    pause(id) {
+        const item = this.items.get(id)
+        if (!item) return { error: 'Download is not in progress' }
+        item.pause()
+        return { success: true }
+    }
+
+    resume(id) {
+        const item = this.items.get(id)
+        if (!item?.canResume()) return { error: 'Download cannot be resumed' }
+        item.resume()
+        return { success: true }
+    }
+
+    cancel(id) {
+        const item = this.items.get(id)
+        if (!item) return { error: 'Download is not in progress' }
+        item.cancel()
+        return { success: true }
+    }
+
+    async open(id) {
+        const download = this._completed(id)
+        if (download.error) return download
+        const error = await shell.openPath(download.savePath)
+        return error ? { error } : { success: true }
+    }
+
+    showInFolder(id) {
+        const download = this._completed(id)
+        if (download.error) return download
+        shell.showItemInFolder(download.savePath)
+        return { success: true }
+    }
+
+    /** Remove a finished download from the list (the file stays on disk) */
+    remove(id) {
+        if (this.items.has(id)) return { error: 'Cancel the download first' }
+        this.downloads = this.downloads.filter(d => d.id !== id)
+        this._prune()
+        this._save()
+        return { success: true }
+    }
+
+    /** Remove all finished downloads from the list */
+    clear() {
+        this.downloads = this.downloads.filter(d => this.items.has(d.id))
+        this._prune()
+        this._save()
+        return { success: true }
+    }
+
+    /**
+     * Resolve with the next download started at or after `since` — with `webContents`,
+     * only one that page started — once it has been saved; rejects if it is cancelled or
+     * fails, or after `timeoutMs`. Each download is handed to one waiter only, so two
+     * WAIT_DOWNLOAD steps wait for two files.
+     */
+    waitForDownload({ since = 0, webContents = null, timeoutMs = WAIT_DEFAULT_TIMEOUT_MS } = {}) {
+        return new Promise((resolve, reject) => {
+            const waiter = { since, origin: webContents?.id ?? null, resolve, reject, download: null }
+            waiter.timer = setTimeout(() => {
+                this._waiters = this._waiters.filter(w => w !== waiter)
+                // A download still in progress goes back to the next WAIT_DOWNLOAD (e.g. a retry)
+                if (waiter.download) this._claimed.delete(waiter.download.id)
+                const seconds = timeoutMs / 1000
+                reject(new Error(waiter.download
+                    ? `"${waiter.download.filename}" was still downloading after ${seconds}s`
+                    : `No download started within ${seconds}s`))
+            }, timeoutMs)
+            this._waiters.push(waiter)
+            this._serveWaiters()
+        })
+    }
+
+    _serveWaiters() {
+        for (const waiter of [...this._waiters]) {
+            if (!waiter.download) {
+                waiter.download = this.downloads.find(d => !this._claimed.has(d.id) && d.startedAt >= waiter.since &&
+                    (waiter.origin === null || this._origins.get(d.id) === waiter.origin)) || null
+                if (!waiter.download) continue
+                this._claimed.add(waiter.download.id)
+            }
+            const { state, filename } = waiter.download
+            if (state !== 'completed' && state !== 'cancelled' && state !== 'interrupted') continue
+            clearTimeout(waiter.timer)
+            this._waiters = this._waiters.filter(w => w !== waiter)
+            if (state === 'completed') waiter.resolve({ ...waiter.download })
+            else waiter.reject(new Error(`Download of "${filename}" was ${state}`))
+        }
+    }
+
+    _completed(id) {
+        const download = this.downloads.find(d => d.id === id)
+        if (download?.state !== 'completed') return { error: 'Download has not finished' }
+        if (!fs.existsSync(download.savePath)) return { error: 'File was moved or deleted' }
+        return download
+    }
+
+    /** Notify the renderer; plain progress updates are throttled */
+    _emit(download, important) {
+        const now = Date.now()
+        if (!important && now - (this._lastSent.get(download.id) || 0) < PROGRESS_INTERVAL_MS) return
+        this._lastSent.set(download.id, now)
+        if (important) this._serveWaiters()
+        this.onChange?.({ ...download })
+    }
+
+    /** Forget claims and origins of downloads that are no longer in the list */
+    _prune() {
+        const ids = new Set(this.downloads.map(d => d.id))
+        for (const id of this._claimed) {
+            if (!ids.has(id)) this._claimed.delete(id)
+        }
+        for (const id of this._origins.keys()) {
+            if (!ids.has(id)) this._origins.delete(id)
+        }
+    }
+
+    _save() {
+        if (!this._saveTimer) this._saveTimer = setTimeout(() => this.flush(), SAVE_DELAY_MS)
+    }
+
+    /** Write unsaved changes now (called on quit) */
+    flush() {
+        clearTimeout(this._saveTimer)
+        this._saveTimer = null
+        this.store.set('downloads', this.downloads)
+    }
+}
+
+export { DownloadManager }
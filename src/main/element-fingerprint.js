@@ -0,0 +1,209 @@
+/**
+ * Element Fingerprint — what a step's target looked like, so the step can find it
+ * again after the site changed and its selector no longer matches (self-healing).
+ *
+ * A fingerprint is { tag, id, testId, role, ariaLabel, text, label, name, placeholder,
+ * type, href, x, y }, empty fields left out: the element's identifying traits, the
+ * label or caption next to it, and its position in the page. The recorder stores one
+ * on each CLICK_ELEMENT / FILL step, and runs of saved automations add them to steps
+ * that have none. When a step's selector finds nothing, its fingerprint is scored
+ * against the page's elements of the same tag or role (see confidentMatch).
+ */
+
+// A healed match must score at least this (0..1) and beat the runner-up by HEAL_MARGIN
+const HEAL_MIN_SCORE = 0.6
+const HEAL_MARGIN = 0.1
+// Candidates offered to the model when no match is confident
+const CANDIDATE_LIMIT = 5
+
+/**
+ * In-page source (run with SELECTOR_ENGINE in scope) defining __fingerprintOf(el),
+ * __similarity(el, fingerprint) → 0..1, __selectorFor(el) — the steadiest selector
+ * matching only that element — and __healCandidates(fingerprint, limit).
+ */
+const ELEMENT_FINGERPRINT = `
+    const __TEST_ATTRIBUTES = ['data-testid', 'data-test-id', 'data-test', 'data-qa', 'data-cy'];
+    // Trait → weight in __similarity; position counts least, it shifts with any layout change
+    const __TRAIT_WEIGHTS = { testId: 4, id: 3, ariaLabel: 3, text: 3, label: 2, name: 2, placeholder: 2, href: 2, role: 1, type: 1 };
+    const __POSITION_WEIGHT = 1;
+
+    function __clean(text) {
+        return String(text || '').replace(/\\s+/g, ' ').trim();
+    }
+    // Ids with long digit runs or separators are usually generated per render
+    function __stableId(id) {
+        return Boolean(id) && !/\\d{3,}|^\\d|[:.]/.test(id);
+    }
+    function __testIdOf(el) {
+        const attribute = __TEST_ATTRIBUTES.find(a => el.hasAttribute(a));
+        return attribute ? el.getAttribute(attribute) : null;
+    }
+
+    // The text labelling an element: its <label>, aria-labelledby, or the caption just before it
+    function __labelOf(el) {
+        if (el.labels && el.labels.length) return __clean(el.labels[0].innerText).substring(0, 80);
+        const labelledBy = el.getAttribute('aria-labelledby');
+        if (labelledBy) {
+            const text = labelledBy.split(/\\s+/).map(id => el.ownerDocument.getElementById(id)).filter(Boolean).map(n => n.innerText).join(' ');
+            if (__clean(text)) return __clean(text).substring(0, 80);
+        }
+        for (let node = el, depth = 0; node && depth < 3; node = node.parentElement, depth++) {
+            for (let prev = node.previousElementSibling; prev; prev = prev.previousElementSibling) {
+                const text = __clean(prev.innerText);
+                if (text) return text.substring(0, 80);
+            }
+        }
+        return '';
+    }
+
+    function __fingerprintOf(el) {
+        const win = el.ownerDocument.defaultView;
+        const rect = el.getBoundingClientRect();
+        const field = ['INPUT', 'TEXTAREA', 'SELECT'].includes(el.tagName);
+        const fingerprint = {
+            tag: el.tagName.toLowerCase(),
+            id: el.id,
+            testId: __testIdOf(el),
+            role: __roleOf(el),
+            ariaLabel: __clean(el.getAttribute('aria-label')),
+            // A field's value is what the step changes, not what identifies it
+            text: field ? '' : __clean(el.innerText || el.textContent).substring(0, 120),
+            label: __labelOf(el),
+            name: el.getAttribute('name'),
+            placeholder: el.getAttribute('placeholder'),
+            type: el.getAttribute('type'),
+            href: el.getAttribute('href'),
+            x: Math.round(rect.x + rect.width / 2 + win.scrollX),
+            y: Math.round(rect.y + rect.height / 2 + win.scrollY)
+        };
+        for (const key of Object.keys(fingerprint)) {
+            if (fingerprint[key] === null || fingerprint[key] === '') delete fingerprint[key];
+        }
+        return fingerprint;
+    }
+
+    // 1 for equal texts, partial credit for containment or shared words
+    function __textSimilarity(a, b) {
+        a = __clean(a).toLowerCase();
+        b = __clean(b).toLowerCase();
+        if (!a || !b) return 0;
+        if (a === b) return 1;
+        if (a.includes(b) || b.includes(a)) return 0.2 + 0.8 * Math.min(a.length, b.length) / Math.max(a.length, b.length);
+        const wordsA = new Set(a.split(' '));
+        const wordsB = new Set(b.split(' '));
+        let common = 0;
+        for (const word of wordsA) if (wordsB.has(word)) common++;
+        return common / (wordsA.size + wordsB.size - common);
+    }
+
+    function __similarity(el, fingerprint) {
+        const now = __fingerprintOf(el);
+        let score = 0;
+        let total = 0;
+        for (const [trait, weight] of Object.entries(__TRAIT_WEIGHTS)) {
+            if (fingerprint[trait] == null) continue;
+            total += weight;
+            if (now[trait] == null) continue;
+            if (trait === 'text' || trait === 'label' || trait === 'ariaLabel' || trait === 'placeholder') {
+                score += weight * __textSimilarity(now[trait], fingerprint[trait]);
+            } else if (trait === 'href' && now.href !== fingerprint.href) {
+                score += now.href.split('?')[0] === fingerprint.href.split('?')[0] ? weight * 0.7 : 0;
+            } else if (now[trait] === fingerprint[trait]) {
+                score += weight;
+            }
+        }
+        if (fingerprint.x != null) {
+            total += __POSITION_WEIGHT;
+            const distance = Math.hypot(now.x - fingerprint.x, now.y - fingerprint.y);
+            score += __POSITION_WEIGHT * Math.max(0, 1 - distance / 600);
+        }
+        if (!total) return 0;
+        // A different kind of element is a weak match, whatever its text
+        return now.tag === fingerprint.tag ? score / total : score / total / 2;
+    }
+
+    // Selector order: hand-written #id, test attribute, [aria-label], role plus accessible
+    // name, form field name, then a CSS path. Elements in a shadow root or a same-origin
+    // frame are scoped by their host / <iframe>.
+    function __selectorFor(el) {
+        const root = el.getRootNode();
+        const owner = root.host || (el.ownerDocument !== document ? el.ownerDocument.defaultView.frameElement : null);
+        const prefix = owner ? __selectorFor(owner) + ' >>> ' : '';
+        const unique = (selector, node) => {
+            try {
+                const found = __deepQuery(prefix + selector, 2);
+                return found.length === 1 && found[0].el === node;
+            } catch (e) {
+                return false;
+            }
+        };
+
+        const tag = el.tagName.toLowerCase();
+        const candidates = [];
+        if (__stableId(el.id)) candidates.push('#' + CSS.escape(el.id));
+        for (const attribute of __TEST_ATTRIBUTES) {
+            if (el.hasAttribute(attribute)) candidates.push('[' + attribute + '=' + JSON.stringify(el.getAttribute(attribute)) + ']');
+        }
+        const label = el.getAttribute('aria-label');
+        if (label) candidates.push(tag + '[aria-label=' + JSON.stringify(label) + ']');
+        const role = __roleOf(el);
+        const name = role && __nameOf(el);
+        if (name && name.length <= 80) candidates.push('role=' + role + '[name=' + JSON.stringify(name) + ']');
+        if (el.name && ['INPUT', 'SELECT', 'TEXTAREA'].includes(el.tagName)) candidates.push(tag + '[name=' + JSON.stringify(el.name) + ']');
+        const best = candidates.find(selector => unique(selector, el));
+        if (best) return prefix + best;
+
+        // CSS path up to the document or shadow root, or to an ancestor with a unique id
+        const parts = [];
+        for (let node = el; node && node.nodeType === 1; node = node.parentNode) {
+            if (node !== el && __stableId(node.id) && unique('#' + CSS.escape(node.id), node)) {
+                parts.unshift('#' + CSS.escape(node.id));
+                break;
+            }
+            const parent = node.parentNode;
+            const same = parent ? [...parent.children].filter(c => c.tagName === node.tagName) : [];
+            const step = node.tagName.toLowerCase();
+            parts.unshift(same.length > 1 ? step + ':nth-of-type(' + (same.indexOf(node) + 1) + ')' : step);
+        }
+        return prefix + parts.join(' > ');
+    }
+
+    // Visible elements of the same tag or role as the fingerprint, best match first
+    function __healCandidates(fingerprint, limit) {
+        const scored = [];
+        for (const { el } of __deepQuery('*', Infinity)) {
+            if (el.tagName.toLowerCase() !== fingerprint.tag && !(fingerprint.role && __roleOf(el) === fingerprint.role)) continue;
+            const rect = el.getBoundingClientRect();
+            if (!rect.width || !rect.height) continue;
+            const score = __similarity(el, fingerprint);
+            if (score > 0.2) scored.push({ el, score });
+        }
+        scored.sort((a, b) => b.score - a.score);
+        return scored.slice(0, limit).map(({ el, score }) => ({
+            selector: __selectorFor(el),
+            score: Math.round(score * 100) / 100,
+            fingerprint: __fingerprintOf(el)
+        }));
+    }
+`
+
+/**
+ * The candidate to heal to, from candidates of all frames sorted best first: the top
+ * one when it scores HEAL_MIN_SCORE and clearly beats the runner-up, else null
+ */
+function confidentMatch(candidates) {
+    const [best, second] = candidates
+    if (!best || best.score < HEAL_MIN_SCORE) return null
+    if (second && best.score - second.score < HEAL_MARGIN) return null
+    return best
+}
+
+/** One line describing a fingerprint, for the model and the run report */
+function describeFingerprint(fingerprint) {
+    const traits = ['text', 'ariaLabel', 'label', 'placeholder', 'name', 'id', 'testId', 'role', 'type', 'href']
+        .filter(key => fingerprint[key] != null)
+        .map(key => `${key}: ${JSON.stringify(fingerprint[key])}`)
+    return `<${fingerprint.tag}> ${traits.join(', ')}`
+}
+
+export { ELEMENT_FINGERPRINT, CANDIDATE_LIMIT, confidentMatch, describeFingerprint }
@@ -0,0 +1,260 @@
+/**
+ * Element Locator — finds elements inside open shadow roots and in every frame
+ *
+ * Two layers:
+ * 1. SELECTOR_ENGINE, injected with each in-page script: a CSS query that descends
+ *    into open shadow roots and same-origin iframes (breadth-first, so light-DOM
+ *    matches win), with `host >>> inner` to scope a query to one shadow root or frame,
+ *    a trailing `>> nth=N` to pick the Nth match (0-based; BrowserAutomation numbers
+ *    the matches of all frames together, as FOR_EACH counts them), and
+ *    `role=button[name="Sign in"]` steps matching an ARIA role (explicit or implied by
+ *    the tag) and accessible name, as the recorder generates.
+ * 2. FrameContexts, for frames the page itself cannot script (cross-origin, including
+ *    site-isolated OOPIFs): tracks each frame's default CDP execution context — OOPIFs
+ *    through flattened auto-attached target sessions — so the same script can run
+ *    there, and translates the frame's coordinates back to the tab's viewport.
+ */
+
+/**
+ * In-page source defining __deepQuery(selector, limit) → [{ el, frames }],
+ * __roleOf(el), __nameOf(el) and __rectOf(match). `frames` lists the same-origin iframe elements between the
+ * document and the element; __rectOf adds their offsets, so rects are in the
+ * viewport of the frame the script runs in.
+ */
+const SELECTOR_ENGINE = `
+    function __frameDoc(el) {
+        if (el.tagName !== 'IFRAME' && el.tagName !== 'FRAME') return null;
+        try { return el.contentDocument; } catch (e) { return null; }
+    }
+    const __INPUT_ROLES = { button: 'button', submit: 'button', reset: 'button', image: 'button', checkbox: 'checkbox', radio: 'radio', search: 'searchbox', range: 'slider', number: 'spinbutton', text: 'textbox', email: 'textbox', tel: 'textbox', url: 'textbox' };
+    const __TAG_ROLES = { BUTTON: 'button', SELECT: 'combobox', TEXTAREA: 'textbox', SUMMARY: 'button', IMG: 'img', LI: 'listitem', OPTION: 'option', NAV: 'navigation', H1: 'heading', H2: 'heading', H3: 'heading', H4: 'heading', H5: 'heading', H6: 'heading' };
+    function __roleOf(el) {
+        const role = (el.getAttribute('role') || '').trim().split(/\\s+/)[0];
+        if (role) return role;
+        if (el.tagName === 'A' || el.tagName === 'AREA') return el.hasAttribute('href') ? 'link' : null;
+        if (el.tagName === 'INPUT') return __INPUT_ROLES[(el.getAttribute('type') || 'text').toLowerCase()] || null;
+        return __TAG_ROLES[el.tagName] || null;
+    }
+    function __nameOf(el) {
+        const label = el.getAttribute('aria-label');
+        if (label && label.trim()) return label.trim();
+        let name = '';
+        if (el.labels && el.labels.length) name = el.labels[0].innerText;
+        else if (el.tagName === 'IMG') name = el.alt || '';
+        else if (el.tagName === 'INPUT') name = ['button', 'submit', 'reset'].includes(el.type) ? el.value : el.placeholder || '';
+        else name = el.innerText || el.textContent || '';
+        return name.replace(/\\s+/g, ' ').trim();
+    }
+    // Matches of one selector step directly under a root: CSS, or role=ROLE[name="NAME"] (exact name)
+    function __select(root, selector) {
+        const role = selector.match(/^role=([\\w-]+)(?:\\[name=("(?:[^"\\\\]|\\\\.)*")\\])?$/);
+        if (!role) return root.querySelectorAll(selector);
+        const name = role[2] ? JSON.parse(role[2]) : null;
+        return [...root.querySelectorAll('*')].filter(el => __roleOf(el) === role[1] && (name === null || __nameOf(el) === name));
+    }
+    function __search(scopes, selector, limit) {
+        const found = [];
+        const seen = new Set();
+        const queue = scopes.slice();
+        while (queue.length && found.length < limit) {
+            const { root, frames } = queue.shift();
+            for (const el of __select(root, selector)) {
+                if (seen.has(el)) continue;
+                seen.add(el);
+                found.push({ el, frames });
+                if (found.length >= limit) break;
+            }
+            for (const el of root.querySelectorAll('*')) {
+                if (el.shadowRoot) queue.push({ root: el.shadowRoot, frames });
+                const doc = __frameDoc(el);
+                if (doc) queue.push({ root: doc, frames: frames.concat(el) });
+            }
+        }
+        return found;
+    }
+    function __deepQuery(selector, limit) {
+        const nth = selector.match(/^(.*[^>\\s])\\s*>>\\s*nth=(\\d+)\\s*$/);
+        if (nth) {
+            const match = __deepQuery(nth[1], +nth[2] + 1)[+nth[2]];
+            return match ? [match] : [];
+        }
+        const steps = selector.split('>>>').map(s => s.trim()).filter(Boolean);
+        if (!steps.length) return [];
+        let scopes = [{ root: document, frames: [] }];
+        for (const step of steps.slice(0, -1)) {
+            scopes = __search(scopes, step, Infinity).map(({ el, frames }) => {
+                if (el.shadowRoot) return { root: el.shadowRoot, frames };
+                const doc = __frameDoc(el);
+                return doc ? { root: doc, frames: frames.concat(el) } : null;
+            }).filter(Boolean);
+        }
+        return __search(scopes, steps[steps.length - 1], limit || Infinity);
+    }
+    function __rectOf(match) {
+        const r = match.el.getBoundingClientRect();
+        let x = r.x, y = r.y;
+        for (const frame of match.frames) {
+            const fr = frame.getBoundingClientRect();
+            const style = getComputedStyle(frame);
+            x += fr.x + frame.clientLeft + parseFloat(style.paddingLeft);
+            y += fr.y + frame.clientTop + parseFloat(style.paddingTop);
+        }
+        return { x, y, width: r.width, height: r.height };
+    }
+`
+
+// Content-box origin of an iframe element in its document's viewport (called on the owner element)
+const FRAME_CONTENT_ORIGIN = `function() {
+    const r = this.getBoundingClientRect();
+    const style = getComputedStyle(this);
+    return { x: r.x + this.clientLeft + parseFloat(style.paddingLeft), y: r.y + this.clientTop + parseFloat(style.paddingTop) };
+}`
+
+class FrameContexts {
+    /** Start tracking a tab's frames; the CDP debugger must already be attached */
+    constructor(webContents) {
+        this.webContents = webContents
+        this.contexts = new Map()   // `${sessionId}/${contextId}` → { sessionId, contextId, frameId }
+        this.sessions = new Set()   // CDP sessions of auto-attached OOPIF targets
+        this.parents = new Map()    // frameId → parent frameId, refreshed by list()
+        this._onMessage = (event, method, params, sessionId) => this._handle(method, params, sessionId || '')
+        webContents.debugger.on('message', this._onMessage)
+    }
+
+    /** Stop tracking (the debugger detached, or enabling failed) */
+    dispose() {
+        if (!this.webContents.isDestroyed()) this.webContents.debugger.removeListener('message', this._onMessage)
+        this.contexts.clear()
+        this.sessions.clear()
+    }
+
+    /** Enable context tracking in a session ('' = the tab itself) and auto-attach its OOPIFs */
+    async enable(sessionId = '') {
+        await this._send('Runtime.enable', {}, sessionId)
+        await this._send('DOM.enable', {}, sessionId)
+        await this._send('Target.setAutoAttach', {
+            autoAttach: true,
+            waitForDebuggerOnStart: false,
+            flatten: true,
+            filter: [{ type: 'iframe' }]
+        }, sessionId)
+    }
+
+    /**
+     * Frames to search, each { sessionId, contextId, frameId, url }: the main frame
+     * first (contextId null evaluates in its default context), then every other
+     * frame's default context.
+     */
+    async list() {
+        const sessions = ['', ...this.sessions]
+        const trees = await Promise.all(sessions.map(s => this._send('Page.getFrameTree', {}, s).catch(() => null)))
+        this.parents.clear()
+        const urls = new Map()
+        const walk = (node) => {
+            urls.set(node.frame.id, node.frame.url)
+            for (const child of node.childFrames || []) {
+                this.parents.set(child.frame.id, node.frame.id)
+                walk(child)
+            }
+        }
+        for (const tree of trees) {
+            if (!tree) continue
+            // The root of an OOPIF session's tree names its parent in the embedding session
+            if (tree.frameTree.frame.parentId) this.parents.set(tree.frameTree.frame.id, tree.frameTree.frame.parentId)
+            walk(tree.frameTree)
+        }
+        const mainFrameId = trees[0]?.frameTree.frame.id
+        return [
+            { sessionId: '', contextId: null, frameId: mainFrameId, url: urls.get(mainFrameId) },
+            ...[...this.contexts.values()]
+                .filter(c => c.frameId !== mainFrameId)
+                .map(c => ({ ...c, url: urls.get(c.frameId) || null }))
+        ]
+    }
+
+    /** Evaluate an expression in a frame; by value unless `returnByValue` is false (then the remote object) */
+    async evaluate(frame, expression, { returnByValue = true } = {}) {
+        const { result, exceptionDetails } = await this._send('Runtime.evaluate', {
+            expression,
+            returnByValue,
+            awaitPromise: true,
+            ...(frame.contextId != null && { contextId: frame.contextId })
+        }, frame.sessionId)
+        if (exceptionDetails) throw new Error(exceptionDetails.exception?.description || exceptionDetails.text)
+        return returnByValue ? result.value : result
+    }
+
+    /**
+     * Offset of a frame's viewport within the tab's viewport: the content-box origin
+     * of each owner <iframe>, summed up the frame tree. Call list() first.
+     */
+    async frameOffset(frameId) {
+        let x = 0
+        let y = 0
+        for (let id = frameId; this.parents.has(id); id = this.parents.get(id)) {
+            const session = this._sessionOf(this.parents.get(id))
+            const { backendNodeId } = await this._send('DOM.getFrameOwner', { frameId: id }, session)
+            const { object } = await this._send('DOM.resolveNode', { backendNodeId }, session)
+            try {
+                const { result } = await this._send('Runtime.callFunctionOn', {
+                    objectId: object.objectId,
+                    functionDeclaration: FRAME_CONTENT_ORIGIN,
+                    returnByValue: true
+                }, session)
+                x += result.value.x
+                y += result.value.y
+            } finally {
+                this._send('Runtime.releaseObject', { objectId: object.objectId }, session).catch(() => { })
+            }
+        }
+        return { x, y }
+    }
+
+    /** The session whose renderer hosts a frame — the one its execution context was reported in */
+    _sessionOf(frameId) {
+        for (const c of this.contexts.values()) {
+            if (c.frameId === frameId) return c.sessionId
+        }
+        return ''
+    }
+
+    _send(method, params, sessionId) {
+        // Electron rejects an empty session id — omit it for the tab's own session
+        return sessionId
+            ? this.webContents.debugger.sendCommand(method, params, sessionId)
+            : this.webContents.debugger.sendCommand(method, params)
+    }
+
+    _handle(method, params, sessionId) {
+        switch (method) {
+            case 'Runtime.executionContextCreated': {
+                const { id, auxData } = params.context
+                if (auxData?.isDefault) this.contexts.set(`${sessionId}/${id}`, { sessionId, contextId: id, frameId: auxData.frameId })
+                break
+            }
+            case 'Runtime.executionContextDestroyed':
+                this.contexts.delete(`${sessionId}/${params.executionContextId}`)
+                break
+            case 'Runtime.executionContextsCleared':
+                this._forgetSession(sessionId)
+                break
+            case 'Target.attachedToTarget':
+                if (params.targetInfo.type !== 'iframe') break
+                this.sessions.add(params.sessionId)
+                this.enable(params.sessionId).catch(err => console.warn('[Automation] Could not track frame:', err.message))
+                break
+            case 'Target.detachedFromTarget':
+                this.sessions.delete(params.sessionId)
+                this._forgetSession(params.sessionId)
+                break
+        }
+    }
+
+    _forgetSession(sessionId) {
+        for (const [key, c] of this.contexts) {
+            if (c.sessionId === sessionId) this.contexts.delete(key)
+        }
+    }
+}
+
+export { SELECTOR_ENGINE, FrameContexts }
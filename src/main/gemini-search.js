@@ -30,9 +30,13 @@ class GeminiSearch {
                     googleSearch: {}
                 }
             ],
+            // Low temperature keeps grounded answers close to the sources;
+            // the other limits follow the Gemini provider settings
             generationConfig: {
                 temperature: 0.3,
-                maxOutputTokens: 4096
+                maxOutputTokens: geminiConfig.maxTokens ?? 4096,
+                ...(geminiConfig.topP != null && { topP: geminiConfig.topP }),
+                ...(geminiConfig.stopSequences?.length && { stopSequences: geminiConfig.stopSequences })
             },
             systemInstruction: {
                 parts: [{
@@ -70,6 +74,7 @@ Prioritize academic and authoritative sources.`
             content: text,
             sources,
             model: geminiConfig.model,
+            usage: data.usageMetadata,
             query
         }
     }
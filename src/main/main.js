@@ -1,10 +1,22 @@
-import { app, BrowserWindow, ipcMain, WebContentsView, shell } from 'electron'
+import { app, BrowserWindow, ipcMain, WebContentsView, shell, session, dialog } from 'electron'
 import path from 'path'
 import { fileURLToPath } from 'url'
-import { AIService } from './ai-service.js'
+import { AIService, EMBEDDING_DEFAULTS } from './ai-service.js'
 import { AdBlocker } from './ad-blocker.js'
 import { GeminiSearch } from './gemini-search.js'
+import { UsageLedger } from './usage-ledger.js'
+import { BrowsingHistory, SNAPSHOT_MAX_CHARS } from './browsing-history.js'
+import { SemanticIndex } from './semantic-index.js'
+import { DownloadManager } from './download-manager.js'
 import { BrowserAutomation } from './browser-automation.js'
+import { runAssertion } from './automation-assertions.js'
+import { AutomationRecorder } from './automation-recorder.js'
+import { AutomationScheduler } from './automation-scheduler.js'
+import { PageWatcher } from './page-watcher.js'
+import { AUTOMATION_TOOLS, FINISH_TOOL, toolCallToCommand, executeAutomationTool, observePage, formatObservation } from './automation-tools.js'
+import { escapeVariables } from '../shared/automation-variables.js'
+import { extractPageContent, formatPageMetadata, SUMMARY_MAX_CHARS, DEFAULT_MAX_CHARS } from './content-extractor.js'
+import { watchPdfResponses, isPdfTab, forgetPdfTab, extractPdfContent } from './pdf-extractor.js'
 import Store from 'electron-store'
 import os from 'os'
 import { initUpdater, stopUpdater } from './updater.js'
@@ -14,6 +26,8 @@ const __dirname = path.dirname(__filename)
 
 // Headless e2e test mode — see tests/headless-runner.js
 const runTestsMode = process.argv.includes('--run-tests')
+// --suite=local|live|all — which test cases it runs (local ones need no network)
+const testSuite = process.argv.find(arg => arg.startsWith('--suite='))?.slice('--suite='.length) || 'all'
 
 // ============================================================
 // DEV MODE LOGGING SYSTEM
@@ -57,7 +71,8 @@ const store = new Store({
                 openrouter: { apiKey: '', model: 'anthropic/claude-sonnet-4-6', baseUrl: 'https://openrouter.ai/api/v1' },
                 ollama: { apiKey: '', model: 'llama3.2', baseUrl: 'http://localhost:11434' },
                 lmstudio: { apiKey: '', model: 'local-model', baseUrl: 'http://localhost:1234/v1' }
-            }
+            },
+            fallbackProviders: []   // tried in order when the active provider is rate-limited or unreachable
         },
         adBlockEnabled: true,
         theme: 'dark',
@@ -70,6 +85,9 @@ const store = new Store({
             language: 'en',
             keySource: 'custom'
         },
+        automationSettings: {
+            maxSteps: 25        // step budget for the AI agent (Automate button)
+        },
         bookmarks: [
             { title: 'Google', url: 'https://www.google.com' },
             { title: 'Google Scholar', url: 'https://scholar.google.com' },
@@ -78,16 +96,58 @@ const store = new Store({
         library: {
             folders: [],        // { id, name, type: 'conversation'|'automation', createdAt }
             conversations: [],  // { id, name, folderId, messages, provider, createdAt, updatedAt }
-            automations: []     // { id, name, folderId, commands, description, createdAt, updatedAt }
-        }
+            automations: []     // { id, name, folderId, commands, inputs, description, createdAt, updatedAt }
+        },
+        usageLedger: [],        // one entry per AI request — see usage-ledger.js
+        historySettings: {
+            saveSnapshots: true // keep the extracted text of visited pages for full-text search and AI recall
+        },
+        indexSettings: {
+            provider: '',       // embeddings provider for the semantic index; '' = pin the active AI provider on first use
+            model: ''           // embedding model; '' = the provider's default (see ai-service.js)
+        },
+        downloadSettings: {
+            folder: ''          // where downloads are saved; '' = the system Downloads folder
+        },
+        downloads: [],          // finished and running downloads — see download-manager.js
+        automationSchedules: [], // when saved automations run by themselves — see automation-scheduler.js
+        pageWatches: []         // pages checked for changes — see page-watcher.js
     }
 })
 
+// Visits live in their own file (history.json), page-text snapshots in history-snapshots.jsonl — see browsing-history.js
+const historyStore = new Store({
+    name: 'history',
+    encryptionKey: 'ai-browser-isu-2026',
+    defaults: { visits: [] }
+})
+
+// Runs of scheduled automations, with their steps and extracted values (automation-runs.json)
+const automationRunStore = new Store({
+    name: 'automation-runs',
+    encryptionKey: 'ai-browser-isu-2026',
+    defaults: { runs: [] }
+})
+
+// Snapshots of watched pages with their diffs and summaries (page-watch-snapshots.json)
+const pageWatchStore = new Store({
+    name: 'page-watch-snapshots',
+    encryptionKey: 'ai-browser-isu-2026',
+    defaults: { snapshots: [] }
+})
+
 let mainWindow = null
 let aiService = null
 let adBlocker = null
 let geminiSearch = null
+let usageLedger = null
+let browsingHistory = null
+let semanticIndex = null
+let downloadManager = null
 let automation = null
+let recorder = null
+let scheduler = null
+let pageWatcher = null
 
 // Tab management
 const tabs = new Map()
@@ -134,14 +194,30 @@ function createWindow() {
     aiService = new AIService(store)
     adBlocker = new AdBlocker(store)
     geminiSearch = new GeminiSearch(store)
+    usageLedger = new UsageLedger(store)
+    browsingHistory = new BrowsingHistory(historyStore, path.join(app.getPath('userData'), 'history-snapshots.jsonl'))
+    semanticIndex = new SemanticIndex(path.join(app.getPath('userData'), 'semantic-index'))
     automation = new BrowserAutomation()
+    recorder = new AutomationRecorder(automation)
 
-    // Wire dev logger into AI service
+    // Wire dev logger and usage ledger into AI service
     aiService.onLog = devLog
+    aiService.onUsage = (entry) => usageLedger.record(entry)
+
+    // The session outlives the window (macOS re-creates it on activate), so downloads are hooked once
+    if (!downloadManager) {
+        downloadManager = new DownloadManager(store)
+        downloadManager.attach(session.defaultSession)
+    }
+    downloadManager.onLog = devLog
+    downloadManager.onChange = (download) => {
+        if (mainWindow && !mainWindow.isDestroyed()) mainWindow.webContents.send('downloads:changed', download)
+    }
 
     if (store.get('adBlockEnabled')) {
         adBlocker.enable()
     }
+    watchPdfResponses()
 
     devLog('info', 'System', `AI Browser started — Electron ${process.versions.electron}, Node ${process.versions.node}`, {
         platform: process.platform,
@@ -162,6 +238,8 @@ function createWindow() {
 
     mainWindow.on('closed', () => {
         mainWindow = null
+        // Nothing is left to show a recording's steps or to stop it
+        recorder?.stopAll()
     })
 
     mainWindow.on('resize', () => {
@@ -177,7 +255,8 @@ function createWindow() {
     })
 }
 
-function createTab(url = 'https://www.google.com') {
+// `background: true` opens the tab hidden without switching to it (e.g. for the AI to scrape)
+function createTab(url = 'https://www.google.com', { background = false } = {}) {
     const tabId = `tab-${++tabCounter}`
 
     const view = new WebContentsView({
@@ -199,11 +278,13 @@ function createTab(url = 'https://www.google.com') {
     })
 
     mainWindow.contentView.addChildView(view)
+    if (background) view.setVisible(false)
     view.webContents.loadURL(url)
 
     // Track navigation events
     view.webContents.on('did-navigate', (e, navUrl) => {
         devLog('info', 'Browser', `Navigate: ${navUrl}`, { tabId })
+        recordVisit(tabId, navUrl)
         if (activeTabId === tabId) {
             mainWindow.webContents.send('tab:url-changed', { tabId, url: navUrl })
         }
@@ -216,13 +297,16 @@ function createTab(url = 'https://www.google.com') {
         })
     })
 
-    view.webContents.on('did-navigate-in-page', (e, navUrl) => {
+    view.webContents.on('did-navigate-in-page', (e, navUrl, isMainFrame) => {
+        if (isMainFrame) recordVisit(tabId, navUrl)
         if (activeTabId === tabId) {
             mainWindow.webContents.send('tab:url-changed', { tabId, url: navUrl })
         }
     })
 
     view.webContents.on('page-title-updated', (e, title) => {
+        const visitId = tabs.get(tabId)?.visitId
+        if (visitId) browsingHistory.updateVisit(visitId, { title })
         mainWindow.webContents.send('tab:updated', {
             tabId,
             title,
@@ -238,6 +322,7 @@ function createTab(url = 'https://www.google.com') {
 
     view.webContents.on('did-stop-loading', () => {
         mainWindow.webContents.send('tab:loading', { tabId, loading: false })
+        snapshotVisit(tabId)
     })
 
     // Open external links in new tab
@@ -254,10 +339,10 @@ function createTab(url = 'https://www.google.com') {
         tabId,
         title: 'New Tab',
         url,
-        active: true
+        active: !background
     })
 
-    switchTab(tabId)
+    if (!background) switchTab(tabId)
     return tabId
 }
 
@@ -296,6 +381,7 @@ function closeTab(tabId) {
 
     const { view } = tabs.get(tabId)
     mainWindow.contentView.removeChildView(view)
+    forgetPdfTab(view.webContents.id)
     view.webContents.close()
     tabs.delete(tabId)
 
@@ -343,6 +429,53 @@ function getActiveView() {
     return tabs.get(activeTabId).view
 }
 
+// Helper for tab-addressable handlers: the given tab's view, or the active one when tabId is omitted
+function getTabView(tabId) {
+    if (!tabId) return getActiveView()
+    return tabs.get(tabId)?.view || null
+}
+
+function noTabError(tabId) {
+    return { error: tabId ? `Tab not found: ${tabId}` : 'No active tab' }
+}
+
+// === Browsing history ===
+
+/**
+ * Record a tab's navigation as a history visit. In-page navigations count only when
+ * more than the #hash changed (single-page apps switching views).
+ */
+function recordVisit(tabId, url) {
+    const tab = tabs.get(tabId)
+    if (!tab || !/^(https?|file):/.test(url)) return
+    if (tab.visitUrl && tab.visitUrl.split('#')[0] === url.split('#')[0]) return
+    tab.visitUrl = url
+    tab.visitId = browsingHistory.addVisit({ url, title: tab.view.webContents.getTitle(), tabId })
+    tab.snapshotDone = false
+}
+
+/** Store the extracted text of the tab's current visit once its page has loaded */
+async function snapshotVisit(tabId) {
+    const tab = tabs.get(tabId)
+    if (!tab?.visitId || tab.snapshotDone || !store.get('historySettings')?.saveSnapshots) return
+    if (isPdfTab(tab.view.webContents)) return
+    tab.snapshotDone = true
+    const visitId = tab.visitId
+    try {
+        const page = await extractPageContent(tab.view.webContents, { maxChars: SNAPSHOT_MAX_CHARS })
+        browsingHistory.updateVisit(visitId, { title: page.title, snapshot: page.markdown })
+    } catch (err) {
+        devLog('debug', 'History', `Snapshot skipped for ${tab.visitUrl}: ${err.message}`)
+    }
+}
+
+/** Page content for AI features — page-numbered text for PDFs, the main article otherwise */
+function readTabContent(view, { maxChars = DEFAULT_MAX_CHARS } = {}) {
+    return isPdfTab(view.webContents)
+        ? extractPdfContent(view.webContents, { maxChars })
+        : extractPageContent(view.webContents, { maxChars })
+}
+
 // === IPC Handlers ===
 
 // Window controls
@@ -357,7 +490,7 @@ ipcMain.on('window:maximize', () => {
 ipcMain.on('window:close', () => mainWindow?.close())
 
 // Tab management
-ipcMain.handle('tab:create', (e, url) => createTab(url))
+ipcMain.handle('tab:create', (e, url, options) => createTab(url, options))
 ipcMain.on('tab:switch', (e, tabId) => switchTab(tabId))
 ipcMain.on('tab:close', (e, tabId) => closeTab(tabId))
 
@@ -485,16 +618,18 @@ ipcMain.on('overlay:toggle', (e, open) => {
 })
 
 // AI Service
-ipcMain.handle('ai:chat', async (e, { messages, provider }) => {
+// `feature` and `conversationId` tag the request in the usage ledger;
+// `generation` ({ temperature, maxTokens, topP, stopSequences }) overrides the provider settings
+ipcMain.handle('ai:chat', async (e, { messages, provider, feature, conversationId, generation }) => {
     try {
-        return await aiService.chat(messages, provider)
+        return await aiService.chat(messages, provider, { meta: { feature: feature || 'chat', conversationId }, generation })
     } catch (err) {
         return { error: err.message }
     }
 })
 
 // AI streaming chat
-ipcMain.handle('ai:chat-stream', async (e, { messages, provider }) => {
+ipcMain.handle('ai:chat-stream', async (e, { messages, provider, feature, conversationId, generation }) => {
     devLog('info', 'IPC', `ai:chat-stream — provider: ${provider || 'default'}, messages: ${messages?.length}`)
     try {
         const streamId = `stream-${Date.now()}`
@@ -502,9 +637,10 @@ ipcMain.handle('ai:chat-stream', async (e, { messages, provider }) => {
             if (mainWindow && !mainWindow.isDestroyed()) {
                 mainWindow.webContents.send('ai:stream-chunk', { streamId, chunk })
             }
-        }, () => {
+        }, ({ provider, model, fallbackFrom }) => {
+            if (fallbackFrom) devLog('warn', 'IPC', `Stream ${streamId} answered by fallback ${provider} (requested ${fallbackFrom})`)
             if (mainWindow && !mainWindow.isDestroyed()) {
-                mainWindow.webContents.send('ai:stream-end', { streamId })
+                mainWindow.webContents.send('ai:stream-end', { streamId, provider, model, fallbackFrom })
             }
         }, (error) => {
             if (error.name === 'AbortError') {
@@ -518,6 +654,15 @@ ipcMain.handle('ai:chat-stream', async (e, { messages, provider }) => {
                     mainWindow.webContents.send('ai:stream-error', { streamId, error: error.message })
                 }
             }
+        }, {
+            meta: { feature: feature || 'chat', conversationId },
+            generation,
+            // Model reasoning (thinking blocks, <think> tags) goes on its own channel, never into the answer
+            onReasoning: (chunk) => {
+                if (mainWindow && !mainWindow.isDestroyed()) {
+                    mainWindow.webContents.send('ai:stream-reasoning', { streamId, chunk })
+                }
+            }
         })
         return { streamId }
     } catch (err) {
@@ -576,53 +721,101 @@ ipcMain.handle('ai:test-stt', async (e, { provider, apiKey, keySource, baseUrl }
     }
 })
 
-ipcMain.handle('ai:summarize', async (e, { provider }) => {
+// Long pages are summarized section by section; progress goes out as `ai:summarize-progress`
+ipcMain.handle('ai:summarize', async (e, { provider, conversationId, generation }) => {
     try {
         const view = getActiveView()
         if (!view) return { error: 'No active tab' }
 
-        const pageText = await view.webContents.executeJavaScript(`
-      (function() {
-        const el = document.body.cloneNode(true);
-        const scripts = el.querySelectorAll('script, style, nav, footer, header, [aria-hidden="true"]');
-        scripts.forEach(s => s.remove());
-        return el.innerText.substring(0, 15000);
-      })()
-    `)
-        const pageUrl = view.webContents.getURL()
-        const pageTitle = view.webContents.getTitle()
-        return await aiService.summarize(pageText, pageTitle, pageUrl, provider)
+        const page = await readTabContent(view, { maxChars: SUMMARY_MAX_CHARS })
+        return await aiService.summarize(page, provider, { conversationId }, generation, (progress) => {
+            if (mainWindow && !mainWindow.isDestroyed()) mainWindow.webContents.send('ai:summarize-progress', progress)
+        })
     } catch (err) {
         return { error: err.message }
     }
 })
 
-ipcMain.handle('ai:execute-task', async (e, { task, provider }) => {
+// AI agent — observe–act–verify loop against the active tab using native tool calling.
+// After every step the model gets a fresh screenshot + element list and either acts
+// again or calls `done` with a verdict. Progress is streamed as `ai:agent-step` events.
+ipcMain.handle('ai:execute-task', async (e, { task, provider, conversationId, tabId }) => {
     try {
-        return await aiService.executeTask(task, provider)
+        const view = getTabView(tabId)
+        if (!view) return noTabError(tabId)
+        const webContents = view.webContents
+        const maxSteps = store.get('automationSettings.maxSteps') || 25
+
+        const sendStep = (step) => {
+            if (mainWindow && !mainWindow.isDestroyed()) {
+                mainWindow.webContents.send('ai:agent-step', { ...step, budget: maxSteps })
+            }
+        }
+
+        const commands = []
+        let stepStart = 0
+        devLog('info', 'Automation', `Agent task started: "${task}" (budget ${maxSteps} steps)`)
+        const result = await aiService.executeTask(task, provider, {
+            tools: AUTOMATION_TOOLS,
+            finishTool: FINISH_TOOL,
+            maxSteps,
+            meta: { conversationId, runId: `run-${Date.now()}` },
+            executeTool: (name, args) => executeAutomationTool(automation, webContents, name, args),
+            observe: async () => {
+                const observation = await observePage(automation, webContents, { background: view !== getActiveView() })
+                if (commands.length > 0) {
+                    sendStep({
+                        index: commands.length - 1,
+                        observation: { title: observation.title, url: observation.url, elementCount: observation.elements.length }
+                    })
+                }
+                return { content: formatObservation(observation), image: observation.screenshot }
+            },
+            onStep: ({ type, call, output }) => {
+                const command = toolCallToCommand(call.name, call.args) || { type: call.name }
+                if (type === 'call') {
+                    commands.push(command)
+                    stepStart = Date.now()
+                    sendStep({ index: commands.length - 1, status: 'running', command })
+                } else {
+                    sendStep({
+                        index: commands.length - 1,
+                        status: output?.error ? 'error' : 'done',
+                        command,
+                        error: output?.error || null,
+                        duration: Date.now() - stepStart
+                    })
+                }
+            }
+        })
+        devLog(result.verdict?.success === false ? 'warn' : 'info', 'Automation',
+            `Agent task finished — ${result.steps} step(s)${result.verdict ? `, ${result.verdict.success ? 'succeeded' : 'failed'}` : ''}`)
+        return {
+            content: result.content,
+            model: result.model,
+            provider: result.provider,
+            fallbackFrom: result.fallbackFrom,
+            verdict: result.verdict,
+            budgetExhausted: !!result.budgetExhausted,
+            maxSteps,
+            commands
+        }
     } catch (err) {
-        return { error: err.message }
+        devLog('error', 'Automation', `Agent task failed: ${err.message}`)
+        return { error: err.message, aborted: err.name === 'AbortError' }
     }
 })
 
-ipcMain.handle('ai:get-page-content', async () => {
+// Main content of a tab's page as Markdown plus metadata (byline, date, canonical URL, language)
+// — the active tab, or any tab by `tabId` (used by @tab mentions). PDFs come as `## Page N` sections.
+ipcMain.handle('ai:get-page-content', async (e, { tabId } = {}) => {
     try {
-        const view = getActiveView()
-        if (!view) return { error: 'No active tab' }
+        const view = getTabView(tabId)
+        if (!view) return noTabError(tabId)
 
-        const content = await view.webContents.executeJavaScript(`
-      (function() {
-        const el = document.body.cloneNode(true);
-        const scripts = el.querySelectorAll('script, style');
-        scripts.forEach(s => s.remove());
-        return {
-          text: el.innerText.substring(0, 20000),
-          title: document.title,
-          url: window.location.href
-        };
-      })()
-    `)
-        return content
+        // `header` holds the metadata lines prompts put above the content
+        const content = await readTabContent(view)
+        return { ...content, header: formatPageMetadata(content), tabId: tabId || activeTabId }
     } catch (err) {
         return { error: err.message }
     }
@@ -690,22 +883,24 @@ ipcMain.on('automation:overlay-show', () => showAutomationOverlay())
 ipcMain.on('automation:overlay-hide', () => hideAutomationOverlay())
 
 // === Browser Automation IPC Handlers ===
+// Every handler takes an optional `tabId` to act on a background tab without switching to it
 
-ipcMain.handle('automation:screenshot', async () => {
+ipcMain.handle('automation:screenshot', async (e, { tabId } = {}) => {
     try {
-        const view = getActiveView()
-        if (!view) return { error: 'No active tab' }
-        const image = await view.webContents.capturePage()
+        const view = getTabView(tabId)
+        if (!view) return noTabError(tabId)
+        // stayHidden lets a background tab render for the capture without being shown
+        const image = await view.webContents.capturePage(undefined, { stayHidden: view !== getActiveView() })
         return { data: image.toDataURL(), width: image.getSize().width, height: image.getSize().height }
     } catch (err) {
         return { error: err.message }
     }
 })
 
-ipcMain.handle('automation:click', async (e, { x, y, button = 'left', clickCount = 1 }) => {
+ipcMain.handle('automation:click', async (e, { x, y, button = 'left', clickCount = 1, tabId }) => {
     try {
-        const view = getActiveView()
-        if (!view) return { error: 'No active tab' }
+        const view = getTabView(tabId)
+        if (!view) return noTabError(tabId)
         // Show visual highlight where we're clicking
         await automation.highlightElement(view.webContents, x, y)
         await new Promise(r => setTimeout(r, 150))
@@ -716,10 +911,10 @@ ipcMain.handle('automation:click', async (e, { x, y, button = 'left', clickCount
     }
 })
 
-ipcMain.handle('automation:type', async (e, { text, delay = 50 }) => {
+ipcMain.handle('automation:type', async (e, { text, delay = 50, tabId }) => {
     try {
-        const view = getActiveView()
-        if (!view) return { error: 'No active tab' }
+        const view = getTabView(tabId)
+        if (!view) return noTabError(tabId)
         await automation.type(view.webContents, text, delay)
         return { success: true }
     } catch (err) {
@@ -727,10 +922,10 @@ ipcMain.handle('automation:type', async (e, { text, delay = 50 }) => {
     }
 })
 
-ipcMain.handle('automation:press-key', async (e, { key, modifiers = [] }) => {
+ipcMain.handle('automation:press-key', async (e, { key, modifiers = [], tabId }) => {
     try {
-        const view = getActiveView()
-        if (!view) return { error: 'No active tab' }
+        const view = getTabView(tabId)
+        if (!view) return noTabError(tabId)
         await automation.pressKey(view.webContents, key, modifiers)
         return { success: true }
     } catch (err) {
@@ -738,10 +933,10 @@ ipcMain.handle('automation:press-key', async (e, { key, modifiers = [] }) => {
     }
 })
 
-ipcMain.handle('automation:scroll', async (e, { x = 0, y = 0, deltaX = 0, deltaY = 0 }) => {
+ipcMain.handle('automation:scroll', async (e, { x = 0, y = 0, deltaX = 0, deltaY = 0, tabId }) => {
     try {
-        const view = getActiveView()
-        if (!view) return { error: 'No active tab' }
+        const view = getTabView(tabId)
+        if (!view) return noTabError(tabId)
         await automation.scroll(view.webContents, x, y, deltaX, deltaY)
         return { success: true }
     } catch (err) {
@@ -749,79 +944,49 @@ ipcMain.handle('automation:scroll', async (e, { x = 0, y = 0, deltaX = 0, deltaY
     }
 })
 
-ipcMain.handle('automation:get-elements', async (e, { selector }) => {
+ipcMain.handle('automation:get-elements', async (e, { selector, tabId }) => {
     try {
-        const view = getActiveView()
-        if (!view) return { error: 'No active tab' }
-        const elements = await view.webContents.executeJavaScript(`
-      (function() {
-        const els = document.querySelectorAll(${JSON.stringify(selector)});
-        return Array.from(els).slice(0, 50).map((el, i) => {
-          const rect = el.getBoundingClientRect();
-          return {
-            index: i,
-            tag: el.tagName.toLowerCase(),
-            id: el.id || null,
-            className: el.className || null,
-            text: el.innerText?.substring(0, 200) || '',
-            value: el.value || null,
-            href: el.href || null,
-            placeholder: el.placeholder || null,
-            type: el.type || null,
-            ariaLabel: el.getAttribute('aria-label') || null,
-            x: Math.round(rect.x + rect.width / 2),
-            y: Math.round(rect.y + rect.height / 2),
-            width: Math.round(rect.width),
-            height: Math.round(rect.height),
-            visible: rect.width > 0 && rect.height > 0
-          };
-        });
-      })()
-    `)
+        const view = getTabView(tabId)
+        if (!view) return noTabError(tabId)
+        const elements = await automation.getElements(view.webContents, selector)
         return { elements }
     } catch (err) {
         return { error: err.message }
     }
 })
 
-ipcMain.handle('automation:find-element', async (e, { description }) => {
+ipcMain.handle('automation:find-element', async (e, { description, tabId }) => {
     try {
-        const view = getActiveView()
-        if (!view) return { error: 'No active tab' }
+        const view = getTabView(tabId)
+        if (!view) return noTabError(tabId)
         // Get interactive elements for AI to find the right one
-        const elements = await view.webContents.executeJavaScript(`
-      (function() {
-        const selectors = 'a, button, input, select, textarea, [role="button"], [role="link"], [role="tab"], [role="menuitem"], [onclick], [tabindex]';
-        const els = document.querySelectorAll(selectors);
-        return Array.from(els).slice(0, 100).map((el, i) => {
-          const rect = el.getBoundingClientRect();
-          return {
-            index: i,
-            tag: el.tagName.toLowerCase(),
-            id: el.id || null,
-            text: (el.innerText || el.value || el.placeholder || el.getAttribute('aria-label') || '').substring(0, 100),
-            type: el.type || null,
-            href: el.href || null,
-            x: Math.round(rect.x + rect.width / 2),
-            y: Math.round(rect.y + rect.height / 2),
-            width: Math.round(rect.width),
-            height: Math.round(rect.height),
-            visible: rect.width > 0 && rect.height > 0 && rect.y >= 0 && rect.y < window.innerHeight
-          };
-        }).filter(el => el.visible);
-      })()
-    `)
+        const elements = await automation.getInteractiveElements(view.webContents)
         return { elements }
     } catch (err) {
         return { error: err.message }
     }
 })
 
-ipcMain.handle('automation:click-element', async (e, { selector }) => {
+/**
+ * Healing options of an element action: a step's `fingerprint` heals a selector that
+ * finds nothing; with `aiProvider` the model settles matches that are not confident
+ */
+function healingOptions(fingerprint, aiProvider) {
+    return {
+        fingerprint,
+        pickCandidate: aiProvider
+            ? (fp, candidates, selector) => aiService.pickElement(fp, candidates, selector, aiProvider)
+            : undefined
+    }
+}
+
+// Element actions wait until their target is actionable; `timeoutMs` overrides the default wait.
+// Results carry the element's `fingerprint`, and `healed` when the selector had to be healed.
+ipcMain.handle('automation:click-element', async (e, { selector, timeoutMs, fingerprint, aiProvider, tabId }) => {
     try {
-        const view = getActiveView()
-        if (!view) return { error: 'No active tab' }
-        const result = await automation.clickElement(view.webContents, selector)
+        const view = getTabView(tabId)
+        if (!view) return noTabError(tabId)
+        const result = await automation.clickElement(view.webContents, selector, { timeoutMs, ...healingOptions(fingerprint, aiProvider) })
         if (result?.error) return { error: result.error }
         // Show visual highlight at element position
         if (result?.x && result?.y) {
@@ -833,22 +998,34 @@ ipcMain.handle('automation:click-element', async (e, { selector }) => {
     }
 })
 
-ipcMain.handle('automation:fill-input', async (e, { selector, value }) => {
+ipcMain.handle('automation:fill-input', async (e, { selector, value, timeoutMs, fingerprint, aiProvider, tabId }) => {
     try {
-        const view = getActiveView()
-        if (!view) return { error: 'No active tab' }
-        const result = await automation.fillInput(view.webContents, selector, value)
+        const view = getTabView(tabId)
+        if (!view) return noTabError(tabId)
+        const result = await automation.fillInput(view.webContents, selector, value, { timeoutMs, ...healingOptions(fingerprint, aiProvider) })
         if (result?.error) return { error: result.error }
-        return { success: true }
+        return { success: true, ...result }
     } catch (err) {
         return { error: err.message }
     }
 })
 
-ipcMain.handle('automation:eval', async (e, { code }) => {
+ipcMain.handle('automation:upload-files', async (e, { selector, files, timeoutMs, tabId }) => {
     try {
-        const view = getActiveView()
-        if (!view) return { error: 'No active tab' }
+        const view = getTabView(tabId)
+        if (!view) return noTabError(tabId)
+        const result = await automation.uploadFiles(view.webContents, selector, files, { timeoutMs })
+        if (result?.error) return { error: result.error }
+        return result
+    } catch (err) {
+        return { error: err.message }
+    }
+})
+
+ipcMain.handle('automation:eval', async (e, { code, tabId }) => {
+    try {
+        const view = getTabView(tabId)
+        if (!view) return noTabError(tabId)
         const result = await view.webContents.executeJavaScript(code)
         return { result }
     } catch (err) {
@@ -856,10 +1033,10 @@ ipcMain.handle('automation:eval', async (e, { code }) => {
     }
 })
 
-ipcMain.handle('automation:navigate', async (e, { url }) => {
+ipcMain.handle('automation:navigate', async (e, { url, tabId }) => {
     try {
-        const view = getActiveView()
-        if (!view) return { error: 'No active tab' }
+        const view = getTabView(tabId)
+        if (!view) return noTabError(tabId)
         await view.webContents.loadURL(url)
         return { success: true }
     } catch (err) {
@@ -872,10 +1049,237 @@ ipcMain.handle('automation:wait', async (e, { ms = 1000 }) => {
     return { success: true }
 })
 
+// WAIT_FOR, WAIT_FOR_URL, WAIT_FOR_NETWORK_IDLE — poll until the condition holds or
+// `timeoutMs` (default 10s) runs out, then answer { error } describing what was still missing
+ipcMain.handle('automation:wait-for', async (e, { selector, timeoutMs, tabId }) => {
+    try {
+        const view = getTabView(tabId)
+        if (!view) return noTabError(tabId)
+        return await automation.waitForSelector(view.webContents, selector, { timeoutMs })
+    } catch (err) {
+        return { error: err.message }
+    }
+})
+
+ipcMain.handle('automation:wait-for-url', async (e, { pattern, timeoutMs, tabId }) => {
+    try {
+        const view = getTabView(tabId)
+        if (!view) return noTabError(tabId)
+        return await automation.waitForUrl(view.webContents, pattern, { timeoutMs })
+    } catch (err) {
+        return { error: err.message }
+    }
+})
+
+ipcMain.handle('automation:wait-for-network-idle', async (e, { timeoutMs, tabId } = {}) => {
+    try {
+        const view = getTabView(tabId)
+        if (!view) return noTabError(tabId)
+        return await automation.waitForNetworkIdle(view.webContents, { timeoutMs })
+    } catch (err) {
+        return { error: err.message }
+    }
+})
+
+// IF_EXISTS, WHILE_EXISTS and FOR_EACH — is a visible element there, and how many match
+ipcMain.handle('automation:exists', async (e, { selector, timeoutMs, tabId }) => {
+    try {
+        const view = getTabView(tabId)
+        if (!view) return noTabError(tabId)
+        return await automation.elementExists(view.webContents, selector, { timeoutMs })
+    } catch (err) {
+        return { error: err.message }
+    }
+})
+
+// EXTRACT / EXTRACT_ALL — page text for a run variable: a string, or with `all` an array of strings
+ipcMain.handle('automation:extract', async (e, { selector, all, tabId }) => {
+    try {
+        const view = getTabView(tabId)
+        if (!view) return noTabError(tabId)
+        return await automation.extractText(view.webContents, selector, { all })
+    } catch (err) {
+        return { error: err.message }
+    }
+})
+
+// Record mode — capture the user's clicks, typing, keys, scrolls and navigations in a tab
+// as commands; the step list is pushed to the chat window as it grows
+ipcMain.handle('automation:record-start', async (e, { tabId } = {}) => {
+    try {
+        const id = tabId || activeTabId
+        const view = getTabView(id)
+        if (!view) return noTabError(tabId)
+        const result = await recorder.start(view.webContents, {
+            onStep: (steps) => {
+                if (mainWindow && !mainWindow.isDestroyed()) mainWindow.webContents.send('automation:record-steps', { tabId: id, steps })
+            }
+        })
+        if (result.success) devLog('info', 'Automation', 'Recording started', { tabId: id })
+        return result.success ? { success: true, tabId: id } : result
+    } catch (err) {
+        return { error: err.message }
+    }
+})
+
+// The recording in progress, for a chat window that was reopened meanwhile
+ipcMain.handle('automation:record-status', () => {
+    for (const [tabId, tab] of tabs) {
+        const steps = recorder.recordedSteps(tab.view.webContents)
+        if (steps) return { tabId, steps }
+    }
+    return null
+})
+
+ipcMain.handle('automation:record-stop', async (e, { tabId } = {}) => {
+    try {
+        const view = getTabView(tabId)
+        if (!view) return noTabError(tabId)
+        const result = await recorder.stop(view.webContents)
+        if (result.success) devLog('info', 'Automation', `Recording stopped: ${result.steps.length} steps`, { tabId })
+        return result
+    } catch (err) {
+        return { error: err.message }
+    }
+})
+
+// ASSERT_* — check the tab against the command; failures answer { error, expected, actual[, files] }.
+// ASSERT_SCREENSHOT baselines (and the capture + diff of a failure) live in userData/screenshot-baselines.
+const screenshotDir = () => path.join(app.getPath('userData'), 'screenshot-baselines')
+
+ipcMain.handle('automation:assert', async (e, { command, tabId }) => {
+    try {
+        const view = getTabView(tabId)
+        if (!view) return noTabError(tabId)
+        return await runAssertion(automation, view.webContents, command, { screenshotDir: screenshotDir() })
+    } catch (err) {
+        return { error: err.message }
+    }
+})
+
+// Open an image of a failed screenshot assertion — only files in the baselines folder
+ipcMain.handle('automation:open-screenshot', async (e, file) => {
+    const resolved = path.resolve(file)
+    if (path.dirname(resolved) !== screenshotDir()) return { error: 'Not a screenshot assertion image' }
+    const error = await shell.openPath(resolved)
+    return error ? { error } : { success: true }
+})
+
+// WAIT_DOWNLOAD — resolves with the saved file of the next download started since `since`
+// (the start of the run, so a download triggered by the previous step is not missed)
+ipcMain.handle('automation:wait-download', async (e, { since, timeoutMs } = {}) => {
+    try {
+        const download = await downloadManager.waitForDownload({ since, timeoutMs: timeoutMs > 0 ? timeoutMs : undefined })
+        return { success: true, path: download.savePath, filename: download.filename }
+    } catch (err) {
+        return { error: err.message }
+    }
+})
+
+// ── Scheduled automations ───────────────────────────────────────────
+
+// A hidden view for a scheduled run or a page check, sized like a tab so pages lay out the same;
+// it is not a tab, so the tab bar never shows it
+function openBackgroundView() {
+    if (!mainWindow || mainWindow.isDestroyed()) throw new Error('The browser window is closed')
+    const view = new WebContentsView({
+        webPreferences: { contextIsolation: true, nodeIntegration: false, sandbox: false }
+    })
+    const bounds = mainWindow.getContentBounds()
+    const chromeHeight = getChromeHeight()
+    view.setBounds({ x: 0, y: chromeHeight, width: Math.max(bounds.width - aiPanelWidth, 100), height: Math.max(bounds.height - chromeHeight, 100) })
+    view.setVisible(false)
+    mainWindow.contentView.addChildView(view)
+    // Hidden pages are throttled, which would stretch every wait of the run
+    view.webContents.setBackgroundThrottling(false)
+    view.webContents.setWindowOpenHandler(() => ({ action: 'deny' }))
+    return {
+        webContents: view.webContents,
+        close: () => {
+            try { mainWindow?.contentView.removeChildView(view) } catch { }
+            view.webContents.close()
+        }
+    }
+}
+
+function startScheduler() {
+    scheduler = new AutomationScheduler(store, automationRunStore, {
+        // Read when a run starts — the engine is re-created with the window
+        get automation() { return automation },
+        runAssertion,
+        screenshotDir,
+        downloadManager,
+        openView: openBackgroundView
+    })
+    scheduler.onLog = devLog
+    scheduler.onChange = () => {
+        if (mainWindow && !mainWindow.isDestroyed()) mainWindow.webContents.send('scheduler:changed')
+    }
+    scheduler.onNotificationClick = focusMainWindow
+    scheduler.start()
+}
+
+ipcMain.handle('scheduler:list', () => scheduler.list())
+
+// Create or update a schedule: { id?, automationId, schedule, enabled, values, notifyOnFailure, notifyOnChange }
+ipcMain.handle('scheduler:save', (e, data) => {
+    try {
+        return scheduler.save(data)
+    } catch (err) {
+        return { error: err.message }
+    }
+})
+
+ipcMain.handle('scheduler:delete', (e, id) => scheduler.delete(id))
+ipcMain.handle('scheduler:run-now', (e, id) => scheduler.runNow(id))
+ipcMain.handle('scheduler:runs', (e, scheduleId) => scheduler.runs(scheduleId))
+
+// ── Page watches ────────────────────────────────────────────────────
+
+function focusMainWindow() {
+    if (!mainWindow || mainWindow.isDestroyed()) return
+    if (mainWindow.isMinimized()) mainWindow.restore()
+    mainWindow.focus()
+}
+
+function startPageWatcher() {
+    pageWatcher = new PageWatcher(store, pageWatchStore, {
+        get automation() { return automation },
+        openView: openBackgroundView,
+        // The active provider says what changed; a failed summary leaves only the diff
+        summarize: (watch, diff) => aiService.summarizePageChange(watch, diff)
+    })
+    pageWatcher.onLog = devLog
+    pageWatcher.onChange = () => {
+        if (mainWindow && !mainWindow.isDestroyed()) mainWindow.webContents.send('watches:changed')
+    }
+    pageWatcher.onNotificationClick = focusMainWindow
+    pageWatcher.start()
+}
+
+ipcMain.handle('watches:list', () => pageWatcher.list())
+
+// Create or update a watch: { id?, name, url, selector, intervalMinutes, enabled, ignoreAds,
+// ignoreTimestamps, ignoreSelectors, ignorePatterns, notify }
+ipcMain.handle('watches:save', (e, data) => {
+    try {
+        return pageWatcher.save(data)
+    } catch (err) {
+        return { error: err.message }
+    }
+})
+
+ipcMain.handle('watches:delete', (e, id) => pageWatcher.delete(id))
+ipcMain.handle('watches:check-now', (e, id) => pageWatcher.checkNow(id))
+ipcMain.handle('watches:snapshots', (e, watchId) => pageWatcher.snapshots(watchId))
+
 // Gemini Search
 ipcMain.handle('search:gemini', async (e, query) => {
     try {
-        return await geminiSearch.search(query)
+        const t0 = Date.now()
+        const result = await geminiSearch.search(query)
+        usageLedger.record({ provider: 'gemini', model: result.model, usage: result.usage, latencyMs: Date.now() - t0, feature: 'search' })
+        return result
     } catch (err) {
         return { error: err.message }
     }
@@ -886,7 +1290,7 @@ ipcMain.handle('library:get', () => {
     return store.get('library') || { folders: [], conversations: [], automations: [] }
 })
 
-ipcMain.handle('library:save-conversation', (e, { name, folderId, messages, provider }) => {
+ipcMain.handle('library:save-conversation', (e, { name, folderId, messages, provider, sessionId }) => {
     const library = store.get('library') || { folders: [], conversations: [], automations: [] }
     const item = {
         id: `conv-${Date.now()}-${Math.random().toString(36).substring(2, 7)}`,
@@ -894,6 +1298,7 @@ ipcMain.handle('library:save-conversation', (e, { name, folderId, messages, prov
         folderId: folderId || null,
         messages,
         provider: provider || '',
+        sessionId: sessionId || null, // chat session id used in the usage ledger
         createdAt: Date.now(),
         updatedAt: Date.now()
     }
@@ -903,13 +1308,15 @@ ipcMain.handle('library:save-conversation', (e, { name, folderId, messages, prov
     return item
 })
 
-ipcMain.handle('library:save-automation', (e, { name, folderId, commands, description }) => {
+// `inputs` are the automation's parameters: [{ name, default }], prompted for at run time as {{name}}
+ipcMain.handle('library:save-automation', (e, { name, folderId, commands, inputs, description }) => {
     const library = store.get('library') || { folders: [], conversations: [], automations: [] }
     const item = {
         id: `auto-${Date.now()}-${Math.random().toString(36).substring(2, 7)}`,
         name: name || 'Untitled Automation',
         folderId: folderId || null,
         commands: commands || [],
+        inputs: inputs || [],
         description: description || '',
         createdAt: Date.now(),
         updatedAt: Date.now()
@@ -939,6 +1346,8 @@ ipcMain.handle('library:delete-item', (e, { id, type }) => {
         library.automations = library.automations.filter(i => i.id !== id)
     }
     store.set('library', library)
+    // Its schedules would only keep failing
+    if (type !== 'conversation') scheduler?.deleteForAutomation(id)
     devLog('info', 'Library', `Deleted ${type}: ${id}`)
     return { success: true }
 })
@@ -998,6 +1407,190 @@ ipcMain.handle('library:delete-folder', (e, { id }) => {
     return { success: true }
 })
 
+// Usage & cost ledger
+ipcMain.handle('usage:summary', () => {
+    // Label saved conversations by name; a saved chat keeps the id its session was logged under
+    const names = {}
+    for (const conv of store.get('library')?.conversations || []) {
+        names[conv.sessionId || conv.id] = conv.name
+    }
+    return usageLedger.getSummary(names)
+})
+ipcMain.handle('usage:get-prices', () => usageLedger.getPrices())
+ipcMain.handle('usage:set-prices', (e, prices) => {
+    usageLedger.setPrices(prices)
+    return usageLedger.getPrices()
+})
+ipcMain.handle('usage:reset-prices', () => usageLedger.resetPrices())
+ipcMain.handle('usage:clear', () => {
+    usageLedger.clear()
+    devLog('info', 'System', 'Usage ledger cleared')
+    return { success: true }
+})
+
+// Browsing history
+ipcMain.handle('history:search', (e, params) => browsingHistory.search(params))
+ipcMain.handle('history:remove', (e, id) => {
+    browsingHistory.remove(id)
+    return { success: true }
+})
+ipcMain.handle('history:clear', () => {
+    browsingHistory.clear()
+    devLog('info', 'System', 'Browsing history cleared')
+    return { success: true }
+})
+
+// "What was that article I read last Tuesday?" — answered from history snapshots
+ipcMain.handle('history:recall', async (e, { question, provider, conversationId }) => {
+    try {
+        return await aiService.recallHistory(question, provider, (params) =>
+            browsingHistory.search(params).map(visit => ({
+                ...visit,
+                excerpt: browsingHistory.getSnapshot(visit.id)?.substring(0, 800) || null
+            })), { conversationId })
+    } catch (err) {
+        return { error: err.message }
+    }
+})
+
+// Semantic index — embeddings over visited pages, saved conversations and bookmarks
+
+// Most recent distinct pages from history that are indexed
+const INDEX_MAX_PAGES = 1000
+// Chunks handed to the model for a "search my browsing" answer
+const INDEX_RESULT_CHUNKS = 8
+
+/** Everything the semantic index should contain, as { key, type, title, url, ts, text } */
+function semanticIndexSources() {
+    const pages = browsingHistory.pagesWithSnapshots(INDEX_MAX_PAGES).map(visit => ({
+        key: `page:${visit.url}`,
+        type: 'page',
+        title: visit.title,
+        url: visit.url,
+        ts: visit.visitedAt,
+        text: visit.snapshot
+    }))
+    const conversations = (store.get('library')?.conversations || []).map(conv => ({
+        key: `conversation:${conv.id}`,
+        type: 'conversation',
+        title: conv.name,
+        url: null,
+        ts: conv.updatedAt || conv.createdAt,
+        text: (conv.messages || [])
+            .filter(m => m.role === 'user' || m.role === 'assistant')
+            .map(m => `${m.role === 'user' ? 'User' : 'Assistant'}: ${m.content}`)
+            .join('\n\n')
+    }))
+    const bookmarks = (store.get('bookmarks') || []).map(b => ({
+        key: `bookmark:${b.url}`,
+        type: 'bookmark',
+        title: b.title,
+        url: b.url,
+        ts: null,
+        text: `${b.title}\n${b.url}`
+    }))
+    return [...pages, ...conversations, ...bookmarks]
+}
+
+/**
+ * Embeddings provider and model of the semantic index. With no provider chosen, the
+ * active AI provider is pinned in indexSettings the first time the index is used, so
+ * switching the chat provider later does not rebuild the index.
+ */
+function semanticIndexModel() {
+    const settings = store.get('indexSettings') || {}
+    let provider = settings.provider
+    if (!provider) {
+        provider = store.get('aiSettings').activeProvider
+        if (provider === 'anthropic') {
+            throw new Error('Anthropic has no embeddings API — choose an embeddings provider for the semantic index in Settings')
+        }
+        store.set('indexSettings', { ...settings, provider })
+    }
+    return {
+        modelKey: `${provider}/${settings.model || 'default'}`,
+        embed: (texts) => aiService.embed(texts, provider, settings.model)
+    }
+}
+
+/** Bring the index up to date with the configured embeddings provider; progress goes out as `index:progress` */
+async function syncSemanticIndex() {
+    const { modelKey, embed } = semanticIndexModel()
+    const result = await semanticIndex.sync(semanticIndexSources(), modelKey, embed, (progress) => {
+        if (mainWindow && !mainWindow.isDestroyed()) mainWindow.webContents.send('index:progress', progress)
+    })
+    if (result.added || result.removed) {
+        devLog('info', 'Index', `Semantic index synced: +${result.added} / -${result.removed} chunks (${result.chunkCount} total)`)
+    }
+    return result
+}
+
+ipcMain.handle('index:stats', async () => {
+    await semanticIndex.load()
+    return semanticIndex.stats()
+})
+
+// Default embedding model per provider, shown as the model field's placeholder
+ipcMain.handle('index:embedding-defaults', () => EMBEDDING_DEFAULTS)
+
+ipcMain.handle('index:sync', async () => {
+    try {
+        return await syncSemanticIndex()
+    } catch (err) {
+        return { error: err.message }
+    }
+})
+
+ipcMain.handle('index:clear', async () => {
+    await semanticIndex.clear()
+    devLog('info', 'Index', 'Semantic index cleared')
+    return { success: true }
+})
+
+// "Search my browsing" — retrieval-augmented answer from the semantic index
+ipcMain.handle('index:ask', async (e, { question, provider, conversationId }) => {
+    try {
+        const { modelKey, embed } = semanticIndexModel()
+        await semanticIndex.load()
+        const stats = semanticIndex.stats()
+        // Only an empty index or one built with another model has to be (re)built
+        // first; otherwise new pages are embedded in the background and the question
+        // is answered from what is already indexed
+        if (!stats.chunkCount || stats.modelKey !== modelKey) {
+            await syncSemanticIndex()
+        } else {
+            syncSemanticIndex().catch(err => devLog('warn', 'Index', `Background index sync failed: ${err.message}`))
+        }
+        const { vectors } = await embed([question])
+        const sources = await semanticIndex.search(vectors[0], INDEX_RESULT_CHUNKS)
+        const result = await aiService.answerFromSources(question, sources, provider, { conversationId })
+        return {
+            ...result,
+            sources: sources.map(({ type, title, url, score }) => ({ type, title, url, score }))
+        }
+    } catch (err) {
+        return { error: err.message }
+    }
+})
+
+// Downloads
+ipcMain.handle('downloads:list', () => downloadManager.list())
+ipcMain.handle('downloads:pause', (e, id) => downloadManager.pause(id))
+ipcMain.handle('downloads:resume', (e, id) => downloadManager.resume(id))
+ipcMain.handle('downloads:cancel', (e, id) => downloadManager.cancel(id))
+ipcMain.handle('downloads:open', (e, id) => downloadManager.open(id))
+ipcMain.handle('downloads:show-in-folder', (e, id) => downloadManager.showInFolder(id))
+ipcMain.handle('downloads:remove', (e, id) => downloadManager.remove(id))
+ipcMain.handle('downloads:clear', () => downloadManager.clear())
+ipcMain.handle('downloads:choose-folder', async () => {
+    const result = await dialog.showOpenDialog(mainWindow, {
+        title: 'Download folder',
+        defaultPath: downloadManager.folder(),
+        properties: ['openDirectory', 'createDirectory']
+    })
+    return result.canceled ? { canceled: true } : { folder: result.filePaths[0] }
+})
+
 // Settings
 ipcMain.handle('settings:get', () => {
     return {
@@ -1007,6 +1600,11 @@ ipcMain.handle('settings:get', () => {
         homepage: store.get('homepage'),
         bookmarks: store.get('bookmarks'),
         sttSettings: store.get('sttSettings'),
+        automationSettings: store.get('automationSettings'),
+        historySettings: store.get('historySettings'),
+        indexSettings: store.get('indexSettings'),
+        downloadSettings: store.get('downloadSettings'),
+        defaultDownloadFolder: app.getPath('downloads'),
         library: store.get('library')
     }
 })
@@ -1051,6 +1649,19 @@ ipcMain.on('shell:open', (e, url) => {
     shell.openExternal(url)
 })
 
+/**
+ * Automations saved before {{variables}} existed have no `inputs`; escape the {{ in
+ * their commands once so text they type keeps running as it did
+ */
+function escapeLegacyAutomations() {
+    const library = store.get('library')
+    if (!library?.automations?.some(a => !a.inputs)) return
+    store.set('library', {
+        ...library,
+        automations: library.automations.map(a => a.inputs ? a : { ...a, commands: escapeVariables(a.commands || []), inputs: [] })
+    })
+}
+
 app.whenReady().then(async () => {
     if (runTestsMode) {
         // Headless e2e: skip UI, drive automation engine directly, write report, exit.
@@ -1061,7 +1672,7 @@ app.whenReady().then(async () => {
             const runnerUrl = pathToFileURL(pathMod.join(app.getAppPath(), 'tests', 'headless-runner.js')).href
             const { runAllTestCases } = await import(/* @vite-ignore */ runnerUrl)
             automation = new BrowserAutomation()
-            const result = await runAllTestCases({ BrowserWindow, automation })
+            const result = await runAllTestCases({ BrowserWindow, automation, runAssertion, suite: testSuite })
 
             const fs = await import('fs/promises')
             const outDir = pathMod.resolve('tests/reports')
@@ -1080,9 +1691,12 @@ app.whenReady().then(async () => {
         return
     }
 
+    escapeLegacyAutomations()
     createWindow()
     // Initialize auto-update checker
     initUpdater(mainWindow)
+    startScheduler()
+    startPageWatcher()
 
     app.on('activate', () => {
         if (BrowserWindow.getAllWindows().length === 0) {
@@ -1091,6 +1705,15 @@ app.whenReady().then(async () => {
     })
 })
 
+// History, usage and download saves are batched — write what is pending before exiting; no scheduled run or page check starts after that
+app.on('before-quit', () => {
+    browsingHistory?.flush()
+    usageLedger?.flush()
+    downloadManager?.flush()
+    scheduler?.stop()
+    pageWatcher?.stop()
+})
+
 app.on('window-all-closed', () => {
     // In test mode, the runner controls exit via app.exit() — do NOT let the
     // last-window-closed event quit the process before the report is written.
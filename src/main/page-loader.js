@@ -0,0 +1,29 @@
+/**
+ * Page Loader — loads a URL into a background view and waits for it, for the
+ * automation scheduler's NAVIGATE steps and the page watcher's checks.
+ */
+
+const LOAD_TIMEOUT_MS = 30000
+
+/** Load a URL and wait for it to stop loading; rejects when the main frame fails to load */
+function loadPage(webContents, url) {
+    return new Promise((resolve, reject) => {
+        const finish = (err) => {
+            clearTimeout(timer)
+            webContents.removeListener('did-stop-loading', onStop)
+            webContents.removeListener('did-fail-load', onFail)
+            err ? reject(err) : resolve()
+        }
+        const onStop = () => finish()
+        const onFail = (e, code, description, failedUrl, isMainFrame) => {
+            // -3 is an aborted load, e.g. a redirect replacing it
+            if (isMainFrame && code !== -3) finish(new Error(`Could not load ${failedUrl}: ${description}`))
+        }
+        const timer = setTimeout(() => finish(new Error(`Loading ${url} timed out`)), LOAD_TIMEOUT_MS)
+        webContents.on('did-stop-loading', onStop)
+        webContents.on('did-fail-load', onFail)
+        webContents.loadURL(url).catch(() => { })
+    })
+}
+
+export { loadPage }
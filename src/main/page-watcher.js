@@ -0,0 +1,382 @@
+/**
+ * Page Watcher — reloads watched pages in a hidden background view every N minutes,
+ * extracts their content (the main content as Markdown, or the text of one CSS
+ * region), and when it differs from the last snapshot asks the active AI provider
+ * to say what changed.
+ *
+ * Watches live in the settings store under `pageWatches`:
+ *   { id, name, url, selector, intervalMinutes, enabled, ignoreAds, ignoreTimestamps,
+ *     ignoreSelectors, ignorePatterns, notify, createdAt, lastCheckAt, lastChangeAt,
+ *     lastError, nextCheckAt }
+ * Snapshots — the first one and every change, each with its line diff and summary —
+ * are kept in page-watch-snapshots.json, the newest SNAPSHOTS_PER_WATCH per watch.
+ * Only a watch's oldest snapshot keeps its full `text`; the others keep a `patch` that
+ * turns the oldest one's lines into theirs. When the oldest is dropped, the next one
+ * becomes the base.
+ *
+ * Noise is filtered before comparing: elements matching ad selectors or the watch's
+ * own `ignoreSelectors` are removed from the page, dates, times and "5 minutes ago"
+ * are masked, and text matching `ignorePatterns` (regular expressions) is dropped.
+ */
+
+import { BackgroundJobs, keepNewest } from './background-jobs.js'
+import { loadPage } from './page-loader.js'
+import { SELECTOR_ENGINE } from './element-locator.js'
+import { extractPageContent } from './content-extractor.js'
+
+const SNAPSHOTS_PER_WATCH = 30
+const MIN_INTERVAL_MINUTES = 5
+const TEXT_MAX_CHARS = 100000
+// Rendering after the load event: wait for the page's data requests, up to this long
+const SETTLE_TIMEOUT_MS = 10000
+// Larger diffs (lines removed × lines added) fall back to comparing line sets
+const DIFF_MAX_CELLS = 4000000
+
+// Common ad containers, removed when a watch has `ignoreAds`
+const AD_SELECTORS = [
+    'ins.adsbygoogle', '[id^="google_ads"]', '[id^="div-gpt-ad"]', '[data-ad-slot]', '[data-ad-unit]',
+    'iframe[src*="doubleclick.net"]', 'iframe[src*="googlesyndication.com"]', 'iframe[id^="google_ads"]',
+    '.ad', '.ads', '.advert', '.advertisement', '.ad-slot', '.ad-container', '.sponsored', '[aria-label="Advertisement"]'
+]
+
+// Dates, times and relative times, masked when a watch has `ignoreTimestamps`
+const MONTH = '(?:jan|feb|mar|apr|may|jun|jul|aug|sep|sept|oct|nov|dec)[a-z]*\\.?'
+const TIMESTAMP_PATTERNS = [
+    /\b\d{4}-\d{2}-\d{2}(?:[T ]\d{2}:\d{2}(?::\d{2}(?:\.\d+)?)?(?:Z|[+-]\d{2}:?\d{2})?)?\b/g,
+    /\b\d{1,2}[/.]\d{1,2}[/.]\d{2,4}\b/g,
+    /\b\d{1,2}:\d{2}(?::\d{2})?(?:\s*[ap]\.?m\.?)?(?![\w:])/gi,
+    new RegExp(`\\b${MONTH}\\s+\\d{1,2}(?:st|nd|rd|th)?(?:,?\\s+\\d{4})?\\b`, 'gi'),
+    new RegExp(`\\b\\d{1,2}(?:st|nd|rd|th)?\\s+${MONTH}(?:,?\\s+\\d{4})?\\b`, 'gi'),
+    /\b(?:\d+|an?|one)\s+(?:seconds?|secs?|minutes?|mins?|hours?|hrs?|days?|weeks?|months?|years?)\s+ago\b/gi,
+    /\bjust now\b/gi
+]
+const TIMESTAMP_MASK = '[time]'
+
+/** Check the watch's ignore patterns; returns them compiled or throws on an invalid one */
+function compilePatterns(patterns) {
+    return patterns.map(pattern => {
+        try {
+            return new RegExp(pattern, 'gi')
+        } catch (err) {
+            throw new Error(`Invalid ignore pattern /${pattern}/: ${err.message}`)
+        }
+    })
+}
+
+/** Lines of extracted text with the watch's noise filters applied; blank lines are dropped */
+function filterText(text, watch) {
+    const patterns = compilePatterns(watch.ignorePatterns)
+    return text.split('\n')
+        .map(line => {
+            let out = line.replace(/\s+/g, ' ').trim()
+            if (watch.ignoreTimestamps) {
+                for (const pattern of TIMESTAMP_PATTERNS) out = out.replace(pattern, TIMESTAMP_MASK)
+            }
+            for (const pattern of patterns) out = out.replace(pattern, '')
+            return out.trim()
+        })
+        .filter(Boolean)
+}
+
+/**
+ * Lines removed from `before` and added in `after`, in order (a longest-common-subsequence
+ * diff), and the `hunks` that turn `before` into `after`: [{ at, remove, add }] where `at`
+ * is a line index in `before`, `remove` a line count and `add` the lines put in their place
+ */
+function diffLines(before, after) {
+    // Unchanged head and tail lines are left out of the table
+    let start = 0
+    while (start < before.length && start < after.length && before[start] === after[start]) start++
+    let endBefore = before.length
+    let endAfter = after.length
+    while (endBefore > start && endAfter > start && before[endBefore - 1] === after[endAfter - 1]) {
+        endBefore--
+        endAfter--
+    }
+    const a = before.slice(start, endBefore)
+    const b = after.slice(start, endAfter)
+
+    if (a.length * b.length > DIFF_MAX_CELLS) {
+        const inA = new Set(a)
+        const inB = new Set(b)
+        return {
+            removed: a.filter(line => !inB.has(line)),
+            added: b.filter(line => !inA.has(line)),
+            hunks: [{ at: start, remove: a.length, add: b }]
+        }
+    }
+
+    // common[i][j]: length of the longest common subsequence of a[i..] and b[j..]
+    const common = Array.from({ length: a.length + 1 }, () => new Uint32Array(b.length + 1))
+    for (let i = a.length - 1; i >= 0; i--) {
+        for (let j = b.length - 1; j >= 0; j--) {
+            common[i][j] = a[i] === b[j] ? common[i + 1][j + 1] + 1 : Math.max(common[i + 1][j], common[i][j + 1])
+        }
+    }
+    const removed = []
+    const added = []
+    const hunks = []
+    let hunk = null
+    const edit = () => {
+        if (!hunk) hunks.push(hunk = { at: start + i, remove: 0, add: [] })
+        return hunk
+    }
+    let i = 0
+    let j = 0
+    while (i < a.length && j < b.length) {
+        if (a[i] === b[j]) {
+            hunk = null
+            i++
+            j++
+        } else if (common[i + 1][j] >= common[i][j + 1]) {
+            edit().remove++
+            removed.push(a[i++])
+        } else {
+            edit().add.push(b[j])
+            added.push(b[j++])
+        }
+    }
+    if (i < a.length || j < b.length) {
+        edit().remove += a.length - i
+        hunk.add.push(...b.slice(j))
+    }
+    return { removed: removed.concat(a.slice(i)), added: added.concat(b.slice(j)), hunks }
+}
+
+/** Apply the `hunks` of diffLines(lines, …) to `lines` */
+function applyHunks(lines, hunks) {
+    const out = []
+    let pos = 0
+    for (const { at, remove, add } of hunks) {
+        out.push(...lines.slice(pos, at), ...add)
+        pos = at + remove
+    }
+    return out.concat(lines.slice(pos))
+}
+
+// Remove ignored elements, then answer the watched region's text (or null for the whole page)
+function extractionScript(ignoreSelectors, selector) {
+    return `(function() {
+        ${SELECTOR_ENGINE}
+        for (const selector of ${JSON.stringify(ignoreSelectors)}) {
+            try { __deepQuery(selector, Infinity).forEach(match => match.el.remove()); } catch (e) { }
+        }
+        const selector = ${JSON.stringify(selector || null)};
+        if (!selector) return { text: null };
+        const match = __deepQuery(selector, 1)[0];
+        if (!match) return { error: 'The watched region "' + selector + '" is not on the page' };
+        return { text: match.el.innerText };
+    })()`
+}
+
+class PageWatcher extends BackgroundJobs {
+    /**
+     * `snapshotStore` is the electron-store of snapshots. `services` are the main process
+     * parts a check needs: { automation, openView() → { webContents, close() },
+     * summarize(watch, diff) → { content } }.
+     */
+    constructor(store, snapshotStore, services) {
+        super(store, { storeKey: 'pageWatches', dueKey: 'nextCheckAt', logCategory: 'Browser' })
+        this.snapshotStore = snapshotStore
+        this.services = services
+    }
+
+    /** Watches, with whether each is queued or being checked */
+    list() {
+        return this._watches().map(w => ({ ...w, checking: this.current === w.id, queued: this.queue.includes(w.id) }))
+    }
+    /** Create a watch, or update the one with `id`; returns it or { error } */
+    save({ id, name, url, selector = '', intervalMinutes = 60, enabled = true, ignoreAds = true, ignoreTimestamps = true, ignoreSelectors = [], ignorePatterns = [], notify = true }) {
+        if (!/^(https?|file):/i.test(url || '')) return { error: 'Enter the http(s) address of the page to watch' }
+        const minutes = Math.round(Number(intervalMinutes))
+        if (!(minutes >= MIN_INTERVAL_MINUTES)) return { error: `The interval must be at least ${MIN_INTERVAL_MINUTES} minutes` }
+        const clean = (list) => list.map(s => String(s).trim()).filter(Boolean)
+        try {
+            compilePatterns(clean(ignorePatterns))
+        } catch (err) {
+            return { error: err.message }
+        }
+
+        const watches = this._watches()
+        const existing = id && watches.find(w => w.id === id)
+        const watch = {
+            ...(existing || {
+                id: `watch-${Date.now()}-${Math.random().toString(36).substring(2, 7)}`,
+                createdAt: Date.now(),
+                lastCheckAt: null,
+                lastChangeAt: null,
+                lastError: null
+            }),
+            name: String(name || '').trim() || url,
+            url,
+            selector: String(selector || '').trim(),
+            intervalMinutes: minutes,
+            enabled: Boolean(enabled),
+            ignoreAds: Boolean(ignoreAds),
+            ignoreTimestamps: Boolean(ignoreTimestamps),
+            ignoreSelectors: clean(ignoreSelectors),
+            ignorePatterns: clean(ignorePatterns),
+            notify: Boolean(notify)
+        }
+        // A new watch takes its first snapshot right away
+        watch.nextCheckAt = !watch.enabled ? null
+            : existing?.lastCheckAt ? existing.lastCheckAt + minutes * 60000 : Date.now()
+        // Other content or filters make the old snapshots incomparable — start over
+        if (existing && ['url', 'selector', 'ignoreAds', 'ignoreTimestamps', 'ignoreSelectors', 'ignorePatterns']
+            .some(key => JSON.stringify(existing[key]) !== JSON.stringify(watch[key]))) {
+            this._deleteSnapshots(watch.id)
+            Object.assign(watch, { lastCheckAt: null, lastChangeAt: null, lastError: null, nextCheckAt: watch.enabled ? Date.now() : null })
+        }
+        this.store.set('pageWatches', existing ? watches.map(w => w.id === id ? watch : w) : [...watches, watch])
+        this._log('info', `${existing ? 'Updated' : 'Created'} page watch "${watch.name}"`, { id: watch.id, url, selector: watch.selector })
+        this._changed()
+        if (watch.nextCheckAt != null && watch.nextCheckAt <= Date.now()) this._enqueue(watch.id)
+        return watch
+    }
+
+    /** Remove a watch and its snapshots */
+    delete(id) {
+        this.store.set('pageWatches', this._watches().filter(w => w.id !== id))
+        this._deleteSnapshots(id)
+        this.queue = this.queue.filter(q => q !== id)
+        this._changed()
+        return { success: true }
+    }
+
+    /** Queue a watch to be checked now, whether or not it is enabled or due */
+    checkNow(id) {
+        if (!this._watches().some(w => w.id === id)) return { error: 'Watch not found' }
+        this._enqueue(id)
+        return { success: true }
+    }
+
+    /** Snapshots of a watch, newest first, with their line count instead of their text */
+    snapshots(watchId) {
+        const snapshots = this._watchSnapshots(watchId)
+        const base = snapshots[0]?.text.split('\n')
+        return snapshots.map(({ text, patch, ...snapshot }) => ({
+            ...snapshot,
+            lineCount: text != null ? text.split('\n').length : applyHunks(base, patch).length
+        })).reverse()
+    }
+
+    async _runJob(watch) {
+        let update
+        try {
+            update = await this._check(watch)
+        } catch (err) {
+            update = { lastError: err.message }
+            this._log('warn', `Page watch "${watch.name}" failed: ${err.message}`)
+        }
+        this._updateJob(watch.id, (current) => {
+            const checkedAt = Date.now()
+            return {
+                ...current,
+                lastError: null,
+                ...update,
+                lastCheckAt: checkedAt,
+                nextCheckAt: current.enabled ? checkedAt + current.intervalMinutes * 60000 : null
+            }
+        })
+    }
+
+    /** Check a watch; resolves with the fields of the watch to update */
+    async _check(watch) {
+        const lines = await this._extract(watch)
+        const text = lines.join('\n').substring(0, TEXT_MAX_CHARS)
+        const previous = this._watchSnapshots(watch.id)
+        const last = previous.at(-1)
+        const lastText = last && this._textOf(last, previous[0])
+        if (last && lastText === text) return {}
+
+        const snapshot = {
+            id: `snap-${Date.now()}-${Math.random().toString(36).substring(2, 7)}`,
+            watchId: watch.id,
+            takenAt: Date.now(),
+            diff: null,
+            summary: null
+        }
+        if (!last) {
+            snapshot.text = text
+        } else {
+            const { removed, added } = diffLines(lastText.split('\n'), text.split('\n'))
+            snapshot.diff = { removed, added }
+            snapshot.patch = diffLines(previous[0].text.split('\n'), text.split('\n')).hunks
+            try {
+                snapshot.summary = (await this.services.summarize(watch, snapshot.diff)).content?.trim() || null
+            } catch (err) {
+                snapshot.summaryError = err.message
+            }
+            // The watch may have been edited to start over while it was summarized
+            if (this._watchSnapshots(watch.id)[0]?.id !== previous[0].id) return {}
+        }
+        this._saveSnapshot(snapshot)
+        if (!last) {
+            this._log('info', `Page watch "${watch.name}": first snapshot, ${lines.length} lines`)
+            return {}
+        }
+
+        const { added, removed } = snapshot.diff
+        this._log('info', `Page watch "${watch.name}" changed: +${added.length} −${removed.length} lines`, snapshot.summary)
+        if (watch.notify) {
+            this._notify(`"${watch.name}" changed`, snapshot.summary || `${added.length} lines added, ${removed.length} removed`)
+        }
+        return { lastChangeAt: snapshot.takenAt }
+    }
+
+    // Load the page in a fresh hidden view and extract its filtered lines
+    async _extract(watch) {
+        const view = this.services.openView()
+        try {
+            await loadPage(view.webContents, watch.url)
+            await this.services.automation.waitForNetworkIdle(view.webContents, { timeoutMs: SETTLE_TIMEOUT_MS }).catch(() => { })
+            const ignore = [...(watch.ignoreAds ? AD_SELECTORS : []), ...watch.ignoreSelectors]
+            const region = await view.webContents.executeJavaScript(extractionScript(ignore, watch.selector))
+            if (region.error) throw new Error(region.error)
+            const text = region.text ?? (await extractPageContent(view.webContents)).markdown
+            return filterText(text || '', watch)
+        } finally {
+            view.close()
+        }
+    }
+
+    /** Snapshots of a watch, oldest (the base) first */
+    _watchSnapshots(watchId) {
+        return this.snapshotStore.get('snapshots').filter(s => s.watchId === watchId)
+    }
+
+    /** Full text of a snapshot, given its watch's base snapshot */
+    _textOf(snapshot, base) {
+        return snapshot.text ?? applyHunks(base.text.split('\n'), snapshot.patch).join('\n')
+    }
+
+    _saveSnapshot(snapshot) {
+        const snapshots = [...this.snapshotStore.get('snapshots'), snapshot]
+        const kept = keepNewest(snapshots, s => s.watchId, SNAPSHOTS_PER_WATCH)
+        // When the base was dropped, the watch's oldest kept snapshot becomes the new one
+        const base = snapshots.find(s => s.watchId === snapshot.watchId)
+        const rebased = new Map()
+        if (!kept.includes(base)) {
+            const watchSnapshots = kept.filter(s => s.watchId === snapshot.watchId)
+            const baseText = this._textOf(watchSnapshots[0], base)
+            const { patch, ...newBase } = watchSnapshots[0]
+            rebased.set(watchSnapshots[0], { ...newBase, text: baseText })
+            for (const s of watchSnapshots.slice(1)) {
+                if (s.text != null) continue
+                const hunks = diffLines(baseText.split('\n'), this._textOf(s, base).split('\n')).hunks
+                rebased.set(s, { ...s, patch: hunks })
+            }
+        }
+        this.snapshotStore.set('snapshots', kept.map(s => rebased.get(s) || s))
+    }
+
+    _deleteSnapshots(watchId) {
+        this.snapshotStore.set('snapshots', this.snapshotStore.get('snapshots').filter(s => s.watchId !== watchId))
+    }
+
+    _watches() {
+        return this._jobs()
+    }
+}
+
+export { PageWatcher }
@@ -0,0 +1,155 @@
+/**
+ * PDF Extractor — page-numbered text from PDFs opened in a tab
+ *
+ * Chromium's PDF viewer is a plugin, so the in-page extraction of content-extractor.js
+ * sees an empty document. Instead the main process notes which tabs received a PDF
+ * response (Content-Type application/pdf), downloads the file again through the tab's
+ * session (same cookies, so publisher PDFs behind a login still work) and reads
+ * the text with pdf.js, page by page, on a worker thread (pdf-worker.js).
+ *
+ * The result has the shape of extractPageContent(): the Markdown holds one
+ * `## Page N` section per page, so summaries and answers can cite page numbers.
+ */
+
+import { readFile } from 'fs/promises'
+import { fileURLToPath } from 'url'
+import { session } from 'electron'
+import createPdfWorker from './pdf-worker.js?nodeWorker'
+
+// Last PDF URL each webContents received, by webContents id
+const pdfResponses = new Map()
+
+// Parsed PDFs by URL — asking several questions about one paper should not re-download it
+const PDF_CACHE_SIZE = 5
+const pdfCache = new Map()
+
+// The worker is started on first use and kept; pending parses by request id
+let worker = null
+let nextRequestId = 1
+const pending = new Map()
+
+/** Record main-frame PDF responses of the default session (call once at startup) */
+function watchPdfResponses() {
+    session.defaultSession.webRequest.onHeadersReceived({ urls: ['*://*/*'] }, (details, callback) => {
+        if (details.resourceType === 'mainFrame' && details.webContentsId != null) {
+            const contentType = Object.entries(details.responseHeaders || {})
+                .find(([name]) => name.toLowerCase() === 'content-type')?.[1]?.[0] || ''
+            if (/application\/(x-)?pdf/i.test(contentType)) {
+                pdfResponses.set(details.webContentsId, details.url)
+            } else if (details.statusCode < 300 || details.statusCode >= 400) {
+                pdfResponses.delete(details.webContentsId)
+            }
+        }
+        callback({})
+    })
+}
+
+/** URL without its #fragment — viewer state such as #page=4 does not change the document */
+function withoutFragment(url) {
+    const at = url.indexOf('#')
+    return at === -1 ? url : url.substring(0, at)
+}
+
+/** Whether the tab is showing a PDF — a recorded PDF response, or a local .pdf file */
+function isPdfTab(webContents) {
+    const url = webContents.getURL()
+    const recorded = pdfResponses.get(webContents.id)
+    if (recorded && withoutFragment(recorded) === withoutFragment(url)) return true
+    return url.startsWith('file:') && /\.pdf$/i.test(new URL(url).pathname)
+}
+
+/** Forget a closed tab */
+function forgetPdfTab(webContentsId) {
+    pdfResponses.delete(webContentsId)
+}
+
+async function loadPdfBytes(url, ses) {
+    if (url.startsWith('file:')) return new Uint8Array(await readFile(fileURLToPath(url)))
+    const response = await ses.fetch(url)
+    if (!response.ok) throw new Error(`Could not download the PDF (${response.status})`)
+    return new Uint8Array(await response.arrayBuffer())
+}
+
+function getWorker() {
+    if (worker) return worker
+    const started = createPdfWorker({})
+    worker = started
+    // An idle worker does not keep the app from quitting
+    worker.unref()
+    worker.on('message', ({ id, result, error }) => {
+        const request = pending.get(id)
+        if (!request) return
+        pending.delete(id)
+        if (error) request.reject(new Error(error))
+        else request.resolve(result)
+    })
+    // A crashed worker fails its pending parses; the next one starts a new worker
+    const fail = (err) => {
+        if (worker === started) worker = null
+        for (const request of pending.values()) request.reject(err)
+        pending.clear()
+    }
+    worker.on('error', fail)
+    worker.on('exit', (code) => fail(new Error(`The PDF reader stopped (exit code ${code})`)))
+    return worker
+}
+
+/** { title, byline, pages } of a PDF, parsed on the worker thread */
+function parseInWorker(data) {
+    return new Promise((resolve, reject) => {
+        const id = nextRequestId++
+        pending.set(id, { resolve, reject })
+        getWorker().postMessage({ id, data }, [data.buffer])
+    })
+}
+
+async function parsePdf(url, ses) {
+    const key = withoutFragment(url)
+    if (pdfCache.has(key)) return pdfCache.get(key)
+
+    const parsed = await parseInWorker(await loadPdfBytes(key, ses))
+    pdfCache.set(key, parsed)
+    if (pdfCache.size > PDF_CACHE_SIZE) pdfCache.delete(pdfCache.keys().next().value)
+    return parsed
+}
+
+/**
+ * Extract a PDF tab's text in the extractPageContent() shape, plus `isPdf` and
+ * `pageCount`. Whole pages are dropped once `maxChars` is reached.
+ */
+async function extractPdfContent(webContents, { maxChars }) {
+    const url = webContents.getURL()
+    const { title, byline, pages } = await parsePdf(url, webContents.session)
+
+    let markdown = ''
+    let lastPage = 0
+    for (const { page, text } of pages) {
+        const section = `## Page ${page}\n\n${text || '(no text on this page — it may be a scanned image)'}`
+        if (markdown && markdown.length + section.length > maxChars) break
+        markdown += (markdown ? '\n\n' : '') + section.substring(0, maxChars)
+        lastPage = page
+    }
+    const truncated = lastPage < pages.length
+    if (truncated) markdown += `\n\n[…truncated after page ${lastPage} of ${pages.length}]`
+
+    const fileName = decodeURIComponent(new URL(url).pathname.split('/').pop() || '')
+    return {
+        title: title || webContents.getTitle() || fileName,
+        url,
+        canonicalUrl: null,
+        byline,
+        publishedTime: null,
+        lang: null,
+        siteName: null,
+        excerpt: null,
+        markdown,
+        text: markdown,
+        length: markdown.length,
+        truncated,
+        method: 'pdf',
+        isPdf: true,
+        pageCount: pages.length
+    }
+}
+
+export { watchPdfResponses, isPdfTab, forgetPdfTab, extractPdfContent }
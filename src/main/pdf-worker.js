@@ -0,0 +1,57 @@
+/**
+ * PDF Worker — reads the text of a PDF with pdf.js on a worker thread, so parsing a
+ * large document does not block the main process (and with it the browser UI).
+ *
+ * Messages in: { id, data } with the file's bytes. Messages out: { id, result } with
+ * { title, byline, pages: [{ page, text }] }, or { id, error }. See pdf-extractor.js.
+ */
+
+import { parentPort } from 'worker_threads'
+import { getDocument, VerbosityLevel } from 'pdfjs-dist/legacy/build/pdf.mjs'
+
+/** Text of one page; line breaks follow pdf.js end-of-line markers */
+async function pageText(pdf, pageNumber) {
+    const page = await pdf.getPage(pageNumber)
+    const content = await page.getTextContent()
+    page.cleanup()
+    return content.items
+        .map(item => item.str + (item.hasEOL ? '\n' : ''))
+        .join('')
+        .replace(/[ \t]+/g, ' ')
+        .replace(/\n{3,}/g, '\n\n')
+        .trim()
+}
+
+async function parsePdf(data) {
+    const pdf = await getDocument({
+        data,
+        isEvalSupported: false,
+        verbosity: VerbosityLevel.ERRORS // only text is read, so missing font data does not matter
+    }).promise
+    try {
+        const { info } = await pdf.getMetadata().catch(() => ({ info: {} }))
+        const pages = []
+        for (let n = 1; n <= pdf.numPages; n++) {
+            pages.push({ page: n, text: await pageText(pdf, n) })
+        }
+        return {
+            title: info?.Title?.trim() || null,
+            byline: info?.Author?.trim() || null,
+            pages
+        }
+    } finally {
+        await pdf.destroy()
+    }
+}
+
+// One document at a time — requests queue up in the order they arrive
+let queue = Promise.resolve()
+parentPort.on('message', ({ id, data }) => {
+    queue = queue.then(async () => {
+        try {
+            parentPort.postMessage({ id, result: await parsePdf(data) })
+        } catch (err) {
+            parentPort.postMessage({ id, error: err?.message || String(err) })
+        }
+    })
+})
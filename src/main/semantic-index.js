@@ -0,0 +1,229 @@
+/**
+ * Semantic Index — local embeddings over visited pages, saved conversations and bookmarks
+ *
+ * Sources ({ key, type, title, url, ts, text }) are cut into overlapping chunks and
+ * embedded through AIService.embed(). Chunk metadata is stored as JSON (`index.json`)
+ * and the vectors as one Float32 file (`vectors.bin`) in the index directory.
+ *
+ * sync() is incremental: a source is re-embedded only when its text changed, and
+ * sources that disappeared are dropped. Changing the embedding model rebuilds
+ * everything, since vectors from different models cannot be compared.
+ */
+
+import fs from 'fs/promises'
+import path from 'path'
+import crypto from 'crypto'
+
+const CHUNK_CHARS = 2000
+const CHUNK_OVERLAP = 200
+const EMBED_BATCH_SIZE = 32
+// Chunks of one source allowed in a result list — keeps one long page from crowding out the rest
+const MAX_CHUNKS_PER_SOURCE = 2
+
+function hashText(text) {
+    return crypto.createHash('sha1').update(text).digest('hex')
+}
+
+/** Overlapping chunks, cut at paragraph or sentence ends where possible */
+function chunkText(text) {
+    const chunks = []
+    let start = 0
+    while (start < text.length) {
+        let end = Math.min(text.length, start + CHUNK_CHARS)
+        if (end < text.length) {
+            const paragraph = text.lastIndexOf('\n\n', end)
+            const sentence = text.lastIndexOf('. ', end)
+            const cut = paragraph > start + CHUNK_CHARS / 2 ? paragraph : sentence > start + CHUNK_CHARS / 2 ? sentence + 1 : end
+            end = cut
+        }
+        chunks.push(text.substring(start, end).trim())
+        if (end >= text.length) break
+        start = Math.max(end - CHUNK_OVERLAP, start + 1)
+        // Start the overlap on a word boundary
+        const space = text.indexOf(' ', start)
+        if (space >= 0 && space < end) start = space + 1
+    }
+    return chunks.filter(Boolean)
+}
+
+function normalize(vector) {
+    const v = Float32Array.from(vector)
+    let norm = 0
+    for (let i = 0; i < v.length; i++) norm += v[i] * v[i]
+    norm = Math.sqrt(norm) || 1
+    for (let i = 0; i < v.length; i++) v[i] /= norm
+    return v
+}
+
+class SemanticIndex {
+    /** `dir` holds index.json and vectors.bin */
+    constructor(dir) {
+        this.dir = dir
+        this.modelKey = null
+        this.sources = {}   // key → text hash
+        this.chunks = []    // { sourceKey, type, title, url, ts, text }
+        this.vectors = []   // unit-length Float32Array per chunk
+        this.updatedAt = null
+        this._loaded = null
+        this._syncing = null      // the latest sync run: { modelKey, generation, promise }
+        this._generation = 0      // bumped by clear(), which cancels the runs started before it
+    }
+
+    /** Read the index from disk once; a missing or unreadable index starts empty */
+    load() {
+        this._loaded ||= (async () => {
+            try {
+                const meta = JSON.parse(await fs.readFile(path.join(this.dir, 'index.json'), 'utf8'))
+                const buffer = await fs.readFile(path.join(this.dir, 'vectors.bin'))
+                const all = new Float32Array(buffer.buffer, buffer.byteOffset, buffer.byteLength / 4)
+                this.vectors = meta.chunks.map((_, i) => all.slice(i * meta.dims, (i + 1) * meta.dims))
+                this.chunks = meta.chunks
+                this.sources = meta.sources
+                this.modelKey = meta.modelKey
+                this.updatedAt = meta.updatedAt
+            } catch (err) {
+                if (err.code !== 'ENOENT') console.warn('[SemanticIndex] Could not read index, starting empty:', err.message)
+            }
+        })()
+        return this._loaded
+    }
+
+    async save() {
+        await fs.mkdir(this.dir, { recursive: true })
+        const dims = this.vectors[0]?.length || 0
+        const all = new Float32Array(this.vectors.length * dims)
+        this.vectors.forEach((v, i) => all.set(v, i * dims))
+        await fs.writeFile(path.join(this.dir, 'vectors.bin'), Buffer.from(all.buffer))
+        await fs.writeFile(path.join(this.dir, 'index.json'), JSON.stringify({
+            modelKey: this.modelKey,
+            dims,
+            updatedAt: this.updatedAt,
+            sources: this.sources,
+            chunks: this.chunks
+        }))
+    }
+
+    /**
+     * Bring the index in line with `sources`. `modelKey` identifies the embedding
+     * provider/model; `embed(texts)` returns { vectors }. onProgress({ done, total })
+     * reports embedded chunks. Concurrent calls for the same model share one run; a
+     * call for another model runs after the current one. Rejects when clear() cancels it.
+     */
+    sync(sources, modelKey, embed, onProgress) {
+        const current = this._syncing
+        if (current?.modelKey === modelKey && current.generation === this._generation) return current.promise
+        const previous = current?.promise.catch(() => { })
+        const generation = this._generation
+        const run = { modelKey, generation }
+        run.promise = (async () => {
+            await previous
+            return this._sync(sources, modelKey, embed, onProgress, generation)
+        })().finally(() => {
+            if (this._syncing === run) this._syncing = null
+        })
+        this._syncing = run
+        return run.promise
+    }
+
+    async _sync(sources, modelKey, embed, onProgress, generation) {
+        const checkCancelled = () => {
+            if (generation !== this._generation) throw new Error('The index was cleared while it was being built')
+        }
+        await this.load()
+        checkCancelled()
+        if (this.modelKey !== modelKey) this._reset(modelKey)
+
+        const wanted = new Map(sources.filter(s => s.text?.trim()).map(s => [s.key, { ...s, hash: hashText(s.text) }]))
+        const stale = new Set(Object.keys(this.sources).filter(key => wanted.get(key)?.hash !== this.sources[key]))
+        for (const key of stale) delete this.sources[key]
+        // Also drops chunks of a source whose embedding was interrupted by an earlier failed sync
+        const keep = this.chunks.map(c => !!this.sources[c.sourceKey])
+        if (keep.includes(false)) {
+            this.chunks = this.chunks.filter((_, i) => keep[i])
+            this.vectors = this.vectors.filter((_, i) => keep[i])
+        }
+
+        const pending = []
+        const remaining = {} // chunks left to embed per source — a source counts as indexed once all are in
+        for (const source of wanted.values()) {
+            if (this.sources[source.key]) continue
+            for (const text of chunkText(source.text)) {
+                pending.push({ source, chunk: { sourceKey: source.key, type: source.type, title: source.title, url: source.url || null, ts: source.ts || null, text } })
+                remaining[source.key] = (remaining[source.key] || 0) + 1
+            }
+        }
+
+        // Whatever was embedded is saved even if a later batch fails
+        let done = 0
+        try {
+            for (let i = 0; i < pending.length; i += EMBED_BATCH_SIZE) {
+                const batch = pending.slice(i, i + EMBED_BATCH_SIZE)
+                const { vectors } = await embed(batch.map(({ chunk }) => `${chunk.title}\n\n${chunk.text}`))
+                checkCancelled()
+                batch.forEach(({ source, chunk }, j) => {
+                    this.chunks.push(chunk)
+                    this.vectors.push(normalize(vectors[j]))
+                    if (--remaining[source.key] === 0) this.sources[source.key] = source.hash
+                })
+                done += batch.length
+                onProgress?.({ done, total: pending.length })
+            }
+        } finally {
+            if ((stale.size || done) && generation === this._generation) {
+                this.updatedAt = Date.now()
+                await this.save()
+            }
+        }
+        return { added: pending.length, removed: stale.size, ...this.stats() }
+    }
+
+    /** Best-matching chunks for a query vector: [{ ...chunk, score }] */
+    async search(queryVector, limit = 8) {
+        await this.load()
+        const query = normalize(queryVector)
+        const scored = this.vectors.map((v, i) => {
+            let score = 0
+            for (let d = 0; d < v.length; d++) score += v[d] * query[d]
+            return { index: i, score }
+        }).sort((a, b) => b.score - a.score)
+
+        const perSource = {}
+        const results = []
+        for (const { index, score } of scored) {
+            const chunk = this.chunks[index]
+            perSource[chunk.sourceKey] = (perSource[chunk.sourceKey] || 0) + 1
+            if (perSource[chunk.sourceKey] > MAX_CHUNKS_PER_SOURCE) continue
+            results.push({ ...chunk, score })
+            if (results.length >= limit) break
+        }
+        return results
+    }
+
+    stats() {
+        return {
+            chunkCount: this.chunks.length,
+            sourceCount: Object.keys(this.sources).length,
+            modelKey: this.modelKey,
+            updatedAt: this.updatedAt
+        }
+    }
+
+    /** Empty the index, cancelling a sync that is running (its changes are not saved) */
+    async clear() {
+        this._generation++
+        await this._syncing?.promise.catch(() => { })
+        await this.load()
+        this._reset(null)
+        await fs.rm(this.dir, { recursive: true, force: true })
+    }
+
+    _reset(modelKey) {
+        this.modelKey = modelKey
+        this.sources = {}
+        this.chunks = []
+        this.vectors = []
+        this.updatedAt = null
+    }
+}
+
+export { SemanticIndex }
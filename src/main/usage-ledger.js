@@ -0,0 +1,227 @@
+/**
+ * Usage Ledger — token usage and cost accounting for every AI request
+ *
+ * Each completed request is stored as one entry in electron-store (`usageLedger`)
+ * with prompt / completion / cached token counts, provider, model, latency and the
+ * feature that made it (chat, summarize, automate, generate, stt, ...). Entries are
+ * kept in memory and written in batches, a moment after the first unsaved one.
+ *
+ * Costs are NOT stored — they are computed from the user-editable price table
+ * (`modelPrices`, USD per 1M tokens) whenever a summary is built, so fixing a
+ * price updates the history too.
+ */
+
+// Keep the ledger bounded — electron-store rewrites the whole file on every set
+const LEDGER_MAX_ENTRIES = 5000
+const SAVE_DELAY_MS = 5000
+
+// USD per 1M tokens. `cached` is the price of cache reads.
+const DEFAULT_PRICES = {
+    'gpt-4o': { input: 2.5, output: 10, cached: 1.25 },
+    'gpt-4o-mini': { input: 0.15, output: 0.6, cached: 0.075 },
+    'gpt-4.1': { input: 2, output: 8, cached: 0.5 },
+    'gpt-4.1-mini': { input: 0.4, output: 1.6, cached: 0.1 },
+    'claude-opus-4-6': { input: 5, output: 25, cached: 0.5 },
+    'claude-sonnet-4-6': { input: 3, output: 15, cached: 0.3 },
+    'claude-haiku-4-5': { input: 1, output: 5, cached: 0.1 },
+    'gemini-2.0-flash': { input: 0.1, output: 0.4, cached: 0.025 },
+    'gemini-2.5-flash': { input: 0.3, output: 2.5, cached: 0.075 },
+    'gemini-2.5-pro': { input: 1.25, output: 10, cached: 0.31 },
+    'whisper-1': { input: 0, output: 0, cached: 0 }
+}
+
+/**
+ * Convert a provider's raw usage object into { promptTokens, completionTokens, cachedTokens }.
+ * promptTokens always includes cached tokens, so cost = uncached + cached + completion.
+ */
+function normalizeUsage(usage) {
+    if (!usage) return { promptTokens: 0, completionTokens: 0, cachedTokens: 0 }
+
+    // Gemini: usageMetadata (prompt count already includes cached content)
+    if (usage.promptTokenCount != null || usage.candidatesTokenCount != null) {
+        return {
+            promptTokens: usage.promptTokenCount || 0,
+            completionTokens: (usage.candidatesTokenCount || 0) + (usage.thoughtsTokenCount || 0),
+            cachedTokens: usage.cachedContentTokenCount || 0
+        }
+    }
+
+    // Anthropic: input_tokens excludes cache reads and writes
+    if (usage.cache_read_input_tokens != null || usage.cache_creation_input_tokens != null) {
+        const cached = usage.cache_read_input_tokens || 0
+        return {
+            promptTokens: (usage.input_tokens || 0) + cached + (usage.cache_creation_input_tokens || 0),
+            completionTokens: usage.output_tokens || 0,
+            cachedTokens: cached
+        }
+    }
+
+    // OpenAI-compatible (prompt_tokens) or Anthropic / OpenAI transcription (input_tokens)
+    return {
+        promptTokens: usage.prompt_tokens ?? usage.input_tokens ?? 0,
+        completionTokens: usage.completion_tokens ?? usage.output_tokens ?? 0,
+        cachedTokens: usage.prompt_tokens_details?.cached_tokens ?? usage.input_tokens_details?.cached_tokens ?? 0
+    }
+}
+
+/** Local calendar day (YYYY-MM-DD) for a timestamp */
+function dayKey(ts) {
+    const d = new Date(ts)
+    return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')}`
+}
+
+function emptyTotals() {
+    return { requests: 0, promptTokens: 0, completionTokens: 0, cachedTokens: 0, cost: 0 }
+}
+
+function addToTotals(totals, entry, cost) {
+    totals.requests++
+    totals.promptTokens += entry.promptTokens
+    totals.completionTokens += entry.completionTokens
+    totals.cachedTokens += entry.cachedTokens
+    if (cost != null) totals.cost += cost
+    return totals
+}
+
+class UsageLedger {
+    constructor(store) {
+        this.store = store
+        this.entries = store.get('usageLedger') || []
+        this._saveTimer = null
+    }
+
+    /**
+     * Record one request. `usage` is the provider's raw usage object.
+     * { provider, model, usage, latencyMs, feature, conversationId, runId, label }
+     */
+    record({ provider, model, usage, latencyMs, feature, conversationId, runId, label }) {
+        const entry = {
+            ts: Date.now(),
+            provider,
+            model: model || '',
+            ...normalizeUsage(usage),
+            latencyMs: latencyMs ?? null,
+            feature: feature || 'chat',
+            conversationId: conversationId || null,
+            runId: runId || null,
+            label: label ? String(label).substring(0, 80) : null
+        }
+        this.entries.push(entry)
+        if (this.entries.length > LEDGER_MAX_ENTRIES) this.entries.splice(0, this.entries.length - LEDGER_MAX_ENTRIES)
+        if (!this._saveTimer) this._saveTimer = setTimeout(() => this.flush(), SAVE_DELAY_MS)
+        return entry
+    }
+
+    getPrices() {
+        return this.store.get('modelPrices') || { ...DEFAULT_PRICES }
+    }
+
+    setPrices(prices) {
+        this.store.set('modelPrices', prices)
+    }
+
+    resetPrices() {
+        this.store.set('modelPrices', { ...DEFAULT_PRICES })
+        return this.getPrices()
+    }
+
+    clear() {
+        this.entries = []
+        this.flush()
+    }
+
+    /** Write unsaved entries now (called on quit) */
+    flush() {
+        clearTimeout(this._saveTimer)
+        this._saveTimer = null
+        this.store.set('usageLedger', this.entries)
+    }
+
+    /**
+     * Find the price for a model: exact match, then without an OpenRouter-style
+     * vendor prefix, then the longest table key the model name starts with
+     * (so dated snapshots like gpt-4o-2024-08-06 use the gpt-4o price).
+     */
+    priceFor(model, prices = this.getPrices()) {
+        if (!model) return null
+        if (prices[model]) return prices[model]
+        const bare = model.includes('/') ? model.slice(model.lastIndexOf('/') + 1) : model
+        if (prices[bare]) return prices[bare]
+        const key = Object.keys(prices)
+            .filter(k => bare.startsWith(k))
+            .sort((a, b) => b.length - a.length)[0]
+        return key ? prices[key] : null
+    }
+
+    /** Cost in USD of one entry, or null when the model has no price */
+    costOf(entry, prices = this.getPrices()) {
+        const price = this.priceFor(entry.model, prices)
+        if (!price) return null
+        const uncached = Math.max(0, entry.promptTokens - entry.cachedTokens)
+        return (uncached * (price.input || 0) +
+            entry.cachedTokens * (price.cached ?? price.input ?? 0) +
+            entry.completionTokens * (price.output || 0)) / 1e6
+    }
+
+    /**
+     * Aggregate the ledger for the Settings view: today / this month totals,
+     * per-day, per-feature, per-model, per-conversation and per-automation-run
+     * breakdowns. `conversationNames` maps conversation ids to saved names.
+     */
+    getSummary(conversationNames = {}) {
+        const entries = this.entries
+        const prices = this.getPrices()
+        const today = dayKey(Date.now())
+        const month = today.slice(0, 7)
+
+        const summary = { today: emptyTotals(), month: emptyTotals(), all: emptyTotals() }
+        const days = {}, features = {}, models = {}, conversations = {}, runs = {}
+        const unpriced = new Set()
+
+        for (const entry of entries) {
+            const cost = this.costOf(entry, prices)
+            if (cost == null && entry.model && entry.provider !== 'ollama' && entry.provider !== 'lmstudio') {
+                unpriced.add(entry.model)
+            }
+            const day = dayKey(entry.ts)
+
+            addToTotals(summary.all, entry, cost)
+            if (day === today) addToTotals(summary.today, entry, cost)
+            if (day.startsWith(month)) addToTotals(summary.month, entry, cost)
+
+            addToTotals(days[day] ||= { day, ...emptyTotals() }, entry, cost)
+            addToTotals(features[entry.feature] ||= { feature: entry.feature, ...emptyTotals() }, entry, cost)
+            const modelKey = `${entry.provider}/${entry.model}`
+            addToTotals(models[modelKey] ||= { provider: entry.provider, model: entry.model, ...emptyTotals() }, entry, cost)
+
+            if (entry.conversationId) {
+                const conv = conversations[entry.conversationId] ||= {
+                    conversationId: entry.conversationId,
+                    name: conversationNames[entry.conversationId] || null,
+                    firstUsed: entry.ts,
+                    ...emptyTotals()
+                }
+                conv.lastUsed = entry.ts
+                addToTotals(conv, entry, cost)
+            }
+            if (entry.runId) {
+                const run = runs[entry.runId] ||= { runId: entry.runId, label: entry.label, startedAt: entry.ts, ...emptyTotals() }
+                addToTotals(run, entry, cost)
+            }
+        }
+
+        const byCost = (a, b) => b.cost - a.cost || b.requests - a.requests
+        return {
+            ...summary,
+            days: Object.values(days).sort((a, b) => b.day.localeCompare(a.day)).slice(0, 31),
+            features: Object.values(features).sort(byCost),
+            models: Object.values(models).sort(byCost),
+            conversations: Object.values(conversations).sort((a, b) => b.lastUsed - a.lastUsed).slice(0, 25),
+            runs: Object.values(runs).sort((a, b) => b.startedAt - a.startedAt).slice(0, 25),
+            unpriced: [...unpriced],
+            entryCount: entries.length
+        }
+    }
+}
+
+export { UsageLedger, normalizeUsage, DEFAULT_PRICES }
@@ -13,7 +13,7 @@ contextBridge.exposeInMainWorld('browserAPI', {
 
     // Tab management
     tabs: {
-        create: (url) => ipcRenderer.invoke('tab:create', url),
+        create: (url, options) => ipcRenderer.invoke('tab:create', url, options),
         switch: (tabId) => ipcRenderer.send('tab:switch', tabId),
         close: (tabId) => ipcRenderer.send('tab:close', tabId),
         list: () => ipcRenderer.invoke('tab:list'),
@@ -69,7 +69,7 @@ contextBridge.exposeInMainWorld('browserAPI', {
         chatStream: (params) => ipcRenderer.invoke('ai:chat-stream', params),
         summarize: (params) => ipcRenderer.invoke('ai:summarize', params),
         executeTask: (params) => ipcRenderer.invoke('ai:execute-task', params),
-        getPageContent: () => ipcRenderer.invoke('ai:get-page-content'),
+        getPageContent: (params) => ipcRenderer.invoke('ai:get-page-content', params),
         togglePanel: (open) => ipcRenderer.send('ai:panel-toggle', open),
         resizePanel: (width) => ipcRenderer.send('ai:panel-resize', width),
         stop: () => ipcRenderer.send('ai:stop'),
@@ -82,6 +82,11 @@ contextBridge.exposeInMainWorld('browserAPI', {
             ipcRenderer.on('ai:stream-chunk', handler)
             return () => ipcRenderer.removeListener('ai:stream-chunk', handler)
         },
+        onStreamReasoning: (callback) => {
+            const handler = (e, data) => callback(data)
+            ipcRenderer.on('ai:stream-reasoning', handler)
+            return () => ipcRenderer.removeListener('ai:stream-reasoning', handler)
+        },
         onStreamEnd: (callback) => {
             const handler = (e, data) => callback(data)
             ipcRenderer.on('ai:stream-end', handler)
@@ -96,6 +101,16 @@ contextBridge.exposeInMainWorld('browserAPI', {
             const handler = (e, data) => callback(data)
             ipcRenderer.on('ai:stopped', handler)
             return () => ipcRenderer.removeListener('ai:stopped', handler)
+        },
+        onAgentStep: (callback) => {
+            const handler = (e, data) => callback(data)
+            ipcRenderer.on('ai:agent-step', handler)
+            return () => ipcRenderer.removeListener('ai:agent-step', handler)
+        },
+        onSummarizeProgress: (callback) => {
+            const handler = (e, data) => callback(data)
+            ipcRenderer.on('ai:summarize-progress', handler)
+            return () => ipcRenderer.removeListener('ai:summarize-progress', handler)
         }
     },
 
@@ -118,6 +133,83 @@ contextBridge.exposeInMainWorld('browserAPI', {
         gemini: (query) => ipcRenderer.invoke('search:gemini', query)
     },
 
+    // Usage & cost ledger
+    usage: {
+        summary: () => ipcRenderer.invoke('usage:summary'),
+        getPrices: () => ipcRenderer.invoke('usage:get-prices'),
+        setPrices: (prices) => ipcRenderer.invoke('usage:set-prices', prices),
+        resetPrices: () => ipcRenderer.invoke('usage:reset-prices'),
+        clear: () => ipcRenderer.invoke('usage:clear')
+    },
+
+    // Browsing history
+    history: {
+        search: (params) => ipcRenderer.invoke('history:search', params),
+        remove: (id) => ipcRenderer.invoke('history:remove', id),
+        clear: () => ipcRenderer.invoke('history:clear'),
+        recall: (params) => ipcRenderer.invoke('history:recall', params)
+    },
+
+    // Semantic index
+    index: {
+        stats: () => ipcRenderer.invoke('index:stats'),
+        embeddingDefaults: () => ipcRenderer.invoke('index:embedding-defaults'),
+        sync: () => ipcRenderer.invoke('index:sync'),
+        clear: () => ipcRenderer.invoke('index:clear'),
+        ask: (params) => ipcRenderer.invoke('index:ask', params),
+        onProgress: (callback) => {
+            const handler = (e, data) => callback(data)
+            ipcRenderer.on('index:progress', handler)
+            return () => ipcRenderer.removeListener('index:progress', handler)
+        }
+    },
+
+    // Downloads
+    downloads: {
+        list: () => ipcRenderer.invoke('downloads:list'),
+        pause: (id) => ipcRenderer.invoke('downloads:pause', id),
+        resume: (id) => ipcRenderer.invoke('downloads:resume', id),
+        cancel: (id) => ipcRenderer.invoke('downloads:cancel', id),
+        open: (id) => ipcRenderer.invoke('downloads:open', id),
+        showInFolder: (id) => ipcRenderer.invoke('downloads:show-in-folder', id),
+        remove: (id) => ipcRenderer.invoke('downloads:remove', id),
+        clear: () => ipcRenderer.invoke('downloads:clear'),
+        chooseFolder: () => ipcRenderer.invoke('downloads:choose-folder'),
+        onChanged: (callback) => {
+            const handler = (e, data) => callback(data)
+            ipcRenderer.on('downloads:changed', handler)
+            return () => ipcRenderer.removeListener('downloads:changed', handler)
+        }
+    },
+
+    // Scheduled automations
+    scheduler: {
+        list: () => ipcRenderer.invoke('scheduler:list'),
+        save: (data) => ipcRenderer.invoke('scheduler:save', data),
+        delete: (id) => ipcRenderer.invoke('scheduler:delete', id),
+        runNow: (id) => ipcRenderer.invoke('scheduler:run-now', id),
+        runs: (scheduleId) => ipcRenderer.invoke('scheduler:runs', scheduleId),
+        onChanged: (callback) => {
+            const handler = () => callback()
+            ipcRenderer.on('scheduler:changed', handler)
+            return () => ipcRenderer.removeListener('scheduler:changed', handler)
+        }
+    },
+
+    // Page watches
+    watches: {
+        list: () => ipcRenderer.invoke('watches:list'),
+        save: (data) => ipcRenderer.invoke('watches:save', data),
+        delete: (id) => ipcRenderer.invoke('watches:delete', id),
+        checkNow: (id) => ipcRenderer.invoke('watches:check-now', id),
+        snapshots: (watchId) => ipcRenderer.invoke('watches:snapshots', watchId),
+        onChanged: (callback) => {
+            const handler = () => callback()
+            ipcRenderer.on('watches:changed', handler)
+            return () => ipcRenderer.removeListener('watches:changed', handler)
+        }
+    },
+
     // Settings
     settings: {
         get: () => ipcRenderer.invoke('settings:get'),
@@ -153,7 +245,7 @@ contextBridge.exposeInMainWorld('browserAPI', {
     automation: {
         showOverlay: () => ipcRenderer.send('automation:overlay-show'),
         hideOverlay: () => ipcRenderer.send('automation:overlay-hide'),
-        screenshot: () => ipcRenderer.invoke('automation:screenshot'),
+        screenshot: (params) => ipcRenderer.invoke('automation:screenshot', params),
         click: (params) => ipcRenderer.invoke('automation:click', params),
         type: (params) => ipcRenderer.invoke('automation:type', params),
         pressKey: (params) => ipcRenderer.invoke('automation:press-key', params),
@@ -162,9 +254,26 @@ contextBridge.exposeInMainWorld('browserAPI', {
         findElement: (params) => ipcRenderer.invoke('automation:find-element', params),
         clickElement: (params) => ipcRenderer.invoke('automation:click-element', params),
         fillInput: (params) => ipcRenderer.invoke('automation:fill-input', params),
+        uploadFiles: (params) => ipcRenderer.invoke('automation:upload-files', params),
         eval: (params) => ipcRenderer.invoke('automation:eval', params),
         navigate: (params) => ipcRenderer.invoke('automation:navigate', params),
-        wait: (params) => ipcRenderer.invoke('automation:wait', params)
+        wait: (params) => ipcRenderer.invoke('automation:wait', params),
+        waitFor: (params) => ipcRenderer.invoke('automation:wait-for', params),
+        waitForUrl: (params) => ipcRenderer.invoke('automation:wait-for-url', params),
+        waitForNetworkIdle: (params) => ipcRenderer.invoke('automation:wait-for-network-idle', params),
+        exists: (params) => ipcRenderer.invoke('automation:exists', params),
+        extract: (params) => ipcRenderer.invoke('automation:extract', params),
+        assert: (params) => ipcRenderer.invoke('automation:assert', params),
+        openScreenshot: (file) => ipcRenderer.invoke('automation:open-screenshot', file),
+        waitDownload: (params) => ipcRenderer.invoke('automation:wait-download', params),
+        startRecording: (params) => ipcRenderer.invoke('automation:record-start', params),
+        stopRecording: (params) => ipcRenderer.invoke('automation:record-stop', params),
+        recordingStatus: () => ipcRenderer.invoke('automation:record-status'),
+        onRecordedSteps: (callback) => {
+            const handler = (e, data) => callback(data)
+            ipcRenderer.on('automation:record-steps', handler)
+            return () => ipcRenderer.removeListener('automation:record-steps', handler)
+        }
     },
 
     // Auto-Updater
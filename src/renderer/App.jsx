@@ -5,6 +5,9 @@ import Toolbar from './components/Toolbar'
 import BookmarksBar from './components/BookmarksBar'
 import AIPanel from './components/AIPanel'
 import SettingsPage from './components/SettingsPage'
+import HistoryPage from './components/HistoryPage'
+import DownloadsPage from './components/DownloadsPage'
+import WatchesPage from './components/WatchesPage'
 import DevModePanel from './components/DevModePanel'
 
 export default function App() {
@@ -16,6 +19,9 @@ export default function App() {
     const [isLoading, setIsLoading] = useState(false)
     const [showAI, setShowAI] = useState(false)
     const [showSettings, setShowSettings] = useState(false)
+    const [showHistory, setShowHistory] = useState(false)
+    const [showDownloads, setShowDownloads] = useState(false)
+    const [showWatches, setShowWatches] = useState(false)
     const [showDevMode, setShowDevMode] = useState(false)
     const [settings, setSettings] = useState(null)
     const [bookmarks, setBookmarks] = useState([])
@@ -129,17 +135,59 @@ export default function App() {
         setShowDevMode(v => !v)
     }, [])
 
-    // Keyboard shortcut: Ctrl+Shift+D toggles Dev Mode
+    // The history page covers the tab, so the native page view is hidden while it is open
+    const handleOpenHistory = useCallback(() => {
+        setShowHistory(true)
+        window.browserAPI.overlay.toggle(true)
+    }, [])
+
+    const handleCloseHistory = useCallback(() => {
+        setShowHistory(false)
+        window.browserAPI.overlay.toggle(false)
+    }, [])
+
+    const handleOpenHistoryUrl = useCallback((url) => {
+        handleCloseHistory()
+        window.browserAPI.nav.go(url)
+    }, [handleCloseHistory])
+
+    const handleOpenDownloads = useCallback(() => {
+        setShowDownloads(true)
+        window.browserAPI.overlay.toggle(true)
+    }, [])
+
+    const handleCloseDownloads = useCallback(() => {
+        setShowDownloads(false)
+        window.browserAPI.overlay.toggle(false)
+    }, [])
+
+    const handleOpenWatches = useCallback(() => {
+        setShowWatches(true)
+        window.browserAPI.overlay.toggle(true)
+    }, [])
+
+    const handleCloseWatches = useCallback(() => {
+        setShowWatches(false)
+        window.browserAPI.overlay.toggle(false)
+    }, [])
+
+    // Keyboard shortcuts: Ctrl+Shift+D toggles Dev Mode, Ctrl+H opens History, Ctrl+J opens Downloads
     useEffect(() => {
         const handler = (e) => {
             if ((e.ctrlKey || e.metaKey) && e.shiftKey && e.key === 'D') {
                 e.preventDefault()
                 setShowDevMode(v => !v)
+            } else if ((e.ctrlKey || e.metaKey) && !e.shiftKey && e.key === 'h') {
+                e.preventDefault()
+                handleOpenHistory()
+            } else if ((e.ctrlKey || e.metaKey) && !e.shiftKey && e.key === 'j') {
+                e.preventDefault()
+                handleOpenDownloads()
             }
         }
         window.addEventListener('keydown', handler)
         return () => window.removeEventListener('keydown', handler)
-    }, [])
+    }, [handleOpenHistory, handleOpenDownloads])
 
     const handleSettingsSave = useCallback(async (key, value) => {
         await window.browserAPI.settings.set(key, value)
@@ -174,6 +222,9 @@ export default function App() {
                 onHome={handleHome}
                 onToggleAI={handleToggleAI}
                 onToggleDevMode={handleToggleDevMode}
+                onOpenHistory={handleOpenHistory}
+                onOpenDownloads={handleOpenDownloads}
+                onOpenWatches={handleOpenWatches}
                 onOpenSettings={() => {
                     setShowSettings(true)
                     window.browserAPI.overlay.toggle(true)
@@ -218,6 +269,15 @@ export default function App() {
             {showDevMode && (
                 <DevModePanel onClose={() => setShowDevMode(false)} />
             )}
+            {showHistory && (
+                <HistoryPage onClose={handleCloseHistory} onOpenUrl={handleOpenHistoryUrl} />
+            )}
+            {showDownloads && (
+                <DownloadsPage onClose={handleCloseDownloads} />
+            )}
+            {showWatches && (
+                <WatchesPage onClose={handleCloseWatches} currentUrl={currentUrl} />
+            )}
             {showSettings && (
                 <SettingsPage
                     settings={settings}
@@ -1,9 +1,12 @@
 import React, { useState, useRef, useEffect, useCallback, Component } from 'react'
-import { X, Send, Sparkles, FileText, Zap, Search, Loader, Eye, Square, ChevronDown, ChevronRight, Brain, Play, CheckCircle, AlertCircle, Camera, Mic, ImagePlus, BookOpen, Save, CheckSquare, Activity, FlaskConical } from 'lucide-react'
+import { X, Send, Sparkles, FileText, Zap, Search, Loader, Eye, Square, ChevronDown, ChevronRight, Brain, Play, CheckCircle, AlertCircle, Camera, Mic, ImagePlus, BookOpen, Save, CheckSquare, Activity, FlaskConical, Shuffle, AtSign, Layers, History, Database } from 'lucide-react'
 import ReactMarkdown from 'react-markdown'
 import LibraryPanel from './LibraryPanel'
 import AutomationsTab from './AutomationsTab'
 import AutomationReport from './AutomationReport'
+import AutomationInputsDialog from './AutomationInputsDialog'
+import { initialVariables, interpolateCommand } from '../../shared/automation-variables.js'
+import { nestCommands, flattenCommands, mapCommands, runCommands, countSteps, DEFAULT_WHILE_MAX } from '../../shared/automation-flow.js'
 import { TEST_CASES, TEST_CATEGORIES } from './TestCases'
 
 // Error boundary to prevent entire panel from going black on render errors
@@ -50,16 +53,17 @@ function SafeMarkdown({ children }) {
     }
 }
 
-// Collapsible thinking block — shows the AI's raw reasoning (including commands)
-function ThinkingBlock({ content }) {
-    const [expanded, setExpanded] = useState(false)
+// Collapsible thinking block — shows the AI's raw reasoning (including commands),
+// or the model's own reasoning stream for thinking / reasoning models
+function ThinkingBlock({ content, label = 'AI Reasoning', defaultExpanded = false }) {
+    const [expanded, setExpanded] = useState(defaultExpanded)
     if (!content) return null
     return (
         <div className="ai-thinking-block">
             <button className="ai-thinking-block__toggle" onClick={() => setExpanded(v => !v)}>
                 <Brain size={12} />
                 {expanded ? <ChevronDown size={12} /> : <ChevronRight size={12} />}
-                <span>AI Reasoning</span>
+                <span>{label}</span>
             </button>
             {expanded && (
                 <pre className="ai-thinking-block__content">{content}</pre>
@@ -100,19 +104,52 @@ const PROVIDER_LABELS = {
     lmstudio: 'LM Studio (Local)'
 }
 
+/** Display name of a provider key, including custom OpenAI-compatible providers */
+function providerLabel(aiSettings, key) {
+    return PROVIDER_LABELS[key] || aiSettings?.providers?.[key]?.label || key
+}
+
+// Total page-text budget for @tab mentions, split evenly between the mentioned tabs
+const TAB_CONTEXT_CHARS = 24000
+
+// An "@query" being typed at the end of the input opens the tab picker
+const TAB_MENTION_RE = /(^|\s)@([^\s@]*)$/
+
+// PDF text arrives as one `## Page N` section per page
+const PDF_CITATION_NOTE = 'PDF text is split into "## Page N" sections — cite the page for facts taken from it, as (p. N).'
+
+/** Build the prompt section holding the text of the @mentioned tabs */
+function formatTabContext(pages) {
+    const perTab = Math.floor(TAB_CONTEXT_CHARS / pages.length)
+    const sections = pages.map((page, i) => page.error
+        ? `### Tab ${i + 1}: ${page.title}\n(Could not read this tab: ${page.error})`
+        : `### Tab ${i + 1}\n${page.header}\n\n${page.markdown.substring(0, perTab)}`)
+    const note = pages.some(page => page.isPdf) ? `\n${PDF_CITATION_NOTE}` : ''
+    return `\n\n---\nContent of the tabs the user mentioned:${note}\n\n${sections.join('\n\n')}`
+}
+
 // Strip raw automation command lines from display text (keep prose only)
 function cleanMessageText(text) {
     return text
         .split('\n')
         .filter(line => {
             const t = line.trim()
-            return !t.match(/^(CLICK_ELEMENT|CLICK|TYPE|FILL|PRESS|SCROLL|NAVIGATE|WAIT|FIND)\s*\(/)
+            return !t.match(/^(CLICK_ELEMENT|CLICK|TYPE|FILL|PRESS|SCROLL|NAVIGATE|UPLOAD|WAIT_DOWNLOAD|WAIT_FOR_URL|WAIT_FOR|WAIT|FIND|EXTRACT_ALL|EXTRACT|ASSERT_\w+|IF_EXISTS|REPEAT|FOR_EACH|WHILE_EXISTS|CALL)\s*\(/) &&
+                !t.match(/^(WAIT_FOR_NETWORK_IDLE|ELSE|END|TRY|ON_ERROR)\b/)
         })
         .join('\n')
         .replace(/\n{3,}/g, '\n\n')
         .trim()
 }
 
+/**
+ * Message tags from an AI result: the provider that actually answered (differs from the
+ * selected one after a fallback) and the model's reasoning, if it exposed any
+ */
+function responseTags(result) {
+    return { provider: result.provider, fallbackFrom: result.fallbackFrom, reasoning: result.reasoning || undefined }
+}
+
 export default function AIPanel({ settings, onClose, panelWidth = 380, onPanelResize, onAutomationChange }) {
     const [messages, setMessages] = useState([
         {
@@ -126,8 +163,11 @@ export default function AIPanel({ settings, onClose, panelWidth = 380, onPanelRe
         settings?.aiSettings?.activeProvider || 'openai'
     )
     const [streamingContent, setStreamingContent] = useState('')
+    const [streamingReasoning, setStreamingReasoning] = useState('')
     const [isAutomating, setIsAutomating] = useState(false)
     const [automationSteps, setAutomationSteps] = useState([])
+    const [progressNote, setProgressNote] = useState('')             // status line for long-running summaries and index updates
+    const [browsingMode, setBrowsingMode] = useState(false)          // answer from the semantic index ("My Browsing")
     const [showScreenshot, setShowScreenshot] = useState(null)
     // Voice input state
     const [isRecording, setIsRecording] = useState(false)
@@ -135,6 +175,9 @@ export default function AIPanel({ settings, onClose, panelWidth = 380, onPanelRe
     const audioChunksRef = useRef([])
     // Image attachment state
     const [attachedImage, setAttachedImage] = useState(null)
+    // @tab mentions: tabs whose text is added to the next message, and the open tab picker
+    const [mentionedTabs, setMentionedTabs] = useState([])  // { tabId, title, url }
+    const [tabMenu, setTabMenu] = useState(null)             // { query, tabs } while picking
     const fileInputRef = useRef(null)
     // Library & save state
     const [showLibrary, setShowLibrary] = useState(false)
@@ -153,6 +196,11 @@ export default function AIPanel({ settings, onClose, panelWidth = 380, onPanelRe
     const [automationName, setAutomationName] = useState('')
     const [automationStartTime, setAutomationStartTime] = useState(null)
     const [automationThinking, setAutomationThinking] = useState('')
+    const [automationVerdict, setAutomationVerdict] = useState(null)   // { success, summary } from the AI agent
+    const [automationBudget, setAutomationBudget] = useState(null)     // agent step budget, null for fixed command lists
+    const [automationVariables, setAutomationVariables] = useState(null) // inputs and EXTRACT results of a finished run
+    const [automationHealing, setAutomationHealing] = useState(null) // { item, repairs, healed, applied } — selectors a saved run healed
+    const [pendingAutomation, setPendingAutomation] = useState(null)   // saved automation waiting for its inputs
     const [runningAutomationId, setRunningAutomationId] = useState(null)
     const [runningStepIndex, setRunningStepIndex] = useState(-1)
     // Test cases dropdown state
@@ -163,8 +211,12 @@ export default function AIPanel({ settings, onClose, panelWidth = 380, onPanelRe
     const streamIdRef = useRef(null)
     // Accumulates streaming content for command parsing after stream ends
     const lastStreamContentRef = useRef('')
+    // Accumulates the model's streamed reasoning, attached to the final message
+    const lastStreamReasoningRef = useRef('')
     // Prevents duplicate processing if stream-end fires twice (e.g. React StrictMode)
     const processedStreamIdsRef = useRef(new Set())
+    // Identifies this chat session in the usage ledger; replaced when a saved conversation is loaded
+    const conversationIdRef = useRef(`chat-${Date.now()}`)
 
     const scrollToBottom = useCallback(() => {
         messagesEndRef.current?.scrollIntoView({ behavior: 'smooth' })
@@ -172,7 +224,7 @@ export default function AIPanel({ settings, onClose, panelWidth = 380, onPanelRe
 
     useEffect(() => {
         scrollToBottom()
-    }, [messages, isTyping, streamingContent, scrollToBottom])
+    }, [messages, isTyping, streamingContent, streamingReasoning, scrollToBottom])
 
     // Notify parent (App) whenever automation state changes, AND inject/remove the
     // in-page overlay (WebContentsView sits above React HTML, so we must inject into the tab)
@@ -196,7 +248,14 @@ export default function AIPanel({ settings, onClose, panelWidth = 380, onPanelRe
             }
         }))
 
-        unsubs.push(window.browserAPI.ai.onStreamEnd(({ streamId }) => {
+        unsubs.push(window.browserAPI.ai.onStreamReasoning(({ streamId, chunk }) => {
+            if (streamId === streamIdRef.current) {
+                lastStreamReasoningRef.current += chunk
+                setStreamingReasoning(prev => prev + chunk)
+            }
+        }))
+
+        unsubs.push(window.browserAPI.ai.onStreamEnd(({ streamId, provider, fallbackFrom }) => {
             if (streamId !== streamIdRef.current) return
             // Guard against duplicate stream-end events (React StrictMode / network quirks)
             if (processedStreamIdsRef.current.has(streamId)) return
@@ -204,11 +263,14 @@ export default function AIPanel({ settings, onClose, panelWidth = 380, onPanelRe
 
             const finalContent = lastStreamContentRef.current
             lastStreamContentRef.current = ''
+            const reasoning = lastStreamReasoningRef.current || undefined
+            lastStreamReasoningRef.current = ''
 
             // Show clean prose to user — strip raw automation command lines from display
             const displayText = cleanMessageText(finalContent)
 
             setStreamingContent(() => '')
+            setStreamingReasoning('')
             setIsTyping(false)
             streamIdRef.current = null
 
@@ -217,44 +279,48 @@ export default function AIPanel({ settings, onClose, panelWidth = 380, onPanelRe
             if (cmds.length > 0) {
                 // Show assistant message with thinking (raw AI reasoning including commands)
                 if (displayText) {
-                    setMessages(msgs => [...msgs, { role: 'assistant', content: displayText, thinking: finalContent }])
+                    setMessages(msgs => [...msgs, { role: 'assistant', content: displayText, thinking: finalContent, reasoning, provider, fallbackFrom }])
                 }
                 // Build initial step list
-                const initialSteps = cmds.map((cmd, i) => ({
-                    detail: describeCommand(cmd),
-                    status: 'pending',
-                    duration: null
-                }))
-                setAutomationSteps(initialSteps)
+                setAutomationSteps(reportSteps(cmds))
                 setIsAutomating(true)
                 setLastAutomationCommands(cmds)
                 // Report metadata for AI chat automation
                 setAutomationName('AI Chat Automation')
+                setAutomationVerdict(null)
+                setAutomationBudget(null)
+                setAutomationVariables(null)
                 setAutomationStartTime(Date.now())
                 setAutomationThinking(finalContent)
                 setShowReport(true)
                 setRunningAutomationId(null)
                 executeAutomationCommands(cmds, (stepIndex, update) => {
                     setAutomationSteps(prev => prev.map((s, i) => i === stepIndex ? { ...s, ...update } : s))
-                }).then(() => {
+                }).then(({ variables }) => {
+                    setAutomationVariables(variables)
                     setIsAutomating(false)
                 }).catch(err => {
                     setMessages(msgs => [...msgs, { role: 'error', content: `Automation error: ${err.message}` }])
                     setIsAutomating(false)
                 })
             } else if (displayText) {
-                setMessages(msgs => [...msgs, { role: 'assistant', content: displayText }])
+                setMessages(msgs => [...msgs, { role: 'assistant', content: displayText, reasoning, provider, fallbackFrom }])
             }
         }))
 
         unsubs.push(window.browserAPI.ai.onStreamError(({ streamId, error, aborted }) => {
             if (streamId === streamIdRef.current) {
                 // If we had partial content, keep it as a message
+                const reasoning = lastStreamReasoningRef.current || undefined
+                lastStreamContentRef.current = ''
+                lastStreamReasoningRef.current = ''
+                setStreamingReasoning('')
                 setStreamingContent(prev => {
                     if (prev) {
                         setMessages(msgs => [...msgs, {
                             role: 'assistant',
-                            content: prev + (aborted ? '\n\n*(stopped)*' : '')
+                            content: prev + (aborted ? '\n\n*(stopped)*' : ''),
+                            reasoning
                         }])
                     }
                     return ''
@@ -272,9 +338,13 @@ export default function AIPanel({ settings, onClose, panelWidth = 380, onPanelRe
 
         // Listen for explicit stop confirmation from main process
         unsubs.push(window.browserAPI.ai.onStopped(() => {
+            const reasoning = lastStreamReasoningRef.current || undefined
+            lastStreamContentRef.current = ''
+            lastStreamReasoningRef.current = ''
+            setStreamingReasoning('')
             setStreamingContent(prev => {
                 if (prev) {
-                    setMessages(msgs => [...msgs, { role: 'assistant', content: prev + '\n\n*(stopped)*' }])
+                    setMessages(msgs => [...msgs, { role: 'assistant', content: prev + '\n\n*(stopped)*', reasoning }])
                 }
                 return ''
             })
@@ -283,6 +353,36 @@ export default function AIPanel({ settings, onClose, panelWidth = 380, onPanelRe
             streamIdRef.current = null
         }))
 
+        // Agent tool calls from the Automate loop — one event when a step starts, one when it ends
+        // Observations arrive separately and are attached to the step that caused them
+        unsubs.push(window.browserAPI.ai.onAgentStep(({ index, status, command, error, duration, observation, budget }) => {
+            setAutomationBudget(budget)
+            if (observation) {
+                const note = `→ ${observation.title || observation.url} (${observation.elementCount} elements)`
+                setAutomationSteps(prev => prev.map((s, i) => i === index ? { ...s, note } : s))
+                return
+            }
+            const detail = describeCommand(command) + (error ? ` — ${error}` : '')
+            setRunningStepIndex(status === 'running' ? index : -1)
+            setAutomationSteps(prev => {
+                const next = [...prev]
+                next[index] = { detail, status, duration: duration ?? null }
+                return next
+            })
+        }))
+
+        // Sectioned summaries of long pages report each finished section, then the merge
+        unsubs.push(window.browserAPI.ai.onSummarizeProgress(({ stage, done, total }) => {
+            setProgressNote(stage === 'reduce'
+                ? `Merging ${total} section summaries...`
+                : `Summarizing long page — ${done}/${total} sections...`)
+        }))
+
+        // "My Browsing" questions first embed whatever is new in history, library and bookmarks
+        unsubs.push(window.browserAPI.index.onProgress(({ done, total }) => {
+            setProgressNote(done < total ? `Indexing your browsing — ${done}/${total} chunks...` : 'Searching your browsing...')
+        }))
+
         return () => unsubs.forEach(unsub => unsub?.())
     }, [])
 
@@ -392,13 +492,63 @@ export default function AIPanel({ settings, onClose, panelWidth = 380, onPanelRe
         e.target.value = ''
     }
 
+    /** Track "@query" at the end of the input and open / filter / close the tab picker */
+    const handleInputChange = async (value) => {
+        setInput(value)
+        const match = value.match(TAB_MENTION_RE)
+        if (!match) {
+            setTabMenu(null)
+            return
+        }
+        const query = match[2].toLowerCase()
+        // The list is read fresh each time the picker opens, and kept current while it is open
+        const tabs = tabMenu?.tabs || await window.browserAPI.tabs.list()
+        setTabMenu({ query, tabs })
+    }
+
+    const tabMenuOpen = Boolean(tabMenu)
+    useEffect(() => {
+        if (!tabMenuOpen) return
+        const refresh = async () => {
+            const tabs = await window.browserAPI.tabs.list()
+            setTabMenu(menu => menu && { ...menu, tabs })
+        }
+        const unsubscribers = [
+            window.browserAPI.tabs.onCreated(refresh),
+            window.browserAPI.tabs.onUpdated(refresh),
+            window.browserAPI.tabs.onClosed(refresh)
+        ]
+        return () => unsubscribers.forEach(unsubscribe => unsubscribe())
+    }, [tabMenuOpen])
+
+    // A mentioned tab that is closed before the message is sent is dropped
+    useEffect(() => window.browserAPI.tabs.onClosed(({ tabId }) => {
+        setMentionedTabs(prev => prev.filter(t => t.tabId !== tabId))
+    }), [])
+
+    const tabMenuMatches = tabMenu
+        ? tabMenu.tabs.filter(t => !mentionedTabs.some(m => m.tabId === t.tabId) &&
+            `${t.title} ${t.url}`.toLowerCase().includes(tabMenu.query))
+        : []
+
+    const handleMentionTab = (tab) => {
+        setMentionedTabs(prev => [...prev, { tabId: tab.tabId, title: tab.title || tab.url, url: tab.url }])
+        setInput(prev => prev.replace(TAB_MENTION_RE, '$1'))
+        setTabMenu(null)
+        inputRef.current?.focus()
+    }
+
     const handleSend = async () => {
         if ((!input.trim() && !attachedImage) || isTyping) return
+        if (browsingMode) return handleAskBrowsing()
 
         const userMessage = input.trim()
         const imageToSend = attachedImage
+        const tabsToRead = mentionedTabs
         setInput('')
         setAttachedImage(null)
+        setMentionedTabs([])
+        setTabMenu(null)
         setIsTyping(true)
         lastStreamContentRef.current = ''
         processedStreamIdsRef.current.clear()
@@ -408,16 +558,28 @@ export default function AIPanel({ settings, onClose, panelWidth = 380, onPanelRe
             const screenshotData = await captureScreenshot()
             // User-attached image takes priority over auto-screenshot
             const imageData = imageToSend || screenshotData
+
+            // Read the @mentioned tabs (works for background tabs without switching to them).
+            // Their text stays with the message, so later turns and saved conversations keep it.
+            let tabContext = ''
+            if (tabsToRead.length > 0) {
+                const pages = await Promise.all(tabsToRead.map(async (tab) => {
+                    const page = await window.browserAPI.ai.getPageContent({ tabId: tab.tabId })
+                    return page.error ? { ...tab, error: page.error } : page
+                }))
+                tabContext = formatTabContext(pages)
+            }
             addMessage('user', userMessage || '(image)', {
                 ...(screenshotData && !imageToSend ? { hasScreenshot: true } : {}),
-                ...(imageToSend ? { hasImage: true } : {})
+                ...(imageToSend ? { hasImage: true } : {}),
+                ...(tabsToRead.length > 0 ? { tabs: tabsToRead.map(t => t.title), tabContext } : {})
             })
 
             const chatMessages = messages
                 .filter(m => m.role !== 'system' && m.role !== 'error')
-                .concat([{ role: 'user', content: userMessage || 'Describe what you see in this image.', ...(imageData ? { image: imageData } : {}) }])
+                .concat([{ role: 'user', content: userMessage || 'Describe what you see in this image.', tabContext, ...(imageData ? { image: imageData } : {}) }])
                 .map(m => {
-                    const msg = { role: m.role, content: m.content }
+                    const msg = { role: m.role, content: m.content + (m.tabContext || '') }
                     if (m.image) msg.image = m.image
                     return msg
                 })
@@ -441,11 +603,23 @@ CLICK_ELEMENT("css-selector") — click element by CSS selector
 CLICK(x, y) — click at pixel coordinates
 TYPE("text") — type into focused element
 FILL("css-selector", "value") — fill an input field
+UPLOAD("css-selector", "/absolute/path/file.pdf") — choose a local file for a file input (more paths for multiple files)
 PRESS("Enter") — press a key
 SCROLL(pixels) — scroll page (positive=down, negative=up)
 NAVIGATE("url") — go to a URL
-WAIT(milliseconds) — wait for page to load
-
+WAIT_FOR("css-selector") — wait until an element is visible
+WAIT_FOR_URL("pattern") — wait until the URL contains the text (or matches a glob with *)
+WAIT_FOR_NETWORK_IDLE() — wait until the page stops loading data
+WAIT(milliseconds) — fixed pause, only when nothing else fits
+WAIT_DOWNLOAD() — after clicking a download link, wait until the file is saved
+
+Blocks, each closed by END on its own line:
+IF_EXISTS("css-selector") … ELSE … END — only when an element is shown, e.g. a cookie banner
+REPEAT(n) … END, WHILE_EXISTS("css-selector", max) … END — e.g. click "next" while it exists
+FOR_EACH("css-selector", "item") … END — once per match, {{item}} selects the current one
+
+Selectors also match inside shadow roots and iframes; use "host >>> inner" to scope one, e.g. CLICK_ELEMENT("iframe#pay >>> button").
+CLICK_ELEMENT, FILL and UPLOAD wait for their element by themselves — do not put WAIT before them.
 Each command must be on its own line.
 
 CRITICAL RULES:
@@ -457,25 +631,28 @@ CRITICAL RULES:
             // Try streaming first, fall back to regular
             const result = await window.browserAPI.ai.chatStream({
                 messages: chatMessages,
-                provider: activeProvider
+                provider: activeProvider,
+                conversationId: conversationIdRef.current
             })
 
             if (result.error) {
                 // Streaming not supported or failed, fall back to regular chat
                 const regularResult = await window.browserAPI.ai.chat({
                     messages: chatMessages,
-                    provider: activeProvider
+                    provider: activeProvider,
+                    conversationId: conversationIdRef.current
                 })
                 if (regularResult.error) {
                     addMessage('error', `Error: ${regularResult.error}`)
                 } else {
-                    addMessage('assistant', regularResult.content)
+                    addMessage('assistant', regularResult.content, responseTags(regularResult))
                 }
                 setIsTyping(false)
             } else {
                 // Streaming started
                 streamIdRef.current = result.streamId
                 setStreamingContent('')
+                setStreamingReasoning('')
             }
         } catch (err) {
             addMessage('error', `Error: ${err.message}`)
@@ -489,16 +666,18 @@ CRITICAL RULES:
         addMessage('system', 'Summarizing current page...')
 
         try {
-            const result = await window.browserAPI.ai.summarize({ provider: activeProvider })
+            const result = await window.browserAPI.ai.summarize({ provider: activeProvider, conversationId: conversationIdRef.current })
             if (result.error) {
                 addMessage('error', `Error: ${result.error}`)
             } else {
-                addMessage('assistant', result.content)
+                if (result.sections) addMessage('system', `Long page — summarized in ${result.sections.length} sections and merged.`)
+                addMessage('assistant', result.content, responseTags(result))
             }
         } catch (err) {
             addMessage('error', `Error: ${err.message}`)
         } finally {
             setIsTyping(false)
+            setProgressNote('')
         }
     }
 
@@ -520,20 +699,23 @@ CRITICAL RULES:
                     {
                         role: 'system',
                         content: `Extract and organize the key data from this web page into a structured format.
-Use tables, lists, or JSON as appropriate. Focus on factual information, numbers, dates, and named entities.`
+Use tables, lists, or JSON as appropriate. Focus on factual information, numbers, dates, and named entities.
+The content is the page's main article converted to Markdown, so existing tables and lists are preserved.${pageContent.isPdf ? `\n${PDF_CITATION_NOTE}` : ''}`
                     },
                     {
                         role: 'user',
-                        content: `Extract structured data from this page:\n\nTitle: ${pageContent.title}\nURL: ${pageContent.url}\n\nContent:\n${pageContent.text}`
+                        content: `Extract structured data from this page:\n\n${pageContent.header}\n\nContent:\n${pageContent.markdown}`
                     }
                 ],
-                provider: activeProvider
+                provider: activeProvider,
+                feature: 'extract',
+                conversationId: conversationIdRef.current
             })
 
             if (result.error) {
                 addMessage('error', `Error: ${result.error}`)
             } else {
-                addMessage('assistant', result.content)
+                addMessage('assistant', result.content, responseTags(result))
             }
         } catch (err) {
             addMessage('error', `Error: ${err.message}`)
@@ -551,15 +733,39 @@ Use tables, lists, or JSON as appropriate. Focus on factual information, numbers
             case 'click_element': return `Click "${cmd.selector}"`
             case 'type': return `Type "${cmd.text.length > 30 ? cmd.text.substring(0, 30) + '…' : cmd.text}"`
             case 'fill': return `Fill "${cmd.selector}" → "${cmd.value.length > 20 ? cmd.value.substring(0, 20) + '…' : cmd.value}"`
+            case 'upload': return `Upload ${cmd.files.map(f => f.split(/[\\/]/).pop()).join(', ')} → "${cmd.selector}"`
             case 'press': return `Press ${cmd.key}`
             case 'scroll': return `Scroll ${cmd.deltaY > 0 ? 'down' : 'up'} ${Math.abs(cmd.deltaY)}px`
             case 'navigate': return `Navigate → ${cmd.url.length > 40 ? cmd.url.substring(0, 40) + '…' : cmd.url}`
             case 'wait': return `Wait ${cmd.ms}ms`
+            case 'wait_download': return cmd.timeoutMs ? `Wait for download (${cmd.timeoutMs / 1000}s max)` : 'Wait for download'
+            case 'wait_for': return `Wait for "${cmd.selector}"`
+            case 'wait_for_url': return `Wait for URL ${cmd.pattern}`
+            case 'wait_for_network_idle': return 'Wait for network idle'
             case 'find': return `Find "${cmd.selector}"`
+            case 'extract': return `Extract "${cmd.selector}" → {{${cmd.variable}}}`
+            case 'extract_all': return `Extract all "${cmd.selector}" → {{${cmd.variable}}}`
+            case 'assert_url': return `Assert URL matches ${cmd.pattern}`
+            case 'assert_title': return `Assert title contains "${cmd.text}"`
+            case 'assert_text': return `Assert "${cmd.selector}" contains "${cmd.text.length > 20 ? cmd.text.substring(0, 20) + '…' : cmd.text}"`
+            case 'assert_visible': return `Assert "${cmd.selector}" is visible`
+            case 'assert_count': return `Assert ${cmd.count} × "${cmd.selector}"`
+            case 'assert_screenshot': return `Assert screenshot "${cmd.name}"`
+            case 'if_exists': return `If "${cmd.selector}" exists${cmd.timeoutMs ? ` (wait ${cmd.timeoutMs / 1000}s)` : ''}`
+            case 'repeat': return `Repeat ${cmd.times}×`
+            case 'for_each': return cmd.list ? `For each {{${cmd.as || 'item'}}} in {{${cmd.list}}}` : `For each "${cmd.selector}" as {{${cmd.as || 'item'}}}`
+            case 'while_exists': return `While "${cmd.selector}" exists (max ${cmd.max || DEFAULT_WHILE_MAX})`
+            case 'try': return 'Try'
+            case 'call': return `Call "${cmd.automation}"`
             default: return cmd.type
         }
     }
 
+    /** Rows of the run report for a command tree: blocks indent their steps */
+    const reportSteps = (commands) => flattenCommands(commands).rows.map(row => row.label
+        ? { detail: row.label, status: 'label', depth: row.depth }
+        : { detail: describeCommand(row.cmd), status: 'pending', duration: null, depth: row.depth })
+
     /**
      * Parse automation commands from AI response.
      * Supports both code-block and inline formats.
@@ -570,8 +776,19 @@ Use tables, lists, or JSON as appropriate. Focus on factual information, numbers
      *   SCROLL(deltaY)
      *   NAVIGATE("url")
      *   WAIT(ms)
+     *   WAIT_DOWNLOAD() or WAIT_DOWNLOAD(timeoutMs)
+     *   WAIT_FOR("selector"), WAIT_FOR_URL("pattern"), WAIT_FOR_NETWORK_IDLE — optional timeoutMs last
      *   FIND("selector")
      *   FILL("selector", "value")
+     *   UPLOAD("selector", "path" [, "path"…])
+     *   EXTRACT("selector", "var"), EXTRACT_ALL("selector", "var") — page text into {{var}}
+     *   ASSERT_URL("pattern"), ASSERT_TITLE("text"), ASSERT_TEXT("selector", "text"),
+     *   ASSERT_VISIBLE("selector"), ASSERT_COUNT("selector", n or ">=n"),
+     *   ASSERT_SCREENSHOT("name" [, maxDiffPercent])
+     * Control flow, each block closed by END (see shared/automation-flow.js):
+     *   IF_EXISTS("selector" [, timeoutMs]) … ELSE … END, REPEAT(n) … END,
+     *   FOR_EACH("selector" [, "item"]) or FOR_EACH({{list}} [, "item"]) … END,
+     *   WHILE_EXISTS("selector" [, max]) … END, TRY … ON_ERROR … END, CALL("automation name")
      */
     const parseCommands = (text) => {
         const commands = []
@@ -584,7 +801,25 @@ Use tables, lists, or JSON as appropriate. Focus on factual information, numbers
             if (!trimmed) continue
 
             let m
-            if ((m = trimmed.match(/CLICK\s*\(\s*(\d+)\s*,\s*(\d+)\s*\)/))) {
+            if ((m = trimmed.match(/^IF_EXISTS\s*\(\s*"([^"]*)"\s*(?:,\s*(\d+)\s*)?\)/))) {
+                commands.push({ type: 'if_exists', selector: m[1], ...(m[2] && { timeoutMs: +m[2] }) })
+            } else if (/^ELSE\b/.test(trimmed)) {
+                commands.push({ type: 'else' })
+            } else if (/^END\b/.test(trimmed)) {
+                commands.push({ type: 'end' })
+            } else if ((m = trimmed.match(/^REPEAT\s*\(\s*(\d+)\s*\)/))) {
+                commands.push({ type: 'repeat', times: +m[1] })
+            } else if ((m = trimmed.match(/^FOR_EACH\s*\(\s*(?:"([^"]*)"|\{\{\s*(\w+)\s*\}\})\s*(?:,\s*"(\w+)"\s*)?\)/))) {
+                commands.push({ type: 'for_each', ...(m[2] ? { list: m[2] } : { selector: m[1] }), as: m[3] || 'item' })
+            } else if ((m = trimmed.match(/^WHILE_EXISTS\s*\(\s*"([^"]*)"\s*(?:,\s*(\d+)\s*)?\)/))) {
+                commands.push({ type: 'while_exists', selector: m[1], max: m[2] ? +m[2] : DEFAULT_WHILE_MAX })
+            } else if (/^TRY\b/.test(trimmed)) {
+                commands.push({ type: 'try' })
+            } else if (/^ON_ERROR\b/.test(trimmed)) {
+                commands.push({ type: 'on_error' })
+            } else if ((m = trimmed.match(/^CALL\s*\(\s*"([^"]*)"\s*\)/))) {
+                commands.push({ type: 'call', automation: m[1] })
+            } else if ((m = trimmed.match(/CLICK\s*\(\s*(\d+)\s*,\s*(\d+)\s*\)/))) {
                 commands.push({ type: 'click', x: +m[1], y: +m[2] })
             } else if ((m = trimmed.match(/CLICK_ELEMENT\s*\(\s*"([^"]*)"\s*\)/))) {
                 commands.push({ type: 'click_element', selector: m[1] })
@@ -596,43 +831,98 @@ Use tables, lists, or JSON as appropriate. Focus on factual information, numbers
                 commands.push({ type: 'scroll', deltaY: +m[1] })
             } else if ((m = trimmed.match(/NAVIGATE\s*\(\s*"([^"]*)"\s*\)/))) {
                 commands.push({ type: 'navigate', url: m[1] })
+            } else if ((m = trimmed.match(/WAIT_FOR_NETWORK_IDLE\b\s*(?:\(\s*(\d*)\s*\))?/))) {
+                commands.push({ type: 'wait_for_network_idle', ...(m[1] && { timeoutMs: +m[1] }) })
+            } else if ((m = trimmed.match(/WAIT_FOR_URL\s*\(\s*"([^"]*)"\s*(?:,\s*(\d+)\s*)?\)/))) {
+                commands.push({ type: 'wait_for_url', pattern: m[1], ...(m[2] && { timeoutMs: +m[2] }) })
+            } else if ((m = trimmed.match(/WAIT_FOR\s*\(\s*"([^"]*)"\s*(?:,\s*(\d+)\s*)?\)/))) {
+                commands.push({ type: 'wait_for', selector: m[1], ...(m[2] && { timeoutMs: +m[2] }) })
+            } else if ((m = trimmed.match(/WAIT_DOWNLOAD\s*\(\s*(\d*)\s*\)/))) {
+                commands.push({ type: 'wait_download', ...(m[1] && { timeoutMs: +m[1] }) })
             } else if ((m = trimmed.match(/WAIT\s*\(\s*(\d+)\s*\)/))) {
                 commands.push({ type: 'wait', ms: +m[1] })
             } else if ((m = trimmed.match(/FIND\s*\(\s*"([^"]*)"\s*\)/))) {
                 commands.push({ type: 'find', selector: m[1] })
             } else if ((m = trimmed.match(/FILL\s*\(\s*"([^"]*?)"\s*,\s*"([^"]*)"\s*\)/))) {
                 commands.push({ type: 'fill', selector: m[1], value: m[2] })
+            } else if ((m = trimmed.match(/UPLOAD\s*\(\s*"([^"]*)"\s*((?:,\s*"[^"]*"\s*)+)\)/))) {
+                commands.push({ type: 'upload', selector: m[1], files: [...m[2].matchAll(/"([^"]*)"/g)].map(f => f[1]) })
+            } else if ((m = trimmed.match(/EXTRACT_ALL\s*\(\s*"([^"]*)"\s*,\s*"(\w+)"\s*\)/))) {
+                commands.push({ type: 'extract_all', selector: m[1], variable: m[2] })
+            } else if ((m = trimmed.match(/EXTRACT\s*\(\s*"([^"]*)"\s*,\s*"(\w+)"\s*\)/))) {
+                commands.push({ type: 'extract', selector: m[1], variable: m[2] })
+            } else if ((m = trimmed.match(/ASSERT_URL\s*\(\s*"([^"]*)"\s*\)/))) {
+                commands.push({ type: 'assert_url', pattern: m[1] })
+            } else if ((m = trimmed.match(/ASSERT_TITLE\s*\(\s*"([^"]*)"\s*\)/))) {
+                commands.push({ type: 'assert_title', text: m[1] })
+            } else if ((m = trimmed.match(/ASSERT_TEXT\s*\(\s*"([^"]*?)"\s*,\s*"([^"]*)"\s*\)/))) {
+                commands.push({ type: 'assert_text', selector: m[1], text: m[2] })
+            } else if ((m = trimmed.match(/ASSERT_VISIBLE\s*\(\s*"([^"]*)"\s*\)/))) {
+                commands.push({ type: 'assert_visible', selector: m[1] })
+            } else if ((m = trimmed.match(/ASSERT_COUNT\s*\(\s*"([^"]*)"\s*,\s*(?:"([^"]*)"|(\d+))\s*\)/))) {
+                commands.push({ type: 'assert_count', selector: m[1], count: m[2] ?? +m[3] })
+            } else if ((m = trimmed.match(/ASSERT_SCREENSHOT\s*\(\s*"([^"]*)"\s*(?:,\s*(\d+(?:\.\d+)?)\s*)?\)/))) {
+                commands.push({ type: 'assert_screenshot', name: m[1], ...(m[2] && { maxDiffPercent: +m[2] }) })
             }
         }
-        return commands
+        return nestCommands(commands)
     }
 
-    const executeAutomationCommands = async (commands, onStepUpdate) => {
+    /**
+     * Run a command tree in the active tab. `initialVars` are the run's inputs; {{name}}
+     * in a command is replaced just before it runs, so EXTRACT results feed later steps.
+     * `onStepUpdate` gets the rows of reportSteps(); rows a run never reached end up
+     * 'skipped'. Resolves with the number of failed steps, the final variables and
+     * `repairs` for the saved automation: [{ cmd, fingerprint, selector?, from? }] —
+     * fingerprints of element steps that had none, and selectors that had to be healed.
+     */
+    const executeAutomationCommands = async (commands, onStepUpdate, initialVars = {}) => {
         // Show overlay DIRECTLY — don't rely on React state timing
         window.browserAPI.automation.showOverlay()
         // Small delay to let the overlay inject before we start clicking
         await new Promise(r => setTimeout(r, 150))
+        // WAIT_DOWNLOAD picks up downloads started from here on, even before the step runs
+        const runStartedAt = Date.now()
+        const reached = new Set()
+        const updateStep = (i, update) => {
+            reached.add(i)
+            onStepUpdate?.(i, update)
+        }
 
-        for (let i = 0; i < commands.length; i++) {
-            const cmd = commands[i]
+        const repairs = []
+        const noteRepair = (original, result) => {
+            // Steps whose selector comes from a variable have nothing fixed to repair
+            if (!result?.fingerprint || original.selector.includes('{{')) return
+            if (result.healed) repairs.push({ cmd: original, fingerprint: result.fingerprint, selector: result.healed.to, from: result.healed.from })
+            else if (!original.fingerprint) repairs.push({ cmd: original, fingerprint: result.fingerprint })
+        }
+
+        const runStep = async (cmd, i, vars) => {
             const startTime = Date.now()
             setRunningStepIndex(i)
-            onStepUpdate?.(i, { status: 'running' })
+            updateStep(i, { status: 'running' })
+            const original = cmd
 
             try {
+                cmd = interpolateCommand(cmd, vars)
                 let result
                 switch (cmd.type) {
                     case 'click':
                         result = await window.browserAPI.automation.click({ x: cmd.x, y: cmd.y })
                         break
                     case 'click_element':
-                        result = await window.browserAPI.automation.clickElement({ selector: cmd.selector })
+                        result = await window.browserAPI.automation.clickElement({ selector: cmd.selector, fingerprint: cmd.fingerprint, aiProvider: activeProvider })
+                        noteRepair(original, result)
                         break
                     case 'type':
                         result = await window.browserAPI.automation.type({ text: cmd.text })
                         break
                     case 'fill':
-                        result = await window.browserAPI.automation.fillInput({ selector: cmd.selector, value: cmd.value })
+                        result = await window.browserAPI.automation.fillInput({ selector: cmd.selector, value: cmd.value, fingerprint: cmd.fingerprint, aiProvider: activeProvider })
+                        noteRepair(original, result)
+                        break
+                    case 'upload':
+                        result = await window.browserAPI.automation.uploadFiles({ selector: cmd.selector, files: cmd.files })
                         break
                     case 'press':
                         result = await window.browserAPI.automation.pressKey({ key: cmd.key })
@@ -646,30 +936,96 @@ Use tables, lists, or JSON as appropriate. Focus on factual information, numbers
                     case 'wait':
                         result = await window.browserAPI.automation.wait({ ms: cmd.ms })
                         break
+                    case 'wait_download':
+                        result = await window.browserAPI.automation.waitDownload({ since: runStartedAt, timeoutMs: cmd.timeoutMs })
+                        break
+                    case 'wait_for':
+                        result = await window.browserAPI.automation.waitFor({ selector: cmd.selector, timeoutMs: cmd.timeoutMs })
+                        break
+                    case 'wait_for_url':
+                        result = await window.browserAPI.automation.waitForUrl({ pattern: cmd.pattern, timeoutMs: cmd.timeoutMs })
+                        break
+                    case 'wait_for_network_idle':
+                        result = await window.browserAPI.automation.waitForNetworkIdle({ timeoutMs: cmd.timeoutMs })
+                        break
                     case 'find':
                         result = await window.browserAPI.automation.getElements({ selector: cmd.selector })
                         break
+                    case 'extract':
+                    case 'extract_all':
+                        result = await window.browserAPI.automation.extract({ selector: cmd.selector, all: cmd.type === 'extract_all' })
+                        if (result?.success) vars[cmd.variable] = result.value
+                        break
+                    case 'assert_url':
+                    case 'assert_title':
+                    case 'assert_text':
+                    case 'assert_visible':
+                    case 'assert_count':
+                    case 'assert_screenshot':
+                        result = await window.browserAPI.automation.assert({ command: cmd })
+                        break
                 }
                 const duration = Date.now() - startTime
-                if (result?.error) {
-                    onStepUpdate?.(i, { status: 'error', detail: `${describeCommand(cmd)} — ${result.error}`, duration })
+                if (result?.error && result.expected !== undefined) {
+                    // Failed assertion — the report shows expected vs. actual
+                    updateStep(i, {
+                        status: 'error',
+                        detail: `${describeCommand(cmd)} — assertion failed`,
+                        failure: { expected: result.expected, actual: result.actual, files: result.files },
+                        duration
+                    })
+                } else if (result?.error) {
+                    updateStep(i, { status: 'error', detail: `${describeCommand(cmd)} — ${result.error}`, duration })
+                } else if (cmd.type.startsWith('assert_')) {
+                    updateStep(i, { status: 'done', note: result.actual, duration })
+                } else if (cmd.type === 'extract' || cmd.type === 'extract_all') {
+                    updateStep(i, { status: 'done', note: JSON.stringify(result.value), duration })
+                } else if (result?.healed) {
+                    updateStep(i, { status: 'done', note: `selector healed → ${result.healed.to}`, duration })
+                } else if (result?.path) {
+                    updateStep(i, { status: 'done', detail: `${describeCommand(cmd)} — saved ${result.path}`, duration })
                 } else {
-                    onStepUpdate?.(i, { status: 'done', duration })
-                }
-                // Brief pause between commands for page to react (faster than before)
-                if (i < commands.length - 1) {
-                    await new Promise(r => setTimeout(r, 250))
+                    updateStep(i, { status: 'done', duration })
                 }
+                // Brief pause between commands for page to react
+                await new Promise(r => setTimeout(r, 250))
+                return result
             } catch (err) {
                 const duration = Date.now() - startTime
-                onStepUpdate?.(i, { status: 'error', detail: `${describeCommand(cmd)} — ${err.message}`, duration })
+                updateStep(i, { status: 'error', detail: `${describeCommand(cmd)} — ${err.message}`, duration })
+                return { error: err.message }
             }
         }
 
+        const { failed, variables } = await runCommands(commands, {
+            runStep,
+            exists: (selector, timeoutMs) => window.browserAPI.automation.exists({ selector, timeoutMs }),
+            // Saved automations first, then the built-in test cases (by name or id)
+            loadAutomation: async (name) => (await window.browserAPI.library.get())?.automations?.find(a => a.name === name) ||
+                TEST_CASES.find(tc => tc.name === name || tc.id === name) || null,
+            onStep: updateStep,
+            describe: describeCommand
+        }, initialVars)
+
+        flattenCommands(commands).rows.forEach((row, i) => {
+            if (!row.label && !reached.has(i)) onStepUpdate?.(i, { status: 'skipped' })
+        })
         setRunningStepIndex(-1)
         // Brief linger so user sees the overlay completion
         await new Promise(r => setTimeout(r, 600))
         window.browserAPI.automation.hideOverlay()
+        return { failed, variables, repairs }
+    }
+
+    // Store a run's repairs (see executeAutomationCommands) in its saved automation
+    const saveStepRepairs = async (item, repairs) => {
+        const byCommand = new Map(repairs.map(repair => [repair.cmd, repair]))
+        const commands = mapCommands(item.commands, cmd => {
+            const repair = byCommand.get(cmd)
+            if (!repair) return cmd
+            return { ...cmd, fingerprint: repair.fingerprint, ...(repair.selector && { selector: repair.selector }) }
+        })
+        await window.browserAPI.library.updateItem({ id: item.id, type: 'automation', updates: { commands } })
     }
 
     const handleExecuteTask = async () => {
@@ -684,97 +1040,37 @@ Use tables, lists, or JSON as appropriate. Focus on factual information, numbers
         setIsTyping(true)
         setIsAutomating(true)
 
-        try {
-            // Step 1: Get page context, interactive elements, AND a screenshot
-            const [pageContent, elements, screenshotData] = await Promise.all([
-                window.browserAPI.ai.getPageContent(),
-                window.browserAPI.automation.findElement({ description: task }),
-                captureScreenshot()
-            ])
-            const elList = (elements.elements || []).slice(0, 40)
-
-            // Step 2: Build a rich element description for the AI including CSS selectors
-            const elementDescriptions = elList.map((el, i) => {
-                const selectorParts = []
-                if (el.id) selectorParts.push(`#${el.id}`)
-                else {
-                    selectorParts.push(el.tag)
-                    if (el.type) selectorParts.push(`[type="${el.type}"]`)
-                }
-                const selector = selectorParts.join('')
-                return `[${i}] <${el.tag}> "${el.text?.substring(0, 60) || ''}" at (${el.x}, ${el.y}) size ${el.width}x${el.height} selector: "${selector}" ${el.href ? 'href=' + el.href : ''}`
-            }).join('\n')
-
-            // Step 3: Ask AI to plan actions using our command format (with screenshot for vision)
-            const systemPrompt = `You are a browser automation agent controlling a web browser.
-You have VISION capability — a screenshot of the current page is attached. Use it to understand the page layout and make better decisions.
-You MUST respond with executable commands. Available commands:
-
-CLICK(x, y) — Click at pixel coordinates on the page
-CLICK_ELEMENT("css-selector") — Click an element by CSS selector (MORE RELIABLE than coordinates)
-TYPE("text") — Type text into the currently focused element
-FILL("css-selector", "value") — Focus an input and set its value (MOST RELIABLE for forms)
-PRESS("Enter") — Press a key (Enter, Tab, Escape, Backspace, ArrowDown, etc.)
-SCROLL(pixels) — Scroll the page (positive = down, negative = up)
-NAVIGATE("url") — Navigate to a URL
-WAIT(milliseconds) — Wait for page to load
-
-IMPORTANT RULES:
-- Prefer CLICK_ELEMENT("selector") or FILL("selector", "value") over CLICK(x,y) when an element has an id or clear selector
-- For search boxes: use FILL to enter text, then PRESS("Enter") to submit
-- For links/buttons: use CLICK_ELEMENT with the selector or CLICK with coordinates
-- Put each command on its own line
-- Execute only the MINIMUM commands needed
-- Always WAIT(500) after NAVIGATE or important clicks
-
-Example for Google search:
-FILL("textarea[name='q']", "AI research papers")
-PRESS("Enter")
-WAIT(1000)`
-
-            const userMsg = {
-                role: 'user',
-                content: `Task: ${task}\n\nCurrent page: ${pageContent.title || 'unknown'} (${pageContent.url || 'unknown'})\n\nInteractive elements on page:\n${elementDescriptions}`
-            }
-            if (screenshotData) userMsg.image = screenshotData
+        // Steps are streamed in by the onAgentStep listener as the agent calls tools
+        setAutomationSteps([])
+        setAutomationName('AI Agent')
+        setAutomationVerdict(null)
+        setAutomationBudget(null)
+        setAutomationVariables(null)
+        setAutomationStartTime(Date.now())
+        setAutomationThinking('')
+        setRunningAutomationId(null)
+        setShowReport(true)
 
-            const result = await window.browserAPI.ai.chat({
-                messages: [
-                    { role: 'system', content: systemPrompt },
-                    userMsg
-                ],
-                provider: activeProvider
-            })
+        try {
+            const result = await window.browserAPI.ai.executeTask({ task, provider: activeProvider, conversationId: conversationIdRef.current })
 
             if (result.error) {
-                addMessage('error', `Error: ${result.error}`)
+                if (!result.aborted) addMessage('error', `Error: ${result.error}`)
             } else {
-                // Step 4: Parse and execute the commands
-                const commands = parseCommands(result.content)
-                const displayText = cleanMessageText(result.content)
-                if (commands.length > 0) {
-                    if (displayText) {
-                        addMessage('assistant', displayText)
-                    }
-                    // Build step list
-                    const initialSteps = commands.map(cmd => ({
-                        detail: describeCommand(cmd),
-                        status: 'pending',
-                        duration: null
-                    }))
-                    setAutomationSteps(initialSteps)
-                    setLastAutomationCommands(commands)
-                    await executeAutomationCommands(commands, (stepIndex, update) => {
-                        setAutomationSteps(prev => prev.map((s, i) => i === stepIndex ? { ...s, ...update } : s))
-                    })
-                } else {
-                    addMessage('assistant', result.content)
-                    addMessage('system', 'No executable commands found. Try rephrasing your task.')
+                setLastAutomationCommands(result.commands)
+                setAutomationThinking(result.content)
+                setAutomationVerdict(result.verdict)
+                if (result.content) addMessage('assistant', result.content, responseTags(result))
+                if (result.budgetExhausted) {
+                    addMessage('system', `Stopped after ${result.maxSteps} steps — raise the step budget in Settings if the task needs more.`)
+                } else if (result.commands.length === 0) {
+                    addMessage('system', 'The agent finished without taking any actions. Try rephrasing your task.')
                 }
             }
         } catch (err) {
             addMessage('error', `Error: ${err.message}`)
         } finally {
+            setRunningStepIndex(-1)
             setIsTyping(false)
             setIsAutomating(false)
         }
@@ -827,6 +1123,77 @@ WAIT(1000)`
         }
     }
 
+    // "My Browsing" mode — retrieval-augmented answer from pages visited, saved chats and bookmarks
+    const handleAskBrowsing = async () => {
+        const question = input.trim()
+        if (!question) return
+
+        setInput('')
+        addMessage('user', question, { browsing: true })
+        setIsTyping(true)
+
+        try {
+            const result = await window.browserAPI.index.ask({
+                question,
+                provider: activeProvider,
+                conversationId: conversationIdRef.current
+            })
+            if (result.error) {
+                addMessage('error', `Error: ${result.error}`)
+            } else {
+                let content = result.content
+                if (result.sources?.length > 0) {
+                    content += '\n\n---\n**From your browsing:**\n'
+                    const seen = new Set()
+                    result.sources.forEach(src => {
+                        const key = src.url || src.title
+                        if (seen.has(key)) return
+                        seen.add(key)
+                        content += src.url
+                            ? `- [${src.title}](${src.url})${src.type === 'bookmark' ? ' (bookmark)' : ''}\n`
+                            : `- ${src.title} (saved conversation)\n`
+                    })
+                }
+                addMessage('assistant', content, responseTags(result))
+            }
+        } catch (err) {
+            addMessage('error', `Error: ${err.message}`)
+        } finally {
+            setIsTyping(false)
+            setProgressNote('')
+        }
+    }
+
+    // "What was that article about X I read last Tuesday?" — answered from browsing history
+    const handleRecall = async () => {
+        const question = input.trim()
+        if (!question) {
+            addMessage('system', 'Type a question about a page you visited, then click "Recall"')
+            return
+        }
+
+        setInput('')
+        addMessage('user', `Recall: ${question}`)
+        setIsTyping(true)
+
+        try {
+            const result = await window.browserAPI.history.recall({
+                question,
+                provider: activeProvider,
+                conversationId: conversationIdRef.current
+            })
+            if (result.error) {
+                addMessage('error', `Error: ${result.error}`)
+            } else {
+                addMessage('assistant', result.content, responseTags(result))
+            }
+        } catch (err) {
+            addMessage('error', `Error: ${err.message}`)
+        } finally {
+            setIsTyping(false)
+        }
+    }
+
     const handleStop = useCallback(() => {
         window.browserAPI.ai.stop()
         // Immediate local state reset so UI is responsive even before IPC round-trip
@@ -844,6 +1211,18 @@ WAIT(1000)`
     }, [])
 
     const handleKeyDown = (e) => {
+        if (tabMenu) {
+            if (e.key === 'Escape') {
+                e.preventDefault()
+                setTabMenu(null)
+                return
+            }
+            if ((e.key === 'Enter' || e.key === 'Tab') && tabMenuMatches.length > 0) {
+                e.preventDefault()
+                handleMentionTab(tabMenuMatches[0])
+                return
+            }
+        }
         if (e.key === 'Enter' && !e.shiftKey) {
             e.preventDefault()
             handleSend()
@@ -892,11 +1271,14 @@ WAIT(1000)`
                     messages: [
                         {
                             role: 'system',
-                            content: `Convert this conversation into browser automation commands. Respond ONLY with commands, no explanation.\n\nAvailable commands:\nCLICK(x, y)\nCLICK_ELEMENT("css-selector")\nTYPE("text")\nFILL("css-selector", "value")\nPRESS("key")\nSCROLL(pixels)\nNAVIGATE("url")\nWAIT(milliseconds)\nFIND("css-selector")`
+                            content: `Convert this conversation into browser automation commands. Respond ONLY with commands, no explanation.\n\nAvailable commands:\nCLICK(x, y)\nCLICK_ELEMENT("css-selector")\nTYPE("text")\nFILL("css-selector", "value")\nUPLOAD("css-selector", "/absolute/path")\nPRESS("key")\nSCROLL(pixels)\nNAVIGATE("url")\nWAIT_FOR("css-selector")\nWAIT_FOR_URL("pattern")\nWAIT_FOR_NETWORK_IDLE()\nWAIT(milliseconds)\nWAIT_DOWNLOAD()\nFIND("css-selector")\nASSERT_URL("pattern")\nASSERT_TITLE("text")\nASSERT_TEXT("css-selector", "text")\nASSERT_VISIBLE("css-selector")\nASSERT_COUNT("css-selector", ">=1")\nIF_EXISTS("css-selector") … ELSE … END\nREPEAT(n) … END\nFOR_EACH("css-selector", "item") … END\nWHILE_EXISTS("css-selector", max) … END\nTRY … ON_ERROR … END\nCALL("saved automation name")\n\nClicks and fills wait for their element by themselves; use WAIT_FOR_* instead of fixed WAITs.`
                         },
                         ...contextMessages
                     ],
-                    provider: activeProvider
+                    provider: activeProvider,
+                    feature: 'generate',
+                    conversationId: conversationIdRef.current,
+                    generation: { temperature: 0 }
                 })
                 if (!result.error) {
                     commands = parseCommands(result.content)
@@ -964,12 +1346,14 @@ WAIT(1000)`
         if (!saveDialogName.trim()) return
         if (saveDialogType === 'conversation') {
             const chatMessages = messages.filter(m => m.role !== 'system').map(m => ({
-                role: m.role, content: m.content
+                role: m.role, content: m.content,
+                ...(m.tabContext ? { tabs: m.tabs, tabContext: m.tabContext } : {})
             }))
             await window.browserAPI.library.saveConversation({
                 name: saveDialogName.trim(),
                 messages: chatMessages,
-                provider: activeProvider
+                provider: activeProvider,
+                sessionId: conversationIdRef.current
             })
             addMessage('system', `Conversation saved as "${saveDialogName.trim()}"`)
         } else {
@@ -991,6 +1375,7 @@ WAIT(1000)`
             ...item.messages
         ]
         setMessages(loaded)
+        conversationIdRef.current = item.sessionId || item.id
         if (item.provider) setActiveProvider(item.provider)
     }
 
@@ -999,26 +1384,42 @@ WAIT(1000)`
             addMessage('system', 'This automation has no commands.')
             return
         }
+        // Automations with inputs ask for their values first
+        if (item.inputs?.length) {
+            setPendingAutomation(item)
+            return
+        }
+        runSavedAutomation(item, {})
+    }
+
+    const runSavedAutomation = (item, values) => {
+        setPendingAutomation(null)
         addMessage('system', `Running saved automation: "${item.name}"`)
         setLastAutomationCommands(item.commands)
-        const initialSteps = item.commands.map(cmd => ({
-            detail: describeCommand(cmd),
-            status: 'pending',
-            duration: null
-        }))
-        setAutomationSteps(initialSteps)
+        setAutomationSteps(reportSteps(item.commands))
         setIsAutomating(true)
         // Report metadata for saved automation
         setAutomationName(item.name || 'Saved Automation')
+        setAutomationVerdict(null)
+        setAutomationBudget(null)
+        setAutomationVariables(null)
+        setAutomationHealing(null)
         setAutomationStartTime(Date.now())
         setAutomationThinking(item.description || '')
         setRunningAutomationId(item.id || null)
         setShowReport(true)
         executeAutomationCommands(item.commands, (stepIndex, update) => {
             setAutomationSteps(prev => prev.map((s, i) => i === stepIndex ? { ...s, ...update } : s))
-        }).then(() => {
+        }, initialVariables(item.inputs, values)).then(({ variables, repairs }) => {
+            setAutomationVariables(variables)
             setIsAutomating(false)
             setRunningAutomationId(null)
+            if (!item.id || repairs.length === 0) return
+            // New fingerprints are kept quietly; healed selectors wait for the user's OK
+            const fingerprints = repairs.filter(repair => !repair.selector)
+            if (fingerprints.length) saveStepRepairs(item, fingerprints)
+            const healed = repairs.filter(repair => repair.selector)
+            if (healed.length) setAutomationHealing({ item, repairs, healed, applied: false })
         }).catch(err => {
             addMessage('error', `Automation error: ${err.message}`)
             setIsAutomating(false)
@@ -1031,24 +1432,25 @@ WAIT(1000)`
         if (!testCase.commands || testCase.commands.length === 0) return
         addMessage('system', `Running test case: "${testCase.name}" — ${testCase.description}`)
         setLastAutomationCommands(testCase.commands)
-        const initialSteps = testCase.commands.map(cmd => ({
-            detail: describeCommand(cmd),
-            status: 'pending',
-            duration: null
-        }))
-        setAutomationSteps(initialSteps)
+        setAutomationSteps(reportSteps(testCase.commands))
         setIsAutomating(true)
         // Report metadata
         setAutomationName(`Test: ${testCase.name}`)
+        setAutomationVerdict(null)
+        setAutomationBudget(null)
+        setAutomationVariables(null)
         setAutomationStartTime(Date.now())
         setAutomationThinking(testCase.description || '')
         setRunningAutomationId(null)
         setShowReport(true)
         executeAutomationCommands(testCase.commands, (stepIndex, update) => {
             setAutomationSteps(prev => prev.map((s, i) => i === stepIndex ? { ...s, ...update } : s))
-        }).then(() => {
+        }, initialVariables(testCase.inputs)).then(({ failed, variables }) => {
+            setAutomationVariables(variables)
             setIsAutomating(false)
-            addMessage('system', `Test case "${testCase.name}" completed.`)
+            addMessage('system', failed
+                ? `Test case "${testCase.name}" failed: ${failed} of ${countSteps(testCase.commands)} steps failed.`
+                : `Test case "${testCase.name}" passed.`)
         }).catch(err => {
             addMessage('error', `Test case error: ${err.message}`)
             setIsAutomating(false)
@@ -1136,6 +1538,9 @@ WAIT(1000)`
                     {Object.entries(PROVIDER_LABELS).map(([key, label]) => (
                         <option key={key} value={key}>{label}</option>
                     ))}
+                    {Object.entries(settings?.aiSettings?.providers || {}).filter(([, config]) => config.custom).map(([key, config]) => (
+                        <option key={key} value={key}>{config.label || 'Custom Provider'} (Custom)</option>
+                    ))}
                 </select>
             </div>
 
@@ -1173,6 +1578,19 @@ WAIT(1000)`
                     <Search size={12} style={{ marginRight: 4, verticalAlign: 'middle' }} />
                     Search
                 </button>
+                <button
+                    className={`ai-panel__action-btn ${browsingMode ? 'ai-panel__action-btn--active' : ''}`}
+                    onClick={() => setBrowsingMode(v => !v)}
+                    disabled={isTyping}
+                    title="Answer from pages you visited, saved conversations and bookmarks"
+                >
+                    <Database size={12} style={{ marginRight: 4, verticalAlign: 'middle' }} />
+                    My Browsing
+                </button>
+                <button className="ai-panel__action-btn" onClick={handleRecall} disabled={isTyping} title="Find a page you visited — type a question first">
+                    <History size={12} style={{ marginRight: 4, verticalAlign: 'middle' }} />
+                    Recall
+                </button>
                 <button className="ai-panel__action-btn" onClick={handleScreenshot} disabled={isTyping}>
                     <Eye size={12} style={{ marginRight: 4, verticalAlign: 'middle' }} />
                     Screenshot
@@ -1236,6 +1654,9 @@ WAIT(1000)`
                             </label>
                         )}
                         <div style={{ flex: 1, minWidth: 0 }}>
+                            {msg.reasoning && (
+                                <ThinkingBlock content={msg.reasoning} label="Model Thinking" />
+                            )}
                             <div className={`ai-message ai-message--${msg.role} ${isSelectMode && selectedMessages.has(i) ? 'ai-message--selected' : ''}`}>
                                 {msg.role === 'assistant' ? (
                                     <SafeMarkdown>{msg.content}</SafeMarkdown>
@@ -1247,11 +1668,26 @@ WAIT(1000)`
                                         <Camera size={10} /> screen captured
                                     </span>
                                 )}
+                                {msg.fallbackFrom && (
+                                    <span className="ai-message__provider-badge" title={`${providerLabel(settings?.aiSettings, msg.fallbackFrom)} was unavailable — answered by ${providerLabel(settings?.aiSettings, msg.provider)}`}>
+                                        <Shuffle size={10} /> via {providerLabel(settings?.aiSettings, msg.provider)}
+                                    </span>
+                                )}
                                 {msg.hasImage && (
                                     <span className="ai-message__image-badge" title="Image attached to this message">
                                         <ImagePlus size={10} /> image attached
                                     </span>
                                 )}
+                                {msg.browsing && (
+                                    <span className="ai-message__image-badge">
+                                        <Database size={10} /> My Browsing
+                                    </span>
+                                )}
+                                {msg.tabs && (
+                                    <span className="ai-message__image-badge" title={msg.tabs.join('\n')}>
+                                        <Layers size={10} /> {msg.tabs.length} tab{msg.tabs.length !== 1 ? 's' : ''} included
+                                    </span>
+                                )}
                                 {/* Per-message save-as-automation button */}
                                 {msg.role === 'assistant' && !isSelectMode && (
                                     <button
@@ -1269,6 +1705,9 @@ WAIT(1000)`
                         </div>
                     </div>
                 ))}
+                {streamingReasoning && (
+                    <ThinkingBlock content={streamingReasoning} label="Thinking…" defaultExpanded />
+                )}
                 {streamingContent && (
                     <div className="ai-message ai-message--assistant ai-message--streaming">
                         <SafeMarkdown>{cleanMessageText(streamingContent)}</SafeMarkdown>
@@ -1299,7 +1738,7 @@ WAIT(1000)`
                         <div className="ai-panel__typing-dot" />
                         <div className="ai-panel__typing-dot" />
                         <span style={{ marginLeft: 4, flex: 1 }}>
-                            {isAutomating ? 'Executing steps...' : 'AI is thinking...'}
+                            {isAutomating ? 'Executing steps...' : progressNote || 'AI is thinking...'}
                         </span>
                         <button
                             className="ai-panel__stop-btn"
@@ -1329,6 +1768,43 @@ WAIT(1000)`
             </div>
 
             <div className="ai-panel__input-area">
+                {/* Tab picker for @mentions */}
+                {tabMenu && (
+                    <div className="ai-panel__tab-menu">
+                        {tabMenuMatches.length === 0 ? (
+                            <div className="ai-panel__tab-menu-empty">No matching tabs</div>
+                        ) : tabMenuMatches.map(tab => (
+                            <button
+                                key={tab.tabId}
+                                className="ai-panel__tab-menu-item"
+                                onMouseDown={(e) => {
+                                    e.preventDefault()
+                                    handleMentionTab(tab)
+                                }}
+                            >
+                                <span className="ai-panel__tab-menu-title">{tab.title || tab.url}</span>
+                                <span className="ai-panel__tab-menu-url">{tab.active ? 'Current tab' : tab.url}</span>
+                            </button>
+                        ))}
+                    </div>
+                )}
+                {/* Tabs mentioned with @ — their text goes with the next message */}
+                {mentionedTabs.length > 0 && (
+                    <div className="ai-panel__tab-mentions">
+                        {mentionedTabs.map(tab => (
+                            <span key={tab.tabId} className="ai-panel__tab-chip" title={tab.url}>
+                                <AtSign size={10} />
+                                <span className="ai-panel__tab-chip-title">{tab.title}</span>
+                                <button
+                                    onClick={() => setMentionedTabs(prev => prev.filter(t => t.tabId !== tab.tabId))}
+                                    title="Remove tab"
+                                >
+                                    <X size={10} />
+                                </button>
+                            </span>
+                        ))}
+                    </div>
+                )}
                 {/* Image preview when attached */}
                 {attachedImage && (
                     <div className="ai-panel__image-preview">
@@ -1347,9 +1823,12 @@ WAIT(1000)`
                         ref={inputRef}
                         className="ai-panel__input"
                         value={input}
-                        onChange={(e) => setInput(e.target.value)}
+                        onChange={(e) => handleInputChange(e.target.value)}
                         onKeyDown={handleKeyDown}
-                        placeholder="Ask anything, describe a task to automate..."
+                        onBlur={() => setTabMenu(null)}
+                        placeholder={browsingMode
+                            ? 'Ask about pages you visited, saved chats and bookmarks...'
+                            : 'Ask anything, describe a task to automate... (@ to include tabs)'}
                         rows={1}
                     />
                     {/* Mic button for voice input */}
@@ -1439,6 +1918,15 @@ WAIT(1000)`
                 </div>
             )}
 
+            {/* Inputs of a saved automation, asked for before it runs */}
+            {pendingAutomation && (
+                <AutomationInputsDialog
+                    automation={pendingAutomation}
+                    onRun={(values) => runSavedAutomation(pendingAutomation, values)}
+                    onCancel={() => setPendingAutomation(null)}
+                />
+            )}
+
             {/* Library Panel */}
             {showLibrary && (
                 <LibraryPanel
@@ -1456,6 +1944,15 @@ WAIT(1000)`
                     automationName={automationName}
                     startTime={automationStartTime}
                     thinking={automationThinking}
+                    verdict={automationVerdict}
+                    stepBudget={automationBudget}
+                    variables={automationVariables}
+                    healedSelectors={automationHealing?.healed}
+                    healingApplied={automationHealing?.applied}
+                    onApplyHealing={async () => {
+                        await saveStepRepairs(automationHealing.item, automationHealing.repairs)
+                        setAutomationHealing(prev => ({ ...prev, applied: true }))
+                    }}
                     onClose={() => setShowReport(false)}
                     isCollapsed={reportCollapsed}
                     onToggleCollapse={() => setReportCollapsed(v => !v)}
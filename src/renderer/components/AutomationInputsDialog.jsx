@@ -0,0 +1,46 @@
+import React, { useState } from 'react'
+import { Play } from 'lucide-react'
+
+/**
+ * AutomationInputsDialog — asks for the values of a saved automation's inputs
+ * before it runs, prefilled with their defaults.
+ */
+export default function AutomationInputsDialog({ automation, onRun, onCancel }) {
+    const [values, setValues] = useState(() =>
+        Object.fromEntries(automation.inputs.map(input => [input.name, input.default ?? '']))
+    )
+
+    const handleKeyDown = (e) => {
+        if (e.key === 'Enter') onRun(values)
+        if (e.key === 'Escape') onCancel()
+    }
+
+    return (
+        <div className="save-dialog-overlay" onClick={(e) => { if (e.target === e.currentTarget) onCancel() }}>
+            <div className="save-dialog">
+                <h3 className="save-dialog__title">
+                    <Play size={14} /> Run "{automation.name}"
+                </h3>
+                {automation.inputs.map((input, i) => (
+                    <div className="save-dialog__field" key={input.name}>
+                        <label>{input.name}</label>
+                        <input
+                            type="text"
+                            value={values[input.name]}
+                            onChange={(e) => setValues(prev => ({ ...prev, [input.name]: e.target.value }))}
+                            onKeyDown={handleKeyDown}
+                            placeholder={`{{${input.name}}}`}
+                            autoFocus={i === 0}
+                        />
+                    </div>
+                ))}
+                <div className="save-dialog__actions">
+                    <button className="save-dialog__cancel" onClick={onCancel}>Cancel</button>
+                    <button className="save-dialog__confirm" onClick={() => onRun(values)}>
+                        <Play size={12} /> Run
+                    </button>
+                </div>
+            </div>
+        </div>
+    )
+}
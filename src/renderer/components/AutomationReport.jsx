@@ -1,7 +1,7 @@
 import React, { useState, useEffect } from 'react'
 import {
     ChevronDown, ChevronUp, X, Play, CheckCircle, AlertCircle,
-    Loader, Clock, Brain, ChevronRight, Activity, Zap
+    Loader, Clock, Brain, ChevronRight, Activity, Zap, Braces, Copy, Wrench, Save
 } from 'lucide-react'
 
 function describeCommand(cmd) {
@@ -10,11 +10,30 @@ function describeCommand(cmd) {
         case 'click_element': return `Click "${cmd.selector}"`
         case 'type': return `Type "${cmd.text?.length > 30 ? cmd.text.substring(0, 30) + '\u2026' : cmd.text}"`
         case 'fill': return `Fill "${cmd.selector}" \u2192 "${cmd.value?.length > 20 ? cmd.value.substring(0, 20) + '\u2026' : cmd.value}"`
+        case 'upload': return `Upload ${(cmd.files || []).map(f => f.split(/[\\/]/).pop()).join(', ')} \u2192 "${cmd.selector}"`
         case 'press': return `Press ${cmd.key}`
         case 'scroll': return `Scroll ${cmd.deltaY > 0 ? 'down' : 'up'} ${Math.abs(cmd.deltaY)}px`
         case 'navigate': return `Navigate \u2192 ${cmd.url?.length > 40 ? cmd.url.substring(0, 40) + '\u2026' : cmd.url}`
         case 'wait': return `Wait ${cmd.ms}ms`
+        case 'wait_download': return cmd.timeoutMs ? `Wait for download (${cmd.timeoutMs / 1000}s max)` : 'Wait for download'
+        case 'wait_for': return `Wait for "${cmd.selector}"`
+        case 'wait_for_url': return `Wait for URL ${cmd.pattern}`
+        case 'wait_for_network_idle': return 'Wait for network idle'
         case 'find': return `Find "${cmd.selector}"`
+        case 'extract': return `Extract "${cmd.selector}" \u2192 {{${cmd.variable}}}`
+        case 'extract_all': return `Extract all "${cmd.selector}" \u2192 {{${cmd.variable}}}`
+        case 'assert_url': return `Assert URL matches ${cmd.pattern}`
+        case 'assert_title': return `Assert title contains "${cmd.text}"`
+        case 'assert_text': return `Assert "${cmd.selector}" contains "${cmd.text?.length > 20 ? cmd.text.substring(0, 20) + '\u2026' : cmd.text}"`
+        case 'assert_visible': return `Assert "${cmd.selector}" is visible`
+        case 'assert_count': return `Assert ${cmd.count} \u00d7 "${cmd.selector}"`
+        case 'assert_screenshot': return `Assert screenshot "${cmd.name}"`
+        case 'if_exists': return `If "${cmd.selector}" exists`
+        case 'repeat': return `Repeat ${cmd.times}\u00d7`
+        case 'for_each': return cmd.list ? `For each {{${cmd.as || 'item'}}} in {{${cmd.list}}}` : `For each "${cmd.selector}" as {{${cmd.as || 'item'}}}`
+        case 'while_exists': return `While "${cmd.selector}" exists`
+        case 'try': return 'Try'
+        case 'call': return `Call "${cmd.automation}"`
         default: return cmd?.type || 'Unknown'
     }
 }
@@ -39,12 +58,19 @@ export default function AutomationReport({
     automationName = '',
     startTime = null,
     thinking = '',
+    verdict = null,
+    stepBudget = null,
+    variables = null,
+    healedSelectors = null,
+    healingApplied = false,
+    onApplyHealing,
     onClose,
     isCollapsed = false,
     onToggleCollapse
 }) {
     const [elapsed, setElapsed] = useState(0)
     const [showThinking, setShowThinking] = useState(false)
+    const [copied, setCopied] = useState(false)
 
     // Elapsed timer
     useEffect(() => {
@@ -62,13 +88,14 @@ export default function AutomationReport({
         }
     }, [isRunning, startTime])
 
-    // Stats
-    const total = steps.length
+    // Stats — 'label' rows (Else / On error) are not steps; 'skipped' ones are branches not taken
+    const total = steps.filter(s => s.status !== 'label').length
     const completed = steps.filter(s => s.status === 'done').length
     const failed = steps.filter(s => s.status === 'error').length
+    const skipped = steps.filter(s => s.status === 'skipped').length
     const running = steps.filter(s => s.status === 'running').length
     const pending = steps.filter(s => s.status === 'pending').length
-    const progressPct = total > 0 ? ((completed + failed) / total) * 100 : 0
+    const progressPct = total > 0 ? ((completed + failed + skipped) / total) * 100 : 0
     const totalDuration = steps.reduce((sum, s) => sum + (s.duration || 0), 0)
 
     if (steps.length === 0) return null
@@ -83,8 +110,13 @@ export default function AutomationReport({
                         {automationName || 'Automation'}
                     </span>
                     <span className="automation-report__progress-text">
-                        {completed + failed}/{total} steps
+                        {completed + failed + skipped}/{total} steps
                     </span>
+                    {stepBudget && (
+                        <span className="automation-report__progress-text" title="Agent step budget">
+                            · budget {total}/{stepBudget}
+                        </span>
+                    )}
                 </div>
                 <div className="automation-report__header-right">
                     {(isRunning || elapsed > 0) && (
@@ -113,7 +145,7 @@ export default function AutomationReport({
             {/* Progress bar */}
             <div className="automation-report__progress-bar">
                 <div
-                    className={`automation-report__progress-fill ${!isRunning && completed + failed === total ? 'automation-report__progress-fill--done' : ''}`}
+                    className={`automation-report__progress-fill ${!isRunning && completed + failed + skipped === total ? 'automation-report__progress-fill--done' : ''}`}
                     style={{ width: `${progressPct}%` }}
                 />
             </div>
@@ -126,6 +158,7 @@ export default function AutomationReport({
                             <div
                                 key={i}
                                 className={`automation-report__step automation-report__step--${step.status}`}
+                                style={step.depth ? { paddingLeft: 12 + step.depth * 14 } : undefined}
                             >
                                 <span className="automation-report__step-number">
                                     {step.status === 'running' ? (
@@ -134,12 +167,31 @@ export default function AutomationReport({
                                         <CheckCircle size={11} />
                                     ) : step.status === 'error' ? (
                                         <AlertCircle size={11} />
-                                    ) : (
+                                    ) : step.status === 'label' ? null : (
                                         <span className="automation-report__step-idx">{i + 1}</span>
                                     )}
                                 </span>
                                 <span className="automation-report__step-detail">
                                     {step.detail}
+                                    {step.note && (
+                                        <span className="automation-report__step-note">{step.note}</span>
+                                    )}
+                                    {step.failure && (
+                                        <span className="automation-report__step-failure">
+                                            <span><b>Expected</b> {step.failure.expected}</span>
+                                            <span><b>Actual</b> {step.failure.actual}</span>
+                                            {step.failure.files?.map(file => (
+                                                <button
+                                                    key={file}
+                                                    className="automation-report__step-file"
+                                                    onClick={() => window.browserAPI.automation.openScreenshot(file)}
+                                                    title={file}
+                                                >
+                                                    {file.split(/[\\/]/).pop()}
+                                                </button>
+                                            ))}
+                                        </span>
+                                    )}
                                 </span>
                                 {step.duration != null && (
                                     <span className="automation-report__step-time">
@@ -150,6 +202,59 @@ export default function AutomationReport({
                         ))}
                     </div>
 
+                    {/* Agent verdict */}
+                    {verdict && (
+                        <div className={`automation-report__verdict automation-report__verdict--${verdict.success ? 'success' : 'failure'}`}>
+                            {verdict.success ? <CheckCircle size={12} /> : <AlertCircle size={12} />}
+                            <span>{verdict.summary}</span>
+                        </div>
+                    )}
+
+                    {/* Run output — inputs and EXTRACT results */}
+                    {variables && Object.keys(variables).length > 0 && (
+                        <div className="automation-report__variables">
+                            <div className="automation-report__variables-header">
+                                <Braces size={12} />
+                                <span>Variables</span>
+                                <button
+                                    className="automation-report__variables-copy"
+                                    onClick={() => {
+                                        navigator.clipboard.writeText(JSON.stringify(variables, null, 2))
+                                        setCopied(true)
+                                        setTimeout(() => setCopied(false), 1500)
+                                    }}
+                                    title="Copy as JSON"
+                                >
+                                    <Copy size={11} /> {copied ? 'Copied' : 'JSON'}
+                                </button>
+                            </div>
+                            <pre className="automation-report__thinking-content">{JSON.stringify(variables, null, 2)}</pre>
+                        </div>
+                    )}
+
+                    {/* Selectors healed during the run, offered as an update to the saved automation */}
+                    {healedSelectors?.length > 0 && (
+                        <div className="automation-report__healing">
+                            <div className="automation-report__variables-header">
+                                <Wrench size={12} />
+                                <span>{healedSelectors.length} selector{healedSelectors.length === 1 ? '' : 's'} healed</span>
+                                <button
+                                    className="automation-report__variables-copy"
+                                    onClick={onApplyHealing}
+                                    disabled={healingApplied}
+                                    title="Save the healed selectors in the automation"
+                                >
+                                    {healingApplied ? <><CheckCircle size={11} /> Updated</> : <><Save size={11} /> Update automation</>}
+                                </button>
+                            </div>
+                            {healedSelectors.map((repair, i) => (
+                                <div key={i} className="automation-report__healing-item">
+                                    <code>{repair.from}</code> → <code>{repair.selector}</code>
+                                </div>
+                            ))}
+                        </div>
+                    )}
+
                     {/* AI Thinking section */}
                     {thinking && (
                         <div className="automation-report__thinking">
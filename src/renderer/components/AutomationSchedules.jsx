@@ -0,0 +1,294 @@
+import React, { useState, useEffect } from 'react'
+import {
+    Plus, Play, Edit3, Trash2, Save, Loader, CheckCircle, AlertCircle,
+    ChevronDown, ChevronRight, CalendarClock, Bell
+} from 'lucide-react'
+
+/**
+ * AutomationSchedules — the schedules of one saved automation, shown in its card:
+ * when it runs by itself (every N minutes or on a cron expression), the input values
+ * it runs with, which notifications it raises, and the history of its runs with each
+ * step's status and duration. The runs happen in the main process (automation-scheduler.js).
+ */
+
+const BLANK_FORM = { kind: 'interval', minutes: 60, expression: '0 * * * *', enabled: true, values: {}, notifyOnFailure: true, notifyOnChange: true }
+
+function formatDuration(ms) {
+    if (ms == null) return ''
+    if (ms < 1000) return `${ms}ms`
+    return `${(ms / 1000).toFixed(1)}s`
+}
+
+function formatTime(ts) {
+    if (!ts) return '—'
+    const d = new Date(ts)
+    const sameDay = d.toDateString() === new Date().toDateString()
+    return sameDay ? d.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' }) : d.toLocaleString([], { dateStyle: 'short', timeStyle: 'short' })
+}
+
+function describeSchedule({ schedule }) {
+    if (schedule.kind === 'cron') return `Cron ${schedule.expression}`
+    const { minutes } = schedule
+    if (minutes % 1440 === 0) return minutes === 1440 ? 'Every day' : `Every ${minutes / 1440} days`
+    if (minutes % 60 === 0) return minutes === 60 ? 'Every hour' : `Every ${minutes / 60} hours`
+    return `Every ${minutes} min`
+}
+
+function formatValue(value) {
+    const text = Array.isArray(value) ? value.join(', ') : String(value)
+    return text.length > 40 ? text.substring(0, 40) + '…' : text
+}
+
+function StepIcon({ status }) {
+    if (status === 'running') return <Loader size={11} className="spinning" />
+    if (status === 'done') return <CheckCircle size={11} />
+    if (status === 'error') return <AlertCircle size={11} />
+    return '–'
+}
+
+function RunHistory({ scheduleId }) {
+    const [runs, setRuns] = useState(null)
+    const [openRunId, setOpenRunId] = useState(null)
+
+    useEffect(() => {
+        const load = () => window.browserAPI.scheduler.runs(scheduleId).then(setRuns)
+        load()
+        return window.browserAPI.scheduler.onChanged(load)
+    }, [scheduleId])
+
+    if (!runs) return null
+    if (!runs.length) return <div className="automation-card__no-steps">No runs yet</div>
+
+    return runs.map(run => (
+        <div key={run.id} className="automation-schedule__run">
+            <div
+                className={`automation-schedule__run-header automation-schedule__run-header--${run.status}`}
+                onClick={() => setOpenRunId(openRunId === run.id ? null : run.id)}
+            >
+                {openRunId === run.id ? <ChevronDown size={11} /> : <ChevronRight size={11} />}
+                {run.status === 'passed' ? <CheckCircle size={11} /> : <AlertCircle size={11} />}
+                <span>{formatTime(run.startedAt)}</span>
+                {run.changes?.length > 0 && (
+                    <span className="automation-schedule__changed"><Bell size={10} /> changed</span>
+                )}
+                <span className="automation-step__duration">{formatDuration(run.durationMs)}</span>
+            </div>
+            {openRunId === run.id && (
+                <div className="automation-schedule__run-body">
+                    {run.error && <div className="automation-schedule__error">{run.error}</div>}
+                    {run.changes?.map(change => (
+                        <div key={change.name} className="automation-schedule__change">
+                            {`{{${change.name}}}`}: {formatValue(change.from)} → {formatValue(change.to)}
+                        </div>
+                    ))}
+                    {run.steps.map((step, i) => step.label ? (
+                        <div key={i} className="automation-step-block__label" style={{ paddingLeft: 10 + step.depth * 14 }}>
+                            {step.label}
+                        </div>
+                    ) : (
+                        <div
+                            key={i}
+                            className={`automation-step automation-step--live automation-step--live-${step.status === 'skipped' ? 'pending' : step.status}`}
+                            style={step.depth ? { paddingLeft: 10 + step.depth * 14 } : undefined}
+                            title={step.error || step.note || ''}
+                        >
+                            <span className="automation-step__number"><StepIcon status={step.status} /></span>
+                            <span className="automation-step__detail">{step.text}</span>
+                            <span className="automation-step__duration">{formatDuration(step.durationMs)}</span>
+                        </div>
+                    ))}
+                </div>
+            )}
+        </div>
+    ))
+}
+
+export default function AutomationSchedules({ automation, schedules }) {
+    // { id?, ...BLANK_FORM fields } while a schedule is being created or edited
+    const [form, setForm] = useState(null)
+    const [error, setError] = useState(null)
+    const [historyId, setHistoryId] = useState(null)
+    const [confirmDeleteId, setConfirmDeleteId] = useState(null)
+    const inputs = automation.inputs || []
+
+    const startForm = (schedule) => {
+        setError(null)
+        setForm(schedule ? {
+            id: schedule.id,
+            ...BLANK_FORM,
+            ...schedule.schedule,
+            enabled: schedule.enabled,
+            values: schedule.values || {},
+            notifyOnFailure: schedule.notifyOnFailure,
+            notifyOnChange: schedule.notifyOnChange
+        } : {
+            ...BLANK_FORM,
+            values: Object.fromEntries(inputs.map(input => [input.name, input.default ?? '']))
+        })
+    }
+
+    const handleSave = async () => {
+        const result = await window.browserAPI.scheduler.save({
+            id: form.id,
+            automationId: automation.id,
+            schedule: form.kind === 'cron'
+                ? { kind: 'cron', expression: form.expression }
+                : { kind: 'interval', minutes: Number(form.minutes) },
+            enabled: form.enabled,
+            values: form.values,
+            notifyOnFailure: form.notifyOnFailure,
+            notifyOnChange: form.notifyOnChange
+        })
+        if (result?.error) {
+            setError(result.error)
+        } else {
+            setForm(null)
+            setError(null)
+        }
+    }
+
+    const toggleEnabled = (schedule) => window.browserAPI.scheduler.save({
+        ...schedule,
+        enabled: !schedule.enabled
+    })
+
+    const handleDelete = async (id) => {
+        await window.browserAPI.scheduler.delete(id)
+        setConfirmDeleteId(null)
+        if (historyId === id) setHistoryId(null)
+    }
+
+    return (
+        <div className="automation-card__steps automation-schedule">
+            <div className="automation-card__steps-header">Schedules</div>
+
+            {schedules.map(schedule => (
+                <div key={schedule.id} className="automation-schedule__item">
+                    <div className="automation-schedule__row">
+                        <CalendarClock size={12} className={schedule.enabled ? 'automation-schedule__icon--on' : ''} />
+                        <span className="automation-schedule__when">{describeSchedule(schedule)}</span>
+                        <span className="automation-schedule__next">
+                            {schedule.running ? (
+                                <><Loader size={10} className="spinning" /> running</>
+                            ) : schedule.queued ? 'queued'
+                                : schedule.enabled ? `next ${formatTime(schedule.nextRunAt)}` : 'paused'}
+                        </span>
+                    </div>
+                    {schedule.lastRunAt && (
+                        <div className={`automation-schedule__last automation-schedule__last--${schedule.lastStatus}`}>
+                            Last run {formatTime(schedule.lastRunAt)} — {schedule.lastStatus}
+                        </div>
+                    )}
+                    <div className="automation-card__actions">
+                        {confirmDeleteId === schedule.id ? (
+                            <>
+                                <span className="automation-card__confirm-text">Delete schedule and its history?</span>
+                                <button className="automation-card__action automation-card__action--danger" onClick={() => handleDelete(schedule.id)}>
+                                    Yes, Delete
+                                </button>
+                                <button className="automation-card__action" onClick={() => setConfirmDeleteId(null)}>
+                                    Cancel
+                                </button>
+                            </>
+                        ) : (
+                            <>
+                                <button
+                                    className="automation-card__action automation-card__action--run"
+                                    onClick={() => window.browserAPI.scheduler.runNow(schedule.id)}
+                                    disabled={schedule.running || schedule.queued}
+                                >
+                                    <Play size={12} /> Run now
+                                </button>
+                                <button className="automation-card__action" onClick={() => toggleEnabled(schedule)}>
+                                    {schedule.enabled ? 'Pause' : 'Resume'}
+                                </button>
+                                <button className="automation-card__action" onClick={() => startForm(schedule)}>
+                                    <Edit3 size={12} />
+                                </button>
+                                <button className="automation-card__action" onClick={() => setHistoryId(historyId === schedule.id ? null : schedule.id)}>
+                                    {historyId === schedule.id ? 'Hide runs' : 'Runs'}
+                                </button>
+                                <button className="automation-card__action automation-card__action--danger" onClick={() => setConfirmDeleteId(schedule.id)}>
+                                    <Trash2 size={12} />
+                                </button>
+                            </>
+                        )}
+                    </div>
+                    {historyId === schedule.id && <RunHistory scheduleId={schedule.id} />}
+                </div>
+            ))}
+
+            {form ? (
+                <div className="automation-schedule__form">
+                    <div className="automation-step__fields">
+                        <select
+                            className="automation-step__field"
+                            value={form.kind}
+                            onChange={(e) => setForm({ ...form, kind: e.target.value })}
+                        >
+                            <option value="interval">Every N minutes</option>
+                            <option value="cron">Cron expression</option>
+                        </select>
+                        {form.kind === 'interval' ? (
+                            <input
+                                className="automation-step__field"
+                                type="number"
+                                min={1}
+                                value={form.minutes}
+                                onChange={(e) => setForm({ ...form, minutes: e.target.value })}
+                                title="Minutes between runs"
+                            />
+                        ) : (
+                            <input
+                                className="automation-step__field"
+                                value={form.expression}
+                                onChange={(e) => setForm({ ...form, expression: e.target.value })}
+                                placeholder="min hour day month weekday"
+                                title="minute hour day-of-month month day-of-week, or @hourly, @daily, @weekly, @monthly"
+                            />
+                        )}
+                    </div>
+                    {inputs.map(input => (
+                        <div key={input.name} className="automation-step__fields">
+                            <span className="automation-schedule__input-name">{`{{${input.name}}}`}</span>
+                            <input
+                                className="automation-step__field"
+                                value={form.values[input.name] ?? ''}
+                                onChange={(e) => setForm({ ...form, values: { ...form.values, [input.name]: e.target.value } })}
+                            />
+                        </div>
+                    ))}
+                    <label className="automation-schedule__option">
+                        <input type="checkbox" checked={form.enabled} onChange={(e) => setForm({ ...form, enabled: e.target.checked })} />
+                        Enabled
+                    </label>
+                    <label className="automation-schedule__option">
+                        <input type="checkbox" checked={form.notifyOnFailure} onChange={(e) => setForm({ ...form, notifyOnFailure: e.target.checked })} />
+                        Notify when a run fails
+                    </label>
+                    <label className="automation-schedule__option">
+                        <input type="checkbox" checked={form.notifyOnChange} onChange={(e) => setForm({ ...form, notifyOnChange: e.target.checked })} />
+                        Notify when an extracted value changes
+                    </label>
+                    {error && (
+                        <div className="automation-card__warning automation-schedule__error">
+                            <AlertCircle size={11} /> {error}
+                        </div>
+                    )}
+                    <div className="automation-card__actions">
+                        <button className="automation-card__action automation-card__action--save" onClick={handleSave}>
+                            <Save size={12} /> Save schedule
+                        </button>
+                        <button className="automation-card__action" onClick={() => setForm(null)}>
+                            Cancel
+                        </button>
+                    </div>
+                </div>
+            ) : (
+                <button className="automation-card__add-step" onClick={() => startForm(null)}>
+                    <Plus size={12} /> Add Schedule
+                </button>
+            )}
+        </div>
+    )
+}
@@ -2,33 +2,91 @@ import React, { useState, useEffect } from 'react'
 import {
     Search, Plus, Play, Edit3, Trash2, Copy, ChevronDown, ChevronRight,
     ArrowUp, ArrowDown, X, Zap, Clock, Save, Sparkles, Loader,
-    CheckCircle, AlertCircle, FlaskConical
+    CheckCircle, AlertCircle, FlaskConical, Circle, Square, CalendarClock
 } from 'lucide-react'
+import AutomationSchedules from './AutomationSchedules'
 import { TEST_CASES, TEST_CATEGORIES } from './TestCases'
+import { referencedVariables } from '../../shared/automation-variables.js'
+import { BLOCK_TYPES, DEFAULT_WHILE_MAX, isBlock, nestCommands, flattenCommands, countSteps, definedVariables } from '../../shared/automation-flow.js'
 
 const COMMAND_TYPES = [
     { value: 'click', label: 'CLICK', fields: ['x', 'y'] },
     { value: 'click_element', label: 'CLICK_ELEMENT', fields: ['selector'] },
     { value: 'type', label: 'TYPE', fields: ['text'] },
     { value: 'fill', label: 'FILL', fields: ['selector', 'value'] },
+    { value: 'upload', label: 'UPLOAD', fields: ['selector', 'files'] },
     { value: 'press', label: 'PRESS', fields: ['key'] },
     { value: 'scroll', label: 'SCROLL', fields: ['deltaY'] },
     { value: 'navigate', label: 'NAVIGATE', fields: ['url'] },
     { value: 'wait', label: 'WAIT', fields: ['ms'] },
+    { value: 'wait_for', label: 'WAIT_FOR', fields: ['selector', 'timeoutMs'] },
+    { value: 'wait_for_url', label: 'WAIT_FOR_URL', fields: ['pattern', 'timeoutMs'] },
+    { value: 'wait_for_network_idle', label: 'WAIT_FOR_NETWORK_IDLE', fields: ['timeoutMs'] },
+    { value: 'wait_download', label: 'WAIT_DOWNLOAD', fields: ['timeoutMs'] },
     { value: 'find', label: 'FIND', fields: ['selector'] },
+    { value: 'extract', label: 'EXTRACT', fields: ['selector', 'variable'] },
+    { value: 'extract_all', label: 'EXTRACT_ALL', fields: ['selector', 'variable'] },
+    { value: 'assert_url', label: 'ASSERT_URL', fields: ['pattern'] },
+    { value: 'assert_title', label: 'ASSERT_TITLE', fields: ['text'] },
+    { value: 'assert_text', label: 'ASSERT_TEXT', fields: ['selector', 'text'] },
+    { value: 'assert_visible', label: 'ASSERT_VISIBLE', fields: ['selector'] },
+    { value: 'assert_count', label: 'ASSERT_COUNT', fields: ['selector', 'count'] },
+    { value: 'assert_screenshot', label: 'ASSERT_SCREENSHOT', fields: ['name', 'maxDiffPercent'] },
+    { value: 'if_exists', label: 'IF_EXISTS', fields: ['selector', 'timeoutMs'] },
+    { value: 'repeat', label: 'REPEAT', fields: ['times'] },
+    { value: 'for_each', label: 'FOR_EACH', fields: ['selector', 'list', 'as'] },
+    { value: 'while_exists', label: 'WHILE_EXISTS', fields: ['selector', 'max'] },
+    { value: 'try', label: 'TRY', fields: [] },
+    { value: 'call', label: 'CALL', fields: ['automation'] },
 ]
 
+const NUMBER_FIELDS = ['x', 'y', 'deltaY', 'ms', 'timeoutMs', 'times', 'max']
+
+// Headings of a block's second child list
+const BRANCH_LABELS = { else: 'Else', onError: 'On error' }
+
+const FIELD_PLACEHOLDERS = {
+    files: 'files (absolute paths, ; between several)',
+    count: 'count (3, >=1, <10…)',
+    maxDiffPercent: 'max % of pixels changed',
+    name: 'baseline name',
+    variable: 'variable name',
+    list: 'or list variable',
+    as: 'item variable',
+    max: 'max iterations',
+    automation: 'saved automation name'
+}
+
 function describeCommand(cmd) {
     switch (cmd.type) {
         case 'click': return `Click at (${cmd.x}, ${cmd.y})`
         case 'click_element': return `Click "${cmd.selector}"`
         case 'type': return `Type "${cmd.text?.length > 30 ? cmd.text.substring(0, 30) + '\u2026' : cmd.text}"`
         case 'fill': return `Fill "${cmd.selector}" \u2192 "${cmd.value?.length > 20 ? cmd.value.substring(0, 20) + '\u2026' : cmd.value}"`
+        case 'upload': return `Upload ${(cmd.files || []).map(f => f.split(/[\\/]/).pop()).join(', ')} \u2192 "${cmd.selector}"`
         case 'press': return `Press ${cmd.key}`
         case 'scroll': return `Scroll ${cmd.deltaY > 0 ? 'down' : 'up'} ${Math.abs(cmd.deltaY)}px`
         case 'navigate': return `Navigate \u2192 ${cmd.url?.length > 40 ? cmd.url.substring(0, 40) + '\u2026' : cmd.url}`
         case 'wait': return `Wait ${cmd.ms}ms`
+        case 'wait_download': return cmd.timeoutMs ? `Wait for download (${cmd.timeoutMs / 1000}s max)` : 'Wait for download'
+        case 'wait_for': return `Wait for "${cmd.selector}"`
+        case 'wait_for_url': return `Wait for URL ${cmd.pattern}`
+        case 'wait_for_network_idle': return 'Wait for network idle'
         case 'find': return `Find "${cmd.selector}"`
+        case 'extract': return `Extract "${cmd.selector}" \u2192 {{${cmd.variable}}}`
+        case 'extract_all': return `Extract all "${cmd.selector}" \u2192 {{${cmd.variable}}}`
+        case 'assert_url': return `Assert URL matches ${cmd.pattern}`
+        case 'assert_title': return `Assert title contains "${cmd.text}"`
+        case 'assert_text': return `Assert "${cmd.selector}" contains "${cmd.text?.length > 20 ? cmd.text.substring(0, 20) + '\u2026' : cmd.text}"`
+        case 'assert_visible': return `Assert "${cmd.selector}" is visible`
+        case 'assert_count': return `Assert ${cmd.count} \u00d7 "${cmd.selector}"`
+        case 'assert_screenshot': return `Assert screenshot "${cmd.name}"`
+        case 'if_exists': return `If "${cmd.selector}" exists`
+        case 'repeat': return `Repeat ${cmd.times}\u00d7`
+        case 'for_each': return cmd.list ? `For each {{${cmd.as || 'item'}}} in {{${cmd.list}}}` : `For each "${cmd.selector}" as {{${cmd.as || 'item'}}}`
+        case 'while_exists': return `While "${cmd.selector}" exists (max ${cmd.max || DEFAULT_WHILE_MAX})`
+        case 'try': return 'Try'
+        case 'call': return `Call "${cmd.automation}"`
         default: return cmd.type
     }
 }
@@ -39,15 +97,44 @@ function createBlankCommand(type) {
         case 'click_element': return { type: 'click_element', selector: '' }
         case 'type': return { type: 'type', text: '' }
         case 'fill': return { type: 'fill', selector: '', value: '' }
+        case 'upload': return { type: 'upload', selector: 'input[type="file"]', files: [] }
         case 'press': return { type: 'press', key: 'Enter' }
         case 'scroll': return { type: 'scroll', deltaY: 300 }
         case 'navigate': return { type: 'navigate', url: '' }
         case 'wait': return { type: 'wait', ms: 1000 }
+        case 'wait_for': return { type: 'wait_for', selector: '', timeoutMs: 10000 }
+        case 'wait_for_url': return { type: 'wait_for_url', pattern: '', timeoutMs: 10000 }
+        case 'wait_for_network_idle': return { type: 'wait_for_network_idle', timeoutMs: 10000 }
+        case 'wait_download': return { type: 'wait_download', timeoutMs: 60000 }
         case 'find': return { type: 'find', selector: '' }
+        case 'extract': return { type: 'extract', selector: '', variable: '' }
+        case 'extract_all': return { type: 'extract_all', selector: '', variable: '' }
+        case 'assert_url': return { type: 'assert_url', pattern: '' }
+        case 'assert_title': return { type: 'assert_title', text: '' }
+        case 'assert_text': return { type: 'assert_text', selector: '', text: '' }
+        case 'assert_visible': return { type: 'assert_visible', selector: '' }
+        case 'assert_count': return { type: 'assert_count', selector: '', count: '>=1' }
+        case 'assert_screenshot': return { type: 'assert_screenshot', name: '', maxDiffPercent: 1 }
+        case 'if_exists': return { type: 'if_exists', selector: '', timeoutMs: 0, then: [], else: [] }
+        case 'repeat': return { type: 'repeat', times: 2, body: [] }
+        case 'for_each': return { type: 'for_each', selector: '', list: '', as: 'item', body: [] }
+        case 'while_exists': return { type: 'while_exists', selector: '', max: DEFAULT_WHILE_MAX, body: [] }
+        case 'try': return { type: 'try', body: [], onError: [] }
+        case 'call': return { type: 'call', automation: '' }
         default: return { type: 'click', x: 0, y: 0 }
     }
 }
 
+/**
+ * Copy of a command tree with `fn` applied to one of its lists. `listPath` leads
+ * there: [] is the top level, [i, 'body'] the body of block i, and so on.
+ */
+function updateList(list, listPath, fn) {
+    if (!listPath.length) return fn(list)
+    const [index, key, ...rest] = listPath
+    return list.map((cmd, i) => i === index ? { ...cmd, [key]: updateList(cmd[key] || [], rest, fn) } : cmd)
+}
+
 /** Parse automation commands from AI response text */
 function parseCommands(text) {
     const commands = []
@@ -57,7 +144,25 @@ function parseCommands(text) {
         const trimmed = line.trim()
         if (!trimmed) continue
         let m
-        if ((m = trimmed.match(/CLICK\s*\(\s*(\d+)\s*,\s*(\d+)\s*\)/))) {
+        if ((m = trimmed.match(/^IF_EXISTS\s*\(\s*"([^"]*)"\s*(?:,\s*(\d+)\s*)?\)/))) {
+            commands.push({ type: 'if_exists', selector: m[1], ...(m[2] && { timeoutMs: +m[2] }) })
+        } else if (/^ELSE\b/.test(trimmed)) {
+            commands.push({ type: 'else' })
+        } else if (/^END\b/.test(trimmed)) {
+            commands.push({ type: 'end' })
+        } else if ((m = trimmed.match(/^REPEAT\s*\(\s*(\d+)\s*\)/))) {
+            commands.push({ type: 'repeat', times: +m[1] })
+        } else if ((m = trimmed.match(/^FOR_EACH\s*\(\s*(?:"([^"]*)"|\{\{\s*(\w+)\s*\}\})\s*(?:,\s*"(\w+)"\s*)?\)/))) {
+            commands.push({ type: 'for_each', ...(m[2] ? { list: m[2] } : { selector: m[1] }), as: m[3] || 'item' })
+        } else if ((m = trimmed.match(/^WHILE_EXISTS\s*\(\s*"([^"]*)"\s*(?:,\s*(\d+)\s*)?\)/))) {
+            commands.push({ type: 'while_exists', selector: m[1], max: m[2] ? +m[2] : DEFAULT_WHILE_MAX })
+        } else if (/^TRY\b/.test(trimmed)) {
+            commands.push({ type: 'try' })
+        } else if (/^ON_ERROR\b/.test(trimmed)) {
+            commands.push({ type: 'on_error' })
+        } else if ((m = trimmed.match(/^CALL\s*\(\s*"([^"]*)"\s*\)/))) {
+            commands.push({ type: 'call', automation: m[1] })
+        } else if ((m = trimmed.match(/CLICK\s*\(\s*(\d+)\s*,\s*(\d+)\s*\)/))) {
             commands.push({ type: 'click', x: +m[1], y: +m[2] })
         } else if ((m = trimmed.match(/CLICK_ELEMENT\s*\(\s*"([^"]*)"\s*\)/))) {
             commands.push({ type: 'click_element', selector: m[1] })
@@ -69,15 +174,41 @@ function parseCommands(text) {
             commands.push({ type: 'scroll', deltaY: +m[1] })
         } else if ((m = trimmed.match(/NAVIGATE\s*\(\s*"([^"]*)"\s*\)/))) {
             commands.push({ type: 'navigate', url: m[1] })
+        } else if ((m = trimmed.match(/WAIT_FOR_NETWORK_IDLE\b\s*(?:\(\s*(\d*)\s*\))?/))) {
+            commands.push({ type: 'wait_for_network_idle', ...(m[1] && { timeoutMs: +m[1] }) })
+        } else if ((m = trimmed.match(/WAIT_FOR_URL\s*\(\s*"([^"]*)"\s*(?:,\s*(\d+)\s*)?\)/))) {
+            commands.push({ type: 'wait_for_url', pattern: m[1], ...(m[2] && { timeoutMs: +m[2] }) })
+        } else if ((m = trimmed.match(/WAIT_FOR\s*\(\s*"([^"]*)"\s*(?:,\s*(\d+)\s*)?\)/))) {
+            commands.push({ type: 'wait_for', selector: m[1], ...(m[2] && { timeoutMs: +m[2] }) })
+        } else if ((m = trimmed.match(/WAIT_DOWNLOAD\s*\(\s*(\d*)\s*\)/))) {
+            commands.push({ type: 'wait_download', ...(m[1] && { timeoutMs: +m[1] }) })
         } else if ((m = trimmed.match(/WAIT\s*\(\s*(\d+)\s*\)/))) {
             commands.push({ type: 'wait', ms: +m[1] })
         } else if ((m = trimmed.match(/FIND\s*\(\s*"([^"]*)"\s*\)/))) {
             commands.push({ type: 'find', selector: m[1] })
         } else if ((m = trimmed.match(/FILL\s*\(\s*"([^"]*?)"\s*,\s*"([^"]*)"\s*\)/))) {
             commands.push({ type: 'fill', selector: m[1], value: m[2] })
+        } else if ((m = trimmed.match(/UPLOAD\s*\(\s*"([^"]*)"\s*((?:,\s*"[^"]*"\s*)+)\)/))) {
+            commands.push({ type: 'upload', selector: m[1], files: [...m[2].matchAll(/"([^"]*)"/g)].map(f => f[1]) })
+        } else if ((m = trimmed.match(/EXTRACT_ALL\s*\(\s*"([^"]*)"\s*,\s*"(\w+)"\s*\)/))) {
+            commands.push({ type: 'extract_all', selector: m[1], variable: m[2] })
+        } else if ((m = trimmed.match(/EXTRACT\s*\(\s*"([^"]*)"\s*,\s*"(\w+)"\s*\)/))) {
+            commands.push({ type: 'extract', selector: m[1], variable: m[2] })
+        } else if ((m = trimmed.match(/ASSERT_URL\s*\(\s*"([^"]*)"\s*\)/))) {
+            commands.push({ type: 'assert_url', pattern: m[1] })
+        } else if ((m = trimmed.match(/ASSERT_TITLE\s*\(\s*"([^"]*)"\s*\)/))) {
+            commands.push({ type: 'assert_title', text: m[1] })
+        } else if ((m = trimmed.match(/ASSERT_TEXT\s*\(\s*"([^"]*?)"\s*,\s*"([^"]*)"\s*\)/))) {
+            commands.push({ type: 'assert_text', selector: m[1], text: m[2] })
+        } else if ((m = trimmed.match(/ASSERT_VISIBLE\s*\(\s*"([^"]*)"\s*\)/))) {
+            commands.push({ type: 'assert_visible', selector: m[1] })
+        } else if ((m = trimmed.match(/ASSERT_COUNT\s*\(\s*"([^"]*)"\s*,\s*(?:"([^"]*)"|(\d+))\s*\)/))) {
+            commands.push({ type: 'assert_count', selector: m[1], count: m[2] ?? +m[3] })
+        } else if ((m = trimmed.match(/ASSERT_SCREENSHOT\s*\(\s*"([^"]*)"\s*(?:,\s*(\d+(?:\.\d+)?)\s*)?\)/))) {
+            commands.push({ type: 'assert_screenshot', name: m[1], ...(m[2] && { maxDiffPercent: +m[2] }) })
         }
     }
-    return commands
+    return nestCommands(commands)
 }
 
 export default function AutomationsTab({ onRunAutomation, activeProvider, runningAutomationId, runningStepIndex, automationSteps }) {
@@ -85,7 +216,7 @@ export default function AutomationsTab({ onRunAutomation, activeProvider, runnin
     const [searchQuery, setSearchQuery] = useState('')
     const [expandedId, setExpandedId] = useState(null)
     const [editingId, setEditingId] = useState(null)
-    const [editForm, setEditForm] = useState({ name: '', description: '', commands: [] })
+    const [editForm, setEditForm] = useState({ name: '', description: '', commands: [], inputs: [] })
     const [confirmDeleteId, setConfirmDeleteId] = useState(null)
     // AI generate state
     const [generatePrompt, setGeneratePrompt] = useState('')
@@ -93,9 +224,30 @@ export default function AutomationsTab({ onRunAutomation, activeProvider, runnin
     const [generateError, setGenerateError] = useState(null)
     // Test cases dropdown
     const [showTestCases, setShowTestCases] = useState(false)
+    // Record mode: { tabId, steps } while the user's actions in a tab are captured
+    const [recording, setRecording] = useState(null)
+    const [recordError, setRecordError] = useState(null)
+    // Scheduled runs (see AutomationSchedules); the card whose schedules are open
+    const [schedules, setSchedules] = useState([])
+    const [schedulingId, setSchedulingId] = useState(null)
 
     useEffect(() => { loadAutomations() }, [])
 
+    useEffect(() => {
+        const loadSchedules = () => window.browserAPI.scheduler.list().then(setSchedules)
+        loadSchedules()
+        return window.browserAPI.scheduler.onChanged(loadSchedules)
+    }, [])
+
+    // A recording keeps going while this tab is closed — pick it up again
+    useEffect(() => {
+        window.browserAPI.automation.recordingStatus().then(status => { if (status) setRecording(status) })
+    }, [])
+
+    useEffect(() => window.browserAPI.automation.onRecordedSteps(({ tabId, steps }) => {
+        setRecording(prev => prev?.tabId === tabId ? { ...prev, steps } : prev)
+    }), [])
+
     // Auto-expand the running automation card
     useEffect(() => {
         if (runningAutomationId) {
@@ -129,7 +281,7 @@ export default function AutomationsTab({ onRunAutomation, activeProvider, runnin
         if (autos.length > 0) {
             const newest = autos.reduce((a, b) => (b.createdAt || 0) > (a.createdAt || 0) ? b : a)
             setEditingId(newest.id)
-            setEditForm({ name: newest.name, description: newest.description || '', commands: [...(newest.commands || [])] })
+            setEditForm({ name: newest.name, description: newest.description || '', commands: [...(newest.commands || [])], inputs: [] })
             setExpandedId(newest.id)
         }
     }
@@ -139,7 +291,8 @@ export default function AutomationsTab({ onRunAutomation, activeProvider, runnin
         setEditForm({
             name: auto.name,
             description: auto.description || '',
-            commands: (auto.commands || []).map(c => ({ ...c }))
+            commands: (auto.commands || []).map(c => ({ ...c })),
+            inputs: (auto.inputs || []).map(input => ({ ...input }))
         })
         setExpandedId(auto.id)
     }
@@ -152,7 +305,9 @@ export default function AutomationsTab({ onRunAutomation, activeProvider, runnin
             updates: {
                 name: editForm.name.trim() || 'Untitled',
                 description: editForm.description,
-                commands: editForm.commands
+                commands: editForm.commands,
+                // Inputs without a name cannot be referenced — drop them
+                inputs: editForm.inputs.map(input => ({ ...input, name: input.name.trim() })).filter(input => input.name)
             }
         })
         setEditingId(null)
@@ -176,6 +331,36 @@ export default function AutomationsTab({ onRunAutomation, activeProvider, runnin
         await loadAutomations()
     }
 
+    const handleStartRecording = async () => {
+        setRecordError(null)
+        const result = await window.browserAPI.automation.startRecording()
+        if (result?.error) {
+            setRecordError(result.error)
+            return
+        }
+        setRecording({ tabId: result.tabId, steps: [] })
+    }
+
+    // Stop recording; unless discarded, save the steps as a new automation and open it for editing
+    const handleStopRecording = async (save) => {
+        const { tabId, steps: lastSteps } = recording
+        setRecording(null)
+        const result = await window.browserAPI.automation.stopRecording({ tabId })
+        // The tab may have closed meanwhile — keep the steps reported before that
+        const steps = result?.steps || lastSteps
+        if (!save || steps.length === 0) return
+        const host = steps.find(s => s.type === 'navigate')?.url.match(/^\w+:\/\/([^/]+)/)?.[1]
+        const saved = await window.browserAPI.library.saveAutomation({
+            name: `Recording${host ? ` — ${host}` : ''}`,
+            commands: steps,
+            // A recorded password field types the {{password}} input
+            inputs: referencedVariables(steps).map(name => ({ name, default: '' })),
+            description: `Recorded ${new Date().toLocaleString()}`
+        })
+        await loadAutomations()
+        handleEdit(saved)
+    }
+
     const handleRun = (auto) => {
         onRunAutomation?.(auto)
     }
@@ -186,6 +371,7 @@ export default function AutomationsTab({ onRunAutomation, activeProvider, runnin
         const saved = await window.browserAPI.library.saveAutomation({
             name: `Test: ${testCase.name}`,
             commands: testCase.commands,
+            inputs: testCase.inputs,
             description: testCase.description
         })
         await loadAutomations()
@@ -194,6 +380,7 @@ export default function AutomationsTab({ onRunAutomation, activeProvider, runnin
             id: saved.id,
             name: `Test: ${testCase.name}`,
             commands: testCase.commands,
+            inputs: testCase.inputs,
             description: testCase.description
         })
     }
@@ -212,26 +399,54 @@ CLICK(x, y) — Click at pixel coordinates
 CLICK_ELEMENT("css-selector") — Click element by CSS selector
 TYPE("text") — Type text into focused element
 FILL("css-selector", "value") — Fill an input field
+UPLOAD("css-selector", "/absolute/path") — Choose files for a file input (one path per file)
 PRESS("key") — Press a key (Enter, Tab, Escape, etc.)
 SCROLL(pixels) — Scroll (positive=down, negative=up)
 NAVIGATE("url") — Go to a URL
-WAIT(milliseconds) — Wait
+WAIT_FOR("css-selector") — Wait until an element is visible
+WAIT_FOR_URL("pattern") — Wait until the URL contains the text (or matches a glob with *)
+WAIT_FOR_NETWORK_IDLE() — Wait until the page stops loading data
+WAIT(milliseconds) — Fixed pause; avoid it, prefer the WAIT_FOR commands
+WAIT_DOWNLOAD() — Wait until a download has been saved (optional timeout in ms, default 60000)
 FIND("css-selector") — Find element
+EXTRACT("css-selector", "name") — Save the element's text as the variable {{name}}
+EXTRACT_ALL("css-selector", "name") — Save the text of every matching element as a list {{name}}
+ASSERT_URL("pattern") — Fail unless the URL contains the text (or matches a glob with *)
+ASSERT_TITLE("text") — Fail unless the page title contains the text
+ASSERT_TEXT("css-selector", "text") — Fail unless the element's text contains the text
+ASSERT_VISIBLE("css-selector") — Fail unless the element is visible
+ASSERT_COUNT("css-selector", ">=1") — Fail unless the number of matching elements fits (3, >=1, <10…)
+ASSERT_SCREENSHOT("name") — Fail if the page looks different from the saved baseline (first run saves it)
+
+Blocks group the lines after them up to END (each on its own line):
+IF_EXISTS("css-selector") … ELSE … END — Run steps only if the element is shown (ELSE is optional)
+REPEAT(n) … END — Run steps n times
+FOR_EACH("css-selector", "item") … END — Run steps once per match; {{item}} selects the current element, {{item_index}} is its position
+FOR_EACH({{list}}, "item") … END — Run steps once per entry of a list variable (from EXTRACT_ALL)
+WHILE_EXISTS("css-selector", 20) … END — Repeat steps while the element is shown, at most 20 times
+TRY … ON_ERROR … END — If a step fails, run the ON_ERROR steps instead of failing ({{error}} holds the message)
+CALL("automation name") — Run another saved automation
+
+End the script with ASSERT commands that check the task succeeded.
+CLICK_ELEMENT, FILL and UPLOAD wait up to 10s for their element to be visible and enabled, so do not add WAIT before them. Each WAIT_FOR command takes an optional timeout in ms as its last argument (default 10000).
+Any text argument can use a variable saved by an earlier EXTRACT, e.g. NAVIGATE("{{link}}"); {{name.0}} is the first item of a list, {{name.length}} its size.
 
 Example input: "Search Google for latest tech news"
 Example output:
 NAVIGATE("https://www.google.com")
-WAIT(1000)
 FILL("textarea[name='q']", "latest tech news")
 PRESS("Enter")
-WAIT(1500)`
+WAIT_FOR_URL("/search")
+ASSERT_COUNT("#search a h3", ">=1")`
 
             const result = await window.browserAPI.ai.chat({
                 messages: [
                     { role: 'system', content: systemPrompt },
                     { role: 'user', content: generatePrompt.trim() }
                 ],
-                provider: activeProvider
+                provider: activeProvider,
+                feature: 'generate',
+                generation: { temperature: 0 }
             })
 
             if (result.error) {
@@ -263,7 +478,8 @@ WAIT(1500)`
                 setEditForm({
                     name: newest.name,
                     description: newest.description || '',
-                    commands: [...(newest.commands || [])]
+                    commands: [...(newest.commands || [])],
+                    inputs: []
                 })
                 setExpandedId(newest.id)
             }
@@ -276,38 +492,77 @@ WAIT(1500)`
         }
     }
 
-    // Step editing
-    const moveStep = (index, direction) => {
-        const cmds = [...editForm.commands]
-        const target = index + direction
-        if (target < 0 || target >= cmds.length) return
-        ;[cmds[index], cmds[target]] = [cmds[target], cmds[index]]
-        setEditForm({ ...editForm, commands: cmds })
+    // Step editing — each operation names the list it works on by its path (see updateList)
+    const editList = (listPath, fn) => {
+        setEditForm({ ...editForm, commands: updateList(editForm.commands, listPath, fn) })
     }
 
-    const removeStep = (index) => {
-        setEditForm({ ...editForm, commands: editForm.commands.filter((_, i) => i !== index) })
+    const moveStep = (listPath, index, direction) => {
+        editList(listPath, list => {
+            const target = index + direction
+            if (target < 0 || target >= list.length) return list
+            const cmds = [...list]
+            ;[cmds[index], cmds[target]] = [cmds[target], cmds[index]]
+            return cmds
+        })
     }
 
-    const addStep = (type = 'navigate') => {
-        setEditForm({ ...editForm, commands: [...editForm.commands, createBlankCommand(type)] })
+    const removeStep = (listPath, index) => {
+        editList(listPath, list => list.filter((_, i) => i !== index))
     }
 
-    const updateStep = (index, field, value) => {
-        const cmds = editForm.commands.map((cmd, i) => {
+    const addStep = (listPath, type = 'navigate') => {
+        editList(listPath, list => [...list, createBlankCommand(type)])
+    }
+
+    const updateStep = (listPath, index, field, value) => {
+        editList(listPath, list => list.map((cmd, i) => {
             if (i !== index) return cmd
             const updated = { ...cmd, [field]: value }
-            if (['x', 'y', 'deltaY', 'ms'].includes(field)) {
+            if (NUMBER_FIELDS.includes(field)) {
                 updated[field] = parseInt(value, 10) || 0
+            } else if (field === 'maxDiffPercent') {
+                updated.maxDiffPercent = parseFloat(value) || 0
+            } else if (field === 'files') {
+                // Several files are entered as one ';'-separated list (trimmed when uploading)
+                updated.files = value.split(';')
             }
             return updated
-        })
-        setEditForm({ ...editForm, commands: cmds })
+        }))
+    }
+
+    const changeStepType = (listPath, index, newType) => {
+        editList(listPath, list => list.map((cmd, i) => {
+            if (i !== index) return cmd
+            const blank = createBlankCommand(newType)
+            // Switching between block types keeps the steps inside
+            if (isBlock(cmd) && isBlock(blank)) blank[BLOCK_TYPES[newType][0]] = cmd[BLOCK_TYPES[cmd.type][0]] || []
+            return blank
+        }))
+    }
+
+    // Inputs — the automation's parameters, asked for when it runs
+    const addInput = () => {
+        setEditForm({ ...editForm, inputs: [...editForm.inputs, { name: '', default: '' }] })
+    }
+
+    const updateInput = (index, field, value) => {
+        // Names are used as {{name}}, so keep them to word characters
+        const clean = field === 'name' ? value.replace(/\W/g, '') : value
+        setEditForm({ ...editForm, inputs: editForm.inputs.map((input, i) => i === index ? { ...input, [field]: clean } : input) })
     }
 
-    const changeStepType = (index, newType) => {
-        const cmds = editForm.commands.map((cmd, i) => i === index ? createBlankCommand(newType) : cmd)
-        setEditForm({ ...editForm, commands: cmds })
+    const removeInput = (index) => {
+        setEditForm({ ...editForm, inputs: editForm.inputs.filter((_, i) => i !== index) })
+    }
+
+    /** {{names}} used by the steps that are neither inputs nor set by a step (EXTRACT, FOR_EACH…) */
+    const undefinedVariables = (form) => {
+        const defined = new Set([
+            ...form.inputs.map(input => input.name),
+            ...definedVariables(form.commands)
+        ])
+        return referencedVariables(form.commands).filter(name => !defined.has(name))
     }
 
     const formatDate = (ts) => {
@@ -320,21 +575,70 @@ WAIT(1500)`
         return d.toLocaleDateString()
     }
 
-    const renderStepFields = (cmd, index) => {
+    const renderStepFields = (cmd, listPath, index) => {
         const cmdType = COMMAND_TYPES.find(c => c.value === cmd.type)
         if (!cmdType) return null
         return cmdType.fields.map(field => (
             <input
                 key={field}
                 className="automation-step__field"
-                type={['x', 'y', 'deltaY', 'ms'].includes(field) ? 'number' : 'text'}
-                placeholder={field}
-                value={cmd[field] ?? ''}
-                onChange={(e) => updateStep(index, field, e.target.value)}
+                type={[...NUMBER_FIELDS, 'maxDiffPercent'].includes(field) ? 'number' : 'text'}
+                placeholder={FIELD_PLACEHOLDERS[field] || field}
+                value={field === 'files' ? (cmd.files || []).join(';') : cmd[field] ?? ''}
+                onChange={(e) => updateStep(listPath, index, field, e.target.value)}
             />
         ))
     }
 
+    /** Editable steps of one list; blocks nest their child lists below their own row */
+    const renderEditList = (list, listPath) => (
+        <>
+            {list.map((cmd, i) => (
+                <React.Fragment key={i}>
+                    <div className="automation-step">
+                        <span className="automation-step__number">{i + 1}</span>
+                        <select
+                            className="automation-step__type-select"
+                            value={cmd.type}
+                            onChange={(e) => changeStepType(listPath, i, e.target.value)}
+                        >
+                            {COMMAND_TYPES.map(ct => (
+                                <option key={ct.value} value={ct.value}>{ct.label}</option>
+                            ))}
+                        </select>
+                        <div className="automation-step__fields">
+                            {renderStepFields(cmd, listPath, i)}
+                        </div>
+                        <div className="automation-step__controls">
+                            <button onClick={() => moveStep(listPath, i, -1)} disabled={i === 0} title="Move up">
+                                <ArrowUp size={11} />
+                            </button>
+                            <button onClick={() => moveStep(listPath, i, 1)} disabled={i === list.length - 1} title="Move down">
+                                <ArrowDown size={11} />
+                            </button>
+                            <button onClick={() => removeStep(listPath, i)} className="automation-step__delete" title="Remove step">
+                                <X size={11} />
+                            </button>
+                        </div>
+                    </div>
+                    {isBlock(cmd) && (
+                        <div className="automation-step-block">
+                            {BLOCK_TYPES[cmd.type].map(key => (
+                                <React.Fragment key={key}>
+                                    {BRANCH_LABELS[key] && <div className="automation-step-block__label">{BRANCH_LABELS[key]}</div>}
+                                    {renderEditList(cmd[key] || [], [...listPath, i, key])}
+                                </React.Fragment>
+                            ))}
+                        </div>
+                    )}
+                </React.Fragment>
+            ))}
+            <button className="automation-card__add-step" onClick={() => addStep(listPath)}>
+                <Plus size={12} /> Add Step
+            </button>
+        </>
+    )
+
     return (
         <div className="automations-tab">
             <div className="automations-tab__toolbar">
@@ -380,11 +684,46 @@ WAIT(1500)`
                         </>
                     )}
                 </div>
+                <button
+                    className="automations-tab__create-btn"
+                    onClick={handleStartRecording}
+                    disabled={Boolean(recording)}
+                    title="Record your clicks, typing and navigation in the current tab"
+                >
+                    <Circle size={11} /> Record
+                </button>
                 <button className="automations-tab__create-btn" onClick={handleCreate}>
                     <Plus size={13} /> New
                 </button>
             </div>
 
+            {recording && (
+                <div className="automations-tab__recording">
+                    <div className="automations-tab__recording-status">
+                        <span className="automations-tab__recording-dot" />
+                        Recording — {recording.steps.length} step{recording.steps.length === 1 ? '' : 's'}
+                    </div>
+                    {recording.steps.length > 0 && (
+                        <div className="automations-tab__recording-last">
+                            {describeCommand(recording.steps[recording.steps.length - 1])}
+                        </div>
+                    )}
+                    <div className="automations-tab__recording-actions">
+                        <button className="automation-card__action" onClick={() => handleStopRecording(false)}>
+                            <X size={12} /> Discard
+                        </button>
+                        <button className="automation-card__action automation-card__action--save" onClick={() => handleStopRecording(true)}>
+                            <Square size={11} /> Stop & Save
+                        </button>
+                    </div>
+                </div>
+            )}
+            {recordError && (
+                <div className="automations-tab__generate-error automations-tab__record-error" onClick={() => setRecordError(null)}>
+                    {recordError}
+                </div>
+            )}
+
             {/* AI Generate Section */}
             <div className="automations-tab__generate">
                 <div className="automations-tab__generate-input-wrap">
@@ -437,6 +776,7 @@ WAIT(1500)`
                         const isExpanded = expandedId === auto.id || isRunningThis
                         const isEditing = editingId === auto.id
                         const isDeleting = confirmDeleteId === auto.id
+                        const autoSchedules = schedules.filter(s => s.automationId === auto.id)
 
                         return (
                             <div key={auto.id} className={`automation-card ${isExpanded ? 'automation-card--expanded' : ''} ${isRunningThis ? 'automation-card--running' : ''}`}>
@@ -459,8 +799,11 @@ WAIT(1500)`
                                     ) : (
                                         <span className="automation-card__name">{auto.name}</span>
                                     )}
+                                    {autoSchedules.some(s => s.enabled) && (
+                                        <CalendarClock size={11} className="automation-card__scheduled" />
+                                    )}
                                     <span className="automation-card__meta">
-                                        {(auto.commands || []).length} steps
+                                        {countSteps(auto.commands || [])} steps
                                     </span>
                                 </div>
 
@@ -480,17 +823,67 @@ WAIT(1500)`
                                             )
                                         )}
 
+                                        {isEditing ? (
+                                            <div className="automation-card__steps">
+                                                <div className="automation-card__steps-header">Inputs</div>
+                                                {editForm.inputs.map((input, i) => (
+                                                    <div key={i} className="automation-step">
+                                                        <span className="automation-step__number">{'{}'}</span>
+                                                        <div className="automation-step__fields">
+                                                            <input
+                                                                className="automation-step__field"
+                                                                placeholder="name"
+                                                                value={input.name}
+                                                                onChange={(e) => updateInput(i, 'name', e.target.value)}
+                                                            />
+                                                            <input
+                                                                className="automation-step__field"
+                                                                placeholder="default value"
+                                                                value={input.default ?? ''}
+                                                                onChange={(e) => updateInput(i, 'default', e.target.value)}
+                                                            />
+                                                        </div>
+                                                        <div className="automation-step__controls">
+                                                            <button onClick={() => removeInput(i)} className="automation-step__delete" title="Remove input">
+                                                                <X size={11} />
+                                                            </button>
+                                                        </div>
+                                                    </div>
+                                                ))}
+                                                <button className="automation-card__add-step" onClick={addInput}>
+                                                    <Plus size={12} /> Add Input
+                                                </button>
+                                                {undefinedVariables(editForm).length > 0 && (
+                                                    <div className="automation-card__warning">
+                                                        <AlertCircle size={11} />
+                                                        Not defined by an input or EXTRACT: {undefinedVariables(editForm).map(name => `{{${name}}}`).join(', ')}
+                                                    </div>
+                                                )}
+                                            </div>
+                                        ) : auto.inputs?.length > 0 && (
+                                            <div className="automation-card__inputs">
+                                                Inputs: {auto.inputs.map(input => `{{${input.name}}}`).join(', ')}
+                                            </div>
+                                        )}
+
                                         <div className="automation-card__steps">
                                             <div className="automation-card__steps-header">Steps</div>
-                                            {(isEditing ? editForm.commands : auto.commands || []).map((cmd, i) => {
-                                                // Determine live step status if this automation is running
+                                            {isEditing ? renderEditList(editForm.commands, []) : flattenCommands(auto.commands || []).rows.map((row, i) => {
+                                                if (row.label) {
+                                                    return (
+                                                        <div key={i} className="automation-step-block__label" style={{ paddingLeft: 10 + row.depth * 14 }}>
+                                                            {row.label}
+                                                        </div>
+                                                    )
+                                                }
+                                                // Live status while this automation runs — the report has the same rows
                                                 const liveStep = isRunningThis && automationSteps ? automationSteps[i] : null
                                                 const stepStatusClass = liveStep
                                                     ? `automation-step--live automation-step--live-${liveStep.status}`
                                                     : ''
 
                                                 return (
-                                                <div key={i} className={`automation-step ${stepStatusClass}`}>
+                                                <div key={i} className={`automation-step ${stepStatusClass}`} style={row.depth ? { paddingLeft: 10 + row.depth * 14 } : undefined}>
                                                     <span className="automation-step__number">
                                                         {liveStep?.status === 'running' ? (
                                                             <Loader size={11} className="spinning" />
@@ -502,50 +895,15 @@ WAIT(1500)`
                                                             i + 1
                                                         )}
                                                     </span>
-                                                    {isEditing ? (
-                                                        <>
-                                                            <select
-                                                                className="automation-step__type-select"
-                                                                value={cmd.type}
-                                                                onChange={(e) => changeStepType(i, e.target.value)}
-                                                            >
-                                                                {COMMAND_TYPES.map(ct => (
-                                                                    <option key={ct.value} value={ct.value}>{ct.label}</option>
-                                                                ))}
-                                                            </select>
-                                                            <div className="automation-step__fields">
-                                                                {renderStepFields(cmd, i)}
-                                                            </div>
-                                                            <div className="automation-step__controls">
-                                                                <button onClick={() => moveStep(i, -1)} disabled={i === 0} title="Move up">
-                                                                    <ArrowUp size={11} />
-                                                                </button>
-                                                                <button onClick={() => moveStep(i, 1)} disabled={i === editForm.commands.length - 1} title="Move down">
-                                                                    <ArrowDown size={11} />
-                                                                </button>
-                                                                <button onClick={() => removeStep(i)} className="automation-step__delete" title="Remove step">
-                                                                    <X size={11} />
-                                                                </button>
-                                                            </div>
-                                                        </>
-                                                    ) : (
-                                                        <>
-                                                            <span className="automation-step__detail">{describeCommand(cmd)}</span>
-                                                            {liveStep?.duration != null && (
-                                                                <span className="automation-step__duration">
-                                                                    {liveStep.duration < 1000 ? `${liveStep.duration}ms` : `${(liveStep.duration / 1000).toFixed(1)}s`}
-                                                                </span>
-                                                            )}
-                                                        </>
+                                                    <span className="automation-step__detail">{describeCommand(row.cmd)}</span>
+                                                    {liveStep?.duration != null && (
+                                                        <span className="automation-step__duration">
+                                                            {liveStep.duration < 1000 ? `${liveStep.duration}ms` : `${(liveStep.duration / 1000).toFixed(1)}s`}
+                                                        </span>
                                                     )}
                                                 </div>
                                                 )
                                             })}
-                                            {isEditing && (
-                                                <button className="automation-card__add-step" onClick={() => addStep('navigate')}>
-                                                    <Plus size={12} /> Add Step
-                                                </button>
-                                            )}
                                             {!isEditing && (!auto.commands || auto.commands.length === 0) && (
                                                 <div className="automation-card__no-steps">No steps defined</div>
                                             )}
@@ -590,12 +948,23 @@ WAIT(1500)`
                                                     <button className="automation-card__action" onClick={() => handleDuplicate(auto.id)}>
                                                         <Copy size={12} /> Duplicate
                                                     </button>
+                                                    <button
+                                                        className="automation-card__action"
+                                                        onClick={() => setSchedulingId(schedulingId === auto.id ? null : auto.id)}
+                                                        disabled={!auto.commands || auto.commands.length === 0}
+                                                    >
+                                                        <CalendarClock size={12} /> Schedule{autoSchedules.length > 0 && ` (${autoSchedules.length})`}
+                                                    </button>
                                                     <button className="automation-card__action automation-card__action--danger" onClick={() => setConfirmDeleteId(auto.id)}>
                                                         <Trash2 size={12} />
                                                     </button>
                                                 </>
                                             )}
                                         </div>
+
+                                        {!isEditing && schedulingId === auto.id && (
+                                            <AutomationSchedules automation={auto} schedules={autoSchedules} />
+                                        )}
                                     </div>
                                 )}
                             </div>
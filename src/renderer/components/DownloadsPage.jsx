@@ -0,0 +1,142 @@
+import React, { useState, useEffect } from 'react'
+import { X, Download, Pause, Play, FolderOpen, ExternalLink, Trash2, File } from 'lucide-react'
+
+function formatBytes(bytes) {
+    if (!bytes) return '0 B'
+    const units = ['B', 'KB', 'MB', 'GB']
+    const i = Math.min(units.length - 1, Math.floor(Math.log(bytes) / Math.log(1024)))
+    return `${(bytes / 1024 ** i).toFixed(i ? 1 : 0)} ${units[i]}`
+}
+
+/** Status line under a download's name */
+function describeStatus(d) {
+    switch (d.state) {
+        case 'completed': return `${formatBytes(d.receivedBytes)} · ${new Date(d.endedAt).toLocaleString()}`
+        case 'cancelled': return 'Cancelled'
+        case 'interrupted': return `Failed · ${formatBytes(d.receivedBytes)} of ${d.totalBytes ? formatBytes(d.totalBytes) : 'unknown size'}`
+        case 'paused': return `Paused · ${formatBytes(d.receivedBytes)} of ${d.totalBytes ? formatBytes(d.totalBytes) : '?'}`
+        default: {
+            const of = d.totalBytes ? ` of ${formatBytes(d.totalBytes)}` : ''
+            const left = d.totalBytes && d.bytesPerSecond
+                ? ` · ${Math.ceil((d.totalBytes - d.receivedBytes) / d.bytesPerSecond)}s left`
+                : ''
+            return `${formatBytes(d.receivedBytes)}${of} · ${formatBytes(d.bytesPerSecond)}/s${left}`
+        }
+    }
+}
+
+/**
+ * DownloadsPage — Modal listing downloads, newest first, with live progress and
+ * pause / resume / cancel for running ones, open / show in folder for saved ones.
+ */
+export default function DownloadsPage({ onClose }) {
+    const [downloads, setDownloads] = useState(null)
+    const [error, setError] = useState(null)
+
+    useEffect(() => {
+        window.browserAPI.downloads.list().then(setDownloads)
+        return window.browserAPI.downloads.onChanged(download => {
+            setDownloads(prev => {
+                if (!prev) return prev
+                return prev.some(d => d.id === download.id)
+                    ? prev.map(d => d.id === download.id ? download : d)
+                    : [download, ...prev]
+            })
+        })
+    }, [])
+
+    // Actions answer { error } when the download or its file is gone
+    const run = async (action, id) => {
+        const result = await window.browserAPI.downloads[action](id)
+        setError(result?.error || null)
+        return result
+    }
+
+    const handleRemove = async (id) => {
+        if ((await run('remove', id)).success) setDownloads(prev => prev.filter(d => d.id !== id))
+    }
+
+    const handleClear = async () => {
+        await window.browserAPI.downloads.clear()
+        setDownloads(await window.browserAPI.downloads.list())
+    }
+
+    const running = (d) => d.state === 'progressing' || d.state === 'paused'
+
+    return (
+        <div className="settings-overlay" onClick={(e) => { if (e.target === e.currentTarget) onClose() }}>
+            <div className="library-panel downloads-page">
+                <div className="library-panel__header">
+                    <h2 className="library-panel__title">
+                        <Download size={16} style={{ verticalAlign: 'middle', marginRight: 8 }} />
+                        Downloads
+                    </h2>
+                    <button className="settings-panel__close" onClick={onClose}><X size={18} /></button>
+                </div>
+
+                <div className="library-panel__toolbar" style={{ justifyContent: 'flex-end' }}>
+                    {error && <span className="downloads-page__error">{error}</span>}
+                    <button
+                        className="ai-panel__action-btn"
+                        onClick={handleClear}
+                        disabled={!downloads?.some(d => !running(d))}
+                        style={{ fontSize: 11, padding: '5px 10px', display: 'flex', alignItems: 'center', gap: 4, flexShrink: 0 }}
+                    >
+                        <Trash2 size={12} /> Clear List
+                    </button>
+                </div>
+
+                <div className="library-panel__content">
+                    {downloads && downloads.length === 0 ? (
+                        <div className="library-panel__empty">
+                            <div className="library-panel__empty-icon"><Download size={32} /></div>
+                            <p>No downloads yet.</p>
+                        </div>
+                    ) : (downloads || []).map(d => (
+                        <div key={d.id} className={`library-item download-item download-item--${d.state}`}>
+                            <File size={14} className="library-item__icon" />
+                            <div className="download-item__main">
+                                <span
+                                    className="library-item__name download-item__name"
+                                    onClick={() => d.state === 'completed' && run('open', d.id)}
+                                    title={d.savePath}
+                                >
+                                    {d.filename}
+                                </span>
+                                {running(d) && (
+                                    <div className="download-item__progress">
+                                        <div
+                                            className="download-item__progress-bar"
+                                            style={{ width: d.totalBytes ? `${Math.round(d.receivedBytes / d.totalBytes * 100)}%` : '100%' }}
+                                        />
+                                    </div>
+                                )}
+                                <span className="download-item__status" title={d.url}>{describeStatus(d)}</span>
+                            </div>
+                            <div className="download-item__actions">
+                                {d.state === 'progressing' && (
+                                    <button onClick={() => run('pause', d.id)} title="Pause"><Pause size={12} /></button>
+                                )}
+                                {d.state === 'paused' && (
+                                    <button onClick={() => run('resume', d.id)} title="Resume"><Play size={12} /></button>
+                                )}
+                                {running(d) && (
+                                    <button onClick={() => run('cancel', d.id)} title="Cancel"><X size={12} /></button>
+                                )}
+                                {d.state === 'completed' && (
+                                    <>
+                                        <button onClick={() => run('open', d.id)} title="Open"><ExternalLink size={12} /></button>
+                                        <button onClick={() => run('showInFolder', d.id)} title="Show in folder"><FolderOpen size={12} /></button>
+                                    </>
+                                )}
+                                {!running(d) && (
+                                    <button onClick={() => handleRemove(d.id)} title="Remove from list"><Trash2 size={12} /></button>
+                                )}
+                            </div>
+                        </div>
+                    ))}
+                </div>
+            </div>
+        </div>
+    )
+}
@@ -0,0 +1,117 @@
+import React, { useState, useEffect } from 'react'
+import { X, History, Search, Globe, Trash2, Clock, FileText } from 'lucide-react'
+
+/** "Today", "Yesterday" or a full date heading for a visit time */
+function dayLabel(ts) {
+    const day = new Date(ts).toDateString()
+    if (day === new Date().toDateString()) return 'Today'
+    if (day === new Date(Date.now() - 86400000).toDateString()) return 'Yesterday'
+    return new Date(ts).toLocaleDateString(undefined, { weekday: 'long', month: 'long', day: 'numeric', year: 'numeric' })
+}
+
+function hostOf(url) {
+    try { return new URL(url).host || url } catch { return url }
+}
+
+/**
+ * HistoryPage — Modal listing visited pages by day, with full-text search over
+ * titles, URLs and the saved page text.
+ */
+export default function HistoryPage({ onClose, onOpenUrl }) {
+    const [query, setQuery] = useState('')
+    const [visits, setVisits] = useState(null)
+
+    // Search as the user types (debounced)
+    useEffect(() => {
+        const timer = setTimeout(async () => {
+            setVisits(await window.browserAPI.history.search({ query, limit: 300 }))
+        }, query ? 200 : 0)
+        return () => clearTimeout(timer)
+    }, [query])
+
+    const handleRemove = async (id) => {
+        await window.browserAPI.history.remove(id)
+        setVisits(prev => prev.filter(v => v.id !== id))
+    }
+
+    const handleClear = async () => {
+        if (!window.confirm('Delete your entire browsing history, including saved page text?')) return
+        await window.browserAPI.history.clear()
+        setVisits([])
+    }
+
+    // Group consecutive visits under day headings (results are newest first)
+    const groups = []
+    for (const visit of visits || []) {
+        const label = dayLabel(visit.visitedAt)
+        if (groups[groups.length - 1]?.label !== label) groups.push({ label, visits: [] })
+        groups[groups.length - 1].visits.push(visit)
+    }
+
+    return (
+        <div className="settings-overlay" onClick={(e) => { if (e.target === e.currentTarget) onClose() }}>
+            <div className="library-panel history-page">
+                <div className="library-panel__header">
+                    <h2 className="library-panel__title">
+                        <History size={16} style={{ verticalAlign: 'middle', marginRight: 8 }} />
+                        History
+                    </h2>
+                    <button className="settings-panel__close" onClick={onClose}><X size={18} /></button>
+                </div>
+
+                <div className="library-panel__toolbar">
+                    <div className="library-panel__search">
+                        <Search size={13} />
+                        <input
+                            type="text"
+                            placeholder="Search titles, addresses and page text..."
+                            value={query}
+                            onChange={(e) => setQuery(e.target.value)}
+                            autoFocus
+                        />
+                    </div>
+                    <button
+                        className="ai-panel__action-btn"
+                        onClick={handleClear}
+                        disabled={!visits?.length}
+                        style={{ fontSize: 11, padding: '5px 10px', display: 'flex', alignItems: 'center', gap: 4, flexShrink: 0 }}
+                    >
+                        <Trash2 size={12} /> Clear History
+                    </button>
+                </div>
+
+                <div className="library-panel__content">
+                    {visits && visits.length === 0 ? (
+                        <div className="library-panel__empty">
+                            <div className="library-panel__empty-icon"><History size={32} /></div>
+                            <p>{query ? `No visits match "${query}".` : 'No browsing history yet.'}</p>
+                        </div>
+                    ) : groups.map(group => (
+                        <div key={group.label}>
+                            <div className="history-page__day">{group.label}</div>
+                            {group.visits.map(visit => (
+                                <div key={visit.id} className="library-item history-item">
+                                    <div className="library-item__main history-item__main" onClick={() => onOpenUrl(visit.url)} title={visit.url}>
+                                        <div className="history-item__line">
+                                            <Globe size={12} className="library-item__icon" />
+                                            <span className="library-item__name">{visit.title}</span>
+                                            {visit.hasSnapshot && <FileText size={10} className="history-item__text-icon" />}
+                                            <span className="library-item__date">
+                                                <Clock size={9} /> {new Date(visit.visitedAt).toLocaleTimeString(undefined, { hour: 'numeric', minute: '2-digit' })}
+                                            </span>
+                                        </div>
+                                        <span className="history-item__host">{hostOf(visit.url)}</span>
+                                        {query && visit.snippet && <span className="history-item__snippet">{visit.snippet}</span>}
+                                    </div>
+                                    <button className="history-item__remove" onClick={() => handleRemove(visit.id)} title="Remove from history">
+                                        <X size={12} />
+                                    </button>
+                                </div>
+                            ))}
+                        </div>
+                    ))}
+                </div>
+            </div>
+        </div>
+    )
+}
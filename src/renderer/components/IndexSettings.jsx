@@ -0,0 +1,127 @@
+import React, { useState, useEffect } from 'react'
+import { Database, RefreshCw, Trash2 } from 'lucide-react'
+
+/**
+ * Settings section: the local semantic index behind "search my browsing" —
+ * embeddings provider and model, index size, rebuild and clear.
+ */
+export default function IndexSettings({ settings, providers, onSave }) {
+    const [indexSettings, setIndexSettings] = useState(settings?.indexSettings || { provider: '', model: '' })
+    const [stats, setStats] = useState(null)
+    const [embeddingDefaults, setEmbeddingDefaults] = useState({})
+    const [progress, setProgress] = useState(null)
+    const [error, setError] = useState(null)
+
+    useEffect(() => {
+        if (settings?.indexSettings) setIndexSettings(settings.indexSettings)
+    }, [settings])
+
+    // The main process pins the embeddings provider on first use, so read it back
+    const reloadIndexSettings = async () => {
+        const { indexSettings: saved } = await window.browserAPI.settings.get()
+        if (saved) setIndexSettings(saved)
+    }
+
+    useEffect(() => {
+        reloadIndexSettings()
+        window.browserAPI.index.embeddingDefaults().then(setEmbeddingDefaults)
+        window.browserAPI.index.stats().then(setStats)
+        // Also follows syncs started by a "My Browsing" search in the AI panel
+        return window.browserAPI.index.onProgress(p => setProgress(p.done >= p.total ? null : p))
+    }, [])
+
+    const activeProvider = settings?.aiSettings?.activeProvider
+    const providerKey = indexSettings.provider || activeProvider
+
+    const save = (updated) => {
+        setIndexSettings(updated)
+        onSave('indexSettings', updated)
+    }
+
+    const handleSync = async () => {
+        setError(null)
+        setProgress({ done: 0, total: 0 })
+        const result = await window.browserAPI.index.sync()
+        setProgress(null)
+        if (result.error) setError(result.error)
+        setStats(await window.browserAPI.index.stats())
+        reloadIndexSettings()
+    }
+
+    const handleClear = async () => {
+        if (!window.confirm('Delete the semantic index? It is rebuilt from your history, library and bookmarks on the next search.')) return
+        await window.browserAPI.index.clear()
+        setStats(await window.browserAPI.index.stats())
+    }
+
+    return (
+        <div className="settings-section">
+            <h3 className="settings-section__title">
+                <Database size={14} style={{ verticalAlign: 'middle', marginRight: 6 }} />
+                Semantic Index
+            </h3>
+            <p style={{ fontSize: 11, color: 'var(--text-muted)', marginBottom: 10, lineHeight: 1.5 }}>
+                Visited pages (with saved page text), saved conversations and bookmarks are embedded locally so
+                "My Browsing" in the AI panel can answer from them. Only new or changed items are embedded;
+                changing the embedding model rebuilds the index.
+            </p>
+
+            <div className="settings-field">
+                <label>Embeddings Provider</label>
+                <select value={indexSettings.provider} onChange={(e) => save({ ...indexSettings, provider: e.target.value })}>
+                    <option value="">Active AI provider when first used ({providers.find(p => p.key === activeProvider)?.name || activeProvider})</option>
+                    {providers.filter(p => p.key !== 'anthropic').map(p => (
+                        <option key={p.key} value={p.key}>{p.name}</option>
+                    ))}
+                </select>
+            </div>
+
+            <div className="settings-field">
+                <label>Embedding Model</label>
+                <input
+                    type="text"
+                    defaultValue={indexSettings.model}
+                    key={indexSettings.provider}
+                    onBlur={(e) => e.target.value.trim() !== indexSettings.model && save({ ...indexSettings, model: e.target.value.trim() })}
+                    placeholder={embeddingDefaults[providerKey] ? `Default: ${embeddingDefaults[providerKey]}` : 'Required for this provider'}
+                />
+            </div>
+
+            {providerKey === 'anthropic' && (
+                <p style={{ fontSize: 11, color: 'var(--brand-gold)', margin: '4px 0 8px', lineHeight: 1.5 }}>
+                    Anthropic has no embeddings API — pick another embeddings provider above.
+                </p>
+            )}
+
+            <p style={{ fontSize: 11, color: 'var(--text-secondary)', margin: '8px 0' }}>
+                {progress
+                    ? `Embedding… ${progress.done}/${progress.total || '?'} chunks`
+                    : stats?.chunkCount
+                        ? `${stats.sourceCount} items · ${stats.chunkCount} chunks · updated ${new Date(stats.updatedAt).toLocaleString()}`
+                        : 'The index is empty — it is built on the first "My Browsing" search, or now with Update Index.'}
+            </p>
+            {error && (
+                <p style={{ fontSize: 11, color: 'var(--brand-red-light)', margin: '0 0 8px', lineHeight: 1.4, wordBreak: 'break-word' }}>{error}</p>
+            )}
+
+            <div style={{ display: 'flex', gap: 8 }}>
+                <button
+                    className="ai-panel__action-btn"
+                    onClick={handleSync}
+                    disabled={!!progress}
+                    style={{ fontSize: 11, padding: '5px 12px', gap: 5, display: 'flex', alignItems: 'center' }}
+                >
+                    <RefreshCw size={11} /> Update Index
+                </button>
+                <button
+                    className="ai-panel__action-btn"
+                    onClick={handleClear}
+                    disabled={!!progress || !stats?.chunkCount}
+                    style={{ fontSize: 11, padding: '5px 12px', gap: 5, display: 'flex', alignItems: 'center' }}
+                >
+                    <Trash2 size={11} /> Clear Index
+                </button>
+            </div>
+        </div>
+    )
+}
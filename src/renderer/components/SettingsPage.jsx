@@ -1,5 +1,7 @@
 import React, { useState, useEffect } from 'react'
-import { X, Cloud, HardDrive, Wifi, Loader, CheckCircle, AlertCircle, Mic, ChevronDown, Download, RefreshCw, ExternalLink } from 'lucide-react'
+import { X, Cloud, HardDrive, Wifi, Loader, CheckCircle, AlertCircle, Mic, ChevronDown, ChevronRight, Download, RefreshCw, ExternalLink, Zap, Shuffle, ArrowUp, ArrowDown, Server, Plus, Trash2 } from 'lucide-react'
+import UsageSettings from './UsageSettings'
+import IndexSettings from './IndexSettings'
 
 const PROVIDERS = [
     { key: 'openai', name: 'OpenAI', type: 'cloud', defaultModel: 'chatgpt-5.2-thinking', hint: 'Get key at platform.openai.com' },
@@ -10,11 +12,89 @@ const PROVIDERS = [
     { key: 'lmstudio', name: 'LM Studio', type: 'local', defaultModel: 'local-model', hint: 'Start server in LM Studio → Local Server tab' }
 ]
 
+const CUSTOM_PROVIDER_HINT = 'Any OpenAI-compatible endpoint — vLLM, llama.cpp server, LiteLLM or an internal gateway'
+
+/** Custom OpenAI-compatible providers stored in aiSettings.providers, as provider-card entries */
+function customProviderList(aiSettings) {
+    return Object.entries(aiSettings.providers || {})
+        .filter(([, config]) => config.custom)
+        .map(([key, config]) => ({ key, name: config.label || 'Custom Provider', type: 'custom', defaultModel: '', hint: CUSTOM_PROVIDER_HINT }))
+}
+
+/** Parse "Header: value" lines into a headers object */
+function parseHeaderLines(text) {
+    const headers = {}
+    for (const line of text.split('\n')) {
+        const idx = line.indexOf(':')
+        if (idx <= 0) continue
+        const name = line.slice(0, idx).trim()
+        if (name) headers[name] = line.slice(idx + 1).trim()
+    }
+    return headers
+}
+
+// Accepted range of each numeric generation setting
+const GENERATION_LIMITS = {
+    temperature: { min: 0, max: 2 },
+    maxTokens: { min: 1, max: 1000000, integer: true },
+    topP: { min: 0, max: 1 },
+    thinkingBudget: { min: 1024, max: 1000000, integer: true },
+    reasoningBudget: { min: 0, max: 1000000, integer: true }
+}
+
+/** Error message for a generation setting's input, or null when it is valid (empty clears it) */
+function generationError(field, raw) {
+    if (raw.trim() === '') return null
+    const { min, max, integer } = GENERATION_LIMITS[field]
+    const value = Number(raw)
+    if (!Number.isFinite(value)) return 'Enter a number'
+    if (integer && !Number.isInteger(value)) return 'Enter a whole number'
+    if (value < min || value > max) return `Enter a value from ${min} to ${max}`
+    return null
+}
+
+/**
+ * Number input for a generation setting: edits stay local and are saved on blur or
+ * Enter once they are in range; an invalid entry is shown and then discarded.
+ */
+function GenerationNumberInput({ field, value, onCommit, ...props }) {
+    const [draft, setDraft] = useState(value ?? '')
+    const error = generationError(field, String(draft))
+
+    useEffect(() => setDraft(value ?? ''), [value])
+
+    const commit = () => {
+        if (error) return setDraft(value ?? '')
+        const next = String(draft).trim() === '' ? null : Number(draft)
+        if (next !== (value ?? null)) onCommit(next)
+    }
+
+    return (
+        <>
+            <input
+                type="number"
+                min={GENERATION_LIMITS[field].min}
+                max={GENERATION_LIMITS[field].max}
+                {...props}
+                value={draft}
+                onChange={(e) => setDraft(e.target.value)}
+                onBlur={commit}
+                onKeyDown={(e) => { if (e.key === 'Enter') e.currentTarget.blur() }}
+                style={error ? { borderColor: 'var(--brand-red-light)' } : undefined}
+            />
+            {error && <span style={{ fontSize: 11, color: 'var(--brand-red-light)' }}>{error}</span>}
+        </>
+    )
+}
+
 export default function SettingsPage({ settings, version, onSave, onClose }) {
     const [aiSettings, setAiSettings] = useState(settings?.aiSettings || {})
     const [adBlockEnabled, setAdBlockEnabled] = useState(settings?.adBlockEnabled ?? true)
+    const [historySettings, setHistorySettings] = useState(settings?.historySettings || { saveSnapshots: true })
     const [homepage, setHomepage] = useState(settings?.homepage || 'https://www.google.com')
+    const [downloadSettings, setDownloadSettings] = useState(settings?.downloadSettings || { folder: '' })
     const [theme, setTheme] = useState(settings?.theme || 'dark')
+    const [automationSettings, setAutomationSettings] = useState(settings?.automationSettings || { maxSteps: 25 })
 
     // Test connection state per provider
     const [testStatus, setTestStatus] = useState({})    // 'loading' | 'success' | 'error'
@@ -24,6 +104,9 @@ export default function SettingsPage({ settings, version, onSave, onClose }) {
     // Custom model dropdown state
     const [openDropdown, setOpenDropdown] = useState(null) // dropdown id or null
 
+    // Provider whose generation settings are expanded
+    const [openGeneration, setOpenGeneration] = useState(null)
+
     // Speech-to-Text settings
     const [sttSettings, setSttSettings] = useState(settings?.sttSettings || {
         provider: 'gemini', apiKey: '', baseUrl: '', model: '', language: 'en', keySource: 'custom'
@@ -77,8 +160,11 @@ export default function SettingsPage({ settings, version, onSave, onClose }) {
         if (settings) {
             setAiSettings(settings.aiSettings)
             setAdBlockEnabled(settings.adBlockEnabled)
+            setHistorySettings(settings.historySettings || { saveSnapshots: true })
             setHomepage(settings.homepage)
+            setDownloadSettings(settings.downloadSettings || { folder: '' })
             setTheme(settings.theme)
+            setAutomationSettings(settings.automationSettings || { maxSteps: 25 })
             setSttSettings(settings.sttSettings || { provider: 'gemini', apiKey: '', baseUrl: '', model: '', language: 'en', keySource: 'custom' })
         }
     }, [settings])
@@ -98,12 +184,64 @@ export default function SettingsPage({ settings, version, onSave, onClose }) {
         onSave('aiSettings', updated)
     }
 
+    const handleStopSequences = (providerKey, raw) => {
+        const list = raw.split(',').map(s => s.trim()).filter(Boolean)
+        handleProviderChange(providerKey, 'stopSequences', list.length > 0 ? list : null)
+    }
+
     const handleSetActiveProvider = (providerKey) => {
         const updated = { ...aiSettings, activeProvider: providerKey }
         setAiSettings(updated)
         onSave('aiSettings', updated)
     }
 
+    // Built-in providers followed by the user's custom OpenAI-compatible ones
+    const allProviders = [...PROVIDERS, ...customProviderList(aiSettings)]
+
+    const handleAddCustomProvider = () => {
+        const key = `custom-${Date.now()}`
+        const updated = {
+            ...aiSettings,
+            providers: {
+                ...aiSettings.providers,
+                [key]: { custom: true, label: 'Custom Provider', apiKey: '', model: '', baseUrl: 'http://localhost:8000/v1', headers: {} }
+            }
+        }
+        setAiSettings(updated)
+        onSave('aiSettings', updated)
+    }
+
+    const handleRemoveCustomProvider = (providerKey) => {
+        const name = aiSettings.providers[providerKey]?.label || providerKey
+        if (!window.confirm(`Remove the custom provider "${name}"?`)) return
+        const { [providerKey]: _removed, ...providers } = aiSettings.providers
+        const updated = {
+            ...aiSettings,
+            providers,
+            fallbackProviders: (aiSettings.fallbackProviders || []).filter(k => k !== providerKey),
+            activeProvider: aiSettings.activeProvider === providerKey ? 'openai' : aiSettings.activeProvider
+        }
+        setAiSettings(updated)
+        onSave('aiSettings', updated)
+    }
+
+    // Fallback chain — providers tried in order when the active one is rate-limited or unreachable
+    const fallbackProviders = aiSettings.fallbackProviders || []
+
+    const handleFallbackChange = (updatedList) => {
+        const updated = { ...aiSettings, fallbackProviders: updatedList }
+        setAiSettings(updated)
+        onSave('aiSettings', updated)
+    }
+
+    const handleMoveFallback = (index, delta) => {
+        const list = [...fallbackProviders]
+        const target = index + delta
+        if (target < 0 || target >= list.length) return
+        list.splice(target, 0, list.splice(index, 1)[0])
+        handleFallbackChange(list)
+    }
+
     const handleTestConnection = async (providerKey) => {
         setTestStatus(s => ({ ...s, [providerKey]: 'loading' }))
         setTestError(s => ({ ...s, [providerKey]: null }))
@@ -128,9 +266,34 @@ export default function SettingsPage({ settings, version, onSave, onClose }) {
         onSave('adBlockEnabled', newVal)
     }
 
+    const handleSnapshotsToggle = () => {
+        const updated = { ...historySettings, saveSnapshots: !historySettings.saveSnapshots }
+        setHistorySettings(updated)
+        onSave('historySettings', updated)
+    }
+
     const handleHomepageChange = (e) => setHomepage(e.target.value)
     const handleHomepageSave = () => onSave('homepage', homepage)
 
+    const saveDownloadFolder = (folder) => {
+        const updated = { ...downloadSettings, folder }
+        setDownloadSettings(updated)
+        onSave('downloadSettings', updated)
+    }
+
+    const handleChooseDownloadFolder = async () => {
+        const result = await window.browserAPI.downloads.chooseFolder()
+        if (result.folder) saveDownloadFolder(result.folder)
+    }
+
+    const handleMaxStepsSave = () => {
+        // Clamp to a sane range so a typo can't start an unbounded (and costly) agent run
+        const maxSteps = Math.min(100, Math.max(1, parseInt(automationSettings.maxSteps, 10) || 25))
+        const updated = { ...automationSettings, maxSteps }
+        setAutomationSettings(updated)
+        onSave('automationSettings', updated)
+    }
+
     const handleSttChange = (field, value) => {
         const updated = { ...sttSettings, [field]: value }
         // Reset keySource and test state when provider changes
@@ -263,6 +426,32 @@ export default function SettingsPage({ settings, version, onSave, onClose }) {
                             />
                         </div>
 
+                        <div className="settings-field">
+                            <label>Download Folder</label>
+                            <div style={{ display: 'flex', gap: 6 }}>
+                                <input
+                                    type="text"
+                                    value={downloadSettings.folder || settings?.defaultDownloadFolder || ''}
+                                    readOnly
+                                    onClick={handleChooseDownloadFolder}
+                                    style={{ flex: 1, cursor: 'pointer' }}
+                                />
+                                <button className="ai-panel__action-btn" onClick={handleChooseDownloadFolder} style={{ fontSize: 11, padding: '5px 10px' }}>
+                                    Change…
+                                </button>
+                                {downloadSettings.folder && (
+                                    <button
+                                        className="ai-panel__action-btn"
+                                        onClick={() => saveDownloadFolder('')}
+                                        title="Use the system Downloads folder"
+                                        style={{ fontSize: 11, padding: '5px 10px' }}
+                                    >
+                                        Reset
+                                    </button>
+                                )}
+                            </div>
+                        </div>
+
                         <div className="settings-toggle">
                             <span className="settings-toggle__label">🛡️ Ad Blocker</span>
                             <button
@@ -270,13 +459,23 @@ export default function SettingsPage({ settings, version, onSave, onClose }) {
                                 onClick={handleAdBlockToggle}
                             />
                         </div>
+
+                        <div className="settings-toggle">
+                            <span className="settings-toggle__label" title="Keeps the text of visited pages for History search and AI Recall">
+                                🕘 Save page text in history
+                            </span>
+                            <button
+                                className={`settings-toggle__switch ${historySettings.saveSnapshots ? 'settings-toggle__switch--on' : ''}`}
+                                onClick={handleSnapshotsToggle}
+                            />
+                        </div>
                     </div>
 
                     {/* AI Provider Settings */}
                     <div className="settings-section">
                         <h3 className="settings-section__title">AI Providers</h3>
 
-                        {PROVIDERS.map(provider => {
+                        {allProviders.map(provider => {
                             const config = aiSettings.providers?.[provider.key] || {}
                             const isActive = aiSettings.activeProvider === provider.key
                             const status = testStatus[provider.key]
@@ -291,11 +490,13 @@ export default function SettingsPage({ settings, version, onSave, onClose }) {
                                         <div className="provider-card__name">
                                             {provider.type === 'cloud'
                                                 ? <Cloud size={14} color="var(--brand-gold)" />
-                                                : <HardDrive size={14} color="#2ecc71" />
+                                                : provider.type === 'custom'
+                                                    ? <Server size={14} color="#7ca8f0" />
+                                                    : <HardDrive size={14} color="#2ecc71" />
                                             }
                                             {provider.name}
                                             <span className={`provider-card__badge provider-card__badge--${provider.type}`}>
-                                                {provider.type === 'cloud' ? 'Cloud' : 'Local'}
+                                                {provider.type === 'cloud' ? 'Cloud' : provider.type === 'custom' ? 'Custom' : 'Local'}
                                             </span>
                                         </div>
                                         <div style={{ display: 'flex', gap: 6, alignItems: 'center' }}>
@@ -326,6 +527,16 @@ export default function SettingsPage({ settings, version, onSave, onClose }) {
                                             >
                                                 {isActive ? '✓ Active' : 'Set Active'}
                                             </button>
+                                            {provider.type === 'custom' && (
+                                                <button
+                                                    className="ai-panel__action-btn"
+                                                    onClick={() => handleRemoveCustomProvider(provider.key)}
+                                                    title="Remove this provider"
+                                                    style={{ padding: '4px 6px' }}
+                                                >
+                                                    <Trash2 size={11} />
+                                                </button>
+                                            )}
                                         </div>
                                     </div>
 
@@ -335,14 +546,25 @@ export default function SettingsPage({ settings, version, onSave, onClose }) {
                                                 ℹ️ {provider.hint}
                                             </p>
                                         )}
-                                        {provider.type === 'cloud' && (
+                                        {provider.type === 'custom' && (
+                                            <div className="settings-field">
+                                                <label>Name</label>
+                                                <input
+                                                    type="text"
+                                                    value={config.label || ''}
+                                                    onChange={(e) => handleProviderChange(provider.key, 'label', e.target.value)}
+                                                    placeholder="e.g. Team vLLM"
+                                                />
+                                            </div>
+                                        )}
+                                        {provider.type !== 'local' && (
                                             <div className="settings-field">
                                                 <label>API Key</label>
                                                 <input
                                                     type="password"
                                                     value={config.apiKey || ''}
                                                     onChange={(e) => handleProviderChange(provider.key, 'apiKey', e.target.value)}
-                                                    placeholder={provider.key === 'anthropic' ? 'sk-ant-...' : 'Enter API key'}
+                                                    placeholder={provider.key === 'anthropic' ? 'sk-ant-...' : provider.type === 'custom' ? 'Optional' : 'Enter API key'}
                                                 />
                                             </div>
                                         )}
@@ -364,11 +586,115 @@ export default function SettingsPage({ settings, version, onSave, onClose }) {
                                                 type="text"
                                                 value={config.baseUrl || ''}
                                                 onChange={(e) => handleProviderChange(provider.key, 'baseUrl', e.target.value)}
-                                                placeholder="API base URL"
+                                                placeholder={provider.type === 'custom' ? 'http://host:8000/v1' : 'API base URL'}
                                             />
                                         </div>
+                                        {provider.type === 'custom' && (
+                                            <div className="settings-field" style={{ gridColumn: '1 / -1' }}>
+                                                <label>Extra Headers</label>
+                                                <textarea
+                                                    rows={2}
+                                                    defaultValue={Object.entries(config.headers || {}).map(([k, v]) => `${k}: ${v}`).join('\n')}
+                                                    onBlur={(e) => handleProviderChange(provider.key, 'headers', parseHeaderLines(e.target.value))}
+                                                    placeholder="One per line, e.g. X-Team: research"
+                                                />
+                                            </div>
+                                        )}
                                     </div>
 
+                                    {/* Generation parameters (collapsed by default) */}
+                                    <button
+                                        className="provider-card__generation-toggle"
+                                        onClick={() => setOpenGeneration(g => g === provider.key ? null : provider.key)}
+                                    >
+                                        {openGeneration === provider.key ? <ChevronDown size={11} /> : <ChevronRight size={11} />}
+                                        Generation settings
+                                        {(config.temperature != null || config.maxTokens != null || config.topP != null || config.stopSequences?.length > 0 || config.thinkingBudget || config.reasoningEffort || config.reasoningBudget != null) && (
+                                            <span style={{ color: 'var(--brand-gold)' }}>· customized</span>
+                                        )}
+                                    </button>
+                                    {openGeneration === provider.key && (
+                                        <div className="provider-card__fields">
+                                            <div className="settings-field">
+                                                <label>Temperature</label>
+                                                <GenerationNumberInput
+                                                    field="temperature" step={0.1}
+                                                    value={config.temperature}
+                                                    onCommit={(value) => handleProviderChange(provider.key, 'temperature', value)}
+                                                    placeholder="0.7"
+                                                />
+                                            </div>
+                                            <div className="settings-field">
+                                                <label>Max Tokens</label>
+                                                <GenerationNumberInput
+                                                    field="maxTokens" step={256}
+                                                    value={config.maxTokens}
+                                                    onCommit={(value) => handleProviderChange(provider.key, 'maxTokens', value)}
+                                                    placeholder="4096"
+                                                />
+                                            </div>
+                                            <div className="settings-field">
+                                                <label>Top-p</label>
+                                                <GenerationNumberInput
+                                                    field="topP" step={0.05}
+                                                    value={config.topP}
+                                                    onCommit={(value) => handleProviderChange(provider.key, 'topP', value)}
+                                                    placeholder="Provider default"
+                                                />
+                                            </div>
+                                            <div className="settings-field">
+                                                <label>Stop Sequences</label>
+                                                <input
+                                                    type="text"
+                                                    defaultValue={(config.stopSequences || []).join(', ')}
+                                                    onBlur={(e) => handleStopSequences(provider.key, e.target.value)}
+                                                    placeholder="Comma-separated"
+                                                />
+                                            </div>
+                                            {provider.key === 'anthropic' && (
+                                                <div className="settings-field">
+                                                    <label>Extended Thinking Budget</label>
+                                                    <GenerationNumberInput
+                                                        field="thinkingBudget" step={1024}
+                                                        value={config.thinkingBudget}
+                                                        onCommit={(value) => handleProviderChange(provider.key, 'thinkingBudget', value)}
+                                                        placeholder="Off (min 1024 tokens)"
+                                                    />
+                                                </div>
+                                            )}
+                                            {provider.key === 'openai' && (
+                                                <div className="settings-field">
+                                                    <label>Reasoning Effort (o-series models)</label>
+                                                    <select
+                                                        value={config.reasoningEffort || ''}
+                                                        onChange={(e) => handleProviderChange(provider.key, 'reasoningEffort', e.target.value || null)}
+                                                        style={{
+                                                            width: '100%', padding: '8px 12px', background: 'var(--bg-primary)',
+                                                            border: '1px solid var(--border-default)', borderRadius: 'var(--radius-sm)',
+                                                            color: 'var(--text-primary)', fontSize: 13
+                                                        }}
+                                                    >
+                                                        <option value="">Model default</option>
+                                                        <option value="low">Low</option>
+                                                        <option value="medium">Medium</option>
+                                                        <option value="high">High</option>
+                                                    </select>
+                                                </div>
+                                            )}
+                                            {provider.key === 'openai' && (
+                                                <div className="settings-field">
+                                                    <label>Reasoning Token Budget (o-series models)</label>
+                                                    <GenerationNumberInput
+                                                        field="reasoningBudget" step={1000}
+                                                        value={config.reasoningBudget}
+                                                        onCommit={(value) => handleProviderChange(provider.key, 'reasoningBudget', value)}
+                                                        placeholder="By effort: 8000 / 16000 / 25000"
+                                                    />
+                                                </div>
+                                            )}
+                                        </div>
+                                    )}
+
                                     {/* Test result message */}
                                     {status === 'error' && testError[provider.key] && (
                                         <p style={{
@@ -387,8 +713,93 @@ export default function SettingsPage({ settings, version, onSave, onClose }) {
                                 </div>
                             )
                         })}
+
+                        <button
+                            className="ai-panel__action-btn"
+                            onClick={handleAddCustomProvider}
+                            style={{ fontSize: 11, padding: '5px 12px', gap: 5, display: 'flex', alignItems: 'center' }}
+                        >
+                            <Plus size={11} /> Add Custom Provider
+                        </button>
+                    </div>
+
+                    {/* Provider Fallback Chain */}
+                    <div className="settings-section">
+                        <h3 className="settings-section__title">
+                            <Shuffle size={14} style={{ verticalAlign: 'middle', marginRight: 6 }} />
+                            Fallback Providers
+                        </h3>
+                        <p style={{ fontSize: 11, color: 'var(--text-muted)', marginBottom: 10, lineHeight: 1.5 }}>
+                            When the active provider is rate-limited, overloaded or not running, requests are retried
+                            with backoff and then sent to these providers in order. Answers from a fallback are tagged in the chat.
+                        </p>
+
+                        {fallbackProviders.map((key, i) => (
+                            <div key={key} style={{ display: 'flex', alignItems: 'center', gap: 8, fontSize: 12, padding: '4px 0' }}>
+                                <span style={{ width: 16, color: 'var(--text-muted)' }}>{i + 1}.</span>
+                                <span style={{ flex: 1 }}>
+                                    {allProviders.find(p => p.key === key)?.name || key}
+                                    {key === aiSettings.activeProvider && (
+                                        <span style={{ color: 'var(--text-muted)', marginLeft: 6 }}>(active — skipped)</span>
+                                    )}
+                                </span>
+                                <button className="ai-panel__action-btn" style={{ padding: '2px 6px' }} onClick={() => handleMoveFallback(i, -1)} disabled={i === 0} title="Move up">
+                                    <ArrowUp size={11} />
+                                </button>
+                                <button className="ai-panel__action-btn" style={{ padding: '2px 6px' }} onClick={() => handleMoveFallback(i, 1)} disabled={i === fallbackProviders.length - 1} title="Move down">
+                                    <ArrowDown size={11} />
+                                </button>
+                                <button className="ai-panel__action-btn" style={{ padding: '2px 6px' }} onClick={() => handleFallbackChange(fallbackProviders.filter(k => k !== key))} title="Remove">
+                                    <X size={11} />
+                                </button>
+                            </div>
+                        ))}
+
+                        {fallbackProviders.length < PROVIDERS.length && (
+                            <div className="settings-field" style={{ marginTop: 8 }}>
+                                <select
+                                    value=""
+                                    onChange={(e) => e.target.value && handleFallbackChange([...fallbackProviders, e.target.value])}
+                                >
+                                    <option value="">Add fallback provider…</option>
+                                    {allProviders.filter(p => !fallbackProviders.includes(p.key)).map(p => (
+                                        <option key={p.key} value={p.key}>{p.name}</option>
+                                    ))}
+                                </select>
+                            </div>
+                        )}
                     </div>
 
+                    {/* AI Agent Settings */}
+                    <div className="settings-section">
+                        <h3 className="settings-section__title">
+                            <Zap size={14} style={{ verticalAlign: 'middle', marginRight: 6 }} />
+                            AI Agent
+                        </h3>
+
+                        <div className="settings-field">
+                            <label>Step Budget</label>
+                            <input
+                                type="number"
+                                min={1}
+                                max={100}
+                                value={automationSettings.maxSteps}
+                                onChange={(e) => setAutomationSettings(s => ({ ...s, maxSteps: e.target.value }))}
+                                onBlur={handleMaxStepsSave}
+                            />
+                        </div>
+                        <p style={{ fontSize: 11, color: 'var(--text-muted)', lineHeight: 1.5 }}>
+                            Maximum number of actions the Automate agent may take for one task. After every action it
+                            looks at a fresh screenshot of the page before deciding what to do next.
+                        </p>
+                    </div>
+
+                    {/* Semantic index for "search my browsing" */}
+                    <IndexSettings settings={settings} providers={allProviders} onSave={onSave} />
+
+                    {/* Usage & Cost */}
+                    <UsageSettings />
+
                     {/* Speech-to-Text Settings — separate API key from chat */}
                     <div className="settings-section">
                         <h3 className="settings-section__title">
@@ -19,10 +19,10 @@ export const TEST_CASES = [
         description: 'Navigate to Google and search for "Iowa State University"',
         commands: [
             { type: 'navigate', url: 'https://www.google.com' },
-            { type: 'wait', ms: 1500 },
             { type: 'fill', selector: 'textarea[name="q"], input[name="q"]', value: 'Iowa State University' },
             { type: 'press', key: 'Enter' },
-            { type: 'wait', ms: 2000 },
+            { type: 'wait_for_url', pattern: '/search' },
+            { type: 'assert_visible', selector: '#search' },
         ]
     },
     {
@@ -32,10 +32,10 @@ export const TEST_CASES = [
         description: 'Navigate to Wikipedia search and look up "Artificial Intelligence"',
         commands: [
             { type: 'navigate', url: 'https://en.wikipedia.org/wiki/Special:Search' },
-            { type: 'wait', ms: 1500 },
             { type: 'fill', selector: 'input[name="search"]', value: 'Artificial Intelligence' },
             { type: 'press', key: 'Enter' },
-            { type: 'wait', ms: 2000 },
+            { type: 'wait_for_network_idle' },
+            { type: 'assert_title', text: 'Artificial intelligence' },
         ]
     },
 
@@ -47,11 +47,10 @@ export const TEST_CASES = [
         description: 'Navigate to DuckDuckGo, fill the search box, and press Enter',
         commands: [
             { type: 'navigate', url: 'https://duckduckgo.com' },
-            { type: 'wait', ms: 1500 },
             { type: 'fill', selector: 'input[name="q"]', value: 'AI browser automation' },
-            { type: 'wait', ms: 500 },
             { type: 'press', key: 'Enter' },
-            { type: 'wait', ms: 2000 },
+            { type: 'wait_for_url', pattern: 'q=AI' },
+            { type: 'assert_title', text: 'AI browser automation' },
         ]
     },
     {
@@ -61,15 +60,11 @@ export const TEST_CASES = [
         description: 'Navigate to a demo form and fill multiple fields',
         commands: [
             { type: 'navigate', url: 'https://httpbin.org/forms/post' },
-            { type: 'wait', ms: 2000 },
             { type: 'fill', selector: 'input[name="custname"]', value: 'Cy the Cardinal' },
-            { type: 'wait', ms: 300 },
             { type: 'fill', selector: 'input[name="custtel"]', value: '515-294-4111' },
-            { type: 'wait', ms: 300 },
             { type: 'fill', selector: 'input[name="custemail"]', value: 'cy@iastate.edu' },
-            { type: 'wait', ms: 300 },
             { type: 'fill', selector: 'textarea[name="comments"]', value: 'Go Cyclones! This is a test of the AI Browser form automation.' },
-            { type: 'wait', ms: 500 },
+            { type: 'assert_text', selector: 'input[name="custemail"]', text: 'cy@iastate.edu' },
         ]
     },
 
@@ -81,7 +76,7 @@ export const TEST_CASES = [
         description: 'Navigate to Iowa State University page and scroll through it',
         commands: [
             { type: 'navigate', url: 'https://en.wikipedia.org/wiki/Iowa_State_University' },
-            { type: 'wait', ms: 2000 },
+            { type: 'assert_title', text: 'Iowa State University' },
             { type: 'scroll', deltaY: 600 },
             { type: 'wait', ms: 1000 },
             { type: 'scroll', deltaY: 600 },
@@ -97,9 +92,9 @@ export const TEST_CASES = [
         description: 'Go to Wikipedia, click "Random article" via CLICK_ELEMENT, then scroll through',
         commands: [
             { type: 'navigate', url: 'https://en.wikipedia.org/wiki/Main_Page' },
-            { type: 'wait', ms: 2000 },
             { type: 'click_element', selector: 'a[href="/wiki/Special:Random"]' },
-            { type: 'wait', ms: 2500 },
+            { type: 'wait_for_url', pattern: '/\\/wiki\\/(?!Main_Page)/' },
+            { type: 'assert_visible', selector: '#firstHeading' },
             { type: 'scroll', deltaY: 500 },
             { type: 'wait', ms: 800 },
             { type: 'scroll', deltaY: 500 },
@@ -113,10 +108,10 @@ export const TEST_CASES = [
         description: 'Search on Bing and scroll through results',
         commands: [
             { type: 'navigate', url: 'https://www.bing.com' },
-            { type: 'wait', ms: 1500 },
             { type: 'fill', selector: '#sb_form_q, textarea[name="q"], input[name="q"]', value: 'Iowa State Cyclones football' },
             { type: 'press', key: 'Enter' },
-            { type: 'wait', ms: 2000 },
+            { type: 'wait_for_url', pattern: 'search?q=' },
+            { type: 'assert_count', selector: '#b_results .b_algo', count: '>=1' },
             { type: 'scroll', deltaY: 400 },
             { type: 'wait', ms: 800 },
             { type: 'scroll', deltaY: 400 },
@@ -132,7 +127,7 @@ export const TEST_CASES = [
         description: 'Go directly to Machine Learning article and scroll through it',
         commands: [
             { type: 'navigate', url: 'https://en.wikipedia.org/wiki/Machine_learning' },
-            { type: 'wait', ms: 2000 },
+            { type: 'assert_title', text: 'Machine learning' },
             { type: 'scroll', deltaY: 500 },
             { type: 'wait', ms: 1000 },
             { type: 'scroll', deltaY: 500 },
@@ -143,20 +138,57 @@ export const TEST_CASES = [
             { type: 'wait', ms: 500 },
         ]
     },
+    {
+        id: 'wikipedia-extract',
+        name: 'Wikipedia Extract',
+        category: 'Advanced',
+        description: 'Open the article given as {{topic}}, capture its heading and section titles into variables',
+        inputs: [{ name: 'topic', default: 'Iowa_State_University' }],
+        commands: [
+            { type: 'navigate', url: 'https://en.wikipedia.org/wiki/{{topic}}' },
+            { type: 'extract', selector: '#firstHeading', variable: 'heading' },
+            { type: 'assert_title', text: '{{heading}}' },
+            { type: 'extract_all', selector: '.mw-heading2 h2', variable: 'sections' },
+            { type: 'assert_text', selector: '#mw-content-text', text: '{{sections.0}}' },
+        ]
+    },
+    {
+        id: 'wikipedia-control-flow',
+        name: 'Wikipedia Control Flow',
+        category: 'Advanced',
+        description: 'Dismiss a banner if one is shown, check every section heading, recover from a missing element and reuse another test case',
+        commands: [
+            { type: 'navigate', url: 'https://en.wikipedia.org/wiki/Iowa_State_University' },
+            {
+                type: 'if_exists', selector: '#siteNotice .cdx-message button',
+                then: [{ type: 'click_element', selector: '#siteNotice .cdx-message button' }],
+                else: []
+            },
+            {
+                type: 'for_each', selector: '.mw-heading2 h2', as: 'heading',
+                body: [{ type: 'assert_visible', selector: '{{heading}}' }]
+            },
+            { type: 'repeat', times: 2, body: [{ type: 'scroll', deltaY: 400 }] },
+            {
+                type: 'try',
+                body: [{ type: 'wait_for', selector: '#no-such-element', timeoutMs: 1000 }],
+                onError: [{ type: 'navigate', url: 'https://en.wikipedia.org/wiki/Ames,_Iowa' }]
+            },
+            { type: 'assert_title', text: 'Ames' },
+            { type: 'call', automation: 'wikipedia-extract' },
+        ]
+    },
     {
         id: 'multi-site-tour',
         name: 'Multi-Site Tour',
         category: 'Advanced',
-        description: 'Visit 3 different websites in sequence with waits',
+        description: 'Visit 4 different websites in sequence',
         commands: [
             { type: 'navigate', url: 'https://www.google.com' },
-            { type: 'wait', ms: 1500 },
             { type: 'navigate', url: 'https://en.wikipedia.org/wiki/Iowa_State_University' },
-            { type: 'wait', ms: 1500 },
             { type: 'navigate', url: 'https://duckduckgo.com' },
-            { type: 'wait', ms: 1500 },
             { type: 'navigate', url: 'https://www.iastate.edu' },
-            { type: 'wait', ms: 2000 },
+            { type: 'assert_url', pattern: 'iastate.edu' },
             { type: 'scroll', deltaY: 400 },
             { type: 'wait', ms: 800 },
         ]
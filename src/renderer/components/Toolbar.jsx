@@ -1,16 +1,17 @@
 import React, { useState, useEffect, useRef } from 'react'
 import {
     ArrowLeft, ArrowRight, RotateCw, Home,
-    Search, Sparkles, Settings, Shield, Loader, Terminal
+    Search, Sparkles, Settings, Shield, Loader, Terminal, History, Download, Eye
 } from 'lucide-react'
 
 export default function Toolbar({
     url, canGoBack, canGoForward, isLoading, showAI, showDevMode,
     onNavigate, onBack, onForward, onReload, onHome,
-    onToggleAI, onOpenSettings, onToggleDevMode
+    onToggleAI, onOpenSettings, onToggleDevMode, onOpenHistory, onOpenDownloads, onOpenWatches
 }) {
     const [inputValue, setInputValue] = useState(url || '')
     const [adBlockCount, setAdBlockCount] = useState(0)
+    const [activeDownloads, setActiveDownloads] = useState({}) // id → true while downloading
     const inputRef = useRef(null)
 
     useEffect(() => {
@@ -28,6 +29,23 @@ export default function Toolbar({
         return () => clearInterval(interval)
     }, [])
 
+    // Count running downloads for the badge
+    useEffect(() => {
+        const isActive = (d) => d.state === 'progressing' || d.state === 'paused'
+        window.browserAPI.downloads.list().then(list => {
+            setActiveDownloads(Object.fromEntries(list.filter(isActive).map(d => [d.id, true])))
+        })
+        return window.browserAPI.downloads.onChanged(d => {
+            setActiveDownloads(prev => {
+                const next = { ...prev }
+                if (isActive(d)) next[d.id] = true
+                else delete next[d.id]
+                return next
+            })
+        })
+    }, [])
+    const activeDownloadCount = Object.keys(activeDownloads).length
+
     const handleSubmit = (e) => {
         e.preventDefault()
         if (inputValue.trim()) {
@@ -98,6 +116,34 @@ export default function Toolbar({
                 )}
             </button>
 
+            <button
+                className="toolbar__btn"
+                onClick={onOpenHistory}
+                title="History (Ctrl+H)"
+            >
+                <History size={16} />
+            </button>
+
+            <button
+                className="toolbar__btn"
+                onClick={onOpenDownloads}
+                title="Downloads (Ctrl+J)"
+                style={{ position: 'relative', color: activeDownloadCount ? 'var(--brand-gold)' : undefined }}
+            >
+                <Download size={16} />
+                {activeDownloadCount > 0 && (
+                    <span className="toolbar__downloads-badge">{activeDownloadCount}</span>
+                )}
+            </button>
+
+            <button
+                className="toolbar__btn"
+                onClick={onOpenWatches}
+                title="Page Watches"
+            >
+                <Eye size={16} />
+            </button>
+
             <button
                 className={`toolbar__ai-toggle ${showAI ? 'toolbar__ai-toggle--active' : ''}`}
                 onClick={onToggleAI}
@@ -0,0 +1,236 @@
+import React, { useState, useEffect } from 'react'
+import { BarChart3, RefreshCw, Trash2, RotateCcw, Plus, X } from 'lucide-react'
+
+const FEATURE_LABELS = {
+    chat: 'Chat',
+    summarize: 'Summarize',
+    extract: 'Extract Data',
+    automate: 'AI Agent',
+    generate: 'Generate Automation',
+    search: 'Gemini Search',
+    recall: 'History Recall',
+    embed: 'Semantic Index',
+    'browsing-search': 'Search My Browsing',
+    'selector-healing': 'Selector Healing',
+    'page-watch': 'Page Watching',
+    stt: 'Voice Input'
+}
+
+function formatCost(usd) {
+    if (!usd) return '$0.00'
+    if (usd < 0.01) return `$${usd.toFixed(4)}`
+    return `$${usd.toFixed(2)}`
+}
+
+function formatTokens(n) {
+    if (n >= 1e6) return `${(n / 1e6).toFixed(1)}M`
+    if (n >= 1e3) return `${(n / 1e3).toFixed(1)}k`
+    return String(n)
+}
+
+function TotalsCard({ label, totals }) {
+    return (
+        <div className="usage-stat">
+            <span className="usage-stat__label">{label}</span>
+            <span className="usage-stat__cost">{formatCost(totals.cost)}</span>
+            <span className="usage-stat__detail">
+                {totals.requests} requests · {formatTokens(totals.promptTokens)} in · {formatTokens(totals.completionTokens)} out
+                {totals.cachedTokens > 0 && ` · ${formatTokens(totals.cachedTokens)} cached`}
+            </span>
+        </div>
+    )
+}
+
+function UsageTable({ title, rows, labelOf }) {
+    if (!rows?.length) return null
+    return (
+        <div className="usage-table">
+            <div className="usage-table__title">{title}</div>
+            {rows.map((row, i) => (
+                <div key={i} className="usage-table__row">
+                    <span className="usage-table__label" title={labelOf(row)}>{labelOf(row)}</span>
+                    <span className="usage-table__num">{row.requests} req</span>
+                    <span className="usage-table__num">{formatTokens(row.promptTokens + row.completionTokens)} tok</span>
+                    <span className="usage-table__cost">{formatCost(row.cost)}</span>
+                </div>
+            ))}
+        </div>
+    )
+}
+
+/**
+ * Settings section: usage ledger totals (today / month), breakdowns by day,
+ * feature, model, conversation and agent run, and the editable price table.
+ */
+export default function UsageSettings() {
+    const [summary, setSummary] = useState(null)
+    const [prices, setPrices] = useState({})
+    const [newModel, setNewModel] = useState('')
+
+    const load = async () => {
+        const [s, p] = await Promise.all([
+            window.browserAPI.usage.summary(),
+            window.browserAPI.usage.getPrices()
+        ])
+        setSummary(s)
+        setPrices(p)
+    }
+
+    useEffect(() => { load() }, [])
+
+    const savePrices = async (updated) => {
+        setPrices(updated)
+        await window.browserAPI.usage.setPrices(updated)
+        setSummary(await window.browserAPI.usage.summary())
+    }
+
+    const handlePriceChange = (model, field, value) => {
+        setPrices(p => ({ ...p, [model]: { ...p[model], [field]: value } }))
+    }
+
+    const handlePriceBlur = () => {
+        // Store numbers only; an emptied field counts as free
+        const cleaned = {}
+        for (const [model, price] of Object.entries(prices)) {
+            cleaned[model] = {
+                input: parseFloat(price.input) || 0,
+                output: parseFloat(price.output) || 0,
+                cached: parseFloat(price.cached) || 0
+            }
+        }
+        savePrices(cleaned)
+    }
+
+    const handleAddModel = () => {
+        const model = newModel.trim()
+        if (!model || prices[model]) return
+        savePrices({ ...prices, [model]: { input: 0, output: 0, cached: 0 } })
+        setNewModel('')
+    }
+
+    const handleRemoveModel = (model) => {
+        const { [model]: _removed, ...rest } = prices
+        savePrices(rest)
+    }
+
+    const handleResetPrices = async () => {
+        setPrices(await window.browserAPI.usage.resetPrices())
+        setSummary(await window.browserAPI.usage.summary())
+    }
+
+    const handleClear = async () => {
+        if (!window.confirm('Delete all recorded usage? Prices are kept.')) return
+        await window.browserAPI.usage.clear()
+        load()
+    }
+
+    return (
+        <div className="settings-section">
+            <h3 className="settings-section__title">
+                <BarChart3 size={14} style={{ verticalAlign: 'middle', marginRight: 6 }} />
+                Usage & Cost
+            </h3>
+
+            {!summary ? (
+                <p style={{ fontSize: 11, color: 'var(--text-muted)' }}>Loading…</p>
+            ) : (
+                <>
+                    <div className="usage-stats">
+                        <TotalsCard label="Today" totals={summary.today} />
+                        <TotalsCard label="This month" totals={summary.month} />
+                    </div>
+
+                    {summary.unpriced.length > 0 && (
+                        <p style={{ fontSize: 11, color: 'var(--brand-gold)', margin: '8px 0', lineHeight: 1.5 }}>
+                            No price set for: {summary.unpriced.join(', ')} — add them below to include them in cost totals.
+                        </p>
+                    )}
+
+                    <UsageTable title="By day" rows={summary.days.slice(0, 14)} labelOf={r => r.day} />
+                    <UsageTable title="By feature" rows={summary.features} labelOf={r => FEATURE_LABELS[r.feature] || r.feature} />
+                    <UsageTable title="By model" rows={summary.models} labelOf={r => `${r.provider} / ${r.model}`} />
+                    <UsageTable
+                        title="By conversation"
+                        rows={summary.conversations}
+                        labelOf={r => r.name || `Unsaved chat — ${new Date(r.firstUsed).toLocaleString()}`}
+                    />
+                    <UsageTable title="By agent run" rows={summary.runs} labelOf={r => r.label || r.runId} />
+
+                    <div style={{ display: 'flex', gap: 8, marginTop: 10 }}>
+                        <button
+                            className="ai-panel__action-btn"
+                            onClick={load}
+                            style={{ fontSize: 11, padding: '5px 12px', gap: 5, display: 'flex', alignItems: 'center' }}
+                        >
+                            <RefreshCw size={11} /> Refresh
+                        </button>
+                        <button
+                            className="ai-panel__action-btn"
+                            onClick={handleClear}
+                            disabled={summary.entryCount === 0}
+                            style={{ fontSize: 11, padding: '5px 12px', gap: 5, display: 'flex', alignItems: 'center' }}
+                        >
+                            <Trash2 size={11} /> Clear History
+                        </button>
+                    </div>
+                </>
+            )}
+
+            {/* Price table — USD per 1M tokens */}
+            <div className="usage-table" style={{ marginTop: 16 }}>
+                <div className="usage-table__title">Prices (USD per 1M tokens)</div>
+                <div className="usage-table__row usage-table__row--head">
+                    <span className="usage-table__label">Model</span>
+                    <span className="usage-table__num">Input</span>
+                    <span className="usage-table__num">Output</span>
+                    <span className="usage-table__num">Cached</span>
+                    <span style={{ width: 16 }} />
+                </div>
+                {Object.entries(prices).map(([model, price]) => (
+                    <div key={model} className="usage-table__row">
+                        <span className="usage-table__label" title={model}>{model}</span>
+                        {['input', 'output', 'cached'].map(field => (
+                            <input
+                                key={field}
+                                className="usage-table__input"
+                                type="number"
+                                min={0}
+                                step="0.01"
+                                value={price[field] ?? ''}
+                                onChange={(e) => handlePriceChange(model, field, e.target.value)}
+                                onBlur={handlePriceBlur}
+                            />
+                        ))}
+                        <button className="usage-table__remove" onClick={() => handleRemoveModel(model)} title="Remove">
+                            <X size={11} />
+                        </button>
+                    </div>
+                ))}
+                <div className="usage-table__row">
+                    <input
+                        className="usage-table__input usage-table__input--model"
+                        value={newModel}
+                        onChange={(e) => setNewModel(e.target.value)}
+                        onKeyDown={(e) => e.key === 'Enter' && handleAddModel()}
+                        placeholder="Model name, e.g. gpt-4o"
+                    />
+                    <button
+                        className="ai-panel__action-btn"
+                        onClick={handleAddModel}
+                        style={{ fontSize: 11, padding: '4px 10px', gap: 4, display: 'flex', alignItems: 'center' }}
+                    >
+                        <Plus size={11} /> Add
+                    </button>
+                    <button
+                        className="ai-panel__action-btn"
+                        onClick={handleResetPrices}
+                        title="Restore the built-in price table"
+                        style={{ fontSize: 11, padding: '4px 10px', gap: 4, display: 'flex', alignItems: 'center' }}
+                    >
+                        <RotateCcw size={11} /> Defaults
+                    </button>
+                </div>
+            </div>
+        </div>
+    )
+}
@@ -0,0 +1,254 @@
+import React, { useState, useEffect } from 'react'
+import {
+    X, Eye, Plus, RotateCw, Edit3, Trash2, Pause, Play, Loader, AlertCircle,
+    ChevronDown, ChevronRight, Sparkles, Save
+} from 'lucide-react'
+
+const BLANK_WATCH = {
+    name: '', url: '', selector: '', intervalMinutes: 60, enabled: true, notify: true,
+    ignoreAds: true, ignoreTimestamps: true, ignoreSelectors: '', ignorePatterns: ''
+}
+
+function formatAgo(ts) {
+    if (!ts) return 'never'
+    const diff = Date.now() - ts
+    if (diff < 60000) return 'just now'
+    if (diff < 3600000) return `${Math.floor(diff / 60000)}m ago`
+    if (diff < 86400000) return `${Math.floor(diff / 3600000)}h ago`
+    return new Date(ts).toLocaleDateString()
+}
+
+function describeInterval(minutes) {
+    if (minutes % 1440 === 0) return minutes === 1440 ? 'daily' : `every ${minutes / 1440} days`
+    if (minutes % 60 === 0) return minutes === 60 ? 'hourly' : `every ${minutes / 60}h`
+    return `every ${minutes} min`
+}
+
+/** The changes a snapshot recorded: the AI summary, then the removed and added lines */
+function SnapshotEntry({ snapshot, first }) {
+    const [showDiff, setShowDiff] = useState(false)
+    const diff = snapshot.diff
+
+    return (
+        <div className="watch-snapshot">
+            <div className="watch-snapshot__header">
+                <span>{new Date(snapshot.takenAt).toLocaleString()}</span>
+                {diff && (
+                    <button className="watch-snapshot__toggle" onClick={() => setShowDiff(v => !v)}>
+                        {showDiff ? <ChevronDown size={10} /> : <ChevronRight size={10} />}
+                        <span className="watch-snapshot__added">+{diff.added.length}</span>
+                        <span className="watch-snapshot__removed">−{diff.removed.length}</span>
+                    </button>
+                )}
+            </div>
+            {!diff ? (
+                <div className="watch-snapshot__summary watch-snapshot__summary--muted">
+                    {first ? 'First snapshot' : 'Snapshot'} — {snapshot.lineCount} lines
+                </div>
+            ) : snapshot.summary ? (
+                <div className="watch-snapshot__summary"><Sparkles size={10} /> {snapshot.summary}</div>
+            ) : (
+                <div className="watch-snapshot__summary watch-snapshot__summary--muted">
+                    No summary{snapshot.summaryError ? `: ${snapshot.summaryError}` : ''}
+                </div>
+            )}
+            {showDiff && diff && (
+                <div className="watch-snapshot__diff">
+                    {diff.removed.map((line, i) => <div key={`r${i}`} className="watch-snapshot__line watch-snapshot__line--removed">− {line}</div>)}
+                    {diff.added.map((line, i) => <div key={`a${i}`} className="watch-snapshot__line watch-snapshot__line--added">+ {line}</div>)}
+                </div>
+            )}
+        </div>
+    )
+}
+
+function SnapshotHistory({ watchId }) {
+    const [snapshots, setSnapshots] = useState(null)
+
+    useEffect(() => {
+        const load = () => window.browserAPI.watches.snapshots(watchId).then(setSnapshots)
+        load()
+        return window.browserAPI.watches.onChanged(load)
+    }, [watchId])
+
+    if (!snapshots) return null
+    if (!snapshots.length) return <div className="watch-item__empty">No snapshots yet</div>
+    return (
+        <div className="watch-item__history">
+            {snapshots.map((snapshot, i) => (
+                <SnapshotEntry key={snapshot.id} snapshot={snapshot} first={i === snapshots.length - 1} />
+            ))}
+        </div>
+    )
+}
+
+/**
+ * WatchesPage — Modal managing page watches: pages (or one CSS region of a page)
+ * reloaded in the background every N minutes, with an AI summary of each change,
+ * its line diff and the noise filters applied before comparing. See page-watcher.js.
+ */
+export default function WatchesPage({ onClose, currentUrl }) {
+    const [watches, setWatches] = useState(null)
+    // Watch being created or edited — list fields are edited as one entry per line
+    const [form, setForm] = useState(null)
+    const [error, setError] = useState(null)
+    const [openId, setOpenId] = useState(null)
+
+    useEffect(() => {
+        const load = () => window.browserAPI.watches.list().then(setWatches)
+        load()
+        return window.browserAPI.watches.onChanged(load)
+    }, [])
+
+    const startForm = (watch) => {
+        setError(null)
+        setForm(watch
+            ? { ...BLANK_WATCH, ...watch, ignoreSelectors: watch.ignoreSelectors.join('\n'), ignorePatterns: watch.ignorePatterns.join('\n') }
+            : { ...BLANK_WATCH, url: /^https?:/.test(currentUrl || '') ? currentUrl : '' })
+    }
+
+    const handleSave = async () => {
+        const lines = (text) => text.split('\n').map(s => s.trim()).filter(Boolean)
+        const result = await window.browserAPI.watches.save({
+            ...form,
+            intervalMinutes: Number(form.intervalMinutes),
+            ignoreSelectors: lines(form.ignoreSelectors),
+            ignorePatterns: lines(form.ignorePatterns)
+        })
+        if (result?.error) {
+            setError(result.error)
+        } else {
+            setForm(null)
+            setError(null)
+            setOpenId(result.id)
+        }
+    }
+
+    const handleDelete = async (watch) => {
+        if (!window.confirm(`Stop watching "${watch.name}" and delete its snapshots?`)) return
+        await window.browserAPI.watches.delete(watch.id)
+    }
+
+    const setField = (key) => (e) => setForm({ ...form, [key]: e.target.type === 'checkbox' ? e.target.checked : e.target.value })
+
+    return (
+        <div className="settings-overlay" onClick={(e) => { if (e.target === e.currentTarget) onClose() }}>
+            <div className="library-panel watches-page">
+                <div className="library-panel__header">
+                    <h2 className="library-panel__title">
+                        <Eye size={16} style={{ verticalAlign: 'middle', marginRight: 8 }} />
+                        Page Watches
+                    </h2>
+                    <button className="settings-panel__close" onClick={onClose}><X size={18} /></button>
+                </div>
+
+                <div className="library-panel__toolbar">
+                    <span className="watches-page__hint">
+                        Pages are reloaded in the background and compared with the last snapshot.
+                    </span>
+                    <button
+                        className="ai-panel__action-btn"
+                        onClick={() => startForm(null)}
+                        disabled={Boolean(form)}
+                        style={{ fontSize: 11, padding: '5px 10px', display: 'flex', alignItems: 'center', gap: 4, flexShrink: 0 }}
+                    >
+                        <Plus size={12} /> Watch a Page
+                    </button>
+                </div>
+
+                <div className="library-panel__content">
+                    {form && (
+                        <div className="watches-page__form">
+                            <div className="settings-field">
+                                <label>Page address</label>
+                                <input value={form.url} onChange={setField('url')} placeholder="https://…" autoFocus />
+                            </div>
+                            <div className="watches-page__row">
+                                <div className="settings-field">
+                                    <label>Name</label>
+                                    <input value={form.name} onChange={setField('name')} placeholder="Defaults to the address" />
+                                </div>
+                                <div className="settings-field watches-page__interval">
+                                    <label>Check every (minutes)</label>
+                                    <input type="number" min={5} value={form.intervalMinutes} onChange={setField('intervalMinutes')} />
+                                </div>
+                            </div>
+                            <div className="settings-field">
+                                <label>Region (CSS selector, optional — the whole page's main content otherwise)</label>
+                                <input value={form.selector} onChange={setField('selector')} placeholder="#price, .seats-available" />
+                            </div>
+                            <div className="watches-page__row">
+                                <div className="settings-field">
+                                    <label>Ignore elements (one selector per line)</label>
+                                    <textarea rows={2} value={form.ignoreSelectors} onChange={setField('ignoreSelectors')} placeholder=".visitor-count" />
+                                </div>
+                                <div className="settings-field">
+                                    <label>Ignore text (one regular expression per line)</label>
+                                    <textarea rows={2} value={form.ignorePatterns} onChange={setField('ignorePatterns')} placeholder="\d+ people viewing" />
+                                </div>
+                            </div>
+                            <div className="watches-page__options">
+                                <label><input type="checkbox" checked={form.ignoreAds} onChange={setField('ignoreAds')} /> Ignore ad slots</label>
+                                <label><input type="checkbox" checked={form.ignoreTimestamps} onChange={setField('ignoreTimestamps')} /> Ignore dates and times</label>
+                                <label><input type="checkbox" checked={form.notify} onChange={setField('notify')} /> Notify on change</label>
+                                <label><input type="checkbox" checked={form.enabled} onChange={setField('enabled')} /> Enabled</label>
+                            </div>
+                            {form.id && (
+                                <div className="watches-page__note">Changing the address, region or filters starts the snapshot history over.</div>
+                            )}
+                            {error && <div className="watches-page__error"><AlertCircle size={11} /> {error}</div>}
+                            <div className="watches-page__actions">
+                                <button className="save-dialog__cancel" onClick={() => setForm(null)}>Cancel</button>
+                                <button className="save-dialog__confirm" onClick={handleSave}>
+                                    <Save size={12} /> {form.id ? 'Save' : 'Start Watching'}
+                                </button>
+                            </div>
+                        </div>
+                    )}
+
+                    {watches && watches.length === 0 && !form ? (
+                        <div className="library-panel__empty">
+                            <div className="library-panel__empty-icon"><Eye size={32} /></div>
+                            <p>No watched pages yet.</p>
+                        </div>
+                    ) : (watches || []).map(watch => (
+                        <div key={watch.id} className={`watch-item ${watch.enabled ? '' : 'watch-item--paused'}`}>
+                            <div className="library-item watch-item__row">
+                                <div className="library-item__main watch-item__main" onClick={() => setOpenId(openId === watch.id ? null : watch.id)}>
+                                    <div className="watch-item__line">
+                                        {openId === watch.id ? <ChevronDown size={12} /> : <ChevronRight size={12} />}
+                                        <span className="library-item__name">{watch.name}</span>
+                                        <span className="library-item__date">
+                                            {watch.checking ? <><Loader size={9} className="spinning" /> checking</>
+                                                : watch.queued ? 'queued'
+                                                    : watch.enabled ? describeInterval(watch.intervalMinutes) : 'paused'}
+                                        </span>
+                                    </div>
+                                    <span className="watch-item__detail" title={watch.url}>
+                                        {watch.url}{watch.selector && ` — ${watch.selector}`}
+                                    </span>
+                                    <span className={`watch-item__detail ${watch.lastError ? 'watch-item__detail--error' : ''}`}>
+                                        {watch.lastError
+                                            ? `Check failed: ${watch.lastError}`
+                                            : `Checked ${formatAgo(watch.lastCheckAt)} · changed ${formatAgo(watch.lastChangeAt)}`}
+                                    </span>
+                                </div>
+                                <div className="download-item__actions">
+                                    <button onClick={() => window.browserAPI.watches.checkNow(watch.id)} disabled={watch.checking || watch.queued} title="Check now">
+                                        <RotateCw size={12} />
+                                    </button>
+                                    <button onClick={() => window.browserAPI.watches.save({ ...watch, enabled: !watch.enabled })} title={watch.enabled ? 'Pause' : 'Resume'}>
+                                        {watch.enabled ? <Pause size={12} /> : <Play size={12} />}
+                                    </button>
+                                    <button onClick={() => startForm(watch)} title="Edit"><Edit3 size={12} /></button>
+                                    <button onClick={() => handleDelete(watch)} title="Delete"><Trash2 size={12} /></button>
+                                </div>
+                            </div>
+                            {openId === watch.id && <SnapshotHistory watchId={watch.id} />}
+                        </div>
+                    ))}
+                </div>
+            </div>
+        </div>
+    )
+}
@@ -0,0 +1,289 @@
+/**
+ * Control flow of the automation language: IF_EXISTS/ELSE, REPEAT, FOR_EACH,
+ * WHILE_EXISTS, TRY/ON_ERROR (each closed by END) and CALL. Blocks are commands
+ * holding their steps in child lists, so saved automations are trees. Shared like
+ * automation-variables.js: the chat window, scheduled runs and the headless test
+ * runner all run blocks through it.
+ */
+
+import { initialVariables, interpolateCommand } from './automation-variables.js'
+
+// Block type → its child lists; the second one is the branch after ELSE / ON_ERROR
+export const BLOCK_TYPES = {
+    if_exists: ['then', 'else'],
+    repeat: ['body'],
+    for_each: ['body'],
+    while_exists: ['body'],
+    try: ['body', 'onError']
+}
+
+export const DEFAULT_WHILE_MAX = 20
+const MAX_REPEAT = 1000
+const MAX_FOR_EACH = 500
+const MAX_CALL_DEPTH = 5
+
+export function isBlock(cmd) {
+    return Boolean(BLOCK_TYPES[cmd?.type])
+}
+
+/**
+ * Nest the flat list the line parsers produce: block openers start a child list,
+ * `else` / `on_error` markers switch to the block's second list, `end` closes it.
+ * Blocks still open at the end of the script are closed; stray markers are ignored.
+ */
+export function nestCommands(flat) {
+    const root = []
+    const open = [{ block: null, list: root }]
+    for (const cmd of flat) {
+        const top = open[open.length - 1]
+        if (cmd.type === 'end') {
+            if (open.length > 1) open.pop()
+        } else if (cmd.type === 'else' || cmd.type === 'on_error') {
+            const branch = BLOCK_TYPES[top.block?.type]?.[1]
+            if (branch === (cmd.type === 'else' ? 'else' : 'onError')) top.list = top.block[branch]
+        } else if (isBlock(cmd)) {
+            const block = { ...cmd }
+            for (const key of BLOCK_TYPES[cmd.type]) block[key] = []
+            top.list.push(block)
+            open.push({ block, list: block[BLOCK_TYPES[cmd.type][0]] })
+        } else {
+            top.list.push(cmd)
+        }
+    }
+    return root
+}
+
+/**
+ * Rows of the run report for a command tree, depth-first: one per command, plus a
+ * label row ({ label, depth }) before a non-empty ELSE / ON_ERROR branch. `rowOf`
+ * maps each command object to its row.
+ */
+export function flattenCommands(commands) {
+    const rows = []
+    const rowOf = new Map()
+    const visit = (list, depth) => {
+        for (const cmd of list) {
+            rowOf.set(cmd, rows.length)
+            rows.push({ cmd, depth })
+            if (!isBlock(cmd)) continue
+            const [main, branch] = BLOCK_TYPES[cmd.type]
+            visit(cmd[main] || [], depth + 1)
+            if (branch && cmd[branch]?.length) {
+                rows.push({ label: branch === 'else' ? 'Else' : 'On error', depth })
+                visit(cmd[branch], depth + 1)
+            }
+        }
+    }
+    visit(commands, 0)
+    return { rows, rowOf }
+}
+
+/**
+ * Copy of a command tree with `fn(cmd)` in place of each command (blocks included);
+ * returning the command unchanged keeps it. Blocks keep their mapped child lists.
+ */
+export function mapCommands(commands, fn) {
+    return commands.map(cmd => {
+        const out = fn(cmd)
+        if (!isBlock(cmd)) return out
+        const copy = { ...out }
+        for (const key of BLOCK_TYPES[cmd.type]) copy[key] = mapCommands(cmd[key] || [], fn)
+        return copy
+    })
+}
+
+/** Number of plain (non-block) commands in a tree */
+export function countSteps(commands) {
+    return commands.reduce((n, cmd) => n + (isBlock(cmd)
+        ? BLOCK_TYPES[cmd.type].reduce((m, key) => m + countSteps(cmd[key] || []), 0)
+        : 1), 0)
+}
+
+/** Variable names a tree defines: EXTRACT targets and FOR_EACH items */
+export function definedVariables(commands) {
+    const names = []
+    const visit = (list) => {
+        for (const cmd of list) {
+            if (cmd.type === 'extract' || cmd.type === 'extract_all') names.push(cmd.variable)
+            if (cmd.type === 'for_each') names.push(cmd.as || 'item', `${cmd.as || 'item'}_index`)
+            if (cmd.type === 'try') names.push('error')
+            if (isBlock(cmd)) BLOCK_TYPES[cmd.type].forEach(key => visit(cmd[key] || []))
+        }
+    }
+    visit(commands)
+    return names
+}
+
+// A failed step inside TRY, unwinding to its ON_ERROR branch
+class StepFailure extends Error { }
+// A failed step when the host stops at the first failure
+class RunAborted extends Error { }
+
+/**
+ * Run a command tree. The host supplies:
+ *   runStep(cmd, row, vars) — run a plain command (interpolating it, reporting its row);
+ *                             returns its result, { error } or throws on failure
+ *   exists(selector, timeoutMs) — { exists, count } for IF_EXISTS, WHILE_EXISTS, FOR_EACH
+ *   loadAutomation(name) — a saved automation { commands, inputs } for CALL, or null
+ *   onStep(row, update) — progress of block rows ({ status, note, detail })
+ *   describe(cmd) — text of a command for error details
+ *   stopOnError — end the run at the first failed step outside TRY (else it goes on)
+ * Resolves with { failed, variables }: failed steps not handled by a TRY.
+ */
+export async function runCommands(commands, host, initialVars = {}) {
+    const vars = { ...initialVars }
+    const { rowOf } = flattenCommands(commands)
+    let failed = 0
+    let lastError = null
+
+    const fail = (ctx, message) => {
+        if (ctx.inTry) throw new StepFailure(message)
+        failed++
+        lastError = message
+        if (host.stopOnError) throw new RunAborted(message)
+    }
+
+    // Block rows are only reported for the top-level tree; a CALL reports on its own row
+    const report = (ctx, cmd, update) => {
+        if (ctx.callRow == null) host.onStep?.(rowOf.get(cmd), update)
+    }
+
+    const runList = async (list, ctx) => {
+        for (const cmd of list) await runOne(cmd, ctx)
+    }
+
+    const runOne = async (cmd, ctx) => {
+        const row = ctx.callRow ?? rowOf.get(cmd)
+        if (cmd.type === 'call') return runCall(cmd, row, ctx)
+        if (!isBlock(cmd)) {
+            let result
+            try {
+                result = await host.runStep(cmd, row, vars)
+            } catch (err) {
+                result = { error: err.message }
+            }
+            if (result?.error) fail(ctx, result.error)
+            return
+        }
+
+        report(ctx, cmd, { status: 'running' })
+        let note
+        try {
+            note = await BLOCKS[cmd.type](cmd, interpolateCommand(cmd, vars), ctx)
+        } catch (err) {
+            // A step inside failed (and is reported on its own row) — the block ends with it
+            if (err instanceof StepFailure || err instanceof RunAborted) {
+                report(ctx, cmd, { status: 'error' })
+                throw err
+            }
+            report(ctx, cmd, { status: 'error', detail: `${host.describe(cmd)} — ${err.message}` })
+            return fail(ctx, err.message)
+        }
+        report(ctx, cmd, { status: 'done', note })
+    }
+
+    const check = async (selector, timeoutMs) => {
+        const result = await host.exists(selector, timeoutMs)
+        if (result?.error) throw new Error(result.error)
+        return result
+    }
+
+    const BLOCKS = {
+        if_exists: async (cmd, header, ctx) => {
+            const { exists } = await check(header.selector, header.timeoutMs)
+            await runList((exists ? cmd.then : cmd.else) || [], ctx)
+            return exists ? 'found' : 'not found'
+        },
+        repeat: async (cmd, header, ctx) => {
+            const times = Math.min(Math.max(0, parseInt(header.times, 10) || 0), MAX_REPEAT)
+            for (let i = 0; i < times; i++) await runList(cmd.body || [], ctx)
+            return `${times}×`
+        },
+        for_each: async (cmd, header, ctx) => {
+            const as = header.as || 'item'
+            let items
+            if (header.list) {
+                const value = vars[header.list]
+                if (value === undefined) throw new Error(`Unknown variable {{${header.list}}}`)
+                items = Array.isArray(value) ? value : [value]
+            } else {
+                // Each element is addressed by its position among the matches of all frames
+                const { count } = await check(header.selector, 0)
+                items = Array.from({ length: Math.min(count, MAX_FOR_EACH) }, (_, i) => `${header.selector} >> nth=${i}`)
+            }
+            for (let i = 0; i < items.length; i++) {
+                vars[as] = items[i]
+                vars[`${as}_index`] = i
+                await runList(cmd.body || [], ctx)
+            }
+            return `${items.length} item${items.length === 1 ? '' : 's'}`
+        },
+        while_exists: async (cmd, header, ctx) => {
+            const max = parseInt(header.max, 10) > 0 ? parseInt(header.max, 10) : DEFAULT_WHILE_MAX
+            let i = 0
+            while ((await check(header.selector, 0)).exists) {
+                if (i === max) return `stopped at the limit of ${max} iterations`
+                await runList(cmd.body || [], ctx)
+                i++
+            }
+            return `${i} iteration${i === 1 ? '' : 's'}`
+        },
+        try: async (cmd, header, ctx) => {
+            try {
+                await runList(cmd.body || [], { ...ctx, inTry: true })
+                return 'no error'
+            } catch (err) {
+                if (!(err instanceof StepFailure)) throw err
+                vars.error = err.message
+                await runList(cmd.onError || [], ctx)
+                return `handled: ${err.message}`
+            }
+        }
+    }
+
+    const runCall = async (cmd, row, ctx) => {
+        const stack = ctx.calls
+        if (ctx.callRow == null) host.onStep?.(row, { status: 'running', detail: host.describe(cmd) })
+        const callFailed = (message) => {
+            if (ctx.callRow == null) host.onStep?.(row, { status: 'error', detail: `${host.describe(cmd)} — ${message}` })
+            fail(ctx, message)
+        }
+
+        let name
+        try {
+            name = interpolateCommand(cmd, vars).automation
+        } catch (err) {
+            return callFailed(err.message)
+        }
+        if (stack.includes(name)) return callFailed(`CALL loop: ${[...stack, name].join(' → ')}`)
+        if (stack.length >= MAX_CALL_DEPTH) return callFailed(`CALLs nested more than ${MAX_CALL_DEPTH} deep`)
+        const target = await host.loadAutomation(name)
+        if (!target) return callFailed(`No saved automation named "${name}"`)
+
+        // The callee shares the caller's variables; its inputs fall back to their defaults
+        for (const [key, value] of Object.entries(initialVariables(target.inputs))) {
+            if (!(key in vars)) vars[key] = value
+        }
+        const before = failed
+        try {
+            await runList(target.commands || [], { ...ctx, callRow: row, calls: [...stack, name] })
+        } catch (err) {
+            // A failed step inside TRY or with stopOnError ends the call
+            if (ctx.callRow == null) host.onStep?.(row, { status: 'error', detail: `${host.describe(cmd)} — ${err.message}` })
+            throw err
+        }
+        if (ctx.callRow == null) {
+            const steps = countSteps(target.commands || [])
+            host.onStep?.(row, failed > before
+                ? { status: 'error', detail: `${host.describe(cmd)} — ${failed - before} failed, last: ${lastError}` }
+                : { status: 'done', detail: host.describe(cmd), note: `${steps} step${steps === 1 ? '' : 's'}` })
+        }
+    }
+
+    try {
+        await runList(commands, { inTry: false, callRow: null, calls: [] })
+    } catch (err) {
+        if (!(err instanceof RunAborted)) throw err
+    }
+    return { failed, variables: vars }
+}
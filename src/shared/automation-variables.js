@@ -0,0 +1,92 @@
+/**
+ * Variables of a saved automation run: declared inputs (prompted for at run time)
+ * plus whatever EXTRACT / EXTRACT_ALL captured, substituted into command fields as
+ * {{name}}. \{{ stands for a literal {{. Shared by the renderer, the main process
+ * (scheduled runs, the recorder) and the headless test runner, so it imports nothing
+ * from either side — no React, DOM or Electron.
+ */
+
+// {{name}}, {{name.0}}, {{name.length}} — a dotted path into arrays and objects —
+// or an escaped \{{ (no name captured)
+const VARIABLE_PATTERN = /\\\{\{|\{\{\s*([\w.]+)\s*\}\}/g
+
+/** Initial variables of a run: each declared input's value, falling back to its default */
+export function initialVariables(inputs = [], values = {}) {
+    return Object.fromEntries(inputs.map(input => [input.name, values[input.name] ?? input.default ?? '']))
+}
+
+function lookup(vars, path) {
+    let value = vars
+    for (const key of path.split('.')) {
+        if (value == null || !(Object.prototype.hasOwnProperty.call(value, key) || (key === 'length' && Array.isArray(value)))) return undefined
+        value = value[key]
+    }
+    return value
+}
+
+function formatValue(value) {
+    if (Array.isArray(value)) return value.join(', ')
+    if (value && typeof value === 'object') return JSON.stringify(value)
+    return String(value)
+}
+
+function interpolateString(text, vars) {
+    return text.replace(VARIABLE_PATTERN, (match, path) => {
+        if (!path) return '{{'
+        const value = lookup(vars, path)
+        if (value === undefined) throw new Error(`Unknown variable {{${path}}}`)
+        return formatValue(value)
+    })
+}
+
+/**
+ * Copy of a command with {{name}} replaced in every string field (and string arrays
+ * such as UPLOAD's files). Throws on a variable that is not set.
+ */
+export function interpolateCommand(cmd, vars) {
+    const out = {}
+    for (const [key, value] of Object.entries(cmd)) {
+        if (key === 'type') out[key] = value
+        else if (typeof value === 'string') out[key] = interpolateString(value, vars)
+        else if (Array.isArray(value) && value.every(v => typeof v === 'string')) out[key] = value.map(v => interpolateString(v, vars))
+        else out[key] = value
+    }
+    return out
+}
+
+/**
+ * Names referenced as {{name}} in commands (the first path segment), in order of
+ * appearance — including the steps nested in control-flow blocks
+ */
+export function referencedVariables(commands) {
+    const names = new Set()
+    const visit = (value) => {
+        if (typeof value === 'string') {
+            for (const m of value.matchAll(VARIABLE_PATTERN)) {
+                if (m[1]) names.add(m[1].split('.')[0])
+            }
+        } else if (Array.isArray(value)) {
+            value.forEach(visit)
+        } else if (value && typeof value === 'object') {
+            Object.values(value).forEach(visit)
+        }
+    }
+    visit(commands)
+    return [...names]
+}
+
+/**
+ * Copy of commands with every {{ escaped as \{{, so their text is typed as it is.
+ * For automations saved before variables existed.
+ */
+export function escapeVariables(commands) {
+    const escape = (value) => {
+        if (typeof value === 'string') return value.replaceAll('{{', '\\{{')
+        if (Array.isArray(value)) return value.map(escape)
+        if (value && typeof value === 'object') {
+            return Object.fromEntries(Object.entries(value).map(([key, v]) => [key, key === 'type' ? v : escape(v)]))
+        }
+        return value
+    }
+    return escape(commands)
+}
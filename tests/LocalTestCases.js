@@ -0,0 +1,189 @@
+/**
+ * Offline test cases for the headless runner — the same commands as TestCases.js,
+ * run against the local fixture site (fixture-server.js) instead of live sites, so
+ * BrowserAutomation regressions show up without network access.
+ *
+ * {{baseUrl}} is the fixture server's address (http://127.0.0.1:PORT); the runner
+ * sets it before each case. UPLOAD paths are relative to the repo root.
+ */
+
+export const LOCAL_TEST_CASES = [
+    // ─── Navigation & Search ─────────────────────────────
+    {
+        id: 'local-search',
+        name: 'Local Search',
+        category: 'Navigation & Search',
+        description: 'Fill the fixture search form, submit it with Enter and check the results page',
+        inputs: [{ name: 'query', default: 'Iowa State University' }],
+        commands: [
+            { type: 'navigate', url: '{{baseUrl}}/search.html' },
+            { type: 'fill', selector: 'input[name="q"]', value: '{{query}}' },
+            { type: 'press', key: 'Enter' },
+            { type: 'wait_for_url', pattern: '/search/results?q=' },
+            { type: 'assert_title', text: '{{query}} — Fixture Search' },
+            { type: 'assert_count', selector: '#results .result', count: 5 },
+            { type: 'extract', selector: '#results .result h3', variable: 'firstResult' },
+            { type: 'assert_text', selector: '#query', text: '{{query}}' },
+        ]
+    },
+    {
+        id: 'local-scroll-navigate',
+        name: 'Local Scroll & Navigate',
+        category: 'Navigation & Search',
+        description: 'Dismiss the banner on the fixture home page, scroll to its bottom and follow a link',
+        commands: [
+            { type: 'navigate', url: '{{baseUrl}}/' },
+            { type: 'assert_title', text: 'Fixture Site' },
+            {
+                type: 'if_exists', selector: '#notice',
+                then: [{ type: 'click_element', selector: '#notice-dismiss' }],
+                else: []
+            },
+            { type: 'assert_count', selector: '#notice', count: 0 },
+            { type: 'scroll', deltaY: 800 },
+            { type: 'assert_visible', selector: '#bottom' },
+            { type: 'scroll', deltaY: -1600 },
+            { type: 'click_element', selector: '#pages a[href="/form.html"]' },
+            { type: 'wait_for_url', pattern: '/form.html' },
+            { type: 'assert_url', pattern: '/\\/form\\.html$/' },
+        ]
+    },
+
+    // ─── Form Interaction ────────────────────────────────
+    {
+        id: 'local-form-fill',
+        name: 'Local Form Fill',
+        category: 'Form Interaction',
+        description: 'Fill text fields, a select and a textarea, submit, and check the echoed values',
+        commands: [
+            { type: 'navigate', url: '{{baseUrl}}/form.html' },
+            { type: 'fill', selector: '#name', value: 'Cy the Cardinal' },
+            { type: 'fill', selector: '#email', value: 'cy@iastate.edu' },
+            { type: 'fill', selector: '#topic', value: 'Bug report' },
+            { type: 'fill', selector: '#message', value: 'Go Cyclones!' },
+            { type: 'assert_text', selector: '#email', text: 'cy@iastate.edu' },
+            { type: 'click_element', selector: '#submit' },
+            { type: 'assert_visible', selector: '#summary' },
+            { type: 'assert_text', selector: '#summary', text: 'Sent: Cy the Cardinal <cy@iastate.edu> [bug] Go Cyclones!' },
+        ]
+    },
+    {
+        id: 'local-file-upload',
+        name: 'Local File Upload',
+        category: 'Form Interaction',
+        description: 'Attach two fixture files to a file input and check the page saw both',
+        commands: [
+            { type: 'navigate', url: '{{baseUrl}}/upload.html' },
+            { type: 'upload', selector: '#files', files: ['tests/fixtures/files/sample.txt', 'tests/fixtures/files/data.csv'] },
+            { type: 'assert_text', selector: '#file-count', text: '2 files' },
+            { type: 'assert_count', selector: '#file-list .file', count: 2 },
+            { type: 'assert_text', selector: '#file-list', text: 'sample.txt (39 bytes)' },
+            { type: 'assert_text', selector: '#file-list', text: 'data.csv (27 bytes)' },
+        ]
+    },
+
+    // ─── Page Interaction ────────────────────────────────
+    {
+        id: 'local-iframes',
+        name: 'Local Iframes',
+        category: 'Page Interaction',
+        description: 'Fill and click inside a same-origin iframe and a cross-origin iframe, then fill both from one FOR_EACH',
+        commands: [
+            { type: 'navigate', url: '{{baseUrl}}/frames.html' },
+            { type: 'fill', selector: '#same-frame >>> #frame-input', value: 'same origin' },
+            { type: 'click_element', selector: '#same-frame >>> #frame-button' },
+            { type: 'assert_text', selector: '#same-frame >>> #frame-status', text: 'Echo: same origin' },
+            { type: 'fill', selector: 'body[data-frame="cross"] #frame-input', value: 'cross origin' },
+            { type: 'click_element', selector: 'body[data-frame="cross"] #frame-button' },
+            { type: 'assert_text', selector: 'body[data-frame="cross"] #frame-status', text: 'Echo: cross origin' },
+            // The matches of both frames are numbered together
+            {
+                type: 'for_each', selector: '#frame-input', as: 'field',
+                body: [{ type: 'fill', selector: '{{field}}', value: 'item {{field_index}}' }]
+            },
+            { type: 'assert_text', selector: '#same-frame >>> #frame-input', text: 'item 0' },
+            { type: 'assert_text', selector: 'body[data-frame="cross"] #frame-input', text: 'item 1' },
+        ]
+    },
+    {
+        id: 'local-shadow-dom',
+        name: 'Local Shadow DOM',
+        category: 'Page Interaction',
+        description: 'Fill and click inside an open shadow root, then inside a nested one',
+        commands: [
+            { type: 'navigate', url: '{{baseUrl}}/shadow.html' },
+            { type: 'fill', selector: 'greeting-card >>> #who', value: 'Cy' },
+            { type: 'click_element', selector: 'greeting-card >>> #greet' },
+            { type: 'assert_text', selector: 'greeting-card >>> #greeting', text: 'Hello, Cy!' },
+            { type: 'repeat', times: 3, body: [{ type: 'click_element', selector: 'outer-panel >>> inner-counter >>> .increment' }] },
+            { type: 'assert_text', selector: 'outer-panel >>> inner-counter >>> .count', text: '3' },
+        ]
+    },
+    {
+        id: 'local-delayed-render',
+        name: 'Local Delayed Rendering',
+        category: 'Page Interaction',
+        description: 'Wait for content rendered after a delay, a button enabled later and slow requests, one started by a click',
+        commands: [
+            { type: 'navigate', url: '{{baseUrl}}/delayed.html' },
+            { type: 'wait_for', selector: '#late', timeoutMs: 5000 },
+            { type: 'assert_title', text: 'Delayed Content Ready' },
+            { type: 'assert_count', selector: '#spinner', count: 0 },
+            // CLICK_ELEMENT waits for the button to be enabled
+            { type: 'click_element', selector: '#late-button' },
+            { type: 'assert_visible', selector: '#clicked' },
+            { type: 'wait_for_network_idle' },
+            { type: 'assert_count', selector: '#api-items .api-item', count: 3 },
+            // The click's request is still running when the wait starts
+            { type: 'click_element', selector: '#load-more' },
+            { type: 'wait_for_network_idle' },
+            { type: 'assert_count', selector: '#more-items .more-item', count: 3 },
+        ]
+    },
+
+    // ─── Advanced ────────────────────────────────────────
+    {
+        id: 'local-pagination',
+        name: 'Local Pagination',
+        category: 'Advanced',
+        description: 'Follow the Next link until the last page of a paginated list, then read its items',
+        commands: [
+            { type: 'navigate', url: '{{baseUrl}}/list?page=1' },
+            { type: 'assert_text', selector: '#page-status', text: 'Page 1 of 5' },
+            {
+                type: 'while_exists', selector: 'a[rel="next"]', max: 10,
+                body: [
+                    { type: 'extract', selector: 'a[rel="next"] .next-page', variable: 'next' },
+                    { type: 'click_element', selector: 'a[rel="next"]' },
+                    { type: 'wait_for_url', pattern: 'page={{next}}' },
+                    { type: 'wait_for', selector: '#items' },
+                ]
+            },
+            { type: 'assert_text', selector: '#page-status', text: 'Page 5 of 5' },
+            { type: 'extract_all', selector: '#items .item', variable: 'items' },
+            { type: 'assert_count', selector: '#items .item', count: 5 },
+            { type: 'assert_text', selector: '#items', text: 'Item 41' },
+            { type: 'assert_text', selector: '#items', text: '{{items.4}}' },
+        ]
+    },
+    {
+        id: 'local-control-flow',
+        name: 'Local Control Flow',
+        category: 'Advanced',
+        description: 'Check every result of a search, recover from a missing element and reuse another test case',
+        commands: [
+            { type: 'call', automation: 'local-search' },
+            {
+                type: 'for_each', selector: '#results .result', as: 'result',
+                body: [{ type: 'assert_visible', selector: '{{result}}' }]
+            },
+            {
+                type: 'try',
+                body: [{ type: 'wait_for', selector: '#no-such-element', timeoutMs: 1000 }],
+                onError: [{ type: 'navigate', url: '{{baseUrl}}/list?page=2' }]
+            },
+            { type: 'assert_text', selector: '#page-status', text: 'Page 2 of 5' },
+            { type: 'assert_text', selector: '#items', text: 'Item 11' },
+        ]
+    },
+]
@@ -0,0 +1,172 @@
+/**
+ * Local fixture site for the headless E2E runner.
+ *
+ * Serves the deterministic pages in tests/fixtures/site/ over HTTP on 127.0.0.1, so
+ * the local suite (LocalTestCases.js) runs without network access and does not break
+ * when a live site changes. Two servers share the same pages: the second one is
+ * addressed as localhost instead of 127.0.0.1 — another site, not just another
+ * origin — so its iframe is cross-site and runs out of process (an OOPIF).
+ *
+ * Dynamic routes:
+ *   /search/results?q=…   — search results generated from the query
+ *   /list?page=N          — a 45-item list, 10 per page, with Next / Previous links
+ *   /api/items?delay=ms   — JSON answered after a delay (for WAIT_FOR_NETWORK_IDLE)
+ * Static pages may contain __CROSS_ORIGIN__, replaced with the second server's origin.
+ *
+ * Exported entrypoint: startFixtureServer() → { baseUrl, crossOrigin, close() }
+ */
+
+import http from 'http'
+import fs from 'fs/promises'
+import path from 'path'
+import { fileURLToPath } from 'url'
+
+const SITE_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), 'fixtures', 'site')
+
+const LIST_SIZE = 45
+const PAGE_SIZE = 10
+const MAX_API_DELAY_MS = 5000
+
+const CONTENT_TYPES = {
+    '.html': 'text/html; charset=utf-8',
+    '.css': 'text/css; charset=utf-8',
+    '.js': 'text/javascript; charset=utf-8',
+    '.json': 'application/json; charset=utf-8',
+    '.txt': 'text/plain; charset=utf-8',
+    '.svg': 'image/svg+xml'
+}
+
+function escapeHtml(text) {
+    return String(text).replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]))
+}
+
+function page(title, body) {
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(title)}</title>
+<link rel="stylesheet" href="/style.css">
+</head>
+<body>
+<nav class="site-nav"><a href="/">Fixture Site</a></nav>
+<main>
+${body}
+</main>
+</body>
+</html>`
+}
+
+function searchResults(url) {
+    const q = (url.searchParams.get('q') || '').trim()
+    if (!q) return page('Fixture Search', '<h1>Fixture Search</h1><p id="no-results">Enter a search term.</p>')
+    const items = Array.from({ length: 5 }, (_, i) => `
+<li class="result">
+  <a href="/search/results?q=${encodeURIComponent(q)}&amp;r=${i + 1}"><h3>${escapeHtml(q)} — result ${i + 1}</h3></a>
+  <p>Result ${i + 1} of 5 for "${escapeHtml(q)}".</p>
+</li>`).join('')
+    return page(`${q} — Fixture Search`, `
+<h1>Results for <span id="query">${escapeHtml(q)}</span></h1>
+<form action="/search/results" method="get">
+  <input name="q" value="${escapeHtml(q)}" aria-label="Search">
+  <button type="submit">Search</button>
+</form>
+<ol id="results">${items}</ol>`)
+}
+
+function list(url) {
+    const pages = Math.ceil(LIST_SIZE / PAGE_SIZE)
+    const n = Math.min(Math.max(1, parseInt(url.searchParams.get('page'), 10) || 1), pages)
+    const first = (n - 1) * PAGE_SIZE + 1
+    const last = Math.min(n * PAGE_SIZE, LIST_SIZE)
+    const items = []
+    for (let i = first; i <= last; i++) items.push(`<li class="item">Item ${i}</li>`)
+    return page(`List — page ${n}`, `
+<h1>Paginated list</h1>
+<p id="page-status">Page ${n} of ${pages}</p>
+<ul id="items">${items.join('')}</ul>
+<div class="pager">
+  ${n > 1 ? `<a rel="prev" href="/list?page=${n - 1}">Previous</a>` : ''}
+  ${n < pages ? `<a rel="next" href="/list?page=${n + 1}">Next <span class="next-page">${n + 1}</span></a>` : ''}
+</div>`)
+}
+
+async function apiItems(url) {
+    const delay = Math.min(Math.max(0, parseInt(url.searchParams.get('delay'), 10) || 0), MAX_API_DELAY_MS)
+    await new Promise(r => setTimeout(r, delay))
+    return JSON.stringify({ items: ['Alpha', 'Bravo', 'Charlie'] })
+}
+
+async function staticFile(pathname, crossOrigin) {
+    const rel = pathname.endsWith('/') ? pathname + 'index.html' : pathname
+    const file = path.resolve(SITE_DIR, '.' + decodeURIComponent(rel))
+    if (!file.startsWith(SITE_DIR + path.sep)) return null
+    let body
+    try {
+        body = await fs.readFile(file)
+    } catch {
+        return null
+    }
+    const type = CONTENT_TYPES[path.extname(file)] || 'application/octet-stream'
+    if (type.startsWith('text/html')) body = body.toString('utf8').replaceAll('__CROSS_ORIGIN__', crossOrigin)
+    return { type, body }
+}
+
+function createHandler(getCrossOrigin) {
+    return async (req, res) => {
+        // HEAD gets the headers a GET would, without the body
+        const send = (status, type, body) => {
+            res.writeHead(status, { 'Content-Type': type, 'Content-Length': Buffer.byteLength(body), 'Cache-Control': 'no-store' })
+            res.end(req.method === 'HEAD' ? undefined : body)
+        }
+        try {
+            const url = new URL(req.url, 'http://fixture.local')
+            if (req.method !== 'GET' && req.method !== 'HEAD') return send(405, 'text/plain', 'Method not allowed')
+            if (url.pathname === '/search/results') return send(200, CONTENT_TYPES['.html'], searchResults(url))
+            if (url.pathname === '/list') return send(200, CONTENT_TYPES['.html'], list(url))
+            if (url.pathname === '/api/items') return send(200, CONTENT_TYPES['.json'], await apiItems(url))
+            const file = await staticFile(url.pathname, getCrossOrigin())
+            if (!file) return send(404, CONTENT_TYPES['.html'], page('Not found', '<h1>Not found</h1>'))
+            send(200, file.type, file.body)
+        } catch (e) {
+            send(500, 'text/plain', e?.message || String(e))
+        }
+    }
+}
+
+// Both servers listen on 127.0.0.1; `host` is the name their address is given with
+function listen(server, host) {
+    return new Promise((resolve, reject) => {
+        server.once('error', reject)
+        server.listen(0, '127.0.0.1', () => {
+            server.removeListener('error', reject)
+            resolve(`http://${host}:${server.address().port}`)
+        })
+    })
+}
+
+function closeServer(server) {
+    return new Promise((resolve) => {
+        // Keep-alive connections would hold close() open until they time out
+        server.closeAllConnections?.()
+        server.close(() => resolve())
+    })
+}
+
+export async function startFixtureServer() {
+    let crossOrigin = ''
+    const main = http.createServer(createHandler(() => crossOrigin))
+    const cross = http.createServer(createHandler(() => crossOrigin))
+    try {
+        const baseUrl = await listen(main, '127.0.0.1')
+        crossOrigin = await listen(cross, 'localhost')
+        return {
+            baseUrl,
+            crossOrigin,
+            close: () => Promise.all([closeServer(main), closeServer(cross)])
+        }
+    } catch (e) {
+        await Promise.all([closeServer(main), closeServer(cross)])
+        throw e
+    }
+}
@@ -5,15 +5,38 @@
  * Imports TEST_CASES from the renderer module (plain ES data, no React deps)
  * and drives them against the same BrowserAutomation engine the UI uses.
  *
- * Exported entrypoint: runAllTestCases({ BrowserWindow, automation })
+ * Exported entrypoint: runAllTestCases({ BrowserWindow, automation, runAssertion, suite })
+ * `suite` picks the cases: 'live' (TestCases.js, against real sites), 'local'
+ * (LocalTestCases.js, against the fixture site served by fixture-server.js — no
+ * network needed) or 'all' (the default). {{baseUrl}} is the fixture site's address.
+ * A case passes only if every command ran and every ASSERT_* command held.
+ * {{name}} in a command is filled from the case's input defaults and EXTRACT results;
+ * each case result carries the final `variables`. Control-flow blocks run through
+ * automation-flow.js; CALL("name") runs another test case of the same suite by name or id.
  * Returns: { total, passed, failed, durationMs, cases: [...] }
  */
 
+import path from 'path'
+import { fileURLToPath } from 'url'
 import { TEST_CASES } from '../src/renderer/components/TestCases.js'
+import { LOCAL_TEST_CASES } from './LocalTestCases.js'
+import { startFixtureServer } from './fixture-server.js'
+import { initialVariables, interpolateCommand } from '../src/shared/automation-variables.js'
+import { runCommands, countSteps } from '../src/shared/automation-flow.js'
+
+// Relative UPLOAD paths in test cases are resolved against the repo root (e.g. tests/fixtures/…)
+const REPO_ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..')
+// ASSERT_SCREENSHOT baselines; a missing one is written on the first run
+const SCREENSHOT_DIR = path.join(REPO_ROOT, 'tests', 'screenshots')
 
 const LOAD_TIMEOUT_MS = 15000  // per navigation
 const CMD_TIMEOUT_MS = 25000   // absolute ceiling on any single command (race guard)
 
+const SUITES = {
+    local: LOCAL_TEST_CASES,
+    live: TEST_CASES
+}
+
 function now() { return Date.now() }
 
 function withTimeout(promise, ms, label) {
@@ -44,7 +67,12 @@ function waitForLoadStop(webContents, timeoutMs = LOAD_TIMEOUT_MS) {
     })
 }
 
-async function runCommand(automation, webContents, cmd) {
+async function runCommand(automation, runAssertion, webContents, cmd, vars) {
+    if (cmd.type.startsWith('assert_')) {
+        const res = await runAssertion(automation, webContents, cmd, { screenshotDir: SCREENSHOT_DIR })
+        if (res.error) throw new Error(res.files ? `${res.error} — see ${res.files.join(', ')}` : res.error)
+        return res
+    }
     switch (cmd.type) {
         case 'navigate': {
             const p = waitForLoadStop(webContents)
@@ -56,8 +84,29 @@ async function runCommand(automation, webContents, cmd) {
         case 'wait':
             await new Promise(r => setTimeout(r, cmd.ms))
             return {}
+        case 'wait_for': {
+            const res = await automation.waitForSelector(webContents, cmd.selector, { timeoutMs: cmd.timeoutMs })
+            if (res && res.error) throw new Error(res.error)
+            return res
+        }
+        case 'wait_for_url': {
+            const res = await automation.waitForUrl(webContents, cmd.pattern, { timeoutMs: cmd.timeoutMs })
+            if (res && res.error) throw new Error(res.error)
+            return res
+        }
+        case 'wait_for_network_idle': {
+            const res = await automation.waitForNetworkIdle(webContents, { timeoutMs: cmd.timeoutMs })
+            if (res && res.error) throw new Error(res.error)
+            return res
+        }
         case 'fill': {
-            const res = await automation.fillInput(webContents, cmd.selector, cmd.value)
+            const res = await automation.fillInput(webContents, cmd.selector, cmd.value, { fingerprint: cmd.fingerprint })
+            if (res && res.error) throw new Error(res.error)
+            return res
+        }
+        case 'upload': {
+            const files = cmd.files.map(f => path.isAbsolute(f) ? f : path.resolve(REPO_ROOT, f))
+            const res = await automation.uploadFiles(webContents, cmd.selector, files)
             if (res && res.error) throw new Error(res.error)
             return res
         }
@@ -67,8 +116,16 @@ async function runCommand(automation, webContents, cmd) {
         case 'scroll':
             await automation.scroll(webContents, cmd.x ?? 0, cmd.y ?? 0, cmd.deltaX ?? 0, cmd.deltaY ?? 0)
             return {}
-        case 'click': {
-            const res = await automation.clickElement(webContents, cmd.selector)
+        case 'extract':
+        case 'extract_all': {
+            const res = await automation.extractText(webContents, cmd.selector, { all: cmd.type === 'extract_all' })
+            if (res.error) throw new Error(res.error)
+            vars[cmd.variable] = res.value
+            return res
+        }
+        case 'click':
+        case 'click_element': {
+            const res = await automation.clickElement(webContents, cmd.selector, { fingerprint: cmd.fingerprint })
             if (res && res.error) throw new Error(res.error)
             return res
         }
@@ -77,7 +134,8 @@ async function runCommand(automation, webContents, cmd) {
     }
 }
 
-async function runCase(automation, webContents, testCase) {
+// `scope` is the case's suite: { name, cases CALL can reach, variables every case starts with }
+async function runCase(automation, runAssertion, webContents, testCase, scope) {
     const caseStart = now()
     const steps = []
 
@@ -100,31 +158,53 @@ async function runCase(automation, webContents, testCase) {
     }
 
     let caseError = null
+    let lastError = null
 
-    for (let i = 0; i < testCase.commands.length; i++) {
-        const cmd = testCase.commands[i]
+    const runStep = async (cmd, i, vars) => {
         console.error(`[e2e]     step ${i}: ${cmd.type}${cmd.url ? ' ' + cmd.url : ''}${cmd.selector ? ' ' + cmd.selector : ''}`)
         const stepStart = now()
-        let ok = true
         let err = null
+        let res = null
         try {
+            cmd = interpolateCommand(cmd, vars)
             // Race every command against an absolute 25s ceiling — prevents any hang
             // from stalling the whole suite. If this fires, we record the timeout and
             // move to the next case.
-            await withTimeout(
-                runCommand(automation, webContents, cmd),
+            res = await withTimeout(
+                runCommand(automation, runAssertion, webContents, cmd, vars),
                 CMD_TIMEOUT_MS,
                 `command ${cmd.type}`
             )
         } catch (e) {
-            ok = false
             err = e?.message || String(e)
-            caseError = err
         }
         const durationMs = now() - stepStart
-        console.error(`[e2e]       ${ok ? 'ok' : 'FAIL'} in ${durationMs}ms${err ? ' — ' + err : ''}`)
-        steps.push({ stepIdx: i, type: cmd.type, ok, error: err, durationMs })
-        if (!ok) break
+        console.error(`[e2e]       ${err ? 'FAIL' : 'ok'} in ${durationMs}ms${err ? ' — ' + err : ''}`)
+        // A healed selector passes, but is reported so the case can be updated
+        if (res?.healed) console.error(`[e2e]       healed: ${res.healed.from} → ${res.healed.to}`)
+        steps.push({ stepIdx: i, type: cmd.type, ok: !err, error: err, durationMs, ...(res?.healed && { healed: res.healed }) })
+        if (err) lastError = err
+        return err ? { error: err } : {}
+    }
+
+    // Stops at the first failed step (outside TRY blocks)
+    let variables = {}
+    try {
+        const run = await runCommands(testCase.commands, {
+            runStep,
+            exists: (selector, timeoutMs) => automation.elementExists(webContents, selector, { timeoutMs }),
+            loadAutomation: (name) => scope.cases.find(tc => tc.name === name || tc.id === name) || null,
+            // Blocks report their own errors (e.g. an invalid IF_EXISTS selector)
+            onStep: (i, update) => {
+                if (update.status === 'error' && update.detail) lastError = update.detail
+            },
+            describe: (cmd) => cmd.type,
+            stopOnError: true
+        }, { ...scope.variables, ...initialVariables(testCase.inputs) })
+        variables = run.variables
+        if (run.failed) caseError = lastError
+    } catch (e) {
+        caseError = e?.message || String(e)
     }
 
     const finalUrl = (() => { try { return webContents.getURL() } catch { return null } })()
@@ -134,56 +214,71 @@ async function runCase(automation, webContents, testCase) {
         id: testCase.id,
         name: testCase.name,
         category: testCase.category,
+        suite: scope.name,
         passed: caseError === null,
         error: caseError,
         finalUrl,
         finalTitle,
         durationMs: now() - caseStart,
-        stepCount: testCase.commands.length,
-        steps
+        stepCount: countSteps(testCase.commands),
+        steps,
+        variables
     }
 }
 
-export async function runAllTestCases({ BrowserWindow, automation }) {
+export async function runAllTestCases({ BrowserWindow, automation, runAssertion, suite = 'all' }) {
     const suiteStart = now()
     const cases = []
+    const names = suite === 'all' ? Object.keys(SUITES) : [suite]
+    if (!names.every(name => SUITES[name])) throw new Error(`Unknown test suite "${suite}" — use local, live or all`)
 
-    // One long-lived offscreen window for the entire suite — destroying windows
-    // mid-suite triggers window-all-closed and can race app.exit.
-    const win = new BrowserWindow({
-        width: 1400,
-        height: 900,
-        show: false,
-        webPreferences: { contextIsolation: true, nodeIntegration: false, sandbox: false }
-    })
-    const webContents = win.webContents
+    // The fixture site lives as long as the suite; its port is picked by the OS
+    const fixtures = names.includes('local') ? await startFixtureServer() : null
+    if (fixtures) console.error(`[e2e] Fixture site at ${fixtures.baseUrl} (cross-origin frames from ${fixtures.crossOrigin})`)
+    const variables = fixtures ? { baseUrl: fixtures.baseUrl } : {}
+    const runs = names.flatMap(name => SUITES[name].map(tc => ({ tc, scope: { name, cases: SUITES[name], variables } })))
 
-    for (const tc of TEST_CASES) {
-        console.error(`[e2e] Running: ${tc.id} (${tc.name})`)
-        try {
-            const result = await runCase(automation, webContents, tc)
-            cases.push(result)
-            console.error(`[e2e]   ${result.passed ? 'PASS' : 'FAIL'} — ${result.durationMs}ms${result.error ? ' — ' + result.error : ''}`)
-        } catch (e) {
-            cases.push({
-                id: tc.id,
-                name: tc.name,
-                category: tc.category,
-                passed: false,
-                error: `Runner crash: ${e?.message || String(e)}`,
-                finalUrl: null,
-                finalTitle: null,
-                durationMs: 0,
-                stepCount: tc.commands.length,
-                steps: []
-            })
-            console.error(`[e2e]   CRASH — ${e?.message}`)
+    let win = null
+    try {
+        // One long-lived offscreen window for the entire suite — destroying windows
+        // mid-suite triggers window-all-closed and can race app.exit.
+        win = new BrowserWindow({
+            width: 1400,
+            height: 900,
+            show: false,
+            webPreferences: { contextIsolation: true, nodeIntegration: false, sandbox: false }
+        })
+        const webContents = win.webContents
+
+        for (const { tc, scope } of runs) {
+            console.error(`[e2e] Running: ${tc.id} (${tc.name})`)
+            try {
+                const result = await runCase(automation, runAssertion, webContents, tc, scope)
+                cases.push(result)
+                console.error(`[e2e]   ${result.passed ? 'PASS' : 'FAIL'} — ${result.durationMs}ms${result.error ? ' — ' + result.error : ''}`)
+            } catch (e) {
+                cases.push({
+                    id: tc.id,
+                    name: tc.name,
+                    category: tc.category,
+                    suite: scope.name,
+                    passed: false,
+                    error: `Runner crash: ${e?.message || String(e)}`,
+                    finalUrl: null,
+                    finalTitle: null,
+                    durationMs: 0,
+                    stepCount: tc.commands.length,
+                    steps: []
+                })
+                console.error(`[e2e]   CRASH — ${e?.message}`)
+            }
         }
+    } finally {
+        // Clean up the single window and the fixture site, even when the suite throws
+        try { win?.destroy() } catch {}
+        await fixtures?.close()
     }
 
-    // Clean up the single window at the end of the suite.
-    try { win.destroy() } catch {}
-
     const passed = cases.filter(c => c.passed).length
     const failed = cases.length - passed
 
@@ -191,6 +286,7 @@ export async function runAllTestCases({ BrowserWindow, automation }) {
         startedAt: new Date(suiteStart).toISOString(),
         finishedAt: new Date().toISOString(),
         durationMs: now() - suiteStart,
+        suite,
         total: cases.length,
         passed,
         failed,